@@ -0,0 +1,200 @@
+/**
+ * Action economy
+ *
+ * Tracks what each combatant spends while the phase tracker runs (combat.mjs):
+ * actions, reactions and energy per turn and for the round, in the combatant
+ * flag `economy`:
+ *
+ *   { round, actions, reactions, energy, entries: { [entryId]: { actions, reactions, energy } } }
+ *
+ * Entries are keyed by the phase entry (combat.mjs instanceId) the combatant was
+ * on; anything used while it is not their turn goes under `offTurn`. The flag
+ * belongs to one round: advancePhase clears it when the tracker rolls into a new
+ * round, and a flag from an earlier round reads as empty.
+ *
+ * The ability, attack, spell and song dialogs call `spendAction`, which warns
+ * about a second reaction in a round or an action outside the combatant's
+ * phase before recording the use.
+ */
+
+import { registerSocketHandler, requestGMAction } from './socket.mjs';
+import { logError } from './utils/logger.js';
+
+/** Entry key for uses outside the combatant's own turn */
+export const OFF_TURN = 'offTurn';
+
+/** Reactions a combatant has each round */
+const REACTIONS_PER_ROUND = 1;
+
+const emptyUsage = () => ({ actions: 0, reactions: 0, energy: 0 });
+
+/**
+ * The running combat's phase state (combat.mjs flag `phaseState`)
+ * @param {Combat} combat
+ * @returns {Object|null}
+ */
+function phaseState(combat) {
+  if (!combat?.started) return null;
+  return combat.getFlag('anyventure', 'phaseState') ?? null;
+}
+
+/**
+ * A combatant's spending this round
+ * @param {Combatant} combatant
+ * @param {number} [round] - Defaults to the tracker's round
+ * @returns {Object} - { round, actions, reactions, energy, entries }
+ */
+export function getEconomy(combatant, round) {
+  const current = round ?? phaseState(combatant?.combat)?.round ?? combatant?.combat?.round;
+  const economy = combatant?.getFlag('anyventure', 'economy');
+  if (!economy || economy.round !== current) return { round: current, ...emptyUsage(), entries: {} };
+  return foundry.utils.deepClone(economy);
+}
+
+/**
+ * The active combat's combatant for an actor, preferring the one whose turn it is
+ * @param {Actor} actor
+ * @returns {Combatant|null}
+ */
+function combatantFor(actor) {
+  const combat = game.combat;
+  if (!actor || !phaseState(combat)) return null;
+  const matches = combat.combatants.filter(c => c.actor === actor || (c.actor && c.actor.uuid === actor.uuid));
+  const currentId = phaseState(combat).combatantId;
+  return matches.find(c => c.id === currentId) ?? matches[0] ?? null;
+}
+
+/**
+ * Which turn a use counts against
+ * @param {Combatant} combatant
+ * @returns {string} - Phase entry id, or OFF_TURN
+ */
+function entryKey(combatant) {
+  const state = phaseState(combatant.combat);
+  return state?.combatantId === combatant.id && state.entryId ? state.entryId : OFF_TURN;
+}
+
+/**
+ * Warnings for a use before it is recorded
+ * @param {Combatant} combatant
+ * @param {string} kind - action or reaction
+ * @returns {Array<string>}
+ */
+export function economyWarnings(combatant, kind) {
+  const economy = getEconomy(combatant);
+  const warnings = [];
+  if (kind === 'reaction' && economy.reactions >= REACTIONS_PER_ROUND) {
+    warnings.push(`${combatant.name} has already used a reaction this round.`);
+  }
+  if (kind === 'action' && entryKey(combatant) === OFF_TURN) {
+    warnings.push(`${combatant.name} is taking an action outside their phase.`);
+  }
+  return warnings;
+}
+
+/**
+ * Add a use to a combatant's flag (runs on a client that can update it)
+ * @param {Combatant} combatant
+ * @param {Object} use - { kind, energy, key }
+ */
+async function recordUse(combatant, { kind, energy, key }) {
+  const economy = getEconomy(combatant);
+  const field = kind === 'reaction' ? 'reactions' : 'actions';
+  const entry = economy.entries[key] ?? emptyUsage();
+  entry[field] += 1;
+  entry.energy += energy;
+  economy[field] += 1;
+  economy.energy += energy;
+  economy.entries[key] = entry;
+  // Updates merge into the flag, so drop an earlier round's entries first
+  const stored = combatant.getFlag('anyventure', 'economy');
+  if (stored && stored.round !== economy.round) await combatant.unsetFlag('anyventure', 'economy');
+  await combatant.setFlag('anyventure', 'economy', economy);
+}
+
+/**
+ * Count an action or reaction against the actor's combatant in the active
+ * combat, warning first when it breaks the action economy. Does nothing
+ * outside a running combat.
+ * @param {Actor} actor
+ * @param {Object} use
+ * @param {string} [use.kind] - action or reaction
+ * @param {number} [use.energy] - Energy spent
+ * @returns {Promise<void>}
+ */
+export async function spendAction(actor, { kind = 'action', energy = 0 } = {}) {
+  try {
+    const combatant = combatantFor(actor);
+    if (!combatant) return;
+    economyWarnings(combatant, kind).forEach(warning => ui.notifications.warn(warning));
+
+    const use = { kind, energy: Math.max(0, Number(energy) || 0), key: entryKey(combatant) };
+    if (combatant.isOwner) await recordUse(combatant, use);
+    else await requestGMAction('recordUse', { combatId: combatant.combat.id, combatantId: combatant.id, ...use });
+  } catch (error) {
+    logError(`Failed to record ${kind} for ${actor?.name}:`, error);
+  }
+}
+
+/**
+ * Clear every combatant's spending for a new round (GM only)
+ * @param {Combat} combat
+ * @returns {Promise<void>}
+ */
+export async function resetEconomy(combat) {
+  if (!game.user.isGM) return;
+  const updates = combat.combatants
+    .filter(c => c.getFlag('anyventure', 'economy'))
+    .map(c => ({ _id: c.id, 'flags.anyventure.-=economy': null }));
+  if (updates.length) await combat.updateEmbeddedDocuments('Combatant', updates);
+}
+
+/**
+ * @param {number} count
+ * @param {string} noun
+ * @returns {string}
+ */
+const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+
+/**
+ * @param {Object} usage - { actions, reactions, energy }
+ * @returns {string}
+ */
+function describeUsage(usage) {
+  return [
+    usage.actions && plural(usage.actions, 'action'),
+    usage.reactions && plural(usage.reactions, 'reaction'),
+    usage.energy && `${usage.energy} energy`
+  ].filter(Boolean).join(', ');
+}
+
+/**
+ * Short summary of a combatant's spending for a tracker row
+ * @param {Object} economy - getEconomy
+ * @param {string} entryId - The row's phase entry
+ * @param {boolean} [withOffTurn] - Include uses outside their turns (one row per combatant)
+ * @returns {{text: string, warn: boolean}|null} - null when nothing was spent
+ */
+export function economySummary(economy, entryId, withOffTurn = false) {
+  const turn = describeUsage(economy.entries[entryId] ?? emptyUsage());
+  const offTurnUsage = economy.entries[OFF_TURN] ?? emptyUsage();
+  const offTurn = withOffTurn ? describeUsage(offTurnUsage) : '';
+  if (!turn && !offTurn) return null;
+  return {
+    text: [turn, offTurn && `off-phase: ${offTurn}`].filter(Boolean).join(' · '),
+    warn: economy.reactions > REACTIONS_PER_ROUND || (withOffTurn && offTurnUsage.actions > 0)
+  };
+}
+
+/**
+ * Register the socket handler for players recording uses on combatants they
+ * cannot update
+ */
+export function registerActionEconomyHooks() {
+  registerSocketHandler('recordUse', async ({ combatId, combatantId, kind, energy, key }, userId) => {
+    const combatant = game.combats.get(combatId)?.combatants.get(combatantId);
+    const user = game.users.get(userId);
+    if (!combatant || !user || !combatant.actor?.testUserPermission(user, 'OWNER')) return;
+    await recordUse(combatant, { kind, energy, key });
+  });
+}
@@ -10,9 +10,25 @@ import { AnyventureActorSheet } from './sheets/actor-sheet.mjs';
 import { AnyventureItemSheet } from './sheets/item-sheet.mjs';
 import { logError, logWarning } from './utils/logger.js';
 import { AnyventureRollDialog } from './sheets/roll-dialog.mjs';
-import { registerCombatUIHooks } from './combat.mjs';
+import { registerCombatUIHooks, holdTurn, actNow } from './combat.mjs';
 import { formatSpellRange } from './utils/formatters.mjs';
 import { initializeConditions } from './conditions.mjs';
+import { registerAutoRecalculateHooks } from './auto-recalculate.mjs';
+import { computeCharacter } from './utils/rules-engine.js';
+import { encodeDelta } from './utils/data-parser.js';
+import { dataCodes } from './utils/data-code-registry.js';
+import { AnyventureDicePool } from './utils/dice-pool.js';
+import { AnyventureRoll, registerRollCardHooks } from './dice/anyventure-roll.mjs';
+import { registerRollActions } from './dice/roll-actions.mjs';
+import { initializeSocket } from './socket.mjs';
+import { registerContestedCheckHooks, startContestedCheck } from './contested-check.mjs';
+import { registerGroupCheckHooks, requestGroupCheck, openGroupCheckDialog } from './group-check.mjs';
+import { registerWonderWoeHooks, openWonderWoeOverview } from './dice/wonder-woe.mjs';
+import { registerRollHistorySettings, registerRollHistoryHooks, openSessionRecap, getRollHistory } from './roll-history.mjs';
+import { registerTurnProcessingSettings, registerTurnProcessingHooks } from './turn-processing.mjs';
+import { registerPhaseRulesSettings } from './sheets/phase-rules-config.mjs';
+import { registerActionEconomyHooks } from './action-economy.mjs';
+import { registerEncounterBuilderHooks, openEncounterBuilder } from './sheets/encounter-builder.mjs';
 
 /* -------------------------------------------- */
 /*  Init Hook                                   */
@@ -41,8 +57,8 @@ Hooks.once('init', async function() {
     for (const combatant of combatants) {
       if (combatant.actor?.rollInitiative) {
         // Let the Actor handle the initiative roll with proper skill check formatting
-        // IMPORTANT: Pass the combatantId so the actor knows which combatant to update
-        await combatant.actor.rollInitiative({ ...options, combatantId: combatant.id });
+        // IMPORTANT: Pass the combat and combatantId so the actor knows which combatant to update
+        await combatant.actor.rollInitiative({ ...options, combat: this, combatantId: combatant.id });
       } else {
         // Fallback to original method for this combatant
         await originalRollInitiative.call(this, [combatant.id], options);
@@ -57,13 +73,46 @@ Hooks.once('init', async function() {
     AnyventureActor,
     AnyventureItem,
     AnyventureRollDialog,
-    rollItemMacro
+    AnyventureDicePool,
+    AnyventureRoll,
+    rollItemMacro,
+    startContestedCheck,
+    requestGroupCheck,
+    openGroupCheckDialog,
+    openWonderWoeOverview,
+    openSessionRecap,
+    getRollHistory,
+    holdTurn,
+    actNow,
+    openEncounterBuilder,
+    computeCharacter,
+    encodeDelta,
+    dataCodes
   };
 
+  // Let add-on modules register data code families before any actor is prepared
+  Hooks.callAll('anyventure.registerDataCodes', dataCodes);
+
   // Define custom Document classes
   CONFIG.Actor.documentClass = AnyventureActor;
   CONFIG.Item.documentClass = AnyventureItem;
 
+  // Register the dice pool roll so its chat cards rebuild from serialized rolls
+  CONFIG.Dice.rolls.push(AnyventureRoll);
+
+  // Chat cards render before the ready hook, so interactive card hooks go here
+  try { initializeSocket(); } catch (e) { console.warn('[Anyventure] Failed to initialize socket', e); }
+  try { registerRollCardHooks(); } catch (e) { console.warn('[Anyventure] Failed to register roll card hooks', e); }
+  try { registerRollActions(); } catch (e) { console.warn('[Anyventure] Failed to register roll actions', e); }
+  try { registerContestedCheckHooks(); } catch (e) { console.warn('[Anyventure] Failed to register contested check hooks', e); }
+  try { registerGroupCheckHooks(); } catch (e) { console.warn('[Anyventure] Failed to register group check hooks', e); }
+  try { registerWonderWoeHooks(); } catch (e) { console.warn('[Anyventure] Failed to register wonder and woe hooks', e); }
+  try { registerRollHistorySettings(); registerRollHistoryHooks(); } catch (e) { console.warn('[Anyventure] Failed to register roll history', e); }
+  try { registerTurnProcessingSettings(); registerTurnProcessingHooks(); } catch (e) { console.warn('[Anyventure] Failed to register turn upkeep', e); }
+  try { registerPhaseRulesSettings(); } catch (e) { console.warn('[Anyventure] Failed to register phase rules', e); }
+  try { registerActionEconomyHooks(); } catch (e) { console.warn('[Anyventure] Failed to register action economy', e); }
+  try { registerEncounterBuilderHooks(); } catch (e) { console.warn('[Anyventure] Failed to register encounter builder', e); }
+
   // Register sheet application classes
   foundry.documents.collections.Actors.unregisterSheet("core", foundry.applications.sheets.ActorSheet);
   foundry.documents.collections.Actors.registerSheet("anyventure", AnyventureActorSheet, {
@@ -170,6 +219,9 @@ Hooks.once('ready', async function() {
   // Initialize conditions system
   try { initializeConditions(); } catch (e) { console.warn('[Anyventure] Failed to initialize conditions system', e); }
 
+  // Recalculate characters when their progression items change
+  try { registerAutoRecalculateHooks(); } catch (e) { console.warn('[Anyventure] Failed to register auto-recalculate hooks', e); }
+
 CONFIG.statusEffects = [
   // 🧠 MENTAL CONDITIONS
   {
@@ -340,6 +392,18 @@ CONFIG.statusEffects = [
     label: "Light Source",
     img: "systems/anyventure/images/conditions/light.svg",
   },
+
+  // 🐎 MOVEMENT STATES (used by the CK/CL conditional gates)
+  {
+    id: "mounted",
+    label: "Mounted",
+    img: "icons/svg/pawprint.svg",
+  },
+  {
+    id: "flying",
+    label: "Flying",
+    img: "systems/anyventure/images/conditions/fly.svg",
+  },
 ];
 
 
@@ -387,32 +451,12 @@ CONFIG.statusEffects = [
 
   // Helper for skill dice conversion (0=d4, 1=d6, 2=d8, 3=d10, 4=d12, 5=d16, 6=d20, 7=d24, 8=d30)
   Handlebars.registerHelper('skillDie', function(level) {
-    const dice = ['d4', 'd6', 'd8', 'd10', 'd12', 'd16', 'd20', 'd24', 'd30'];
-    return dice[Math.min(level, 8)] || 'd4';
+    return AnyventureDicePool.dieForSkill(level);
   });
 
   // Helper for skill dice with upgrade/downgrade support (using tier modifiers)
   Handlebars.registerHelper('skillDieWithUpgrade', function(level, tier) {
-    // Dice progression table: [downgraded, base, upgraded]
-    const diceTable = [
-      ['d2', 'd4', 'd6'],   // Level 0
-      ['d4', 'd6', 'd8'],   // Level 1
-      ['d6', 'd8', 'd10'],  // Level 2
-      ['d8', 'd10', 'd12'], // Level 3
-      ['d10', 'd12', 'd16'], // Level 4
-      ['d12', 'd16', 'd20'], // Level 5
-      ['d16', 'd20', 'd24'], // Level 6
-      ['d20', 'd24', 'd30']  // Level 7
-    ];
-
-    const nlevel = Number(level);
-    const skillLevel = Math.min(Math.max(isNaN(nlevel) ? 0 : nlevel, 0), 7);
-    const tierModifier = Number.isFinite(Number(tier)) ? Number(tier) : 0;
-    const upgradeLevel = Math.min(Math.max(tierModifier + 1, 0), 2); // Convert -1,0,1 to 0,1,2
-
-    const row = diceTable[skillLevel];
-    if (!row) return 'd4';
-    return row[upgradeLevel] || 'd4';
+    return AnyventureDicePool.dieForSkill(level, tier);
   });
 
   // Helper for skill upgrade CSS class (using tier modifiers)
@@ -629,6 +673,11 @@ async function preloadHandlebarsTemplates() {
     "systems/anyventure/templates/actor/actor-character-sheet.hbs",
     "systems/anyventure/templates/actor/actor-npc-sheet.hbs",
 
+    // Chat templates
+    "systems/anyventure/templates/chat/anyventure-roll.hbs",
+    "systems/anyventure/templates/chat/contested-check.hbs",
+    "systems/anyventure/templates/chat/group-check.hbs",
+
     // Item templates
     "systems/anyventure/templates/item/item-module-sheet.hbs",
     "systems/anyventure/templates/item/item-spell-sheet.hbs",
@@ -0,0 +1,87 @@
+/**
+ * Anyventure Automatic Recalculation
+ *
+ * Reruns the parse/apply pipeline when a character's progression items change,
+ * so the `_base` snapshot never goes stale after adding a module, toggling an
+ * option, swapping ancestry/culture or adding a trait. This relies on the
+ * rules engine resetting to the character-creation baseline, so running it
+ * after every edit never counts a bonus twice (tests/rules-engine.test.mjs).
+ */
+
+import { parseAndApplyCharacterEffects } from './utils/character-parser.js';
+import { logError } from './utils/logger.js';
+
+// Item types whose data feeds the character baseline (injuries are counted by scaling effects)
+const PROGRESSION_TYPES = ['module', 'ancestry', 'culture', 'trait', 'training', 'injury'];
+
+// Wait for a burst of item changes (e.g. dropping several modules) to settle
+const RECALCULATE_DELAY = 500;
+
+// Pending recalculations keyed by actor id
+const pending = new Map();
+
+/**
+ * Whether this client should recalculate the actor. The active GM handles it;
+ * without a GM, the first active owner (by user id) does, so only one client writes.
+ * @param {Actor} actor
+ * @returns {boolean}
+ */
+function isResponsibleClient(actor) {
+  const gm = game.users.activeGM;
+  if (gm) return gm.isSelf;
+
+  const owners = game.users
+    .filter(user => user.active && actor.testUserPermission(user, 'OWNER'))
+    .sort((a, b) => a.id.localeCompare(b.id));
+  return owners[0]?.isSelf ?? false;
+}
+
+/**
+ * Queue a recalculation for the item's owning character, if the item matters
+ * @param {Item} item - The created, updated or deleted item
+ */
+function scheduleRecalculation(item) {
+  const actor = item.parent;
+  if (!(actor instanceof Actor) || actor.type !== 'character') return;
+  if (!PROGRESSION_TYPES.includes(item.type)) return;
+  if (!isResponsibleClient(actor)) return;
+
+  clearTimeout(pending.get(actor.id));
+  pending.set(actor.id, setTimeout(() => runRecalculation(actor), RECALCULATE_DELAY));
+}
+
+/**
+ * Run the pipeline, deferring if a recalculation is already in progress
+ * @param {Actor} actor
+ */
+async function runRecalculation(actor) {
+  pending.delete(actor.id);
+
+  // The actor may have been deleted while the recalculation was queued
+  if (!actor.isToken && !game.actors.has(actor.id)) return;
+
+  // A manual Recalculate (or a previous run) is still writing; try again once it settles
+  if (actor._blockOverlays) {
+    pending.set(actor.id, setTimeout(() => runRecalculation(actor), RECALCULATE_DELAY));
+    return;
+  }
+
+  try {
+    await parseAndApplyCharacterEffects(actor, { automatic: true });
+  } catch (error) {
+    logError(`Automatic recalculation failed for ${actor.name}:`, error);
+  }
+}
+
+/**
+ * Register item hooks that trigger automatic recalculation
+ */
+export function registerAutoRecalculateHooks() {
+  Hooks.on('createItem', (item) => scheduleRecalculation(item));
+  Hooks.on('deleteItem', (item) => scheduleRecalculation(item));
+  Hooks.on('updateItem', (item, changes) => {
+    // Names, images and sort order do not affect the baseline
+    const relevant = ('system' in changes) || foundry.utils.hasProperty(changes, 'flags.anyventure');
+    if (relevant) scheduleRecalculation(item);
+  });
+}
@@ -1,6 +1,8 @@
 /**
  * Anyventure combat UI hooks with phase-based turn system
  *
+ * Phases come from the world setting `phaseRules` (utils/phase-rules.js). With
+ * the standard rules:
  * Elite monsters (elite/legend/mythic) act in ALL phases (Early, Middle, Late)
  * Other combatants act only in their initiative-determined phase:
  *   * < 4: Late phase
@@ -8,18 +10,43 @@
  *   * 8-10: Early phase
  *   * > 10: Early phase + Preparation (round 1 only)
  * Within each phase: Characters go first, then NPCs
+ *
+ * Moving forward through the tracker fires `anyventure.turnEnd` for the
+ * combatant leaving and `anyventure.turnStart` for the one entering, on every
+ * client, with (combatant, { combat, round, phase, entryId, firstTurn, lastTurn }).
+ * firstTurn/lastTurn mark a combatant's first and last turn of the round, as
+ * elite monsters get one turn per phase.
+ *
+ * A combatant can hold the turn they are on (combatant flag `hold`, for one round):
+ *   * delay: act at the end of a later phase this round
+ *   * hold / ready (with a trigger): wait in the Delayed lane until they choose
+ *     to act, then take their turn right after the current one
+ *
+ * Each row shows what the combatant has spent on that turn (action-economy.mjs),
+ * flagged when they used a second reaction or acted outside their phase.
  */
 
+import { registerSocketHandler, requestGMAction } from './socket.mjs';
+import { DEFAULT_PHASE_RULES, normalizePhaseRules, assignPhases } from './utils/phase-rules.js';
+import { getEconomy, economySummary, resetEconomy } from './action-economy.mjs';
 
-const PHASE_KEYS = ['preparation', 'early', 'middle', 'late'];
-const ELITE_TIERS = new Set(['elite', 'legend', 'mythic']);
 const GRUNT_TIERS = new Set(['minion', 'grunt', 'standard']);
-const PHASE_LABELS = {
-  preparation: 'Preparation Phase',
-  early: 'Early Phase',
-  middle: 'Middle Phase',
-  late: 'Late Phase'
+const HOLD_MODES = {
+  delay: 'Delayed',
+  hold: 'Holding',
+  ready: 'Ready'
 };
+/**
+ * @returns {Object} - Normalized phase rules for this world
+ */
+export function getPhaseRules() {
+  try {
+    return normalizePhaseRules(game.settings.get('anyventure', 'phaseRules'));
+  } catch (e) {
+    return normalizePhaseRules(DEFAULT_PHASE_RULES);
+  }
+}
+
 function getTier(entry) {
   return String(entry?.actor?.system?.creatureTier ?? entry?.actor?.system?.npcType ?? '').toLowerCase();
 }
@@ -28,6 +55,15 @@ function isGruntTier(tier) {
   return GRUNT_TIERS.has(String(tier).toLowerCase());
 }
 
+/**
+ * Whether a combatant skips initiative (its tier always acts last in its phase)
+ * @param {Combatant} combatant
+ * @returns {boolean}
+ */
+export function isGruntCombatant(combatant) {
+  return isGruntTier(getTier(combatant));
+}
+
 function byInitDesc(a, b) {
   return (Number(b.initiative ?? -Infinity) - Number(a.initiative ?? -Infinity)) || a.name.localeCompare(b.name);
 }
@@ -38,51 +74,71 @@ function byCoordDesc(a, b) {
   return (cb - ca) || a.name.localeCompare(b.name);
 }
 
-function sortPhase(list, key) {
+/**
+ * The combatant's held turn for a round, if any
+ * @param {Combatant} combatant
+ * @param {number} round
+ * @returns {Object|null} - { round, from, mode, to, trigger, actAfter }
+ */
+function getHold(combatant, round) {
+  const hold = combatant?.getFlag?.('anyventure', 'hold');
+  return hold?.round === round ? hold : null;
+}
+
+/**
+ * Turn order within a phase. Characters or NPCs go first as the rules say;
+ * grunt tiers go last in the final phase, by coordination. Combatants who
+ * delayed into the phase or take another turn in it go after everyone else.
+ * @param {Iterable<Combatant>} list - Combatants acting in the phase
+ * @param {string} key - Phase key
+ * @param {Array<Combatant>} [last] - Delayed turns and extra turns
+ * @param {Object} [rules] - Normalized phase rules
+ * @returns {Array<Combatant>}
+ */
+function sortPhase(list, key, last = [], rules = getPhaseRules()) {
   const items = Array.from(list);
-  const chars = items.filter(x => x.actor?.type === 'character').sort(byInitDesc);
-  const npcs = items.filter(x => x.actor?.type !== 'character');
-  if (key === 'late') {
-    const grunt = npcs.filter(x => isGruntTier(getTier(x))).sort(byCoordDesc);
-    const others = npcs.filter(x => !isGruntTier(getTier(x))).sort(byInitDesc);
-    return [...chars, ...others, ...grunt];
-  }
-  npcs.sort(byInitDesc);
-  return [...chars, ...npcs];
+  const finalPhase = rules.phases.filter(phase => !phase.bonus).at(-1)?.key;
+  const grunt = key === finalPhase ? items.filter(x => x.actor?.type !== 'character' && isGruntTier(getTier(x))).sort(byCoordDesc) : [];
+  const others = items.filter(x => !grunt.includes(x));
+  const chars = others.filter(x => x.actor?.type === 'character').sort(byInitDesc);
+  const npcs = others.filter(x => x.actor?.type !== 'character').sort(byInitDesc);
+  const after = [...last].sort(byInitDesc);
+
+  let ordered;
+  if (rules.order === 'npcs') ordered = [...npcs, ...chars];
+  else if (rules.order === 'initiative') ordered = others.sort(byInitDesc);
+  else ordered = [...chars, ...npcs];
+  return [...ordered, ...grunt, ...after];
 }
 
 function computePhaseData(combat, round = 1) {
-  const buckets = {
-    preparation: [],
-    early: [],
-    middle: [],
-    late: []
-  };
+  const rules = getPhaseRules();
+  const phases = rules.phases.filter(phase => !phase.firstRoundOnly || round === 1);
+  const buckets = Object.fromEntries(rules.phases.map(phase => [phase.key, []]));
+  const lastInPhase = Object.fromEntries(rules.phases.map(phase => [phase.key, []]));
+  const held = [];
 
   const combatants = combat?.combatants?.contents || [];
 
   for (const combatant of combatants) {
     if (!combatant?.actor) continue;
 
-    const init = Number(combatant.initiative ?? -Infinity);
-    let basePhase = 'middle';
-    if (isFinite(init)) {
-      if (init < 4) basePhase = 'late';
-      else if (init <= 7) basePhase = 'middle';
-      else basePhase = 'early';
-    }
-    const assigned = new Set([basePhase]);
-    const tier = getTier(combatant);
+    const assigned = assignPhases(rules, { initiative: combatant.initiative, tier: getTier(combatant) }, round);
 
-    if (ELITE_TIERS.has(tier)) {
-      assigned.add('early');
-      assigned.add('middle');
-      assigned.add('late');
+    // A held turn leaves its phase: into a later phase (delay) or the Delayed lane
+    const hold = getHold(combatant, round);
+    const heldIndex = hold ? assigned.indexOf(hold.from) : -1;
+    if (heldIndex >= 0) {
+      assigned.splice(heldIndex, 1);
+      if (hold.mode === 'delay' && lastInPhase[hold.to]) lastInPhase[hold.to].push(combatant);
+      else held.push({ combatant, hold });
     }
 
-    for (const phase of assigned) buckets[phase].push(combatant);
-    if (round === 1 && isFinite(init) && init > 10) {
-      buckets.preparation.push(combatant);
+    // Extra turns in the same phase come after everyone else's
+    for (const phase of new Set(assigned)) {
+      buckets[phase].push(combatant);
+      const extra = assigned.filter(key => key === phase).length - 1;
+      for (let i = 0; i < extra; i++) lastInPhase[phase].push(combatant);
     }
   }
 
@@ -93,18 +149,18 @@ function computePhaseData(combat, round = 1) {
   const sequence = [];
   const occurrenceMap = new Map();
 
-  for (const key of PHASE_KEYS) {
-    if (key === 'preparation' && round !== 1) {
+  for (const { key } of rules.phases) {
+    if (!phases.some(phase => phase.key === key)) {
       sortedBuckets[key] = [];
       continue;
     }
     const arr = buckets[key];
-    if (!arr.length) {
+    if (!arr.length && !lastInPhase[key].length) {
       sortedBuckets[key] = [];
       
       continue;
     }
-    const sorted = sortPhase(arr, key);
+    const sorted = sortPhase(arr, key, lastInPhase[key], rules);
     const entries = [];
     
     for (const combatant of sorted) {
@@ -123,8 +179,29 @@ function computePhaseData(combat, round = 1) {
     sortedBuckets[key] = entries;
   }
 
-  
-  return { buckets: sortedBuckets, sequence };
+  // Held turns that are being taken act right after the turn they were called in
+  const lane = [];
+  for (const { combatant, hold } of held) {
+    const after = hold.actAfter ? sequence.findIndex(e => e.instanceId === hold.actAfter) : -1;
+    if (after < 0) {
+      lane.push({ combatant, hold, instanceId: `${combatant.id}:held` });
+      continue;
+    }
+    const phase = sequence[after].phase;
+    const count = (occurrenceMap.get(combatant.id) ?? 0) + 1;
+    occurrenceMap.set(combatant.id, count);
+    const entry = {
+      combatant,
+      phase,
+      instanceId: `${combatant.id}:${count}:${phase}`,
+      turnIndex: turnIndexMap.get(combatant.id) ?? combat.turns.findIndex(t => t.id === combatant.id)
+    };
+    sequence.splice(after + 1, 0, entry);
+    const bucket = sortedBuckets[phase];
+    bucket.splice(bucket.findIndex(e => e.instanceId === hold.actAfter) + 1, 0, entry);
+  }
+
+  return { phases, buckets: sortedBuckets, sequence, held: lane };
 }
 
 function getPhaseState(combat) {
@@ -144,6 +221,39 @@ async function clearPhaseState(combat) {
   }
 }
 
+/**
+ * Hook context for the turn at `index` of the round's sequence
+ * @param {Array<Object>} sequence - Phase sequence (computePhaseData)
+ * @param {number} index
+ * @param {number} round
+ * @returns {Object|null}
+ */
+function turnContext(sequence, index, round) {
+  const entry = sequence[index];
+  if (!entry) return null;
+  const sameCombatant = other => other.combatant.id === entry.combatant.id;
+  return {
+    combatantId: entry.combatant.id,
+    round,
+    phase: entry.phase,
+    entryId: entry.instanceId,
+    firstTurn: !sequence.slice(0, index).some(sameCombatant),
+    lastTurn: !sequence.slice(index + 1).some(sameCombatant)
+  };
+}
+
+/**
+ * Fire the turn hooks for a phase change
+ * @param {Combat} combat
+ * @param {Object} turn - { ended, started } turn contexts
+ */
+function callTurnHooks(combat, { ended, started }) {
+  for (const [hook, context] of [['anyventure.turnEnd', ended], ['anyventure.turnStart', started]]) {
+    const combatant = context && combat.combatants.get(context.combatantId);
+    if (combatant) Hooks.callAll(hook, combatant, { combat, ...context });
+  }
+}
+
 async function advancePhase(combat, direction = 1) {
   if (!combat) return;
   const currentState = getPhaseState(combat);
@@ -153,11 +263,17 @@ async function advancePhase(combat, direction = 1) {
   let phaseData = computePhaseData(combat, round);
   if (!phaseData.sequence.length) return;
 
-  // Debug logging
+  // Find the current turn by entry. A turn that was just held has left the
+  // sequence, so the turn after it now sits at its old index.
+  const current = currentState.entryId ? phaseData.sequence.findIndex(e => e.instanceId === currentState.entryId) : -1;
+  if (current >= 0) index = current;
+  else if (currentState.entryId && direction > 0) index -= 1;
 
   const oldIndex = index;
+  const ended = direction > 0 && current >= 0 ? turnContext(phaseData.sequence, oldIndex, round) : null;
   index += direction;
-  if (index >= phaseData.sequence.length) {
+  const newRound = index >= phaseData.sequence.length;
+  if (newRound) {
     round += 1;
     phaseData = computePhaseData(combat, round);
     index = 0;
@@ -191,17 +307,135 @@ async function advancePhase(combat, direction = 1) {
     combatantId: entry.combatant.id
   };
 
+  // Turn hooks only fire moving forward, so stepping back never repeats upkeep
+  const turn = direction > 0 ? { ended, started: turnContext(phaseData.sequence, index, round) } : null;
+
   await combat.update({
     turn: turnIndex,
     round,
     ['flags.anyventure.phaseState']: newPhaseState
-  }, { anyventurePhase: true }); // Add flag to prevent recursive updates
+  }, { anyventurePhase: true, anyventureTurn: turn }); // Add flag to prevent recursive updates
+  if (newRound) await resetEconomy(combat);
 
   // Verify the update worked
   const verifyState = getPhaseState(combat);
 
 }
 
+/**
+ * Hold the current turn and move on (runs on the GM's client)
+ * @param {Combat} combat
+ * @param {Object} choice - { mode, to, trigger } (see HOLD_MODES)
+ */
+async function applyHold(combat, { mode, to, trigger }) {
+  const state = getPhaseState(combat);
+  const combatant = combat.combatants.get(state.combatantId);
+  if (!combatant || !HOLD_MODES[mode]) return;
+  const keys = getPhaseRules().phases.map(phase => phase.key);
+  if (mode === 'delay' && keys.indexOf(to) <= keys.indexOf(state.phase)) return;
+
+  await combatant.setFlag('anyventure', 'hold', {
+    round: state.round,
+    from: state.phase,
+    mode,
+    to: mode === 'delay' ? to : null,
+    trigger: mode === 'ready' ? String(trigger ?? '') : null,
+    actAfter: null
+  });
+  await advancePhase(combat, +1);
+}
+
+/**
+ * Give a held or readied combatant the turn after the current one (runs on the GM's client)
+ * @param {Combat} combat
+ * @param {Combatant} combatant
+ */
+async function applyActNow(combat, combatant) {
+  const state = getPhaseState(combat);
+  const hold = getHold(combatant, state.round);
+  if (!hold || hold.mode === 'delay' || hold.actAfter || !state.entryId) return;
+  await combatant.setFlag('anyventure', 'hold', { ...hold, actAfter: state.entryId });
+}
+
+/**
+ * Hold the current combatant's turn: delay it to a later phase, hold it, or
+ * ready it with a trigger
+ * @param {Combat} combat
+ * @param {Object} choice
+ * @param {string} choice.mode - delay, hold or ready
+ * @param {string} [choice.to] - Phase to delay into
+ * @param {string} [choice.trigger] - What the readied action waits for
+ * @returns {Promise<boolean>}
+ */
+export async function holdTurn(combat, choice) {
+  const combatantId = getPhaseState(combat).combatantId;
+  return requestGMAction('holdTurn', { combatId: combat.id, combatantId, ...choice });
+}
+
+/**
+ * Take a held or readied turn right after the current one
+ * @param {Combat} combat
+ * @param {Combatant} combatant
+ * @returns {Promise<boolean>}
+ */
+export async function actNow(combat, combatant) {
+  return requestGMAction('actNow', { combatId: combat.id, combatantId: combatant.id });
+}
+
+/**
+ * Ask how to hold the current turn
+ * @param {Combat} combat
+ * @returns {Promise<void>}
+ */
+async function openHoldDialog(combat) {
+  const state = getPhaseState(combat);
+  const phases = computePhaseData(combat, state.round).phases;
+  const later = phases.slice(phases.findIndex(phase => phase.key === state.phase) + 1).filter(phase => !phase.bonus);
+  const name = combat.combatants.get(state.combatantId)?.name ?? 'Combatant';
+
+  const choice = await foundry.applications.api.DialogV2.wait({
+    window: { title: `Hold Turn: ${name}` },
+    classes: ['anyventure-roll-dialog'],
+    content: `
+      <form class="hold-turn-form">
+        <div class="form-group">
+          <label><input type="radio" name="mode" value="delay" ${later.length ? 'checked' : 'disabled'} /> Delay to</label>
+          <select name="to" ${later.length ? '' : 'disabled'}>
+            ${later.map(phase => `<option value="${phase.key}">${phase.label}</option>`).join('')}
+          </select>
+        </div>
+        <div class="form-group">
+          <label><input type="radio" name="mode" value="hold" ${later.length ? '' : 'checked'} /> Hold (act later this round)</label>
+        </div>
+        <div class="form-group">
+          <label><input type="radio" name="mode" value="ready" /> Ready</label>
+          <input type="text" name="trigger" placeholder="Trigger (e.g. when the door opens)" />
+        </div>
+      </form>
+    `,
+    buttons: [
+      {
+        action: 'hold',
+        label: 'Hold Turn',
+        icon: 'fa-solid fa-hourglass-half',
+        default: true,
+        callback: (event, button, dialog) => {
+          const formData = new FormData(dialog.element.querySelector('form'));
+          return {
+            mode: String(formData.get('mode')),
+            to: formData.get('to'),
+            trigger: String(formData.get('trigger') ?? '').trim()
+          };
+        }
+      },
+      { action: 'cancel', label: 'Cancel', icon: 'fa-solid fa-times' }
+    ],
+    rejectClose: false
+  });
+
+  if (choice && typeof choice === 'object') await holdTurn(combat, choice);
+}
+
 function highlightCurrentPhase(tracker, combat, phaseData) {
   if (!tracker) return;
   const state = getPhaseState(combat);
@@ -279,9 +513,8 @@ function wirePhaseControls(app, html) {
 Hooks.on('createCombatant', async (combatant, options, userId) => {
   if (!combatant?.actor) return;
 
-  const tier = getTier(combatant);
-  if (isGruntTier(tier)) {
-    console.log(`[Anyventure] Setting ${tier} initiative to -1 for:`, combatant.actor.name);
+  if (isGruntCombatant(combatant)) {
+    console.log(`[Anyventure] Setting ${getTier(combatant)} initiative to -1 for:`, combatant.actor.name);
     await combatant.update({ initiative: -1 });
   }
 });
@@ -313,10 +546,83 @@ Hooks.on('combatEnd', async combat => {
   await clearPhaseState(combat);
 });
 
+/**
+ * Re-prepare combatant actors with phase-gated conditionals (CP) so their
+ * bonuses follow the current phase
+ * @param {Combat} combat
+ */
+function refreshPhaseGatedActors(combat) {
+  const actors = new Set((combat?.combatants?.contents || []).map(c => c.actor).filter(Boolean));
+  for (const actor of actors) {
+    if (!actor.system?.conditionals?.combatPhase?.length) continue;
+    actor.prepareData();
+    if (actor.sheet?.rendered) actor.sheet.render(false);
+  }
+}
+
+Hooks.on('updateCombat', (combat, changes, options) => {
+  if (foundry.utils.hasProperty(changes, 'flags.anyventure')) refreshPhaseGatedActors(combat);
+  if (options?.anyventureTurn) callTurnHooks(combat, options.anyventureTurn);
+});
+
+Hooks.on('deleteCombat', combat => refreshPhaseGatedActors(combat));
+
 // REMOVED: This was causing an infinite loop
 // We'll handle turn advancement differently
 
+/**
+ * @param {HTMLElement} node - Combatant row
+ * @returns {HTMLElement} - Where row controls go
+ */
+function controlsOf(node) {
+  return node.querySelector('.combatant-controls') ?? node;
+}
+
+/**
+ * A tracker row button
+ * @param {string} icon - Font Awesome icon class
+ * @param {string} tooltip
+ * @param {Function} onClick
+ * @returns {HTMLButtonElement}
+ */
+function phaseControl(icon, tooltip, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = `inline-control combatant-control icon fa-solid ${icon} phase-hold-control`;
+  button.dataset.tooltip = tooltip;
+  button.setAttribute('aria-label', tooltip);
+  button.addEventListener('click', event => {
+    event.preventDefault();
+    event.stopPropagation();
+    onClick();
+  });
+  return button;
+}
+
+/**
+ * Check that a hold request is for a combatant the user owns
+ * @param {Object} payload - { combatId, combatantId }
+ * @param {string} userId - Requesting user
+ * @returns {{combat: Combat, combatant: Combatant}|null}
+ */
+function holdRequest({ combatId, combatantId }, userId) {
+  const combat = game.combats.get(combatId);
+  const combatant = combat?.combatants.get(combatantId);
+  const user = game.users.get(userId);
+  if (!combatant || !user || !combatant.testUserPermission(user, 'OWNER')) return null;
+  return { combat, combatant };
+}
+
 export function registerCombatUIHooks() {
+  registerSocketHandler('holdTurn', async (payload, userId) => {
+    const request = holdRequest(payload, userId);
+    if (request && getPhaseState(request.combat).combatantId === request.combatant.id) await applyHold(request.combat, payload);
+  });
+  registerSocketHandler('actNow', async (payload, userId) => {
+    const request = holdRequest(payload, userId);
+    if (request) await applyActNow(request.combat, request.combatant);
+  });
+
   Hooks.on('renderCombatTracker', async (app, html /*, data*/) => {
     try {
       const combat = app.combat ?? game.combat;
@@ -341,9 +647,8 @@ export function registerCombatUIHooks() {
 
       const renderedPrimaries = new Set();
 
-      const addPhase = (key) => {
-        frag.appendChild(header(key, PHASE_LABELS[key]));
-        const entries = phaseData.buckets[key] || [];
+      const addPhase = (key, label, entries = phaseData.buckets[key] || []) => {
+        frag.appendChild(header(key, label));
         if (entries.length === 0) {
           const empty = document.createElement('li');
           empty.className = 'combatant-row empty';
@@ -376,19 +681,53 @@ export function registerCombatUIHooks() {
           node.dataset.phaseKey = key;
           const tierClass = getTier(combatant) || (combatant.actor?.type === 'character' ? 'pc' : 'npc');
           if (tierClass) node.classList.add(`rank-${tierClass}`);
+          node.querySelectorAll('.phase-hold-control, .hold-note, .economy-note').forEach(el => el.remove());
+          node.classList.remove('economy-warning');
+          if (entry.hold) addHoldNote(node, entry);
+          addEconomyNote(node, entry, isPrimary);
           frag.appendChild(node);
         }
       };
 
-      if (round === 1) addPhase('preparation');
-      addPhase('early');
-      addPhase('middle');
-      addPhase('late');
+      // Held and readied turns wait in the Delayed lane until they are taken
+      const addHoldNote = (node, entry) => {
+        const { hold, combatant } = entry;
+        const note = document.createElement('div');
+        note.className = 'hold-note';
+        note.textContent = hold.trigger ? `${HOLD_MODES[hold.mode]}: ${hold.trigger}` : HOLD_MODES[hold.mode];
+        (node.querySelector('.token-name') ?? node).appendChild(note);
+        if (combat.started && (game.user.isGM || combatant.isOwner)) {
+          controlsOf(node).appendChild(phaseControl('fa-play', 'Act Now', () => actNow(combat, combatant)));
+        }
+        node.classList.add('phase-held');
+      };
+
+      // What the combatant has spent on this turn (and off-phase, on their first row)
+      const addEconomyNote = (node, entry, isPrimary) => {
+        const summary = economySummary(getEconomy(entry.combatant, round), entry.instanceId, isPrimary);
+        if (!summary) return;
+        const note = document.createElement('div');
+        note.className = 'economy-note';
+        note.textContent = summary.text;
+        (node.querySelector('.token-name') ?? node).appendChild(note);
+        node.classList.toggle('economy-warning', summary.warn);
+      };
+
+      for (const phase of phaseData.phases) addPhase(phase.key, phase.label);
+      if (phaseData.held.length) addPhase('delayed', 'Delayed', phaseData.held);
 
       tracker.classList.add('anyventure-combat-tracker');
       tracker.replaceChildren(frag);
 
       highlightCurrentPhase(tracker, combat, phaseData);
+
+      // The current combatant can hold their turn
+      const state = getPhaseState(combat);
+      const current = combat.combatants.get(state.combatantId);
+      const currentRow = tracker.querySelector('.phase-current');
+      if (combat.started && currentRow && state.entryId && (game.user.isGM || current?.isOwner)) {
+        controlsOf(currentRow).appendChild(phaseControl('fa-hourglass-half', 'Delay / Ready', () => openHoldDialog(combat)));
+      }
       setTimeout(() => wirePhaseControls(app, html), 0);
     } catch (e) {
       console.warn('[Anyventure] Combat tracker injection failed', e);
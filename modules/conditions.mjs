@@ -265,7 +265,9 @@ export function initializeConditions() {
             reduceBy: 1, // Check gets easier each turn
             interval: "turn", // Check at end of turn after taking damage
             // Poisoned deals damage at end of turn, then rolls to recover
+            // (the amount depends on the poison, so it is entered when it ticks)
             damageAtTurnEnd: true,
+            damageType: "toxic",
           }
         });
         console.log(`Poisoned condition configured with starting DC: ${startingCheck}`);
@@ -0,0 +1,359 @@
+/**
+ * Anyventure contested checks
+ *
+ * One actor rolls a basic skill against a single targeted token. The card is
+ * posted with the initiator's roll and a Respond button that only the
+ * target's owners (and the GM) see. The defender picks an opposing skill,
+ * both pools are shown on the same card and the winner is declared.
+ *
+ * Both sides roll with their own pain/stress and condition penalties
+ * (AnyventureActor#getSkillCheckPenalties) on top of any dice picked in the
+ * dialog.
+ *
+ * Ties are broken by, in order:
+ *   * the higher skill value
+ *   * the higher talent
+ *   * otherwise the defender wins (the status quo holds)
+ *
+ * Everything the card needs is stored in `flags.anyventure.contest` and the
+ * message rolls, so the card can be re-rendered by whoever resolves it.
+ */
+
+import { AnyventureDicePool } from './utils/dice-pool.js';
+import { AnyventureRoll } from './dice/anyventure-roll.mjs';
+import { wonderWoeFieldsHTML, readWonderWoe, consumeWonderWoe, describeWonderWoe } from './dice/wonder-woe.mjs';
+import { registerSocketHandler, requestGMAction } from './socket.mjs';
+import { logError } from './utils/logger.js';
+
+const TEMPLATE = 'systems/anyventure/templates/chat/contested-check.hbs';
+
+/** Default opposing skills for the initiator's skill (first entry is preselected) */
+export const CONTESTED_DEFAULTS = {
+  fitness: ['fitness'],
+  might: ['fitness', 'coordination'],
+  coordination: ['coordination'],
+  stealth: ['senses'],
+  thievery: ['senses'],
+  senses: ['stealth'],
+  expression: ['insight'],
+  insight: ['expression'],
+  persuasion: ['resilience'],
+  presence: ['resilience']
+};
+
+/** Default actions that start a contested check when used against a target */
+export const CONTESTED_ACTIONS = {
+  default_action_grab: { skill: 'fitness' },
+  default_action_shove: { skill: 'might', opposing: ['fitness', 'coordination'] }
+};
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+/**
+ * Build the dialog form for picking a contest skill
+ * @param {Actor} actor - Actor rolling
+ * @param {Array<string>} preferred - Skills listed (and preselected) first
+ * @param {string} prompt - Line shown above the form
+ * @returns {string}
+ */
+function skillFormHTML(actor, preferred, prompt) {
+  const skills = Object.keys(actor.system.basic ?? {});
+  const ordered = [...preferred.filter(key => skills.includes(key)), ...skills.filter(key => !preferred.includes(key))];
+  const options = ordered.map((key, index) => {
+    const skill = actor.system.basic[key];
+    const suffix = preferred.includes(key) ? ' (default)' : '';
+    return `<option value="${key}" ${index === 0 ? 'selected' : ''}>${capitalize(key)} — ${skill.talent || 1}${AnyventureDicePool.dieForSkill(skill.value, skill.tier)}${suffix}</option>`;
+  }).join('');
+
+  return `
+    <form>
+      <p>${prompt}</p>
+      <div class="form-group">
+        <label for="contest-skill">Skill:</label>
+        <select id="contest-skill" name="skill">${options}</select>
+      </div>
+      <div class="form-group">
+        <label for="contest-bonus">Bonus Dice:</label>
+        <input type="number" id="contest-bonus" name="bonusDice" value="0" min="0" max="10" />
+      </div>
+      <div class="form-group">
+        <label for="contest-penalty">Penalty Dice:</label>
+        <input type="number" id="contest-penalty" name="penaltyDice" value="0" min="0" max="10" />
+      </div>
+      ${wonderWoeFieldsHTML(actor)}
+      <p class="hint">Pain, stress and condition penalties are added automatically.</p>
+    </form>
+  `;
+}
+
+/**
+ * Ask for a skill and extra dice
+ * @returns {Promise<{skill: string, bonus: number, penalty: number, spend: Object}|null>}
+ */
+async function promptSkill(actor, title, preferred, prompt) {
+  return foundry.applications.api.DialogV2.wait({
+    window: { title },
+    classes: ['anyventure-roll-dialog'],
+    content: skillFormHTML(actor, preferred, prompt),
+    buttons: [
+      {
+        action: 'roll',
+        label: 'Roll',
+        icon: 'fa-solid fa-dice',
+        default: true,
+        callback: (event, button, dialog) => {
+          const formData = new FormData(dialog.element.querySelector('form'));
+          return {
+            skill: formData.get('skill'),
+            bonus: Number(formData.get('bonusDice')) || 0,
+            penalty: Number(formData.get('penaltyDice')) || 0,
+            spend: readWonderWoe(dialog.element, actor)
+          };
+        }
+      },
+      { action: 'cancel', label: 'Cancel', icon: 'fa-solid fa-times' }
+    ],
+    rejectClose: false,
+    modal: true
+  }).then(result => (result && typeof result === 'object' ? result : null));
+}
+
+/**
+ * Roll one side of the contest
+ * @param {Actor} actor - Actor rolling
+ * @param {{skill: string, bonus: number, penalty: number, spend: Object}} choice
+ * @param {string} title - Contest title
+ * @returns {Promise<{roll: AnyventureRoll, side: Object}>}
+ */
+async function rollSide(actor, { skill: key, bonus, penalty, spend }, title) {
+  const skill = actor.system.basic[key];
+  const conditions = await actor.getSkillCheckPenalties(key);
+  const pool = AnyventureDicePool.forSkill(skill, {
+    bonus: bonus + spend.bonus,
+    penalty: penalty + spend.penalty + conditions.penaltyDice
+  });
+  const roll = AnyventureRoll.fromPool(pool, {
+    title,
+    skill: { category: 'basic', key, label: capitalize(key) },
+    tier: Number(skill.tier) || 0,
+    wonderWoe: spend
+  });
+  await roll.evaluate();
+  await consumeWonderWoe(actor, spend);
+
+  return { roll, side: sideData(actor, key, conditions, spend) };
+}
+
+/**
+ * Card data for one side, read from the actor
+ * @param {Actor} actor
+ * @param {string} key - Basic skill key
+ * @param {{notes: Array<string>}} conditions - From getSkillCheckPenalties
+ * @param {Object} [spend] - Wonder/Woe used on the roll
+ * @returns {Object}
+ */
+function sideData(actor, key, conditions, spend) {
+  const skill = actor.system.basic[key];
+  return {
+    actorUuid: actor.uuid,
+    name: actor.name,
+    skill: key,
+    label: capitalize(key),
+    skillValue: Number(skill.value) || 0,
+    talent: Number(skill.talent) || 1,
+    notes: [...conditions.notes, ...describeWonderWoe(spend)]
+  };
+}
+
+/**
+ * Decide the winner of a resolved contest
+ * @param {Object} contest - Contest flags with both sides filled in
+ * @param {AnyventureRoll} initiatorRoll
+ * @param {AnyventureRoll} defenderRoll
+ * @returns {{winner: string, tieBreak: string|null}} - winner is 'initiator' or 'defender'
+ */
+export function resolveContest(contest, initiatorRoll, defenderRoll) {
+  const { initiator, defender } = contest;
+  const comparisons = [
+    [initiatorRoll.total, defenderRoll.total, null],
+    [initiator.skillValue, defender.skillValue, 'higher skill'],
+    [initiator.talent, defender.talent, 'higher talent']
+  ];
+  for (const [attack, defense, reason] of comparisons) {
+    if (attack !== defense) return { winner: attack > defense ? 'initiator' : 'defender', tieBreak: reason };
+  }
+  return { winner: 'defender', tieBreak: 'defender holds on a full tie' };
+}
+
+/**
+ * Render the contest card
+ * @param {Object} contest - Contest flags
+ * @param {Array<AnyventureRoll>} rolls - Initiator roll, then defender roll once resolved
+ * @returns {Promise<string>}
+ */
+async function renderContestCard(contest, rolls) {
+  const sideContext = (side, roll) => {
+    if (!side || !roll) return null;
+    return {
+      ...side,
+      total: roll.total,
+      keepLowest: roll.pool.keepLowest,
+      dice: roll.results.map(({ result, discarded }) => ({ result, cssClass: discarded ? 'discarded' : '' })),
+      description: roll.pool.describe(),
+      winner: contest.winner && contest[contest.winner] === side
+    };
+  };
+
+  return foundry.applications.handlebars.renderTemplate(TEMPLATE, {
+    title: contest.title,
+    status: contest.status,
+    initiator: sideContext(contest.initiator, rolls[0]),
+    defender: contest.status === 'resolved' ? sideContext(contest.defender, rolls[1]) : null,
+    defenderName: contest.defender.name,
+    defenderSkills: contest.defender.defaults.map(capitalize).join(' or '),
+    winnerName: contest.winner ? contest[contest.winner].name : null,
+    tieBreak: contest.tieBreak
+  });
+}
+
+/**
+ * Start a contested check against the single targeted token
+ * @param {Actor} actor - Initiating actor
+ * @param {Object} [options]
+ * @param {string} [options.skill] - Preselected basic skill
+ * @param {Array<string>} [options.opposing] - Default opposing skills (otherwise from CONTESTED_DEFAULTS)
+ * @param {string} [options.title] - Card title (defaults to "Contested <Skill> Check")
+ * @returns {Promise<ChatMessage|null>}
+ */
+export async function startContestedCheck(actor, options = {}) {
+  const targets = Array.from(game.user.targets);
+  if (targets.length !== 1 || !targets[0].actor) {
+    ui.notifications.warn('Target exactly one token to start a contested check.');
+    return null;
+  }
+  const target = targets[0];
+
+  const choice = await promptSkill(actor, options.title ?? 'Contested Check',
+    options.skill ? [options.skill] : [], `Contest against <strong>${target.document.name}</strong>`);
+  if (!choice) return null;
+
+  const title = options.title ?? `Contested ${capitalize(choice.skill)} Check`;
+  const { roll, side } = await rollSide(actor, choice, title);
+  const contest = {
+    title,
+    status: 'pending',
+    initiator: side,
+    defender: {
+      actorUuid: target.actor.uuid,
+      tokenUuid: target.document.uuid,
+      name: target.document.name,
+      defaults: options.opposing ?? CONTESTED_DEFAULTS[choice.skill] ?? [choice.skill]
+    }
+  };
+
+  return ChatMessage.create({
+    speaker: ChatMessage.getSpeaker({ actor }),
+    content: await renderContestCard(contest, [roll]),
+    rolls: [roll],
+    sound: CONFIG.sounds.dice,
+    flags: { anyventure: { contest } }
+  });
+}
+
+/**
+ * Store the defender's roll on the card and declare the winner
+ * @param {ChatMessage} message - Contest message
+ * @param {Object} defender - Defender side data
+ * @param {AnyventureRoll} defenderRoll
+ */
+async function applyResponse(message, defender, defenderRoll) {
+  const contest = foundry.utils.deepClone(message.getFlag('anyventure', 'contest'));
+  if (!contest || contest.status !== 'pending') return;
+
+  const initiatorRoll = message.rolls[0];
+  contest.defender = { ...contest.defender, ...defender };
+  contest.status = 'resolved';
+  Object.assign(contest, resolveContest(contest, initiatorRoll, defenderRoll));
+
+  await message.update({
+    content: await renderContestCard(contest, [initiatorRoll, defenderRoll]),
+    rolls: [initiatorRoll.toJSON(), defenderRoll.toJSON()],
+    'flags.anyventure.contest': contest
+  });
+}
+
+/**
+ * Defender side of the card: pick the opposing skill and roll
+ * @param {ChatMessage} message - Contest message
+ */
+async function respondToContest(message) {
+  const contest = message.getFlag('anyventure', 'contest');
+  const actor = await fromUuid(contest.defender.actorUuid);
+  if (!actor) return ui.notifications.warn('The contested actor no longer exists.');
+
+  const choice = await promptSkill(actor, contest.title, contest.defender.defaults,
+    `<strong>${contest.initiator.name}</strong> rolled ${contest.initiator.label}. Choose your opposing skill.`);
+  if (!choice) return;
+
+  const { roll, side } = await rollSide(actor, choice, contest.title);
+  const defender = { ...side, name: contest.defender.name };
+
+  // Message updates do not animate dice, so show the defender's roll here
+  if (game.dice3d) await game.dice3d.showForRoll(roll, game.user, true);
+
+  if (message.canUserModify(game.user, 'update')) return applyResponse(message, defender, roll);
+  await requestGMAction('contestResponse', { messageId: message.id, skill: choice.skill, roll: roll.toJSON() });
+}
+
+/**
+ * Show the Respond button to the defender's owners and wire it up
+ * @param {ChatMessage} message
+ * @param {HTMLElement} html
+ */
+function onRenderChatMessage(message, html) {
+  const contest = message.getFlag('anyventure', 'contest');
+  if (!contest) return;
+
+  const button = html.querySelector('[data-action="contest-respond"]');
+  if (!button) return;
+
+  const defender = fromUuidSync(contest.defender.actorUuid);
+  if (!game.user.isGM && !defender?.isOwner) {
+    button.remove();
+    return;
+  }
+
+  button.addEventListener('click', async (event) => {
+    event.preventDefault();
+    button.disabled = true;
+    try {
+      await respondToContest(message);
+    } catch (error) {
+      logError('Failed to respond to contested check:', error);
+    } finally {
+      button.disabled = false;
+    }
+  });
+}
+
+/**
+ * Register the chat hook and GM socket handler for contested checks
+ */
+export function registerContestedCheckHooks() {
+  Hooks.on('renderChatMessageHTML', onRenderChatMessage);
+
+  // Only the defender's owners (or a GM) may answer; the side is rebuilt from the stored contest
+  registerSocketHandler('contestResponse', async ({ messageId, skill, roll }, userId) => {
+    const message = game.messages.get(messageId);
+    const contest = message?.getFlag('anyventure', 'contest');
+    const user = game.users.get(userId);
+    if (!contest || !user) return;
+    const actor = await fromUuid(contest.defender.actorUuid);
+    if (!actor || !(user.isGM || actor.testUserPermission(user, 'OWNER')) || !actor.system.basic?.[skill]) return;
+
+    const defenderRoll = AnyventureRoll.fromData(roll);
+    const conditions = await actor.getSkillCheckPenalties(skill);
+    const defender = { ...sideData(actor, skill, conditions, defenderRoll.details.wonderWoe), name: contest.defender.name };
+    await applyResponse(message, defender, defenderRoll);
+  });
+}
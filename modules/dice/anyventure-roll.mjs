@@ -0,0 +1,371 @@
+/**
+ * Anyventure Roll
+ *
+ * Roll subclass for Anyventure dice pools. Everything the chat card needs (the
+ * pool, skill, target check, damage, card text) lives in `options.anyventure`,
+ * which Foundry serializes with the roll. The card is rendered from
+ * templates/chat/anyventure-roll.hbs whenever the message renders, so it
+ * survives reloads, and `roll.reroll()` keeps the same pool and card details.
+ *
+ * Other modules can read a message's pool through `message.rolls[0].details`.
+ * When the roll has a target check, the message also carries the result in
+ * `flags.anyventure.outcome` (see AnyventureRoll#outcome) so automation can
+ * react to successes and failures from a createChatMessage hook. Criticals and
+ * fumbles (see utils/crit-rules.js) are stored in `flags.anyventure.critical`
+ * so damage can be applied with the right multiplier.
+ */
+
+import { AnyventureDicePool } from '../utils/dice-pool.js';
+import { formatDamageType } from '../utils/formatters.mjs';
+import { describeWonderWoe } from './wonder-woe.mjs';
+import { critThreshold, critEffect, isFumble, applyCriticalDamage } from '../utils/crit-rules.js';
+
+/** Card styling per roll type */
+const CARD_TYPES = {
+  check: { cardClass: 'anyventure-skill-card', titleClass: 'skill-name', targetLabel: 'Required Check' },
+  attack: { cardClass: 'anyventure-attack-card', titleClass: 'weapon-name', targetLabel: 'Defense Check' },
+  spell: { cardClass: 'anyventure-ability-card', titleClass: 'ability-name', targetLabel: 'Required Check' },
+  song: { cardClass: 'anyventure-ability-card', titleClass: 'ability-name', targetLabel: 'Required Check' }
+};
+
+export class AnyventureRoll extends foundry.dice.Roll {
+  /** @override */
+  static CHAT_TEMPLATE = 'systems/anyventure/templates/chat/anyventure-roll.hbs';
+
+  /**
+   * Create a roll for a dice pool
+   * @param {AnyventureDicePool} pool - The pool to roll
+   * @param {Object} [details] - Card details stored with the roll
+   * @param {string} [details.type='check'] - check, attack, spell or song
+   * @param {string} [details.title] - Card title (e.g. "Senses Check")
+   * @param {string} [details.titleClass] - Extra title class (e.g. "charged")
+   * @param {Object} [details.skill] - { category, key, label }
+   * @param {number} [details.tier] - Skill tier modifier the die was built with
+   * @param {number} [details.target] - Required check or defense check
+   * @param {string} [details.targetNote] - How the target was reached (e.g. "5 + 2 (Charge) = 7")
+   * @param {Array<string>} [details.targets] - Targeted token names
+   * @param {number} [details.energy] - Energy cost shown as stars
+   * @param {number} [details.mana] - Mana cost
+   * @param {string} [details.note] - Extra line under the formula
+   * @param {Object} [details.wonderWoe] - Tokens used on the roll ({ wonder, woe })
+   * @param {Array<string>} [details.modifications] - Changes made after posting (rerolls, pushes)
+   * @param {Array<Object>} [details.damage] - [{ amount, extra, type }]
+   * @param {Array<Object>} [details.summary] - [{ label, value }] rows
+   * @param {Array<Object>} [details.sections] - [{ label, html }] description blocks
+   * @param {Object} [data] - Roll data
+   * @returns {AnyventureRoll}
+   */
+  static fromPool(pool, details = {}, data = {}) {
+    return new this(pool.formula, data, {
+      anyventure: {
+        type: 'check',
+        ...details,
+        base: pool.base,
+        bonus: pool.bonus,
+        penalty: pool.penalty,
+        dieType: pool.dieType,
+        keep: pool.keep
+      }
+    });
+  }
+
+  /** @returns {Object} - Card details stored with the roll */
+  get details() {
+    return this.options.anyventure ?? {};
+  }
+
+  /** @returns {AnyventureDicePool} - The pool this roll was built from */
+  get pool() {
+    return new AnyventureDicePool(this.details);
+  }
+
+  /** @returns {number|null} - Required or defense check, if any */
+  get target() {
+    const target = Number(this.details.target);
+    return Number.isFinite(target) && target > 0 ? target : null;
+  }
+
+  /** @returns {Array<{result: number, discarded: boolean}>} - Pool dice, highest first (rerolled dice excluded) */
+  get results() {
+    const term = this.dice[0];
+    if (!term?.results) return [];
+    return term.results
+      .filter(r => !r.rerolled)
+      .map(r => ({ result: r.result, discarded: Boolean(r.discarded) }))
+      .sort((a, b) => b.result - a.result);
+  }
+
+  /** @returns {Array<number>} - Results that count */
+  get keptResults() {
+    return this.results.filter(r => !r.discarded).map(r => r.result);
+  }
+
+  /** @returns {number|null} - Crit threshold for the pool's die */
+  get critThreshold() {
+    return critThreshold(this.details.dieType);
+  }
+
+  /** @returns {Array<number>} - Attack dice meeting the defense check */
+  get hits() {
+    const target = this.target;
+    if (target === null) return [];
+    return this.keptResults.filter(result => result >= target);
+  }
+
+  /** @returns {Array<number>} - Kept dice at or above the crit threshold */
+  get crits() {
+    const threshold = this.critThreshold;
+    if (!threshold || this.isFumble) return [];
+    return this.keptResults.filter(result => result >= threshold);
+  }
+
+  /** @returns {boolean} - Whether a kept die is a critical */
+  get isCritical() {
+    return this._evaluated && this.crits.length > 0;
+  }
+
+  /** @returns {boolean} - Whether a keep-lowest pool rolled all ones */
+  get isFumble() {
+    return this._evaluated && isFumble(this.results.map(r => r.result), this.pool.keepLowest);
+  }
+
+  /**
+   * Critical state stored on the message
+   * @returns {Object|null} - { crit, fumble, effect, count }; null when neither
+   */
+  get critical() {
+    if (!this.isCritical && !this.isFumble) return null;
+    return {
+      crit: this.isCritical,
+      fumble: this.isFumble,
+      effect: this.isCritical ? critEffect(this.details.type).damage : null,
+      count: this.crits.length
+    };
+  }
+
+  /**
+   * Whether the roll met its target. Attacks succeed with at least one hit;
+   * criticals and fumbles override the total (see CRIT_EFFECTS).
+   * @returns {boolean|null} - null when there is no target
+   */
+  get isSuccess() {
+    if (!this._evaluated || this.target === null) return null;
+    if (this.isFumble) return false;
+    if (this.details.type === 'attack') return this.hits.length > 0;
+    if (this.isCritical && critEffect(this.details.type).success) return true;
+    return this.total >= this.target;
+  }
+
+  /** @returns {number|null} - Total minus target */
+  get margin() {
+    if (!this._evaluated || this.target === null) return null;
+    return this.total - this.target;
+  }
+
+  /**
+   * Result against the target check, as stored in message flags
+   * @returns {Object|null} - { type, skill, dieType, target, total, success, margin, hits, crits }; null without a target
+   */
+  get outcome() {
+    if (!this._evaluated || this.target === null) return null;
+    const details = this.details;
+    const outcome = {
+      type: details.type ?? 'check',
+      skill: details.skill ? { category: details.skill.category ?? null, key: details.skill.key ?? null } : null,
+      dieType: details.dieType,
+      target: this.target,
+      total: this.total,
+      success: this.isSuccess,
+      margin: this.margin,
+      crit: this.isCritical,
+      fumble: this.isFumble
+    };
+    if (outcome.type === 'attack') {
+      outcome.hits = this.hits.length;
+      outcome.crits = this.crits.length;
+    }
+    return outcome;
+  }
+
+  /**
+   * Copy of this roll with different dice. The keep rule of the (possibly
+   * changed) pool is re-applied and the total recomputed, so a posted roll can
+   * be edited in place (see dice/roll-actions.mjs).
+   * @param {Object} changes
+   * @param {Array<number>} changes.results - Dice that make up the pool; must match its dice count
+   * @param {Array<number>} [changes.rerolled] - Dice that were rerolled away (kept for the record)
+   * @param {Object} [changes.details] - Merged into the roll's details (e.g. a new bonus)
+   * @returns {AnyventureRoll}
+   */
+  withResults({ results, rerolled = [], details = {} }) {
+    const merged = { ...this.details, ...details };
+    const pool = new AnyventureDicePool(merged);
+
+    // Indices of the dice that count: one highest, one lowest past the floor, or every die
+    let kept = results.map((_, index) => index);
+    if (pool.keepLowest) kept = [results.indexOf(Math.min(...results))];
+    else if (pool.keep === 'highest') kept = [results.indexOf(Math.max(...results))];
+
+    const data = this.toJSON();
+    data.formula = pool.formula;
+    data.options = { ...data.options, anyventure: merged };
+    data.terms = [{
+      ...data.terms[0],
+      number: results.length,
+      modifiers: pool.formula.match(/k[hl]1$/) ? [pool.formula.slice(-3)] : [],
+      results: [
+        ...rerolled.map(result => ({ result, active: false, rerolled: true })),
+        ...results.map((result, index) => (kept.includes(index) ? { result, active: true } : { result, active: false, discarded: true }))
+      ]
+    }];
+    data.total = kept.reduce((sum, index) => sum + results[index], 0);
+    return this.constructor.fromData(data);
+  }
+
+  /**
+   * Damage before any critical effect. Attacks: the first hit deals the base
+   * amount and every further hit adds the extra amount. Other rolls deal their
+   * damage unless they failed.
+   * @param {Object} entry - { amount, extra }
+   * @returns {number}
+   */
+  baseDamageFor(entry) {
+    const amount = Number(entry.amount) || 0;
+    if (this.details.type === 'attack') {
+      const hits = this.hits.length;
+      return hits ? amount + (hits - 1) * (Number(entry.extra) || 0) : 0;
+    }
+    return this.isSuccess === false ? 0 : amount;
+  }
+
+  /**
+   * Damage dealt, with the critical effect for the roll type applied
+   * (attacks bump the extra amount once per critical die)
+   * @param {Object} entry - { amount, extra }
+   * @returns {number}
+   */
+  damageFor(entry) {
+    return applyCriticalDamage(this.baseDamageFor(entry), this.critical, Number(entry.extra) || 0);
+  }
+
+  /** @override */
+  async toMessage(messageData = {}, options = {}) {
+    if (!this._evaluated) await this.evaluate({ allowInteractive: options.rollMode !== CONST.DICE_ROLL_MODES.BLIND });
+    const flags = {};
+    if (this.outcome) flags.outcome = this.outcome;
+    if (this.critical) flags.critical = this.critical;
+    if (Object.keys(flags).length) messageData = foundry.utils.mergeObject({ flags: { anyventure: flags } }, messageData);
+    return super.toMessage(messageData, options);
+  }
+
+  /** @override */
+  async _prepareChatRenderContext({ flavor, isPrivate = false, ...options } = {}) {
+    const context = await super._prepareChatRenderContext({ flavor, isPrivate, ...options });
+    const details = this.details;
+    const card = CARD_TYPES[details.type] ?? CARD_TYPES.check;
+    const pool = this.pool;
+    const target = this.target;
+    const isAttack = details.type === 'attack';
+
+    const crits = this.crits;
+    const dice = this.results.map(({ result, discarded }) => {
+      let cssClass = discarded ? 'discarded' : '';
+      if (!discarded && isAttack && target !== null) {
+        cssClass = crits.includes(result) ? 'crit' : (result >= target ? 'hit' : 'miss');
+      } else if (!discarded && crits.includes(result)) {
+        cssClass = 'crit';
+      } else if (this.isFumble) {
+        cssClass = 'miss';
+      }
+      return { result, cssClass };
+    });
+
+    const damage = (details.damage ?? []).map(entry => {
+      const type = formatDamageType(entry.type || 'physical');
+      return {
+        type,
+        label: entry.extra !== undefined ? `[${entry.amount}/${entry.extra}]` : `${entry.amount}`,
+        total: target !== null ? this.damageFor(entry) : null,
+        base: this.baseDamageFor(entry),
+        extra: Number(entry.extra) || 0,
+        damageType: entry.type || 'physical'
+      };
+    });
+
+    const outcome = target === null ? null : {
+      label: details.targetLabel ?? card.targetLabel,
+      display: details.targetNote ?? target,
+      success: this.isSuccess,
+      margin: isAttack ? null : this.margin,
+      result: isAttack ? `${this.hits.length} hit${this.hits.length === 1 ? '' : 's'}${this.crits.length ? `, ${this.crits.length} crit${this.crits.length === 1 ? '' : 's'}` : ''}` : this.total,
+      damage: damage.filter(entry => entry.total > 0)
+    };
+
+    return {
+      ...context,
+      isPrivate,
+      cardClass: card.cardClass,
+      titleClass: [card.titleClass, details.titleClass].filter(Boolean).join(' '),
+      title: details.title ?? details.skill?.label ?? 'Roll',
+      subtitle: details.subtitle,
+      critical: this.isCritical ? 'Critical!' : (this.isFumble ? 'Fumble!' : null),
+      criticalClass: this.isFumble ? 'roll-fumble' : 'roll-critical',
+      showTotal: details.type === 'check',
+      keepLowest: pool.keepLowest,
+      targets: details.targets ?? [],
+      energy: details.energy !== undefined && details.energy !== null ? { stars: Array.from({ length: Number(details.energy) || 0 }) } : null,
+      mana: details.mana,
+      dice,
+      description: pool.describe(),
+      note: details.note,
+      wonderWoe: describeWonderWoe(details.wonderWoe),
+      modifications: details.modifications ?? [],
+      damage,
+      applyDamage: damage.filter(entry => entry.base > 0 && (!isAttack || target !== null)),
+      outcome,
+      summary: details.summary ?? [],
+      sections: details.sections ?? []
+    };
+  }
+}
+
+/**
+ * Apply damage from a roll card to the controlled tokens. The card's
+ * `flags.anyventure.critical` is passed along so the damage dialog doubles
+ * or bumps the damage.
+ * @param {ChatMessage} message
+ * @param {HTMLElement} button - The clicked apply-damage button
+ */
+async function applyDamageFromCard(message, button) {
+  const actors = canvas.tokens?.controlled.map(token => token.actor).filter(actor => actor?.isOwner) ?? [];
+  if (!actors.length && game.user.character) actors.push(game.user.character);
+  if (!actors.length) {
+    ui.notifications.warn('Select the tokens that take the damage.');
+    return;
+  }
+
+  const { AnyventureTakeDamageDialog } = await import('../sheets/take-damage-dialog.mjs');
+  for (const actor of actors) {
+    await AnyventureTakeDamageDialog.show({
+      actor,
+      damage: Number(button.dataset.amount) || 0,
+      extraDamage: Number(button.dataset.extra) || 0,
+      damageType: button.dataset.damageType,
+      critical: message.getFlag('anyventure', 'critical') ?? null
+    });
+  }
+}
+
+/**
+ * Wire up the Apply Damage buttons on roll cards
+ */
+export function registerRollCardHooks() {
+  Hooks.on('renderChatMessageHTML', (message, html) => {
+    for (const button of html.querySelectorAll('.anyventure-roll [data-action="apply-damage"]')) {
+      button.addEventListener('click', (event) => {
+        event.preventDefault();
+        applyDamageFromCard(message, button);
+      });
+    }
+  });
+}
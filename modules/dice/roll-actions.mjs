@@ -0,0 +1,174 @@
+/**
+ * Roll actions
+ *
+ * Chat context-menu actions that change a posted Anyventure roll in place:
+ *
+ * - Reroll Lowest Die: the lowest die is rolled again
+ * - Add Bonus Die: the pool gains a bonus die after the fact (past the
+ *   penalty floor this removes the lowest die instead of adding one)
+ * - Push: as a bonus die, paid for with 1 energy; needs the PUSH_THROUGH flag
+ *
+ * The message keeps its card: the roll is rebuilt with AnyventureRoll#withResults
+ * and the outcome and critical flags are refreshed. Only the roller and the GM
+ * see the actions.
+ */
+
+import { AnyventureRoll } from './anyventure-roll.mjs';
+import { logError } from '../utils/logger.js';
+
+/** Energy spent to push a roll */
+export const PUSH_ENERGY_COST = 1;
+
+/**
+ * The message's pool roll, if the current user may change it
+ * @param {ChatMessage} message
+ * @returns {AnyventureRoll|null}
+ */
+function editableRoll(message) {
+  const roll = message?.rolls?.[0];
+  if (!(roll instanceof AnyventureRoll) || !roll._evaluated) return null;
+  if (!message.isAuthor && !game.user.isGM) return null;
+  return roll;
+}
+
+/**
+ * @param {HTMLElement} li - Chat message element
+ * @returns {ChatMessage|undefined}
+ */
+function messageFor(li) {
+  return game.messages.get(li.dataset.messageId);
+}
+
+/**
+ * Roll one die of the pool's size
+ * @param {AnyventureRoll} roll
+ * @returns {Promise<number>}
+ */
+async function rollOneDie(roll) {
+  const die = await new foundry.dice.Roll(`1${roll.details.dieType}`).evaluate();
+  if (game.dice3d) await game.dice3d.showForRoll(die, game.user, true);
+  return die.total;
+}
+
+/**
+ * Replace the message's roll and refresh its flags
+ * @param {ChatMessage} message
+ * @param {AnyventureRoll} roll - Updated roll
+ */
+async function updateMessageRoll(message, roll) {
+  await message.update({
+    rolls: [roll.toJSON()],
+    'flags.anyventure.outcome': roll.outcome,
+    'flags.anyventure.critical': roll.critical
+  });
+}
+
+/**
+ * Reroll the lowest die of a posted roll
+ * @param {ChatMessage} message
+ */
+export async function rerollLowestDie(message) {
+  const roll = editableRoll(message);
+  if (!roll) return;
+
+  const results = roll.results.map(r => r.result);
+  const lowest = Math.min(...results);
+  const result = await rollOneDie(roll);
+  results.splice(results.indexOf(lowest), 1, result);
+
+  const rerolled = roll.dice[0].results.filter(r => r.rerolled).map(r => r.result);
+  await updateMessageRoll(message, roll.withResults({
+    results,
+    rerolled: [...rerolled, lowest],
+    details: { modifications: [...(roll.details.modifications ?? []), `Rerolled lowest die: ${lowest} → ${result}`] }
+  }));
+}
+
+/**
+ * Add a bonus die to a posted roll
+ * @param {ChatMessage} message
+ * @param {string} [note] - Line recorded on the card
+ */
+export async function addBonusDie(message, note = 'Bonus die added') {
+  const roll = editableRoll(message);
+  if (!roll) return;
+
+  const pool = roll.pool;
+  pool.bonus += 1;
+
+  // A bonus die adds a die, or removes the lowest one while past the penalty floor
+  const results = roll.results.map(r => r.result);
+  while (results.length > pool.diceCount) results.splice(results.indexOf(Math.min(...results)), 1);
+  while (results.length < pool.diceCount) results.push(await rollOneDie(roll));
+
+  await updateMessageRoll(message, roll.withResults({
+    results,
+    rerolled: roll.dice[0].results.filter(r => r.rerolled).map(r => r.result),
+    details: { bonus: pool.bonus, modifications: [...(roll.details.modifications ?? []), note] }
+  }));
+}
+
+/**
+ * Whether the speaker can push the roll: the PUSH_THROUGH flag and energy to spend
+ * @param {ChatMessage} message
+ * @returns {boolean}
+ */
+function canPush(message) {
+  const actor = ChatMessage.getSpeakerActor(message.speaker);
+  if (!actor?.isOwner || !actor.system.conditionals?.flags?.PUSH_THROUGH) return false;
+  return (actor.system.resources?.energy?.value ?? 0) >= PUSH_ENERGY_COST;
+}
+
+/**
+ * Spend energy to add a bonus die to a posted roll
+ * @param {ChatMessage} message
+ */
+export async function pushRoll(message) {
+  if (!editableRoll(message) || !canPush(message)) return;
+  const actor = ChatMessage.getSpeakerActor(message.speaker);
+  await actor.update({ 'system.resources.energy.value': actor.system.resources.energy.value - PUSH_ENERGY_COST });
+  await addBonusDie(message, `Pushed: +1 bonus die (${PUSH_ENERGY_COST} energy)`);
+}
+
+/**
+ * Run an action and report failures
+ * @param {Function} action - async (message) => void
+ * @returns {Function} - Context menu callback
+ */
+function menuCallback(action) {
+  return async (li) => {
+    try {
+      await action(messageFor(li));
+    } catch (error) {
+      logError('Failed to change roll:', error);
+    }
+  };
+}
+
+/**
+ * Add the roll actions to the chat message context menu
+ */
+export function registerRollActions() {
+  Hooks.on('getChatMessageContextOptions', (app, options) => {
+    options.push(
+      {
+        name: 'Reroll Lowest Die',
+        icon: '<i class="fa-solid fa-rotate"></i>',
+        condition: (li) => Boolean(editableRoll(messageFor(li))),
+        callback: menuCallback(rerollLowestDie)
+      },
+      {
+        name: 'Add Bonus Die',
+        icon: '<i class="fa-solid fa-dice-d6"></i>',
+        condition: (li) => Boolean(editableRoll(messageFor(li))),
+        callback: menuCallback(message => addBonusDie(message))
+      },
+      {
+        name: `Push (${PUSH_ENERGY_COST} Energy)`,
+        icon: '<i class="fa-solid fa-bolt"></i>',
+        condition: (li) => Boolean(editableRoll(messageFor(li))) && canPush(messageFor(li)),
+        callback: menuCallback(pushRoll)
+      }
+    );
+  });
+}
@@ -0,0 +1,172 @@
+/**
+ * Wonder and Woe
+ *
+ * Characters hold at most one Wonder and one Woe token (`system.wonder`,
+ * `system.woe`). Roll dialogs offer them through `wonderWoeFieldsHTML`:
+ *
+ * - Wonder is spent by the character for one bonus die
+ * - Woe is granted by the GM for one penalty die. A held Woe is ticked and
+ *   locked on the owner's next roll; only the GM can untick (waive) it
+ *
+ * Both go through the normal pool, so they cancel against other bonus and
+ * penalty dice like any other die. A spent token is cleared once the roll is
+ * posted and the card notes it (AnyventureRoll details `wonderWoe`).
+ */
+
+import { logError } from '../utils/logger.js';
+
+/** Effect of each token on the pool */
+export const WONDER_WOE = {
+  wonder: { label: 'Wonder', effect: '+1 bonus die', bonus: 1, penalty: 0 },
+  woe: { label: 'Woe', effect: '+1 penalty die', bonus: 0, penalty: 1 }
+};
+
+/**
+ * Whether the current user rolls with a token the actor holds (owners and the GM)
+ * @param {Actor} actor
+ * @param {string} token - 'wonder' or 'woe'
+ * @returns {boolean}
+ */
+function canUse(actor, token) {
+  return Boolean(actor?.system?.[token]) && actor.isOwner;
+}
+
+/**
+ * Whether a held token is forced onto the roll: Woe, unless the GM is rolling
+ * @param {string} token
+ * @returns {boolean}
+ */
+const isLocked = (token) => token === 'woe' && !game.user.isGM;
+
+/**
+ * Checkboxes for a roll dialog form (empty when neither token can be used)
+ * @param {Actor} actor - Rolling actor
+ * @returns {string}
+ */
+export function wonderWoeFieldsHTML(actor) {
+  const fields = Object.entries(WONDER_WOE)
+    .filter(([token]) => canUse(actor, token))
+    .map(([token, { label, effect }]) => `
+      <label class="wonder-woe-option ${token}">
+        <input type="checkbox" name="${token}" ${token === 'woe' ? 'checked' : ''} ${isLocked(token) ? 'disabled' : ''} />
+        <img src="systems/anyventure/artwork/icons/ui/${token}.png" alt="${label}" />
+        ${token === 'wonder' ? 'Spend' : 'Impose'} ${label} (${effect})${isLocked(token) ? ' · only the GM can waive it' : ''}
+      </label>`)
+    .join('');
+  return fields ? `<div class="form-group wonder-woe">${fields}</div>` : '';
+}
+
+/**
+ * Read the tokens ticked in a dialog
+ * @param {HTMLElement} element - Dialog element
+ * @param {Actor} actor - Rolling actor
+ * @returns {{wonder: boolean, woe: boolean, bonus: number, penalty: number}}
+ */
+export function readWonderWoe(element, actor) {
+  const spend = { wonder: false, woe: false, bonus: 0, penalty: 0 };
+  for (const [token, { bonus, penalty }] of Object.entries(WONDER_WOE)) {
+    const checked = isLocked(token) || element?.querySelector(`.wonder-woe input[name="${token}"]`)?.checked;
+    if (!checked || !canUse(actor, token)) continue;
+    spend[token] = true;
+    spend.bonus += bonus;
+    spend.penalty += penalty;
+  }
+  return spend;
+}
+
+/**
+ * Card lines for the tokens used on a roll
+ * @param {{wonder: boolean, woe: boolean}} [spend]
+ * @returns {Array<string>}
+ */
+export function describeWonderWoe(spend) {
+  return Object.entries(WONDER_WOE)
+    .filter(([token]) => spend?.[token])
+    .map(([token, { label, effect }]) => `${label} ${token === 'wonder' ? 'spent' : 'imposed'}: ${effect}`);
+}
+
+/**
+ * Clear the tokens used on a roll
+ * @param {Actor} actor
+ * @param {{wonder: boolean, woe: boolean}} spend
+ */
+export async function consumeWonderWoe(actor, spend) {
+  const update = {};
+  if (spend?.wonder) update['system.wonder'] = false;
+  if (spend?.woe) update['system.woe'] = false;
+  if (actor && Object.keys(update).length) await actor.update(update);
+}
+
+/**
+ * GM overview of the tokens held by player characters; clicking a token
+ * grants or removes it
+ * @returns {Promise<void>}
+ */
+export async function openWonderWoeOverview() {
+  const actors = game.actors.filter(actor => actor.type === 'character' && actor.hasPlayerOwner);
+  if (!actors.length) {
+    ui.notifications.info('No player characters to show.');
+    return;
+  }
+
+  const rows = actors.map(actor => `
+    <tr data-actor-id="${actor.id}">
+      <td>${actor.name}</td>
+      ${Object.entries(WONDER_WOE).map(([token, { label }]) => `
+      <td><img class="${token}-token ${actor.system[token] ? '' : 'inactive'}" src="systems/anyventure/artwork/icons/ui/${token}.png"
+        title="${label}" data-token="${token}" /></td>`).join('')}
+    </tr>`).join('');
+
+  await foundry.applications.api.DialogV2.wait({
+    window: { title: 'Wonder & Woe' },
+    classes: ['anyventure-wonder-woe-overview'],
+    content: `
+      <table class="wonder-woe-table">
+        <thead><tr><th>Character</th><th>Wonder</th><th>Woe</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `,
+    buttons: [{ action: 'close', label: 'Close', icon: 'fa-solid fa-check', default: true }],
+    rejectClose: false,
+    render: (event, dialog) => {
+      dialog.element.querySelectorAll('img[data-token]').forEach(img => {
+        img.addEventListener('click', async () => {
+          const actor = game.actors.get(img.closest('tr').dataset.actorId);
+          const token = img.dataset.token;
+          try {
+            const held = !actor.system[token];
+            await actor.update({ [`system.${token}`]: held });
+            img.classList.toggle('inactive', !held);
+          } catch (error) {
+            logError(`Failed to update ${token} for ${actor?.name}:`, error);
+          }
+        });
+      });
+    }
+  });
+}
+
+/**
+ * Add the Wonder & Woe overview to the token controls (GM only)
+ * @param {Object<string, SceneControl>} controls
+ */
+function onGetSceneControlButtons(controls) {
+  const tokens = controls.tokens;
+  if (!tokens) return;
+  tokens.tools.wonderWoe = {
+    name: 'wonderWoe',
+    title: 'Wonder & Woe',
+    icon: 'fa-solid fa-yin-yang',
+    order: Object.keys(tokens.tools).length,
+    button: true,
+    visible: game.user.isGM,
+    onChange: () => openWonderWoeOverview()
+  };
+}
+
+/**
+ * Register the GM overview control
+ */
+export function registerWonderWoeHooks() {
+  Hooks.on('getSceneControlButtons', onGetSceneControlButtons);
+}
@@ -1,7 +1,21 @@
 // Baseline and overlays approach: parsing happens during Recalculate only.
 
 import { logError, logWarning, logInfo } from '../utils/logger.js';
-import { parseDataCode } from '../utils/data-parser.js';
+import { parseDataCode, CONDITIONAL_GATES } from '../utils/data-parser.js';
+import { dataCodes } from '../utils/data-code-registry.js';
+import { AnyventureDicePool } from '../utils/dice-pool.js';
+
+// Energy every character regains at the start of their turn, before regen bonuses
+const BASE_ENERGY_REGEN = 3;
+
+// Legacy weapon category keys mapped to weapon skill keys (as in actor-sheet.mjs)
+const WEAPON_CATEGORY_ALIASES = {
+  simpleMelee: 'simpleMeleeWeapons',
+  simpleRanged: 'simpleRangedWeapons',
+  complexMelee: 'complexMeleeWeapons',
+  complexRanged: 'complexRangedWeapons',
+  throwingWeapons: 'throwing'
+};
 
 /**
  * Extend the base Actor document to implement the Anyventure system
@@ -96,6 +110,8 @@ export class AnyventureActor extends Actor {
 
     // Restore working values from the persisted base snapshot (if present)
     this._restoreFromBase(systemData);
+    // Start the provenance ledger from what Recalculate recorded; overlays append to it
+    this.provenance = Array.isArray(systemData._provenance) ? [...systemData._provenance] : [];
     // Ensure skills expose standardized tier data
     this._normalizeSkillTiers(systemData);
     // Calculate skill talents based on attributes
@@ -118,9 +134,19 @@ export class AnyventureActor extends Actor {
 
   /**
    * Helper function to parse item bonuses (shared by equipment and implants)
+   * @param {Object} itemSystem - The item's system data
+   * @param {Object} bonuses - Accumulated bonuses (mutated)
+   * @param {Object} setToOverrides - Accumulated "Set To" overrides (mutated)
+   * @param {string} [source] - Item label recorded in the provenance ledger
    * @private
    */
-  _parseItemBonuses(itemSystem, bonuses, setToOverrides) {
+  _parseItemBonuses(itemSystem, bonuses, setToOverrides, source) {
+    // Record each contribution against the system field it ends up in
+    const record = (field, value, set = false) => {
+      if (!source || !value || !this.provenance) return;
+      this.provenance.push(set ? { field, source, value, set } : { field, source, value });
+    };
+
     // Helper function to process basic skill bonuses (only have bonuses, no talents)
     const processBasicSkillBonuses = (skillData, bonusCategory, setToCategory) => {
       if (skillData && typeof skillData === 'object') {
@@ -128,6 +154,8 @@ export class AnyventureActor extends Actor {
           if (data && typeof data === 'object') {
             const addBonus = Number(data.add_bonus || 0);
             const setBonus = Number(data.set_bonus || 0);
+            record(`basic.${skill}.value`, addBonus);
+            record(`basic.${skill}.value`, setBonus, true);
 
             if (addBonus !== 0) {
               bonusCategory[skill] = (bonusCategory[skill] || 0) + addBonus;
@@ -141,7 +169,7 @@ export class AnyventureActor extends Actor {
     };
 
     // Helper function to process weapon/magic/craft skill bonuses (have both bonuses and talents)
-    const processAdvancedSkillBonuses = (skillData, bonusCategory, setToCategory) => {
+    const processAdvancedSkillBonuses = (skillData, bonusCategory, setToCategory, category) => {
       if (skillData && typeof skillData === 'object') {
         for (const [skill, data] of Object.entries(skillData)) {
           if (data && typeof data === 'object') {
@@ -149,6 +177,10 @@ export class AnyventureActor extends Actor {
             const setBonus = Number(data.set_bonus || 0);
             const addTalent = Number(data.add_talent || 0);
             const setTalent = Number(data.set_talent || 0);
+            record(`${category}.${skill}.value`, addBonus);
+            record(`${category}.${skill}.value`, setBonus, true);
+            record(`${category}.${skill}.talent`, addTalent);
+            record(`${category}.${skill}.talent`, setTalent, true);
 
             if (addBonus !== 0) {
               bonusCategory.bonuses[skill] = (bonusCategory.bonuses[skill] || 0) + addBonus;
@@ -171,24 +203,28 @@ export class AnyventureActor extends Actor {
     // Health bonuses
     if (itemSystem.health) {
       bonuses.resources.health.max += Number(itemSystem.health.max || 0);
+      record('resources.health.max', Number(itemSystem.health.max || 0));
       bonuses.resources.health.recovery += Number(itemSystem.health.recovery || 0);
     }
 
     // Energy bonuses
     if (itemSystem.energy) {
       bonuses.resources.energy.max += Number(itemSystem.energy.max || 0);
+      record('resources.energy.max', Number(itemSystem.energy.max || 0));
       bonuses.resources.energy.recovery += Number(itemSystem.energy.recovery || 0);
     }
 
     // Resolve bonuses
     if (itemSystem.resolve) {
       bonuses.resources.resolve.max += Number(itemSystem.resolve.max || 0);
+      record('resources.resolve.max', Number(itemSystem.resolve.max || 0));
       bonuses.resources.resolve.recovery += Number(itemSystem.resolve.recovery || 0);
     }
 
     // Morale bonuses
     if (itemSystem.morale) {
       bonuses.resources.morale.max += Number(itemSystem.morale.max || 0);
+      record('resources.morale.max', Number(itemSystem.morale.max || 0));
       bonuses.resources.morale.recovery += Number(itemSystem.morale.recovery || 0);
     }
 
@@ -197,6 +233,7 @@ export class AnyventureActor extends Actor {
       for (const moveType of ['walk', 'swim', 'climb', 'fly']) {
         const bonus = Number(itemSystem.movement[moveType] || 0);
         if (bonus !== 0) bonuses.movement[moveType] += bonus;
+        record(`movement.${moveType}`, bonus);
       }
     }
 
@@ -206,6 +243,8 @@ export class AnyventureActor extends Actor {
         if (attrData && typeof attrData === 'object') {
           const addTalent = Number(attrData.add_talent || 0);
           const setTalent = Number(attrData.set_talent || 0);
+          record(`attributes.${attr}.value`, addTalent);
+          record(`attributes.${attr}.value`, setTalent, true);
 
           if (addTalent !== 0) {
             bonuses.attributes[attr] = (bonuses.attributes[attr] || 0) + addTalent;
@@ -219,9 +258,9 @@ export class AnyventureActor extends Actor {
 
     // Process all skill categories
     processBasicSkillBonuses(itemSystem.basic, bonuses.basic, setToOverrides.basic);
-    processAdvancedSkillBonuses(itemSystem.weapon, bonuses.weapon, setToOverrides.weapon);
-    processAdvancedSkillBonuses(itemSystem.magic, bonuses.magic, setToOverrides.magic);
-    processAdvancedSkillBonuses(itemSystem.craft, bonuses.craft, setToOverrides.craft);
+    processAdvancedSkillBonuses(itemSystem.weapon, bonuses.weapon, setToOverrides.weapon, 'weapon');
+    processAdvancedSkillBonuses(itemSystem.magic, bonuses.magic, setToOverrides.magic, 'magic');
+    processAdvancedSkillBonuses(itemSystem.craft, bonuses.craft, setToOverrides.craft, 'crafting');
 
     // Mitigation bonuses
     if (itemSystem.mitigation && typeof itemSystem.mitigation === 'object') {
@@ -230,6 +269,7 @@ export class AnyventureActor extends Actor {
           const bonus = Number(value);
           if (!Number.isNaN(bonus) && bonus !== 0) {
             bonuses.mitigation[type] = (bonuses.mitigation[type] || 0) + bonus;
+            record(`mitigation.${type}`, bonus);
           }
         }
       }
@@ -317,7 +357,7 @@ export class AnyventureActor extends Actor {
           if (!Number.isNaN(pen)) encumbrancePenalty += pen;
 
           // Parse item bonuses using shared helper
-          this._parseItemBonuses(equipped.system || {}, equipmentBonuses, setToOverrides);
+          this._parseItemBonuses(equipped.system || {}, equipmentBonuses, setToOverrides, equipped.name);
         }
       }
 
@@ -468,7 +508,7 @@ export class AnyventureActor extends Actor {
         }
       }
 
-      // Apply conditional bonuses based on equipped gear
+      // Apply conditional bonuses whose gates hold (gear, health, conditions, combat phase)
       this._applyConditionalBonuses(systemData, equipment);
 
       // Store equipment bonuses for reference
@@ -539,12 +579,17 @@ export class AnyventureActor extends Actor {
           totalHealthPenalty += Number(implantData.health_penalty || 0);
           totalResolvePenalty += Number(implantData.resolve_penalty || 0);
 
+          const healthPenalty = Number(implantData.health_penalty || 0);
+          const resolvePenalty = Number(implantData.resolve_penalty || 0);
+          if (healthPenalty) this.provenance?.push({ field: 'resources.health.max', source: implant.name, value: -healthPenalty });
+          if (resolvePenalty) this.provenance?.push({ field: 'resources.resolve.max', source: implant.name, value: -resolvePenalty });
+
           // Note: rejection_check is tracked but not applied automatically
           // It would be used in manual rejection check rolls
         }
 
         // Parse standard bonuses using shared helper
-        this._parseItemBonuses(itemSystem, implantBonuses, setToOverrides);
+        this._parseItemBonuses(itemSystem, implantBonuses, setToOverrides, implant.name);
       }
 
       // Ensure _base exists
@@ -659,50 +704,68 @@ export class AnyventureActor extends Actor {
   }
 
   /**
-   * Apply conditional bonuses from modules based on equipped gear
+   * Apply conditional bonuses from modules whose gates currently hold
+   * (equipped gear, health and morale, active conditions, combat phase)
    * @param {Object} systemData - The actor's system data
    * @param {Object} equipment - The equipment slots
    * @private
    */
   _applyConditionalBonuses(systemData, equipment) {
-    if (!systemData.conditionals) {
-      return;
+    // Gated ledger entries only count while their gate is active
+    const activeGates = [];
+    const isGateActive = this._getConditionalGateTest(systemData, equipment);
+
+    for (const gate of CONDITIONAL_GATES) {
+      const effects = systemData.conditionals?.[gate];
+      if (!Array.isArray(effects)) continue;
+
+      for (const effect of effects) {
+        if (!isGateActive(gate, effect.param)) continue;
+        const gateKey = effect.param ? `${gate}:${effect.param}` : gate;
+        if (!activeGates.includes(gateKey)) activeGates.push(gateKey);
+        this._applyConditionalEffect(effect, systemData);
+      }
     }
 
-    // Check for shields (any type)
-    const hasShield = ['offhand', 'mainhand'].some(slot => {
-      const item = equipment[slot]?.item;
-      return item?.system?.itemType === 'shield';
-    });
-
-    // Check for light shield specifically
-    const hasLightShield = ['offhand', 'mainhand'].some(slot => {
-      const item = equipment[slot]?.item;
-      return item?.system?.itemType === 'shield' && item?.system?.shieldType === 'light';
-    });
-
-    // Check for heavy shield specifically
-    const hasHeavyShield = ['offhand', 'mainhand'].some(slot => {
-      const item = equipment[slot]?.item;
-      return item?.system?.itemType === 'shield' && item?.system?.shieldType === 'heavy';
-    });
-
-    // Apply shield-based conditional bonuses
-    const conditionalGroups = [
-      { condition: hasShield, key: 'anyShield' },
-      { condition: hasLightShield, key: 'lightShield' },
-      { condition: hasHeavyShield, key: 'heavyShield' }
-    ];
+    if (this.provenance) this.provenance = this.provenance.filter(entry => !entry.gate || activeGates.includes(entry.gate));
+  }
 
-    for (const { condition, key } of conditionalGroups) {
-      if (condition && Array.isArray(systemData.conditionals[key])) {
-        for (const effect of systemData.conditionals[key]) {
-          this._applyConditionalEffect(effect, systemData);
-        }
-      }
-    }
+  /**
+   * Build the test for conditional gates against the actor's current state
+   * @param {Object} systemData - The actor's system data
+   * @param {Object} equipment - The equipment slots
+   * @returns {Function} - (gate, param) => boolean
+   * @private
+   */
+  _getConditionalGateTest(systemData, equipment) {
+    const held = ['mainhand', 'offhand'].map(slot => equipment[slot]?.item);
+    const shields = held.filter(item => item?.system?.itemType === 'shield');
+    const weapons = held.filter(item => item?.system?.itemType === 'weapon');
+    const health = systemData.resources?.health || {};
+    const morale = systemData.resources?.morale || {};
+    const phase = this.inCombat ? game.combat?.getFlag('anyventure', 'phaseState')?.phase : null;
+
+    const weaponCategory = (item) => {
+      const category = item.system?.weapon_category || item.system?.weapon_data?.category || '';
+      return WEAPON_CATEGORY_ALIASES[category] || category;
+    };
 
     // TODO: Add armor-based conditionals (noArmor, lightArmor, heavyArmor, anyArmor)
+    const tests = {
+      anyShield: () => shields.length > 0,
+      lightShield: () => shields.some(item => item.system.shieldType === 'light'),
+      heavyShield: () => shields.some(item => item.system.shieldType === 'heavy'),
+      belowHalfHealth: () => Number(health.value) < Number(health.max) / 2,
+      zeroMorale: () => Number(morale.value) <= 0,
+      dualWielding: () => weapons.length === 2,
+      mounted: () => this.statuses.has('mounted'),
+      flying: () => this.statuses.has('flying'),
+      condition: (param) => this.statuses.has(param),
+      weaponCategory: (param) => weapons.some(item => weaponCategory(item) === param),
+      combatPhase: (param) => phase === param
+    };
+
+    return (gate, param) => tests[gate]?.(param) ?? false;
   }
 
   /**
@@ -750,20 +813,13 @@ export class AnyventureActor extends Actor {
       // Get all injury items on the character
       const injuries = this.items.filter(item => item.type === 'injury');
 
-      // Count cosmetic injuries and calculate total pain/stress
-      let cosmeticInjuryCount = 0;
+      // Calculate total pain/stress (injury counts feed scaling effects such as
+      // Badge of Honor's @injuries.cosmetic during recalculation)
       let totalPain = 0;
       let totalStress = 0;
 
       // Loop through all injuries
       for (const injury of injuries) {
-        const injuryType = injury.system?.injuryType;
-
-        // Count cosmetic injuries
-        if (injuryType === 'cosmetic_injury') {
-          cosmeticInjuryCount++;
-        }
-
         // Add pain from this injury
         const painValue = Number(injury.system?.pain || 0);
         if (!Number.isNaN(painValue)) {
@@ -831,16 +887,6 @@ export class AnyventureActor extends Actor {
         // this._updateStressCondition(calculatedStress, systemData.resources.stress.threshold_modifier || 0);
       }
 
-      // Check for Badge of Honor trait and apply morale bonus
-      if (this.system.conditionals?.flags?.BADGE_OF_HONOR === true && cosmeticInjuryCount > 0) {
-
-        // Get base max morale (before any bonuses)
-        const baseMorale = systemData._base?.resources?.morale?.max || systemData.resources.morale.max;
-
-        // Apply the bonus: max morale = base max morale + cosmetic injury count
-        systemData.resources.morale.max = baseMorale + cosmeticInjuryCount;
-      }
-
 
       // Debugging: Print the entire cultural item
       const cultureItem = this.items.find(item => item.type === 'culture');
@@ -1289,11 +1335,24 @@ export class AnyventureActor extends Actor {
     }
     if (base.movement) systemData.movement = clone(base.movement);
     if (base.weaponModifications) systemData.weaponModifications = clone(base.weaponModifications);
+    // Fields owned by add-on data code families
+    dataCodes.systemFields.forEach((field) => {
+      if (base[field] !== undefined) systemData[field] = clone(base[field]);
+    });
 
     // Ensure the working copy also has normalized tier data
     this._normalizeSkillTiers(systemData);
   }
 
+  /**
+   * Get the recorded contributions to a system field
+   * @param {string} field - Path into system data (e.g. "basic.evasion"); matches the field and everything under it
+   * @returns {Array<Object>} - Ledger entries `{ field, source, value, set?, gate? }`
+   */
+  getProvenance(field) {
+    return (this.provenance || []).filter(entry => entry.field === field || entry.field.startsWith(`${field}.`));
+  }
+
   /**
    * Override getRollData() that's supplied to rolls.
    */
@@ -1337,39 +1396,14 @@ export class AnyventureActor extends Actor {
   }
 
   /**
-   * Roll a skill check with dialog for bonus/penalty dice
-   * @param {string} category - The skill category (basic, weapon, magic, crafting)
+   * Penalty dice that conditions impose on a skill check: pain and stress on
+   * every check, dazed/blinded/impaired/prone on defense checks and broken on
+   * mental checks. Dazed only applies to the first defense, so reading the
+   * penalties for a defense check marks it as applied.
    * @param {string} skillName - The name of the skill
-   * @param {Object} options - Additional options for the roll
+   * @returns {Promise<{penaltyDice: number, notes: Array<string>}>}
    */
-  async rollSkill(category, skillName, options = {}) {
-    // Skills are directly on system now
-    const skill = this.system[category]?.[skillName];
-    if (!skill) {
-      ui.notifications.warn(`Skill ${category}.${skillName} not found`);
-      return null;
-    }
-
-    // Get the dice type based on skill value WITH upgrade/downgrade modifier
-    // This matches the skillDieWithUpgrade helper logic
-    const diceTable = [
-      ['d2', 'd4', 'd6'],   // Level 0
-      ['d4', 'd6', 'd8'],   // Level 1
-      ['d6', 'd8', 'd10'],  // Level 2
-      ['d8', 'd10', 'd12'], // Level 3
-      ['d10', 'd12', 'd16'], // Level 4
-      ['d12', 'd16', 'd20'], // Level 5
-      ['d16', 'd20', 'd24'], // Level 6
-      ['d20', 'd24', 'd30']  // Level 7
-    ];
-
-    const skillLevel = Math.min(Math.max(skill.value || 0, 0), 7);
-    const tierModifier = Number(skill.tier) || 0;
-    const upgradeLevel = Math.min(Math.max(tierModifier + 1, 0), 2); // Convert -1,0,1 to 0,1,2
-    const diceType = diceTable[skillLevel][upgradeLevel];
-    const baseDice = skill.talent || 1;
-
-    // Calculate condition-based penalties
+  async getSkillCheckPenalties(skillName) {
     let initialPenaltyDice = 0;
     let conditionNotes = [];
 
@@ -1441,23 +1475,252 @@ export class AnyventureActor extends Actor {
       }
     }
 
+    return { penaltyDice: initialPenaltyDice, notes: conditionNotes };
+  }
+
+  /**
+   * Roll a skill check with dialog for bonus/penalty dice
+   * @param {string} category - The skill category (basic, weapon, magic, crafting, music, language)
+   * @param {string} skillName - The name of the skill
+   * @param {Object} options - Additional options for the roll
+   * @param {number} [options.initialBonusDice] - Bonus dice to start the dialog with
+   * @param {number} [options.initialPenaltyDice] - Penalty dice to start the dialog with (replaces condition penalties)
+   * @param {number} [options.requiredCheck] - Target the roll must meet; the result and margin are
+   *   shown on the card and stored in the message's `flags.anyventure.outcome`
+   * @param {string} [options.flavorSuffix] - Appended to the skill name on the dialog and card
+   * @param {Function} [options.rollCallback] - Called with (roll, data) once the roll is posted
+   */
+  async rollSkill(category, skillName, options = {}) {
+    // Instruments roll Expression; talent above 1 adds bonus dice, below 1 penalty dice
+    if (category === 'music') {
+      const instrument = this.system.music?.[skillName];
+      if (!instrument) {
+        ui.notifications.warn(`Instrument ${skillName} not found`);
+        return null;
+      }
+      const modifier = (Number(instrument.talent) || 0) - 1;
+      return this.rollSkill('basic', 'expression', {
+        initialBonusDice: Math.max(modifier, 0),
+        initialPenaltyDice: Math.max(-modifier, 0),
+        flavorSuffix: ` (${skillName.charAt(0).toUpperCase() + skillName.slice(1)})`,
+        ...options
+      });
+    }
+
+    // Skills are directly on system now; languages live on language items
+    const skill = category === 'language' ? this.getLanguageSkill(skillName) : this.system[category]?.[skillName];
+    if (!skill) {
+      ui.notifications.warn(`Skill ${category}.${skillName} not found`);
+      return null;
+    }
+
+    // Get the dice type based on skill value WITH upgrade/downgrade modifier
+    const diceType = AnyventureDicePool.dieForSkill(skill.value, skill.tier);
+    const baseDice = skill.talent || 1;
+
+    // Calculate condition-based penalties
+    const { penaltyDice: initialPenaltyDice, notes: conditionNotes } = await this.getSkillCheckPenalties(skillName);
+
     // Import the roll dialog
     const { AnyventureRollDialog } = await import('../sheets/roll-dialog.mjs');
 
+    const label = (skill.name ?? skillName.charAt(0).toUpperCase() + skillName.slice(1)) + (options.flavorSuffix ?? '');
+
     // Show the roll dialog
     return AnyventureRollDialog.show({
-      title: `${skillName.charAt(0).toUpperCase() + skillName.slice(1)} Check`,
-      skillName: skillName.charAt(0).toUpperCase() + skillName.slice(1),
+      title: `${label} Check`,
+      skillName: label,
       baseDice: baseDice,
       diceType: diceType,
+      skill: { category, key: skillName },
+      tier: Number(skill.tier) || 0,
       actor: this,
       initialPenaltyDice: options.initialPenaltyDice || initialPenaltyDice,
       initialBonusDice: options.initialBonusDice || 0,
+      requiredCheck: options.requiredCheck,
       conditionNotes: conditionNotes,
-      rollCallback: (roll, data) => {
-        // Optional callback for additional processing
-      }
+      rollCallback: options.rollCallback
+    });
+  }
+
+  /**
+   * Language items as rollable skills (talent from the item, no skill value)
+   * @param {string} key - Language key (lowercase name, spaces as underscores)
+   * @returns {Object|null} - { name, value, talent, tier }
+   */
+  getLanguageSkill(key) {
+    const item = this.items.find(i => i.type === 'language'
+      && i.name.toLowerCase().replace(/\s+/g, '_').replace(/[^a-z0-9_]/g, '') === key);
+    if (!item) return null;
+    return { name: item.name, value: 0, talent: Number(item.system.talent) || 0, tier: 0 };
+  }
+
+  /**
+   * Start a contested check against the single targeted token
+   * @param {Object} [options] - skill, opposing, title (see startContestedCheck)
+   * @returns {Promise<ChatMessage|null>}
+   */
+  async rollContestedCheck(options = {}) {
+    const { startContestedCheck } = await import('../contested-check.mjs');
+    return startContestedCheck(this, options);
+  }
+
+  /**
+   * Show this actor's logged rolls: per session and per skill
+   * @returns {Promise<void>}
+   */
+  async showRollStatistics() {
+    const { showRollStatistics } = await import('../roll-history.mjs');
+    return showRollStatistics(this);
+  }
+
+  /**
+   * Start of turn: regain energy (base regeneration plus bonuses) and, at 0
+   * health, lose 2 resolve. Posts a card when anything changed.
+   * @returns {Promise<{energyRestored: number, resolveDeducted: number}>}
+   */
+  async startTurn() {
+    const resources = this.system.resources || {};
+    const energyRegen = (resources.energy?.regen || 0) + BASE_ENERGY_REGEN;
+    const updates = {};
+
+    // Lose resolve while at 0 health
+    const atZeroHealth = (resources.health?.value || 0) === 0;
+    let resolveDeducted = 0;
+    if (atZeroHealth && resources.resolve) {
+      const currentResolve = resources.resolve.value || 0;
+      const newResolve = Math.max(currentResolve - 2, 0);
+      resolveDeducted = currentResolve - newResolve;
+      if (resolveDeducted > 0) updates['system.resources.resolve.value'] = newResolve;
+    }
+
+    const current = resources.energy?.value || 0;
+    const newEnergy = resources.energy ? Math.min(current + energyRegen, resources.energy.max || 0) : current;
+    const energyRestored = Math.max(newEnergy - current, 0);
+    if (energyRestored > 0) updates['system.resources.energy.value'] = newEnergy;
+
+    if (Object.keys(updates).length) {
+      await this.update(updates);
+      await this._createEnergyRestorationChatCard(energyRestored, current, energyRestored > 0 ? newEnergy : current, energyRegen, atZeroHealth, resolveDeducted);
+    }
+    return { energyRestored, resolveDeducted };
+  }
+
+  /**
+   * Create an energy restoration chat card for start turn
+   * @private
+   */
+  async _createEnergyRestorationChatCard(energyRestored, previousValue, newValue, totalRegen, atZeroHealth = false, resolveDeducted = 0) {
+    const bonusRegen = totalRegen - BASE_ENERGY_REGEN;
+
+    // Build chat card content using established card styling
+    let cardContent = `<div class="anyventure-energy-card">`;
+
+    // Main header
+    cardContent += `<div class="energy-header">`;
+    cardContent += `<div class="character-name"><strong>${this.name}</strong> starts turn</div>`;
+
+    if (energyRestored > 0) {
+      cardContent += `<div class="energy-amount">`;
+      cardContent += `<span class="energy-restored">+${energyRestored} Energy</span>`;
+      cardContent += ` (${previousValue} → ${newValue})`;
+      cardContent += `</div>`;
+    }
+
+    cardContent += `</div>`;
+
+    // Details section - show breakdown if there are bonuses
+    if (bonusRegen > 0) {
+      cardContent += `<div class="energy-details">`;
+      cardContent += `<div class="detail-line">Base Regeneration: ${BASE_ENERGY_REGEN}</div>`;
+      cardContent += `<div class="detail-line">Bonus Regeneration: ${bonusRegen}</div>`;
+      cardContent += `</div>`;
+    }
+
+    // Show resolve deduction if at 0 health
+    if (atZeroHealth && resolveDeducted > 0) {
+      cardContent += `<div class="energy-details" style="margin-top: 8px; border-top: 1px solid rgba(255,215,0,0.3); padding-top: 8px;">`;
+      cardContent += `<div class="detail-line" style="color: #f87171; font-weight: bold;">`;
+      cardContent += `⚠️ At 0 Health: -${resolveDeducted} Resolve`;
+      cardContent += `</div>`;
+      cardContent += `</div>`;
+    }
+
+    cardContent += `</div>`;
+
+    await ChatMessage.create({
+      speaker: ChatMessage.getSpeaker({ actor: this }),
+      content: cardContent,
+      type: CONST.CHAT_MESSAGE_TYPES.OTHER,
+      rollMode: game.settings.get('core', 'rollMode'),
+    });
+  }
+
+  /**
+   * Roll the recovery check for a condition (flags.anyventure.checkType).
+   * Success removes the condition; failure lowers the required check by the
+   * condition's reduceBy (static checks keep it). "special" conditions such as
+   * unconscious roll a single flat die (dieType) against successOn instead.
+   * @param {ActiveEffect} effect - Condition effect on this actor
+   * @returns {Promise<void>}
+   */
+  async rollConditionRecovery(effect) {
+    const flags = effect?.flags?.anyventure ?? {};
+    if (!flags.checkType) return;
+
+    if (flags.checkType === 'special') {
+      const { AnyventureRoll } = await import('../dice/anyventure-roll.mjs');
+      const pool = new AnyventureDicePool({ base: 1, dieType: flags.dieType || 'd12' });
+      const roll = AnyventureRoll.fromPool(pool, { title: `${effect.name} Recovery`, target: flags.successOn });
+      await roll.evaluate();
+      await roll.toMessage({ speaker: ChatMessage.getSpeaker({ actor: this }) });
+      return this._resolveConditionRecovery(effect.id, roll.isSuccess);
+    }
+
+    if (!this.system.basic?.[flags.checkType]) {
+      ui.notifications.warn(`Skill ${flags.checkType} not found in basic category.`);
+      return;
+    }
+
+    await this.rollSkill('basic', flags.checkType, {
+      requiredCheck: flags.currentCheck,
+      flavorSuffix: ' Recovery',
+      rollCallback: (roll) => this._resolveConditionRecovery(effect.id, !flags.autoFail && roll.isSuccess)
+    });
+  }
+
+  /**
+   * Apply the result of a recovery check
+   * @param {string} effectId - Condition effect
+   * @param {boolean} success - Whether the check was passed
+   * @private
+   */
+  async _resolveConditionRecovery(effectId, success) {
+    const effect = this.effects.get(effectId);
+    if (!effect) return;
+    const flags = effect.flags.anyventure ?? {};
+
+    if (success) {
+      await effect.delete();
+      ui.notifications.info(`${this.name} recovers from ${effect.name}!`);
+      return;
+    }
+
+    // Failed - reduce the check by reduceBy (default 1); static checks (reduceBy 0) keep it
+    const reduceBy = flags.reduceBy !== undefined ? flags.reduceBy : 1;
+    const turnsActive = (flags.turnsActive || 0) + 1;
+    if (!flags.currentCheck || reduceBy === 0) {
+      await effect.update({ 'flags.anyventure.turnsActive': turnsActive });
+      ui.notifications.warn(`Recovery failed. Roll ${flags.currentCheck ?? flags.successOn} or higher to recover.`);
+      return;
+    }
+
+    const newDC = Math.max(1, flags.currentCheck - reduceBy);
+    await effect.update({
+      'flags.anyventure.currentCheck': newDC,
+      'flags.anyventure.turnsActive': turnsActive
     });
+    ui.notifications.info(`Recovery failed. Required Check reduced to ${newDC}.`);
   }
 
   /**
@@ -1474,32 +1737,11 @@ export class AnyventureActor extends Actor {
       return '1d20';
     }
 
-    // Calculate dice based on Anyventure rules
-    const diceTable = [
-      'd4',   // Level 0
-      'd6',   // Level 1
-      'd8',   // Level 2
-      'd10',  // Level 3
-      'd12',  // Level 4
-      'd16',  // Level 5
-      'd20',  // Level 6
-      'd24',  // Level 7
-      'd30'   // Level 8
-    ];
-
-    const skillLevel = Math.min(Math.max(coordination.value || 0, 0), 8);
-    const diceType = diceTable[skillLevel] || 'd4';
-    const talent = Math.max(finesse.value || 1, 1);
-
-    // Build the roll formula
-    let formula;
-    if (talent > 1) {
-      formula = `${talent}${diceType}kh1`;
-    } else {
-      formula = `1${diceType}`;
-    }
-
-    return formula;
+    // Coordination sets the die, Finesse the number of dice (keep highest)
+    return new AnyventureDicePool({
+      base: Math.max(finesse.value || 1, 1),
+      dieType: AnyventureDicePool.dieForSkill(coordination.value, coordination.tier)
+    }).formula;
   }
 
   /**
@@ -1537,52 +1779,12 @@ export class AnyventureActor extends Actor {
       return roll;
     }
 
-    // Calculate dice based on Anyventure rules
-    const diceTable = [
-      'd4',   // Level 0
-      'd6',   // Level 1
-      'd8',   // Level 2
-      'd10',  // Level 3
-      'd12',  // Level 4
-      'd16',  // Level 5
-      'd20',  // Level 6
-      'd24',  // Level 7
-      'd30'   // Level 8
-    ];
-
-    // Handle dice tier modifier if needed (upgrade/downgrade)
-    const diceTableWithTiers = [
-      ['d2', 'd4', 'd6'],   // Level 0
-      ['d4', 'd6', 'd8'],   // Level 1
-      ['d6', 'd8', 'd10'],  // Level 2
-      ['d8', 'd10', 'd12'], // Level 3
-      ['d10', 'd12', 'd16'], // Level 4
-      ['d12', 'd16', 'd20'], // Level 5
-      ['d16', 'd20', 'd24'], // Level 6
-      ['d20', 'd24', 'd30']  // Level 7
-    ];
-
-    const skillLevel = Math.min(Math.max(coordination.value || 0, 0), 7);
+    const skillLevel = Math.min(Math.max(coordination.value || 0, 0), 8);
     const tierModifier = Number(coordination.tier) || 0;
 
-    let diceType;
-    if (tierModifier !== 0) {
-      const upgradeLevel = Math.min(Math.max(tierModifier + 1, 0), 2);
-      diceType = diceTableWithTiers[skillLevel]?.[upgradeLevel] || 'd4';
-    } else {
-      diceType = diceTable[skillLevel] || 'd4';
-    }
-
     // Finesse value determines number of dice (keep highest)
     const talent = Math.max(finesse.value || 1, 1);
-
-    // Build the roll formula (roll multiple dice, keep highest)
-    let formula;
-    if (talent > 1) {
-      formula = `${talent}${diceType}kh1`;
-    } else {
-      formula = `1${diceType}`;
-    }
+    const formula = this.getInitiativeFormula();
 
     try {
       // Create and evaluate the roll
@@ -1618,8 +1820,8 @@ export class AnyventureActor extends Actor {
       flavorText += `<div class="formula">Formula: ${formula}${formulaNote}</div>`;
       flavorText += `</div>`;
 
-      // Get the combatant for this actor
-      const combat = game.combat;
+      // Get the combatant for this actor (in the combat rolling, else the viewed one)
+      const combat = options.combat ?? game.combat;
       if (!combat) return roll;
 
       // Use the combatantId from options if provided, otherwise find by actor ID
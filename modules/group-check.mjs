@@ -0,0 +1,292 @@
+/**
+ * Anyventure group checks
+ *
+ * The GM asks several actors for the same check (e.g. senses, endurance or a
+ * group stealth roll). One card is posted with a Roll button per actor; each
+ * owner rolls through their normal skill dialog and the result is written
+ * back into the card, which shows the running aggregate (successes, lowest
+ * and highest result).
+ *
+ * The request lives in `flags.anyventure.groupCheck`. Players cannot update
+ * the GM's message, so their results go through the GM socket.
+ */
+
+import { registerSocketHandler, requestGMAction } from './socket.mjs';
+import { logError } from './utils/logger.js';
+
+const TEMPLATE = 'systems/anyventure/templates/chat/group-check.hbs';
+
+/** Skill categories a group check can use */
+export const GROUP_CHECK_CATEGORIES = {
+  basic: 'Basic Skills',
+  weapon: 'Weapon Skills',
+  magic: 'Magic Skills',
+  crafting: 'Crafting Skills',
+  music: 'Music Skills',
+  language: 'Languages'
+};
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+const languageKey = (name) => name.toLowerCase().replace(/\s+/g, '_').replace(/[^a-z0-9_]/g, '');
+
+/**
+ * Skills offered per category across the candidate actors
+ * @param {Array<Actor>} actors - Candidate actors
+ * @returns {Object<string, Array<{key: string, label: string}>>}
+ */
+function skillOptions(actors) {
+  const options = {};
+  for (const category of Object.keys(GROUP_CHECK_CATEGORIES)) {
+    const labels = new Map();
+    for (const actor of actors) {
+      if (category === 'language') {
+        actor.items.filter(i => i.type === 'language').forEach(i => labels.set(languageKey(i.name), i.name));
+      } else {
+        Object.keys(actor.system[category] ?? {}).forEach(key => labels.set(key, capitalize(key)));
+      }
+    }
+    options[category] = Array.from(labels, ([key, label]) => ({ key, label }));
+  }
+  return options;
+}
+
+/**
+ * Aggregate the results collected so far
+ * @param {Object} check - Group check flags
+ * @returns {Object} - { rolled, total, successes, lowest, highest, complete }
+ */
+export function summarizeGroupCheck(check) {
+  const rolled = check.actors.filter(entry => entry.result);
+  const byTotal = [...rolled].sort((a, b) => a.result.total - b.result.total);
+  return {
+    rolled: rolled.length,
+    total: check.actors.length,
+    successes: check.target ? rolled.filter(entry => entry.result.success).length : null,
+    lowest: byTotal[0] ? { name: byTotal[0].name, total: byTotal[0].result.total } : null,
+    highest: byTotal.length ? { name: byTotal.at(-1).name, total: byTotal.at(-1).result.total } : null,
+    complete: rolled.length === check.actors.length
+  };
+}
+
+/**
+ * Render the group check card
+ * @param {Object} check - Group check flags
+ * @returns {Promise<string>}
+ */
+async function renderGroupCheckCard(check) {
+  return foundry.applications.handlebars.renderTemplate(TEMPLATE, {
+    ...check,
+    summary: summarizeGroupCheck(check)
+  });
+}
+
+/**
+ * Post a group check card
+ * @param {Object} request
+ * @param {string} request.category - basic, weapon, magic, crafting, music or language
+ * @param {string} request.skill - Skill key within the category
+ * @param {string} [request.label] - Skill name shown on the card
+ * @param {number} [request.target] - Required check
+ * @param {Array<Actor>} request.actors - Actors asked to roll
+ * @returns {Promise<ChatMessage|null>}
+ */
+export async function requestGroupCheck({ category, skill, label, target, actors }) {
+  if (!actors?.length) {
+    ui.notifications.warn('Choose at least one actor for the check.');
+    return null;
+  }
+
+  const check = {
+    category,
+    skill,
+    label: label ?? capitalize(skill),
+    target: Number(target) > 0 ? Number(target) : null,
+    actors: actors.map(actor => ({ actorUuid: actor.uuid, name: actor.name, img: actor.img, result: null }))
+  };
+
+  return ChatMessage.create({
+    speaker: ChatMessage.getSpeaker({ alias: 'Gamemaster' }),
+    content: await renderGroupCheckCard(check),
+    flags: { anyventure: { groupCheck: check } }
+  });
+}
+
+/**
+ * GM dialog: pick the skill, required check and actors, then post the card
+ * @returns {Promise<ChatMessage|null>}
+ */
+export async function openGroupCheckDialog() {
+  const candidates = game.actors.filter(actor => actor.type === 'character');
+  if (!candidates.length) {
+    ui.notifications.warn('There are no characters to ask for a check.');
+    return null;
+  }
+
+  const skills = skillOptions(candidates);
+  const skillSelect = Object.entries(GROUP_CHECK_CATEGORIES)
+    .filter(([category]) => skills[category].length)
+    .map(([category, groupLabel]) => `
+      <optgroup label="${groupLabel}">
+        ${skills[category].map(({ key, label }) => `<option value="${category}.${key}" ${category === 'basic' && key === 'senses' ? 'selected' : ''}>${label}</option>`).join('')}
+      </optgroup>`).join('');
+  const actorList = candidates.map(actor => `
+    <label class="group-check-actor">
+      <input type="checkbox" name="actors" value="${actor.uuid}" ${actor.hasPlayerOwner ? 'checked' : ''} />
+      ${actor.name}
+    </label>`).join('');
+
+  const request = await foundry.applications.api.DialogV2.wait({
+    window: { title: 'Request Check' },
+    classes: ['anyventure-roll-dialog'],
+    content: `
+      <form>
+        <div class="form-group">
+          <label for="group-check-skill">Skill:</label>
+          <select id="group-check-skill" name="skill">${skillSelect}</select>
+        </div>
+        <div class="form-group">
+          <label for="group-check-target">Required Check:</label>
+          <input type="number" id="group-check-target" name="target" min="0" placeholder="None" />
+        </div>
+        <fieldset class="group-check-actors">
+          <legend>Actors</legend>
+          ${actorList}
+        </fieldset>
+      </form>
+    `,
+    buttons: [
+      {
+        action: 'request',
+        label: 'Request',
+        icon: 'fa-solid fa-dice',
+        default: true,
+        callback: (event, button, dialog) => {
+          const formData = new FormData(dialog.element.querySelector('form'));
+          const [category, skill] = String(formData.get('skill')).split('.');
+          return {
+            category,
+            skill,
+            label: skills[category].find(option => option.key === skill)?.label,
+            target: parseInt(formData.get('target')) || null,
+            actors: formData.getAll('actors').map(uuid => fromUuidSync(uuid)).filter(Boolean)
+          };
+        }
+      },
+      { action: 'cancel', label: 'Cancel', icon: 'fa-solid fa-times' }
+    ],
+    rejectClose: false,
+    modal: true
+  });
+
+  if (!request || typeof request !== 'object') return null;
+  return requestGroupCheck(request);
+}
+
+/** Results are applied one at a time so concurrent rolls don't overwrite each other */
+let pendingUpdate = Promise.resolve();
+
+/**
+ * Write one actor's result into the card
+ * @param {string} messageId - Group check message
+ * @param {string} actorUuid - Actor that rolled
+ * @param {Object} result - { total, success, margin, messageId }
+ * @returns {Promise<void>}
+ */
+function applyResult(messageId, actorUuid, result) {
+  pendingUpdate = pendingUpdate.then(async () => {
+    const message = game.messages.get(messageId);
+    const check = foundry.utils.deepClone(message?.getFlag('anyventure', 'groupCheck'));
+    const entry = check?.actors.find(a => a.actorUuid === actorUuid);
+    if (!entry || entry.result) return;
+
+    entry.result = result;
+    await message.update({
+      content: await renderGroupCheckCard(check),
+      'flags.anyventure.groupCheck': check
+    });
+  }).catch(error => logError('Failed to record group check result:', error));
+  return pendingUpdate;
+}
+
+/**
+ * Roll for one actor of the card through the normal skill dialog
+ * @param {ChatMessage} message - Group check message
+ * @param {string} actorUuid - Actor to roll for
+ */
+async function rollForEntry(message, actorUuid) {
+  const check = message.getFlag('anyventure', 'groupCheck');
+  const actor = await fromUuid(actorUuid);
+  if (!actor) return ui.notifications.warn('That actor no longer exists.');
+
+  await actor.rollSkill(check.category, check.skill, {
+    requiredCheck: check.target,
+    rollCallback: async (roll, data) => {
+      const result = {
+        total: roll.total,
+        success: check.target ? !roll.isFumble && (roll.isCritical || roll.total >= check.target) : null,
+        margin: check.target ? roll.total - check.target : null,
+        messageId: data.messageId
+      };
+      if (message.canUserModify(game.user, 'update')) await applyResult(message.id, actorUuid, result);
+      else await requestGMAction('groupCheckResult', { messageId: message.id, actorUuid, result });
+    }
+  });
+}
+
+/**
+ * Show Roll buttons to the owners of each actor and wire them up
+ * @param {ChatMessage} message
+ * @param {HTMLElement} html
+ */
+function onRenderChatMessage(message, html) {
+  if (!message.getFlag('anyventure', 'groupCheck')) return;
+
+  for (const button of html.querySelectorAll('[data-action="group-check-roll"]')) {
+    const actor = fromUuidSync(button.dataset.actorUuid);
+    if (!game.user.isGM && !actor?.isOwner) {
+      button.remove();
+      continue;
+    }
+    button.addEventListener('click', async (event) => {
+      event.preventDefault();
+      try {
+        await rollForEntry(message, button.dataset.actorUuid);
+      } catch (error) {
+        logError('Failed to roll for group check:', error);
+      }
+    });
+  }
+}
+
+/**
+ * Add the Request Check tool to the token controls (GM only)
+ * @param {Object<string, SceneControl>} controls
+ */
+function onGetSceneControlButtons(controls) {
+  const tokens = controls.tokens;
+  if (!tokens) return;
+  tokens.tools.requestCheck = {
+    name: 'requestCheck',
+    title: 'Request Check',
+    icon: 'fa-solid fa-dice-d20',
+    order: Object.keys(tokens.tools).length,
+    button: true,
+    visible: game.user.isGM,
+    onChange: () => openGroupCheckDialog()
+  };
+}
+
+/**
+ * Register the scene control, chat hook and GM socket handler for group checks
+ */
+export function registerGroupCheckHooks() {
+  Hooks.on('getSceneControlButtons', onGetSceneControlButtons);
+  Hooks.on('renderChatMessageHTML', onRenderChatMessage);
+
+  // Players may only record results for actors they own
+  registerSocketHandler('groupCheckResult', async ({ messageId, actorUuid, result }, userId) => {
+    const user = game.users.get(userId);
+    if (!user || !fromUuidSync(actorUuid)?.testUserPermission(user, 'OWNER')) return;
+    await applyResult(messageId, actorUuid, result);
+  });
+}
@@ -0,0 +1,355 @@
+/**
+ * Roll history
+ *
+ * Every Anyventure pool roll posted to chat (checks, attacks, spells, songs and
+ * both sides of a contest) is logged on the rolling actor in
+ * `flags.anyventure.rollHistory`: skill, die type, pool, result, success and
+ * resources spent. Rerolls and pushes replace the logged entry.
+ *
+ * Entries are tagged with the current session (world setting `session`), so
+ * the statistics view can break them down per session and the GM can post a
+ * recap of the night before starting the next one.
+ *
+ * The log is written once per roll: by the user who posted or changed the
+ * message when they own the actor, otherwise by the active GM.
+ */
+
+import { AnyventureRoll } from './dice/anyventure-roll.mjs';
+import { summarizeRolls } from './utils/roll-stats.js';
+import { formatChance } from './utils/formatters.mjs';
+import { logError } from './utils/logger.js';
+
+/** Entries kept per actor; the oldest are dropped first */
+export const MAX_ROLL_HISTORY = 500;
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+/**
+ * Register the session setting
+ */
+export function registerRollHistorySettings() {
+  game.settings.register('anyventure', 'session', {
+    name: 'Current Session',
+    scope: 'world',
+    config: false,
+    type: Object,
+    default: { id: 1, started: null }
+  });
+}
+
+/**
+ * @returns {{id: number, started: number|null}} - The session rolls are logged under
+ */
+export function currentSession() {
+  return game.settings.get('anyventure', 'session');
+}
+
+/**
+ * Close the current session and start logging under the next one (GM only)
+ * @returns {Promise<Object>} - The new session
+ */
+export async function startNewSession() {
+  const session = { id: (Number(currentSession().id) || 0) + 1, started: Date.now() };
+  await game.settings.set('anyventure', 'session', session);
+  ui.notifications.info(`Session ${session.id} started.`);
+  return session;
+}
+
+/**
+ * The actor each pool roll of a message belongs to
+ * @param {ChatMessage} message
+ * @returns {Array<{roll: AnyventureRoll, actor: Actor, index: number}>}
+ */
+function loggedRolls(message) {
+  const contest = message.getFlag('anyventure', 'contest');
+  const sides = contest ? [contest.initiator, contest.defender] : [];
+  const speakerActor = contest ? null : ChatMessage.getSpeakerActor(message.speaker);
+
+  return message.rolls.map((roll, index) => {
+    if (!(roll instanceof AnyventureRoll) || !roll._evaluated) return null;
+    const actor = contest ? fromUuidSync(sides[index]?.actorUuid ?? '') : speakerActor;
+    return actor ? { roll, actor, index } : null;
+  }).filter(Boolean);
+}
+
+/**
+ * Whether this client writes the log for an actor: the user who caused the
+ * change if they own it, otherwise the active GM
+ * @param {Actor} actor
+ * @param {string} userId - User who created or updated the message
+ * @returns {boolean}
+ */
+function isRecorder(actor, userId) {
+  const user = game.users.get(userId);
+  if (user && actor.testUserPermission(user, 'OWNER')) return userId === game.user.id;
+  return game.user === game.users.activeGM;
+}
+
+/**
+ * Log entry for one roll
+ * @param {ChatMessage} message
+ * @param {AnyventureRoll} roll
+ * @param {number} index - Position of the roll in the message
+ * @returns {Object}
+ */
+function historyEntry(message, roll, index) {
+  const details = roll.details;
+  const skill = details.skill ?? {};
+  const label = skill.label || (skill.key ? capitalize(skill.key) : details.title || capitalize(details.type || 'check'));
+
+  return {
+    id: `${message.id}.${index}`,
+    messageId: message.id,
+    time: message.timestamp ?? Date.now(),
+    session: Number(currentSession().id) || 1,
+    type: details.type || 'check',
+    skill: label,
+    skillKey: skill.key ? `${skill.category}.${skill.key}` : `${details.type}.${label}`,
+    dieType: details.dieType,
+    dice: roll.results.length,
+    bonus: Number(details.bonus) || 0,
+    penalty: Number(details.penalty) || 0,
+    results: roll.results.map(r => r.result),
+    total: roll.total,
+    target: roll.target,
+    success: roll.isSuccess,
+    crit: roll.isCritical,
+    fumble: roll.isFumble,
+    energy: Number(details.energy) || 0,
+    mana: Number(details.mana) || 0
+  };
+}
+
+/** History writes are applied one at a time so quick rolls don't overwrite each other */
+let pendingWrite = Promise.resolve();
+
+/**
+ * Add or replace entries in an actor's history
+ * @param {Actor} actor
+ * @param {Array<Object>} entries
+ * @returns {Promise<void>}
+ */
+function writeEntries(actor, entries) {
+  pendingWrite = pendingWrite.then(async () => {
+    const ids = new Set(entries.map(entry => entry.id));
+    const history = getRollHistory(actor).filter(entry => !ids.has(entry.id));
+    history.push(...entries);
+    await actor.setFlag('anyventure', 'rollHistory', history.slice(-MAX_ROLL_HISTORY));
+  }).catch(error => logError('Failed to record roll history:', error));
+  return pendingWrite;
+}
+
+/**
+ * Log the pool rolls of a message
+ * @param {ChatMessage} message
+ * @param {string} userId - User who created or updated the message
+ */
+function recordMessage(message, userId) {
+  const byActor = new Map();
+  for (const { roll, actor, index } of loggedRolls(message)) {
+    if (!isRecorder(actor, userId)) continue;
+    if (!byActor.has(actor)) byActor.set(actor, []);
+    byActor.get(actor).push(historyEntry(message, roll, index));
+  }
+  for (const [actor, entries] of byActor) writeEntries(actor, entries);
+}
+
+/**
+ * @param {Actor} actor
+ * @param {Object} [filter]
+ * @param {number} [filter.session] - Only entries from this session
+ * @returns {Array<Object>} - Logged rolls, oldest first
+ */
+export function getRollHistory(actor, { session } = {}) {
+  const history = actor?.getFlag('anyventure', 'rollHistory') ?? [];
+  return session === undefined ? [...history] : history.filter(entry => entry.session === session);
+}
+
+/**
+ * Forget an actor's logged rolls
+ * @param {Actor} actor
+ */
+export async function clearRollHistory(actor) {
+  await actor.unsetFlag('anyventure', 'rollHistory');
+}
+
+/**
+ * @param {number|null} value
+ * @returns {string}
+ */
+const formatAverage = (value) => (value === null ? '—' : value.toFixed(1));
+
+/**
+ * @param {Object} stats - summarizeRolls totals
+ * @returns {string}
+ */
+const formatRate = (stats) => (stats.successRate === null ? '—' : `${formatChance(stats.successRate)} (${stats.successes}/${stats.checks})`);
+
+/**
+ * Statistics table for one actor: per session, then per skill
+ * @param {Actor} actor
+ * @returns {string}
+ */
+function actorStatsHTML(actor) {
+  const history = getRollHistory(actor);
+  const sessions = [...new Set(history.map(entry => entry.session))].sort((a, b) => b - a);
+  const current = Number(currentSession().id) || 1;
+
+  const sessionRows = sessions.map(session => {
+    const stats = summarizeRolls(history.filter(entry => entry.session === session));
+    return `
+      <tr>
+        <td>Session ${session}${session === current ? ' (current)' : ''}</td>
+        <td>${stats.rolls}</td>
+        <td>${formatRate(stats)}</td>
+        <td>${stats.crits}</td>
+        <td>${stats.fumbles}</td>
+        <td>${stats.fizzles}</td>
+        <td>${stats.energySpent}</td>
+      </tr>`;
+  }).join('');
+
+  const skillRows = summarizeRolls(history).skills.map(skill => `
+      <tr>
+        <td>${foundry.utils.escapeHTML(skill.label)}</td>
+        <td>${skill.rolls}</td>
+        <td>${formatAverage(skill.average)}</td>
+        <td>${formatRate(skill)}</td>
+        <td>${skill.crits}</td>
+        <td>${skill.fumbles}</td>
+      </tr>`).join('');
+
+  return `
+    <h3>By Session</h3>
+    <table class="roll-stats-table">
+      <thead><tr><th>Session</th><th>Rolls</th><th>Success</th><th>Crits</th><th>Fumbles</th><th>Fizzles</th><th>Energy</th></tr></thead>
+      <tbody>${sessionRows}</tbody>
+    </table>
+    <h3>By Skill</h3>
+    <table class="roll-stats-table">
+      <thead><tr><th>Skill</th><th>Rolls</th><th>Average</th><th>Success</th><th>Crits</th><th>Fumbles</th></tr></thead>
+      <tbody>${skillRows}</tbody>
+    </table>
+  `;
+}
+
+/**
+ * Show an actor's roll statistics
+ * @param {Actor} actor
+ * @returns {Promise<void>}
+ */
+export async function showRollStatistics(actor) {
+  if (!getRollHistory(actor).length) {
+    ui.notifications.info(`${actor.name} has no logged rolls yet.`);
+    return;
+  }
+
+  const buttons = [{ action: 'close', label: 'Close', icon: 'fa-solid fa-check', default: true }];
+  if (actor.isOwner) buttons.push({ action: 'clear', label: 'Clear History', icon: 'fa-solid fa-trash' });
+
+  const choice = await foundry.applications.api.DialogV2.wait({
+    window: { title: `Roll Statistics: ${actor.name}` },
+    classes: ['anyventure-roll-stats'],
+    position: { width: 560 },
+    content: actorStatsHTML(actor),
+    buttons,
+    rejectClose: false
+  });
+
+  if (choice !== 'clear') return;
+  const confirmed = await foundry.applications.api.DialogV2.confirm({
+    window: { title: 'Clear Roll History' },
+    content: `<p>Forget every logged roll for ${actor.name}?</p>`,
+    rejectClose: false
+  });
+  if (confirmed) await clearRollHistory(actor);
+}
+
+/**
+ * Recap table of the current session for the player characters
+ * @returns {string}
+ */
+function sessionRecapHTML() {
+  const session = Number(currentSession().id) || 1;
+  const rows = game.actors
+    .filter(actor => actor.type === 'character' && actor.hasPlayerOwner)
+    .map(actor => ({ actor, stats: summarizeRolls(getRollHistory(actor, { session })) }))
+    .filter(({ stats }) => stats.rolls)
+    .map(({ actor, stats }) => `
+      <tr>
+        <td>${actor.name}</td>
+        <td>${stats.rolls}</td>
+        <td>${formatAverage(stats.average)}</td>
+        <td>${formatRate(stats)}</td>
+        <td>${stats.crits}</td>
+        <td>${stats.fumbles}</td>
+        <td>${stats.fizzles}</td>
+        <td>${stats.energySpent}</td>
+      </tr>`).join('');
+
+  return `
+    <div class="anyventure-session-recap">
+      <h3>Session ${session} Recap</h3>
+      ${rows ? `
+      <table class="roll-stats-table">
+        <thead><tr><th>Character</th><th>Rolls</th><th>Average</th><th>Success</th><th>Crits</th><th>Fumbles</th><th>Fizzles</th><th>Energy</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>` : '<p>No rolls logged this session.</p>'}
+    </div>
+  `;
+}
+
+/**
+ * GM recap of the current session, with options to post it and start the next session
+ * @returns {Promise<void>}
+ */
+export async function openSessionRecap() {
+  const content = sessionRecapHTML();
+  const choice = await foundry.applications.api.DialogV2.wait({
+    window: { title: 'Session Recap' },
+    classes: ['anyventure-roll-stats'],
+    position: { width: 640 },
+    content,
+    buttons: [
+      { action: 'post', label: 'Post to Chat', icon: 'fa-solid fa-comment', default: true },
+      { action: 'next', label: 'Start New Session', icon: 'fa-solid fa-forward' },
+      { action: 'close', label: 'Close', icon: 'fa-solid fa-times' }
+    ],
+    rejectClose: false
+  });
+
+  if (choice === 'post') {
+    await ChatMessage.create({ speaker: ChatMessage.getSpeaker({ alias: 'Gamemaster' }), content });
+  } else if (choice === 'next') {
+    await startNewSession();
+  }
+}
+
+/**
+ * Add the Session Recap tool to the token controls (GM only)
+ * @param {Object<string, SceneControl>} controls
+ */
+function onGetSceneControlButtons(controls) {
+  const tokens = controls.tokens;
+  if (!tokens) return;
+  tokens.tools.sessionRecap = {
+    name: 'sessionRecap',
+    title: 'Session Recap',
+    icon: 'fa-solid fa-chart-column',
+    order: Object.keys(tokens.tools).length,
+    button: true,
+    visible: game.user.isGM,
+    onChange: () => openSessionRecap()
+  };
+}
+
+/**
+ * Register the chat hooks that log rolls and the GM recap control
+ */
+export function registerRollHistoryHooks() {
+  Hooks.on('createChatMessage', (message, options, userId) => recordMessage(message, userId));
+  Hooks.on('updateChatMessage', (message, changes, options, userId) => {
+    if ('rolls' in changes) recordMessage(message, userId);
+  });
+  Hooks.on('getSceneControlButtons', onGetSceneControlButtons);
+}
@@ -1,3 +1,6 @@
+import { CONTESTED_ACTIONS, startContestedCheck } from '../contested-check.mjs';
+import { spendAction } from '../action-economy.mjs';
+
 /**
  * Ability Use Dialog for Anyventure system
  * Handles action and reaction ability usage with proper styling
@@ -91,6 +94,9 @@ export class AnyventureAbilityUseDialog extends foundry.applications.api.DialogV
       await this.item.update({ 'system.used': true });
     }
 
+    // Count it against the combatant's action economy
+    await spendAction(this.actor, { kind: this.abilityType === 'reaction' ? 'reaction' : 'action', energy: this.energyCost });
+
     // Get targeted tokens
     const targets = Array.from(game.user.targets);
     let targetInfo = '';
@@ -140,6 +146,12 @@ export class AnyventureAbilityUseDialog extends foundry.applications.api.DialogV
       style: CONST.CHAT_MESSAGE_STYLES.OTHER
     });
 
+    // Grab, Shove and similar actions roll a contested check against the target
+    const contested = CONTESTED_ACTIONS[this.item?.system?.anyventure_id];
+    if (contested && targets.length === 1) {
+      await startContestedCheck(this.actor, { ...contested, title: `${this.abilityName}: Contested Check` });
+    }
+
     // Return success
     return true;
   }
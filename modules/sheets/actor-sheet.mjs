@@ -6,7 +6,9 @@ import { AnyventureRestDialog } from "./rest-dialog.mjs";
 import { AnyventureSpellCastDialog } from "./spell-cast-dialog.mjs";
 import { AnyventureSongPerformanceDialog } from "./song-performance-dialog.mjs";
 import { AnyventureAbilityUseDialog } from "./ability-use-dialog.mjs";
-import { parseAndApplyCharacterEffects } from "../utils/character-parser.js";
+import { AnyventureRecalculatePreviewDialog } from "./recalculate-preview-dialog.mjs";
+import { AnyventureDicePool } from "../utils/dice-pool.js";
+import { parseAndApplyCharacterEffects, previewCharacterEffects, revertToPreviousBaseline } from "../utils/character-parser.js";
 
 const WEAPON_SLOTS = ['mainhand', 'offhand', 'extra1', 'extra2', 'extra3'];
 const EXTRA_WEAPON_SLOTS = ['extra1', 'extra2', 'extra3'];
@@ -1087,9 +1089,8 @@ export class AnyventureActorSheet extends foundry.appv1.sheets.ActorSheet {
       }
     }
 
-    // Determine dice type based on skill value (0=d4, 1=d6, 2=d8, 3=d10, 4=d12, 5=d16, 6=d20, 7=d24, 8=d30)
-    const diceTypes = ['d4', 'd6', 'd8', 'd10', 'd12', 'd16', 'd20', 'd24', 'd30'];
-    const diceType = diceTypes[Math.min(skillValue, 8)] || 'd4';
+    // Determine dice type based on skill value and tier
+    const diceType = AnyventureDicePool.dieForSkill(skillValue, skill.tier);
 
     // Base dice = talent + bonus attack dice from weapon
     const baseDice = Math.max(talent + bonusAttack, 1);
@@ -1118,7 +1119,7 @@ export class AnyventureActorSheet extends foundry.appv1.sheets.ActorSheet {
       totalPenalty += 1;
     }
 
-    const penaltyResult = this._applyPenaltyRules(baseDice, totalPenalty);
+    const pool = new AnyventureDicePool({ base: baseDice, penalty: totalPenalty, dieType: diceType, keep: 'all' });
 
     return {
       baseDice,
@@ -1127,8 +1128,8 @@ export class AnyventureActorSheet extends foundry.appv1.sheets.ActorSheet {
       inherentPenalty: talent <= 0 ? 1 : 0,
       conditionPenalty: totalPenalty - (talent <= 0 ? 1 : 0),
       totalPenalty,
-      dice: penaltyResult.diceCount,
-      keepLowest: penaltyResult.keepLowest,
+      dice: pool.diceCount,
+      keepLowest: pool.keepLowest,
       isOffhandAttack,
       dualWieldTier,
       extraEnergyCost: isOffhandAttack ? 1 : 0
@@ -1253,6 +1254,9 @@ export class AnyventureActorSheet extends foundry.appv1.sheets.ActorSheet {
     console.log(`Binding ${traitItems.length} trait click handlers`);
     traitItems.on('click', this._onTraitClick.bind(this));
 
+    // Stat breakdowns from the provenance ledger (available even in readonly mode)
+    this._activateProvenanceTooltips(html);
+
     // -------------------------------------------------------------
     // Everything below here is only needed if the sheet is editable
     if (!this.isEditable) return;
@@ -1422,6 +1426,34 @@ export class AnyventureActorSheet extends foundry.appv1.sheets.ActorSheet {
 
     // Recalculate character stats button
     html.find('.recalculate-character').click(this._onRecalculateCharacter.bind(this));
+    html.find('.revert-baseline').click(this._onRevertBaseline.bind(this));
+  }
+
+  /**
+   * Show which items contributed to each stat tagged with data-provenance
+   * @param {jQuery} html   The rendered sheet HTML
+   * @private
+   */
+  _activateProvenanceTooltips(html) {
+    if (typeof this.actor.getProvenance !== 'function') return;
+
+    const signed = (value) => (value > 0 ? `+${value}` : `${value}`);
+    const fieldLabels = { talent: ' talent', tier: ' tier', regen: ' regen' };
+
+    html.find('[data-provenance]').each((i, element) => {
+      const entries = this.actor.getProvenance(element.dataset.provenance);
+      if (!entries.length) return;
+
+      const lines = entries.map(entry => {
+        const leaf = entry.field.split('.').pop();
+        const amount = entry.set ? `= ${entry.value}` : signed(entry.value);
+        const gate = entry.gate ? ` (${entry.gate.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase()})` : '';
+        return `<div class="provenance-entry"><span>${Handlebars.escapeExpression(entry.source)}${gate}</span> <strong>${amount}${fieldLabels[leaf] || ''}</strong></div>`;
+      });
+
+      element.dataset.tooltip = `<div class="anyventure-provenance">${lines.join('')}</div>`;
+      element.dataset.tooltipDirection = 'UP';
+    });
   }
 
   /**
@@ -1487,6 +1519,8 @@ export class AnyventureActorSheet extends foundry.appv1.sheets.ActorSheet {
         return AnyventureRestDialog.show({ actor: this.actor });
       case 'fall-unconscious':
         return this._onFallUnconscious();
+      case 'roll-stats':
+        return this.actor.showRollStatistics();
     }
   }
 
@@ -1610,93 +1644,7 @@ export class AnyventureActorSheet extends foundry.appv1.sheets.ActorSheet {
    * Start Turn - restore energy based on regen, deduct resolve if at 0 health
    */
   async _onStartTurn() {
-    const base_energy_regen = 3;
-    const resources = this.actor.system.resources || {};
-    const energyRegen = (resources.energy?.regen || 0) + base_energy_regen;
-
-    // Check if at 0 health
-    const currentHealth = resources.health?.value || 0;
-    const atZeroHealth = currentHealth === 0;
-    let resolveDeducted = 0;
-
-    // Deduct resolve if at 0 health
-    if (atZeroHealth && resources.resolve) {
-      const currentResolve = resources.resolve.value || 0;
-      const newResolve = Math.max(currentResolve - 2, 0);
-      resolveDeducted = currentResolve - newResolve;
-
-      if (resolveDeducted > 0) {
-        await this.actor.update({ 'system.resources.resolve.value': newResolve });
-      }
-    }
-
-    if (resources.energy && energyRegen > 0) {
-      const current = resources.energy.value || 0;
-      const max = resources.energy.max || 0;
-      const newValue = Math.min(current + energyRegen, max);
-
-      if (newValue > current) {
-        await this.actor.update({ 'system.resources.energy.value': newValue });
-        this.render(false);
-
-        // Create energy restoration chat card with resolve info
-        await this._createEnergyRestorationChatCard(newValue - current, current, newValue, energyRegen, atZeroHealth, resolveDeducted);
-      }
-    } else if (atZeroHealth && resolveDeducted > 0) {
-      // If no energy regen but resolve was deducted, still show a card
-      await this._createEnergyRestorationChatCard(0, 0, 0, 0, atZeroHealth, resolveDeducted);
-    }
-  }
-
-  /**
-   * Create an energy restoration chat card for start turn
-   */
-  async _createEnergyRestorationChatCard(energyRestored, previousValue, newValue, totalRegen, atZeroHealth = false, resolveDeducted = 0) {
-    const baseRegen = 2;
-    const bonusRegen = totalRegen - baseRegen;
-
-    // Build chat card content using established card styling
-    let cardContent = `<div class="anyventure-energy-card">`;
-
-    // Main header
-    cardContent += `<div class="energy-header">`;
-    cardContent += `<div class="character-name"><strong>${this.actor.name}</strong> starts turn</div>`;
-
-    if (energyRestored > 0) {
-      cardContent += `<div class="energy-amount">`;
-      cardContent += `<span class="energy-restored">+${energyRestored} Energy</span>`;
-      cardContent += ` (${previousValue} → ${newValue})`;
-      cardContent += `</div>`;
-    }
-
-    cardContent += `</div>`;
-
-    // Details section - show breakdown if there are bonuses
-    if (bonusRegen > 0) {
-      cardContent += `<div class="energy-details">`;
-      cardContent += `<div class="detail-line">Base Regeneration: ${baseRegen}</div>`;
-      cardContent += `<div class="detail-line">Bonus Regeneration: ${bonusRegen}</div>`;
-      cardContent += `</div>`;
-    }
-
-    // Show resolve deduction if at 0 health
-    if (atZeroHealth && resolveDeducted > 0) {
-      cardContent += `<div class="energy-details" style="margin-top: 8px; border-top: 1px solid rgba(255,215,0,0.3); padding-top: 8px;">`;
-      cardContent += `<div class="detail-line" style="color: #f87171; font-weight: bold;">`;
-      cardContent += `⚠️ At 0 Health: -${resolveDeducted} Resolve`;
-      cardContent += `</div>`;
-      cardContent += `</div>`;
-    }
-
-    cardContent += `</div>`;
-
-    // Create and send the chat message
-    await ChatMessage.create({
-      speaker: ChatMessage.getSpeaker({ actor: this.actor }),
-      content: cardContent,
-      type: CONST.CHAT_MESSAGE_TYPES.OTHER,
-      rollMode: game.settings.get('core', 'rollMode'),
-    });
+    return this.actor.startTurn();
   }
 
   /**
@@ -1857,31 +1805,13 @@ export class AnyventureActorSheet extends foundry.appv1.sheets.ActorSheet {
     event.preventDefault();
     event.stopPropagation();
 
-    const musicElement = event.currentTarget;
-    const instrumentKey = musicElement.dataset.musicKey;
-    const talent = parseInt(musicElement.dataset.talent) || 0;
-
+    const instrumentKey = event.currentTarget.dataset.musicKey;
     if (!instrumentKey) {
       ui.notifications.warn('Instrument not found');
       return;
     }
 
-    // Calculate modifier: talent - 1
-    // 0 talent = -1 penalty, 1 = neutral, 2 = +1 bonus, 3 = +2 bonus
-    const modifier = talent - 1;
-
-    const options = {};
-    if (modifier > 0) {
-      options.initialBonusDice = modifier;
-    } else if (modifier < 0) {
-      options.initialPenaltyDice = Math.abs(modifier);
-    }
-
-    // Capitalize instrument name
-    const instrumentName = instrumentKey.charAt(0).toUpperCase() + instrumentKey.slice(1);
-    options.flavorSuffix = ` (${instrumentName})`;
-
-    return this.actor.rollSkill('basic', 'expression', options);
+    return this.actor.rollSkill('music', instrumentKey);
   }
 
   /**
@@ -2804,25 +2734,6 @@ export class AnyventureActorSheet extends foundry.appv1.sheets.ActorSheet {
     return false;
   }
 
-  _applyPenaltyRules(baseDice, penaltyDice) {
-    let dice = Math.max(Number(baseDice) || 0, 0);
-    if (dice <= 0) dice = 1;
-    let penalties = Math.max(Number(penaltyDice) || 0, 0);
-    let keepLowest = false;
-
-    while (penalties > 0) {
-      if (dice > 1 && !keepLowest) {
-        dice -= 1;
-      } else {
-        keepLowest = true;
-        dice += 1;
-      }
-      penalties -= 1;
-    }
-
-    return { diceCount: dice, keepLowest };
-  }
-
   _determineEquippedQuantity(item, { allowZero = true } = {}) {
     if (!item?.system) return 1;
     const stackLimitRaw = Number(item.system.stack_limit);
@@ -3262,6 +3173,28 @@ export class AnyventureActorSheet extends foundry.appv1.sheets.ActorSheet {
   async _onRecalculateCharacter(event) {
     event.preventDefault();
 
+    // Dry run first so the user can review the new baseline before it is written
+    let changes;
+    try {
+      ({ changes } = previewCharacterEffects(this.actor));
+    } catch (error) {
+      console.error("Error previewing recalculation:", error);
+      ui.notifications.error("Failed to preview character stats. See console for details.");
+      return;
+    }
+
+    AnyventureRecalculatePreviewDialog.show({
+      actor: this.actor,
+      changes,
+      onApply: () => this._applyRecalculation()
+    });
+  }
+
+  /**
+   * Commit a recalculation after the preview is confirmed
+   * @private
+   */
+  async _applyRecalculation() {
     try {
       // Show notification that recalculation is starting
       ui.notifications.info("Recalculating character stats...");
@@ -3281,6 +3214,28 @@ export class AnyventureActorSheet extends foundry.appv1.sheets.ActorSheet {
     }
   }
 
+  /**
+   * Handle reverting to the baseline saved by the previous Recalculate
+   * @param {Event} event   The originating click event
+   * @private
+   */
+  async _onRevertBaseline(event) {
+    event.preventDefault();
+
+    try {
+      const reverted = await revertToPreviousBaseline(this.actor);
+      if (!reverted) {
+        ui.notifications.warn("No previous baseline to revert to.");
+        return;
+      }
+      ui.notifications.info("Character stats reverted to the previous baseline.");
+      this.render(false);
+    } catch (error) {
+      console.error("Error reverting baseline:", error);
+      ui.notifications.error("Failed to revert character stats. See console for details.");
+    }
+  }
+
   /* -------------------------------------------- */
 
   /**
@@ -3310,7 +3265,7 @@ export class AnyventureActorSheet extends foundry.appv1.sheets.ActorSheet {
     }
 
     const baseDice = magicSkill.talent || 1;
-    const diceType = this._getDiceTypeForLevel(magicSkill.value || 0);
+    const diceType = this._getDiceTypeForLevel(magicSkill.value || 0, magicSkill.tier);
 
     // Calculate initial penalty dice from pain/stress
     const painPenalty = this.actor.calculatePainPenaltyDice();
@@ -3399,7 +3354,7 @@ export class AnyventureActorSheet extends foundry.appv1.sheets.ActorSheet {
     }
 
     const baseDice = expressionSkill.talent || 1;
-    const diceType = this._getDiceTypeForLevel(expressionSkill.value || 0);
+    const diceType = this._getDiceTypeForLevel(expressionSkill.value || 0, expressionSkill.tier);
 
     // Prepare harmony effects text
     let harmonyEffects = '';
@@ -3458,6 +3413,7 @@ export class AnyventureActorSheet extends foundry.appv1.sheets.ActorSheet {
   async _onToggleWoe(event) {
     event.preventDefault();
     if (this.actor.type !== 'character') return;
+    if (!game.user.isGM) return ui.notifications.warn('Only the GM can grant or waive Woe.');
 
     const currentState = this.actor.system.woe || false;
     await this.actor.update({
@@ -3470,12 +3426,12 @@ export class AnyventureActorSheet extends foundry.appv1.sheets.ActorSheet {
   /**
    * Helper method to convert skill level to dice type
    * @param {number} level - The skill level (0-8)
-   * @returns {string} - The dice type (d4-d30)
+   * @param {number} [tier=0] - The skill's tier modifier (upgrade/downgrade)
+   * @returns {string} - The dice type (d2-d30)
    * @private
    */
-  _getDiceTypeForLevel(level) {
-    const diceTypes = ['d4', 'd6', 'd8', 'd10', 'd12', 'd16', 'd20', 'd24', 'd30'];
-    return diceTypes[Math.min(Math.max(level, 0), 8)] || 'd4';
+  _getDiceTypeForLevel(level, tier = 0) {
+    return AnyventureDicePool.dieForSkill(level, tier);
   }
 
   /* -------------------------------------------- */
@@ -3550,7 +3506,7 @@ export class AnyventureActorSheet extends foundry.appv1.sheets.ActorSheet {
     if (magicSkill) {
       const talent = magicSkill.talent || 1;
       const skillLevel = magicSkill.value || 0;
-      const diceType = this._getDiceTypeForLevel(skillLevel);
+      const diceType = this._getDiceTypeForLevel(skillLevel, magicSkill.tier);
       const maxRoll = parseInt(diceType.substring(1)); // Extract number from "d20" -> 20
 
       enhancedSpell.system.castingFormula = `${talent}${diceType}`;
@@ -3582,7 +3538,7 @@ export class AnyventureActorSheet extends foundry.appv1.sheets.ActorSheet {
     if (expressionSkill) {
       const talent = expressionSkill.talent || 1;
       const skillLevel = expressionSkill.value || 0;
-      const diceType = this._getDiceTypeForLevel(skillLevel);
+      const diceType = this._getDiceTypeForLevel(skillLevel, expressionSkill.tier);
       const maxRoll = parseInt(diceType.substring(1)); // Extract number from "d20" -> 20
 
       enhancedSong.system.performanceFormula = `${talent}${diceType}`;
@@ -3623,106 +3579,13 @@ export class AnyventureActorSheet extends foundry.appv1.sheets.ActorSheet {
     event.preventDefault();
     event.stopPropagation();
 
-    const button = event.currentTarget;
-    const checkType = button.dataset.checkType;
-    const dc = parseInt(button.dataset.dc);
-    const conditionId = button.dataset.conditionId;
-
-    if (!checkType || !dc || !conditionId) {
+    const effect = this.actor.effects.get(event.currentTarget.dataset.conditionId);
+    if (!effect?.flags.anyventure?.checkType) {
       ui.notifications.warn("Missing condition data for recovery check.");
       return;
     }
 
-    // Map check types to their skill categories
-    const skillCategoryMap = {
-      'resilience': 'basic',
-      'concentration': 'basic',
-      'endurance': 'basic',
-      'fitness': 'basic',
-      'logic': 'basic',
-      'senses': 'basic'
-      // Add more mappings as needed for other conditions
-    };
-
-    const skillCategory = skillCategoryMap[checkType] || 'basic';
-    const skillName = checkType.charAt(0).toUpperCase() + checkType.slice(1);
-
-    // Get the skill and prepare roll data
-    const skill = this.actor.system[skillCategory]?.[checkType];
-    if (!skill) {
-      ui.notifications.warn(`Skill ${checkType} not found in ${skillCategory} category.`);
-      return;
-    }
-
-    // Import and use the roll dialog directly with a promise wrapper
-    const { AnyventureRollDialog } = await import('./roll-dialog.mjs');
-
-    // Create a promise that resolves when the dialog completes
-    const result = await new Promise((resolve) => {
-      const dialog = new AnyventureRollDialog({
-        title: `${skillName} Recovery Check`,
-        skillName: skillName,
-        baseDice: skill.talent || 1,
-        diceType: this._getDiceTypeForLevel(skill.value || 0),
-        actor: this.actor,
-        rollCallback: (roll, data) => {
-          // Resolve with the roll result (animation wait is handled in roll dialog)
-          resolve({ total: roll.total, roll: roll });
-        }
-      });
-
-      dialog.render({ force: true });
-
-      // Also handle cancel case
-      dialog.addEventListener('close', () => {
-        resolve(null); // Resolve with null if dialog is closed without rolling
-      });
-    });
-
-    if (!result) {
-      // Dialog was cancelled
-      return;
-    }
-
-    if (result.total >= dc) {
-      // Success! Remove the condition
-      const effect = this.actor.effects.get(conditionId);
-      if (effect) {
-        await effect.delete();
-        ui.notifications.info(`${this.actor.name} recovers from ${effect.label || checkType}!`);
-      }
-    } else {
-      // Failed - reduce DC by 1 each failed attempt (or by custom reduceBy amount)
-      // BUT only if reduceBy > 0 (static checks have reduceBy: 0)
-      const effect = this.actor.effects.get(conditionId);
-      if (effect && effect.flags.anyventure?.currentCheck) {
-        const reduceBy = effect.flags.anyventure.reduceBy !== undefined
-          ? effect.flags.anyventure.reduceBy
-          : 1; // Default to 1 if not specified
-
-        if (reduceBy === 0) {
-          // Static check - DC doesn't reduce (like ignited)
-          await effect.update({
-            'flags.anyventure.turnsActive': (effect.flags.anyventure.turnsActive || 0) + 1
-          });
-          ui.notifications.warn(`Recovery failed. Roll ${dc} or higher to recover.`);
-        } else {
-          // Progressive check - DC reduces each failure
-          const currentDC = effect.flags.anyventure.currentCheck;
-          const newDC = Math.max(1, currentDC - reduceBy);
-
-          await effect.update({
-            'flags.anyventure.currentCheck': newDC,
-            'flags.anyventure.turnsActive': (effect.flags.anyventure.turnsActive || 0) + 1
-          });
-
-          ui.notifications.info(`Recovery failed. Required Check reduced to ${newDC}.`);
-        }
-        this.render(false); // Refresh to show updated DC
-      } else {
-        ui.notifications.warn(`Recovery failed. Roll ${dc} or higher to recover.`);
-      }
-    }
+    await this.actor.rollConditionRecovery(effect);
   }
 
   /**
@@ -3836,7 +3699,7 @@ export class AnyventureActorSheet extends foundry.appv1.sheets.ActorSheet {
         title: `${skillName} Recovery Check`,
         skillName: skillName,
         baseDice: skill.talent || 1,
-        diceType: this._getDiceTypeForLevel(skill.value || 0),
+        diceType: this._getDiceTypeForLevel(skill.value || 0, skill.tier),
         actor: this.actor,
         rollCallback: (roll, data) => {
           // Resolve with the roll result
@@ -1,21 +1,8 @@
-function computePenaltyDiceConfig(baseDice, penaltyDice) {
-  let dice = Math.max(Number(baseDice) || 0, 0);
-  if (dice <= 0) dice = 1;
-  let penalties = Math.max(Number(penaltyDice) || 0, 0);
-  let keepLowest = false;
-
-  while (penalties > 0) {
-    if (dice > 1 && !keepLowest) {
-      dice -= 1;
-    } else {
-      keepLowest = true;
-      dice += 1;
-    }
-    penalties -= 1;
-  }
-
-  return { diceCount: dice, keepLowest };
-}
+import { AnyventureDicePool } from '../utils/dice-pool.js';
+import { formatPoolOdds } from '../utils/formatters.mjs';
+import { AnyventureRoll } from '../dice/anyventure-roll.mjs';
+import { wonderWoeFieldsHTML, readWonderWoe, consumeWonderWoe } from '../dice/wonder-woe.mjs';
+import { spendAction } from '../action-economy.mjs';
 
 /**
  * Attack Roll Dialog for Anyventure system
@@ -27,10 +14,11 @@ export class AnyventureAttackRollDialog extends foundry.applications.api.DialogV
     const baseDice = Math.max(Number(options.baseDice) || 1, 1);
     const diceType = options.diceType || "d6";
     const inherentPenalty = Math.max(Number(options.inherentPenalty) || 0, 0);
-    const baseConfig = computePenaltyDiceConfig(baseDice, inherentPenalty);
+    // Every die counts against the defense check, so attacks keep all dice
+    const basePool = new AnyventureDicePool({ base: baseDice, penalty: inherentPenalty, dieType: diceType, keep: 'all' });
     // Clean formula display - no "kl1" for disadvantage
-    const baseRollFormula = `${baseConfig.diceCount}${diceType}`;
-    const formulaClass = baseConfig.keepLowest ? ' class="disadvantage-formula"' : '';
+    const baseRollFormula = basePool.notation;
+    const formulaClass = basePool.keepLowest ? ' class="disadvantage-formula"' : '';
     const penaltyNote = inherentPenalty > 0
       ? `<p class="penalty-note"><strong>Base Penalty Dice:</strong> ${inherentPenalty}</p>`
       : '';
@@ -61,6 +49,8 @@ export class AnyventureAttackRollDialog extends foundry.applications.api.DialogV
             <input type="number" id="penalty-dice" name="penaltyDice" value="0" min="0" max="10" />
           </div>
 
+          ${wonderWoeFieldsHTML(options.actor)}
+
           <div class="form-group">
             <label for="defense-check">Defense Check (optional):</label>
             <input type="number" id="defense-check" name="defenseCheck" value="" placeholder="Enter target's defense roll" min="1" max="50" />
@@ -68,6 +58,7 @@ export class AnyventureAttackRollDialog extends foundry.applications.api.DialogV
 
           <div class="roll-preview">
             <p><strong>Final Roll:</strong> <span id="final-formula">${baseRollFormula}</span></p>
+            <p class="roll-odds" id="roll-odds"></p>
           </div>
         </form>
       `,
@@ -105,24 +96,26 @@ export class AnyventureAttackRollDialog extends foundry.applications.api.DialogV
     // Add event listeners for real-time formula updates
     const bonusInput = this.element.querySelector('#bonus-dice');
     const penaltyInput = this.element.querySelector('#penalty-dice');
+    const defenseInput = this.element.querySelector('#defense-check');
     const formulaDisplay = this.element.querySelector('#final-formula');
+    const oddsDisplay = this.element.querySelector('#roll-odds');
 
     const updateFormula = () => {
       const bonus = parseInt(bonusInput.value) || 0;
       const penalty = parseInt(penaltyInput.value) || 0;
-      const formula = this.calculateFormula(this.baseDice, bonus, penalty);
+      const spend = readWonderWoe(this.element, this.actor);
+      const pool = this.buildPool(bonus + spend.bonus, penalty + spend.penalty);
 
-      // Check if this is a disadvantage roll
-      const totalPenalty = this.inherentPenalty + penalty;
-      const baseWithBonus = Math.max(this.baseDice + bonus, 1);
-      const config = computePenaltyDiceConfig(baseWithBonus, totalPenalty);
-
-      formulaDisplay.textContent = formula;
-      formulaDisplay.className = config.keepLowest ? 'disadvantage-formula' : '';
+      // Clean formula display - disadvantage is shown through styling
+      formulaDisplay.textContent = pool.notation;
+      formulaDisplay.className = pool.keepLowest ? 'disadvantage-formula' : '';
+      oddsDisplay.textContent = formatPoolOdds(pool, [{ label: 'Hit', target: parseInt(defenseInput.value) }], { hits: true });
     };
 
     bonusInput.addEventListener('input', updateFormula);
     penaltyInput.addEventListener('input', updateFormula);
+    defenseInput.addEventListener('input', updateFormula);
+    this.element.querySelectorAll('.wonder-woe input').forEach(input => input.addEventListener('change', updateFormula));
 
     updateFormula();
 
@@ -143,34 +136,20 @@ export class AnyventureAttackRollDialog extends foundry.applications.api.DialogV
   }
 
   /**
-   * Calculate the final dice formula based on bonus/penalty dice
+   * Build the attack dice pool for the current bonus/penalty dice. Dual wield
+   * limits are already folded into baseDice/inherentPenalty by the sheet.
+   * @param {number} bonusDice
+   * @param {number} penaltyDice
+   * @returns {AnyventureDicePool}
    */
-  calculateFormula(baseDice, bonusDice, penaltyDice) {
-    // Apply dual wield modifications to baseDice for display
-    let adjustedBaseDice = baseDice;
-    let adjustedPenalty = this.inherentPenalty + penaltyDice;
-
-    // Apply dual wield rules for display calculations
-    if (this.dualWieldInfo.isOffhandAttack) {
-      switch (this.dualWieldInfo.dualWieldTier) {
-        case 0:
-          // Force talent to 1 for offhand attacks
-          adjustedBaseDice = 1;
-          break;
-        case 1:
-          // Add dual wield penalty for tier 1
-          adjustedPenalty += 1;
-          break;
-        case 2:
-          // No additional penalty for tier 2
-          break;
-      }
-    }
-
-    const baseWithBonus = Math.max(adjustedBaseDice + bonusDice, 1);
-    const config = computePenaltyDiceConfig(baseWithBonus, adjustedPenalty);
-    // Return clean formula without "kl1"
-    return `${config.diceCount}${this.diceType}`;
+  buildPool(bonusDice, penaltyDice) {
+    return new AnyventureDicePool({
+      base: this.baseDice,
+      bonus: bonusDice,
+      penalty: this.inherentPenalty + penaltyDice,
+      dieType: this.diceType,
+      keep: 'all'
+    });
   }
 
   /**
@@ -181,6 +160,7 @@ export class AnyventureAttackRollDialog extends foundry.applications.api.DialogV
     const bonusDice = parseInt(formData.get('bonusDice')) || 0;
     const penaltyDice = parseInt(formData.get('penaltyDice')) || 0;
     const defenseCheck = parseInt(formData.get('defenseCheck')) || null;
+    const spend = readWonderWoe(dialog.element, this.actor);
 
     // Energy availability check before rolling
     const energyCost = Number(this.attackData?.energy) || 0;
@@ -211,206 +191,58 @@ export class AnyventureAttackRollDialog extends foundry.applications.api.DialogV
     }
 
     const totalPenalty = this.inherentPenalty + penaltyDice;
-    const baseWithBonus = Math.max(this.baseDice + bonusDice, 1);
-    const rollConfig = computePenaltyDiceConfig(baseWithBonus, totalPenalty);
-    const suffix = rollConfig.keepLowest ? 'kl1' : '';
-    const formula = `${rollConfig.diceCount}${this.diceType}${suffix}`;
-
-    // Create the roll
-    const roll = new Roll(formula, this.actor?.getRollData() || {});
-    await roll.evaluate();
-
-    // Extract individual die results, preserving discarded state
-    const dieTerm = roll.dice?.[0] || roll.terms.find(t => Array.isArray(t?.results));
-    const detailedResults = Array.isArray(dieTerm?.results)
-      ? dieTerm.results.map(r => ({ result: r.result, discarded: Boolean(r.discarded) }))
-      : [];
-
-    const keptResults = detailedResults.filter(r => !r.discarded).map(r => r.result);
-    const discardedResults = detailedResults.filter(r => r.discarded).map(r => r.result);
-
-    const diceResultsDisplay = detailedResults.length > 0
-      ? detailedResults.map(r => {
-          const style = r.discarded ? ' style="color:#f87171;"' : '';
-          return `<span${style}>${r.result}</span>`;
-        }).join(', ')
-      : roll.result;
-
-    const keptResultsSorted = [...keptResults].sort((a, b) => b - a);
-
-    // Get targeted tokens
-    const targets = Array.from(game.user.targets);
-    let targetInfo = '';
-    if (targets.length > 0) {
-      const targetNames = targets.map(t => t.document.name).join(', ');
-      targetInfo = `<div class="attack-targets" style="text-align: center;"><strong>Target${targets.length > 1 ? 's' : ''}:</strong> ${targetNames}</div>`;
-    }
-
-    // Build structured flavor text with proper hierarchy
-    let flavorText = `<div class="anyventure-attack-card">`;
-
-    // 1. Weapon name (most important - bold and larger)
-    flavorText += `<div class="weapon-name"><strong>${this.weaponName}</strong></div>`;
-
-    // 2. Target info (if any)
-    flavorText += targetInfo;
-
-    // 3. Energy cost line (below name/targets, above results)
-    if (this.attackData.energy !== undefined) {
-      const e = Number(this.attackData.energy) || 0;
-      flavorText += `<div class="energy-cost">Energy: `;
-      if (e === 0) {
-        flavorText += `None`;
-      } else {
-        for (let i = 0; i < e; i++) flavorText += `<i class="fas fa-star filled"></i>`;
-      }
-      flavorText += `</div>`;
-    }
-
-    // 3. Dice Results
-    flavorText += `<div class="dice-results"><strong>Results:</strong> [${diceResultsDisplay}]</div>`;
-
-    // 4. Formula (smaller, less prominent)
-    const formulaString = `${rollConfig.diceCount}${this.diceType}${suffix}`;
-
-    const net = bonusDice - totalPenalty;
-    let netNote = '';
-    if (net < 0) {
-      const penaltyCount = Math.abs(net);
-      netNote = ` (${penaltyCount} penalty die${penaltyCount === 1 ? '' : 's'})`;
-    } else if (net > 0) {
-      netNote = ` (+${net} bonus die${net === 1 ? '' : 's'})`;
-    }
+    const pool = this.buildPool(bonusDice + spend.bonus, penaltyDice + spend.penalty);
 
-    flavorText += `<div class="formula">Formula: ${formulaString}${netNote}</div>`;
-
-    // 5. Damage with CSS color classes
+    // Primary and secondary damage as [main/extra] type
+    const damage = [];
     if (this.attackData.damage !== undefined) {
-      const damageType = this.attackData.damageType?.text || this.attackData.damageType || 'physical';
-      const damageTypeLower = damageType.toLowerCase();
-      const damageClass = `damage-type-${damageTypeLower}`;
-
-      flavorText += `<div class="damage-info">`;
-      flavorText += `<span class="damage-type ${damageClass}">[${this.attackData.damage}/${this.attackData.damageExtra}] ${damageType}</span>`;
-
+      damage.push({
+        amount: Number(this.attackData.damage) || 0,
+        extra: Number(this.attackData.damageExtra) || 0,
+        type: this.attackData.damageType?.text || this.attackData.damageType || 'physical'
+      });
       if (this.attackData.secondaryDamage > 0) {
-        const secondaryType = this.attackData.secondaryDamageType?.text || this.attackData.secondaryDamageType || 'physical';
-        const secondaryTypeLower = secondaryType.toLowerCase();
-        const secondaryClass = `damage-type-${secondaryTypeLower}`;
-        flavorText += `<span class="damage-type ${secondaryClass}">[${this.attackData.secondaryDamage}/${this.attackData.secondaryDamageExtra}] ${secondaryType}</span>`;
+        damage.push({
+          amount: Number(this.attackData.secondaryDamage) || 0,
+          extra: Number(this.attackData.secondaryDamageExtra) || 0,
+          type: this.attackData.secondaryDamageType?.text || this.attackData.secondaryDamageType || 'physical'
+        });
       }
-      flavorText += `</div>`;
     }
 
-    flavorText += `</div>`;
-
-    // Handle defense check comparison using proper dice highlighting
-    let hitResult = "";
-    if (defenseCheck !== null) {
-      // Sort all dice results from highest to lowest for display
-      const allResultsSorted = keptResults.slice().sort((a, b) => b - a);
-
-      // Determine crits based on die type
-      const getCritThreshold = (diceType) => {
-        switch(diceType) {
-          case 'd12': return 12;
-          case 'd16': return 15;
-          case 'd20': return 18;
-          case 'd24': return 20;
-          case 'd30': return 24;
-          default: return null;
-        }
-      };
-
-      const critThreshold = getCritThreshold(this.diceType);
-
-      // Create colored dice display
-      const coloredDice = allResultsSorted.map(result => {
-        let color = '#f87171'; // red for failures
-        let style = '';
-
-        if (result >= defenseCheck) {
-          color = '#4ade80'; // green for successes
-        }
-
-        if (critThreshold && result >= critThreshold) {
-          color = '#87ceeb'; // light blue for crits
-          style = 'font-weight: bold;';
-        }
-
-        return `<span style="color: ${color}; ${style}">${result}</span>`;
-      }).join(', ');
-
-      // Calculate damage if we have damage data
-      let damageOutput = '';
-      if (this.attackData.damage !== undefined && this.attackData.damageExtra !== undefined) {
-        const mainDamage = Number(this.attackData.damage) || 0;
-        const extraDamage = Number(this.attackData.damageExtra) || 0;
-
-        // Count hits and crits
-        const hits = allResultsSorted.filter(result => result >= defenseCheck);
-        const crits = allResultsSorted.filter(result => critThreshold && result >= critThreshold);
-
-        if (hits.length > 0) {
-          // Primary damage calculation
-          // First hit does main damage, others do extra damage
-          let totalPrimaryDamage = mainDamage;
-          if (hits.length > 1) {
-            totalPrimaryDamage += (hits.length - 1) * extraDamage;
-          }
-
-          // Add extra damage for crits
-          totalPrimaryDamage += crits.length * extraDamage;
-
-          // Get primary damage type and CSS class
-          const damageType = this.attackData.damageType?.text || this.attackData.damageType || 'physical';
-          const damageTypeLower = damageType.toLowerCase();
-          const damageClass = `damage-type-${damageTypeLower}`;
-
-          damageOutput = `<br><span class="damage-type ${damageClass}">${totalPrimaryDamage} ${damageType}</span>`;
-
-          // Secondary damage calculation (if exists)
-          if (this.attackData.secondaryDamage !== undefined && this.attackData.secondaryDamage > 0) {
-            const secondaryMain = Number(this.attackData.secondaryDamage) || 0;
-            const secondaryExtra = Number(this.attackData.secondaryDamageExtra) || 0;
-
-            // Same calculation for secondary
-            let totalSecondaryDamage = secondaryMain;
-            if (hits.length > 1) {
-              totalSecondaryDamage += (hits.length - 1) * secondaryExtra;
-            }
-
-            // Add extra damage for crits
-            totalSecondaryDamage += crits.length * secondaryExtra;
-
-            const secondaryType = this.attackData.secondaryDamageType?.text || this.attackData.secondaryDamageType || 'physical';
-            const secondaryTypeLower = secondaryType.toLowerCase();
-            const secondaryClass = `damage-type-${secondaryTypeLower}`;
-
-            damageOutput += `<br><span class="damage-type ${secondaryClass}">${totalSecondaryDamage} ${secondaryType}</span>`;
-          }
-        }
-      }
+    // Create the roll; hits, crits and damage totals are worked out by the roll itself
+    const roll = AnyventureRoll.fromPool(pool, {
+      type: 'attack',
+      title: this.weaponName,
+      target: defenseCheck,
+      targets: Array.from(game.user.targets).map(t => t.document.name),
+      energy: this.attackData.energy !== undefined ? Number(this.attackData.energy) || 0 : null,
+      damage,
+      wonderWoe: spend
+    }, this.actor?.getRollData() || {});
+    await roll.evaluate();
 
-      hitResult = `<div style="text-align: center; margin-top: 8px;"><strong>Contested Check:</strong> ${defenseCheck}<br>Results: [${coloredDice}]${damageOutput}</div>`;
-    }
+    const detailedResults = roll.results;
+    const keptResults = roll.keptResults;
+    const discardedResults = detailedResults.filter(r => r.discarded).map(r => r.result);
 
     // Send to chat
     await roll.toMessage({
       speaker: ChatMessage.getSpeaker({ actor: this.actor }),
-      flavor: flavorText + hitResult,
       rollMode: game.settings.get('core', 'rollMode'),
     });
+    await consumeWonderWoe(this.actor, spend);
 
     // Deduct energy on successful attack
     if (energyCost > 0 && this.actor) {
       const newEnergy = Math.max(0, currentEnergy - energyCost);
       await this.actor.update({ 'system.resources.energy.value': newEnergy });
     }
+    await spendAction(this.actor, { energy: energyCost });
 
     // Call the callback if provided
     if (this.rollCallback) {
-      const highestDie = keptResultsSorted.length > 0 ? keptResultsSorted[0] : 0;
+      const highestDie = keptResults.length > 0 ? keptResults[0] : 0;
       await this.rollCallback(roll, {
         bonusDice,
         penaltyDice,
@@ -421,7 +253,7 @@ export class AnyventureAttackRollDialog extends foundry.applications.api.DialogV
         highestDie,
         inherentPenalty: this.inherentPenalty,
         totalPenalty,
-        keepLowest: rollConfig.keepLowest,
+        keepLowest: pool.keepLowest,
         hit: defenseCheck ? highestDie >= defenseCheck : null
       });
     }
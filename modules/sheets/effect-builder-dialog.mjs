@@ -0,0 +1,436 @@
+/**
+ * Effect Builder Dialog for Anyventure system
+ * Form-based editor that writes data code strings without typing code letters
+ */
+
+import {
+  parseDataCode,
+  createEmptyDelta,
+  encodeDelta,
+  SKILL_CODES,
+  ATTRIBUTE_CODES,
+  WEAPON_CODES,
+  MAGIC_CODES,
+  CRAFTING_CODES,
+  MITIGATION_CODES,
+  RESOURCE_CODES,
+  WEAPON_MODIFICATION_CODES,
+  MOVEMENT_CODES,
+  IMMUNITY_CODES,
+  CONDITIONAL_CODES,
+  CONDITIONAL_GATES,
+  CONDITIONAL_PARAMETERS,
+  FLAG_CODES
+} from '../utils/data-parser.js';
+import { dataCodes } from '../utils/data-code-registry.js';
+import { getDeltaSummary } from '../utils/foundry-module-parser.js';
+import { lintDataCode, formatDiagnostic } from '../utils/data-code-validator.js';
+
+/**
+ * Effect families offered by the builder.
+ * `modes` lists what a row can change (none = presence only); `gated` families may sit behind a conditional.
+ */
+const EFFECT_FAMILIES = {
+  skill: { label: 'Skill', targets: Object.values(SKILL_CODES), modes: ['value', 'tier'], gated: true },
+  attribute: { label: 'Attribute', targets: Object.values(ATTRIBUTE_CODES), modes: ['value'] },
+  weapon: { label: 'Weapon Skill', targets: Object.values(WEAPON_CODES), modes: ['value', 'talent', 'tier'] },
+  magic: { label: 'Magic Skill', targets: Object.values(MAGIC_CODES), modes: ['value', 'talent'] },
+  crafting: { label: 'Crafting Skill', targets: Object.values(CRAFTING_CODES), modes: ['value', 'talent', 'tier'] },
+  mitigation: { label: 'Mitigation', targets: Object.values(MITIGATION_CODES), modes: ['value'], gated: true },
+  resource: {
+    label: 'Resource',
+    targets: [...Object.values(RESOURCE_CODES), ...Object.values(WEAPON_MODIFICATION_CODES), 'dualWieldTier'],
+    modes: ['value']
+  },
+  movement: { label: 'Movement', targets: Object.values(MOVEMENT_CODES), modes: ['value'] },
+  immunity: { label: 'Immunity', targets: Object.values(IMMUNITY_CODES), modes: [] },
+  flag: { label: 'Flag', targets: Object.values(FLAG_CODES), modes: [] }
+};
+
+const MODE_LABELS = { value: 'Value', talent: 'Talent', tier: 'Dice Tier' };
+
+// Skill object collections on the delta, keyed by family
+const SKILL_OBJECT_FIELDS = { weapon: 'weaponSkills', magic: 'magicSkills', crafting: 'craftingSkills' };
+
+/**
+ * Turn a camelCase or SNAKE_CASE key into a label
+ * @param {string} key
+ * @returns {string}
+ */
+function labelize(key) {
+  return String(key)
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .replace(/_/g, ' ')
+    .toLowerCase()
+    .replace(/\b\w/g, c => c.toUpperCase());
+}
+
+/**
+ * Effects in a data code that cannot survive a parse and re-encode (e.g. TP, or
+ * an add-on family without an encoder). Zero values are dropped on purpose.
+ * Unreadable codes are left to the validator.
+ * @param {string} code
+ * @returns {Array<string>}
+ */
+function unencodableEffects(code) {
+  return String(code || '').split(':').map(e => e.trim()).filter(effect =>
+    effect && !/=0$/.test(effect) && dataCodes.match(effect) && !encodeDelta(parseDataCode(effect)));
+}
+
+/**
+ * Break a delta into builder rows. Traits, abilities, scaling effects and
+ * add-on family fields have no row type and are returned separately.
+ * @param {Object} delta - Parsed delta
+ * @returns {{rows: Array<Object>, preserved: Object}} - preserved: traits, abilities, expressions and add-on delta fields
+ */
+function deltaToEffectRows(delta) {
+  const rows = [];
+  const push = (family, target, mode, value, gate = '') => rows.push({ family, target, mode, value, gate });
+
+  Object.entries(delta.attributes).forEach(([k, v]) => v && push('attribute', k, 'value', v));
+  Object.keys(delta.skills).forEach(k => {
+    if (delta.skills[k]) push('skill', k, 'value', delta.skills[k]);
+    if (delta.skillTierModifiers[k]) push('skill', k, 'tier', delta.skillTierModifiers[k]);
+  });
+  Object.entries(SKILL_OBJECT_FIELDS).forEach(([family, field]) => {
+    Object.entries(delta[field]).forEach(([k, data]) => {
+      if (data.skill) push(family, k, 'value', data.skill);
+      if (data.talent) push(family, k, 'talent', data.talent);
+      if (data.tier) push(family, k, 'tier', data.tier);
+    });
+  });
+  Object.entries(delta.mitigation).forEach(([k, v]) => v && push('mitigation', k, 'value', v));
+  Object.entries(delta.resources).forEach(([k, v]) => v && push('resource', k, 'value', v));
+  Object.entries(delta.weaponModifications).forEach(([k, v]) => v && push('resource', k, 'value', v));
+  if (delta.combatFeatures.dualWieldTier) push('resource', 'dualWieldTier', 'value', delta.combatFeatures.dualWieldTier);
+  Object.entries(delta.movement).forEach(([k, v]) => v && push('movement', k, 'value', v));
+  delta.immunities.forEach(k => push('immunity', k, null, null));
+  Object.keys(delta.flags).forEach(k => delta.flags[k] && push('flag', k, null, null));
+
+  // Conditionals: sum effects per subtype so rows match the canonical encoding.
+  // Parameterized gates become "condition:prone", "combatPhase:early", ...
+  CONDITIONAL_GATES.forEach(gate => {
+    const totals = {};
+    (delta.conditionals[gate] || []).forEach(effect => {
+      const gateKey = effect.param ? `${gate}:${effect.param}` : gate;
+      const key = `${gateKey}|${effect.type}:${effect.subtype}`;
+      totals[key] = (totals[key] || 0) + (effect.value || 0);
+    });
+    Object.entries(totals).forEach(([key, value]) => {
+      const [gateKey, target] = key.split('|');
+      const [type, subtype] = target.split(':');
+      if (value) push(type, subtype, 'value', value, gateKey);
+    });
+  });
+
+  const addonFields = Object.keys(dataCodes.createDeltaShape());
+  return {
+    rows,
+    preserved: {
+      traits: delta.traits || [],
+      abilities: delta.abilities || [],
+      expressions: delta.expressions || [],
+      ...Object.fromEntries(addonFields.map(field => [field, delta[field]]))
+    }
+  };
+}
+
+/**
+ * Build a delta from builder rows
+ * @param {Array<Object>} rows - Builder rows
+ * @param {Object} preserved - Delta fields carried over unchanged (see deltaToEffectRows)
+ * @returns {Object} - Delta
+ */
+function effectRowsToDelta(rows, preserved) {
+  const delta = createEmptyDelta();
+
+  for (const row of rows) {
+    const family = EFFECT_FAMILIES[row.family];
+    if (!family || !family.targets.includes(row.target)) continue;
+    const value = parseInt(row.value) || 0;
+
+    if (row.gate && family.gated && row.mode === 'value') {
+      const [gate, param] = row.gate.split(':');
+      if (value && delta.conditionals[gate]) {
+        delta.conditionals[gate].push({ type: row.family, subtype: row.target, value, ...(param ? { param } : {}) });
+      }
+      continue;
+    }
+
+    switch (row.family) {
+      case 'skill':
+        if (row.mode === 'tier') delta.skillTierModifiers[row.target] += value;
+        else delta.skills[row.target] += value;
+        break;
+      case 'attribute':
+        delta.attributes[row.target] += value;
+        break;
+      case 'weapon':
+      case 'magic':
+      case 'crafting': {
+        const field = row.mode === 'value' ? 'skill' : row.mode;
+        delta[SKILL_OBJECT_FIELDS[row.family]][row.target][field] += value;
+        break;
+      }
+      case 'mitigation':
+        delta.mitigation[row.target] += value;
+        break;
+      case 'resource':
+        if (row.target === 'dualWieldTier') {
+          delta.combatFeatures.dualWieldTier = Math.max(delta.combatFeatures.dualWieldTier, Math.min(Math.max(value, 0), 2));
+        } else if (delta.weaponModifications[row.target] !== undefined) {
+          delta.weaponModifications[row.target] += value;
+        } else {
+          delta.resources[row.target] += value;
+        }
+        break;
+      case 'movement':
+        delta.movement[row.target] += value;
+        break;
+      case 'immunity':
+        if (!delta.immunities.includes(row.target)) delta.immunities.push(row.target);
+        break;
+      case 'flag':
+        delta.flags[row.target] = true;
+        break;
+    }
+  }
+
+  Object.entries(preserved).forEach(([field, value]) => {
+    delta[field] = foundry.utils.deepClone(value);
+  });
+  return delta;
+}
+
+/**
+ * Build <option> markup
+ * @param {Array<[string, string]>} entries - [value, label] pairs
+ * @param {string} selected - Selected value
+ * @returns {string}
+ */
+function renderOptions(entries, selected) {
+  return entries.map(([value, label]) =>
+    `<option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>`
+  ).join('');
+}
+
+/**
+ * Conditional gate choices, including every parameter of the parameterized gates
+ * @param {Array<string>} [current] - Gates already used by rows, kept even if not offered
+ * @returns {Array<[string, string]>}
+ */
+function gateChoices(current = []) {
+  const conditionIds = (CONFIG.statusEffects || []).map(status => status.id).filter(Boolean);
+  const parameters = { ...CONDITIONAL_PARAMETERS, condition: conditionIds };
+  const choices = [
+    ['', 'Always'],
+    ...Object.values(CONDITIONAL_CODES).map(gate => [gate, labelize(gate)]),
+    ...Object.entries(parameters).flatMap(([gate, params]) =>
+      params.map(param => [`${gate}:${param}`, `${labelize(gate)}: ${labelize(param)}`]))
+  ];
+  current.filter(gate => gate && !choices.some(([value]) => value === gate))
+    .forEach(gate => choices.push([gate, labelize(gate)]));
+  return choices;
+}
+
+export class AnyventureEffectBuilderDialog extends foundry.applications.api.DialogV2 {
+
+  /**
+   * @param {Object} options
+   * @param {string} [options.code] - Existing data code to load
+   * @param {string} [options.title] - Window title
+   * @param {Function} options.onSave - Called with the encoded data code
+   */
+  constructor(options = {}) {
+    super({
+      window: {
+        title: options.title || "Effect Builder",
+        contentClasses: ["anyventure-effect-builder"]
+      },
+      position: { width: 640 },
+      content: `
+        <form>
+          <div class="effect-rows"></div>
+          <button type="button" class="add-effect-row"><i class="fas fa-plus"></i> Add Effect</button>
+          <div class="effect-preserved"></div>
+          <div class="effect-preview">
+            <h4>Preview</h4>
+            <div class="effect-summary"></div>
+            <p><strong>Data Code:</strong> <code class="effect-code"></code></p>
+            <ul class="effect-problems"></ul>
+          </div>
+        </form>
+      `,
+      buttons: [
+        {
+          action: "save",
+          label: "Save",
+          icon: "fa-solid fa-save",
+          callback: () => this.handleSave()
+        },
+        {
+          action: "cancel",
+          label: "Cancel",
+          icon: "fa-solid fa-times"
+        }
+      ]
+    });
+
+    const { rows, preserved } = deltaToEffectRows(parseDataCode(options.code || ''));
+    this.rows = rows;
+    this.preserved = preserved;
+    this.onSave = options.onSave;
+
+    // Codes the parser could not read are reported so the author knows they will be dropped
+    this.initialProblems = lintDataCode(options.code || '').diagnostics;
+    // Codes that parse but cannot be written back; saving would lose them, so it is refused
+    this.unencodable = unencodableEffects(options.code);
+  }
+
+  /** @override */
+  async _onRender(context, options) {
+    super._onRender(context, options);
+
+    const form = this.element.querySelector('form');
+    form.querySelector('.add-effect-row').addEventListener('click', () => {
+      this.rows.push({ family: 'skill', target: EFFECT_FAMILIES.skill.targets[0], mode: 'value', value: 1, gate: '' });
+      this._renderRows();
+    });
+
+    // Row edits are delegated so re-rendered rows keep working
+    const rowsEl = form.querySelector('.effect-rows');
+    rowsEl.addEventListener('change', (event) => this._onRowChange(event));
+    rowsEl.addEventListener('input', (event) => {
+      if (event.target.name === 'value') this._onRowChange(event);
+    });
+    rowsEl.addEventListener('click', (event) => {
+      const button = event.target.closest('.remove-effect-row');
+      if (!button) return;
+      this.rows.splice(Number(button.closest('.effect-row').dataset.index), 1);
+      this._renderRows();
+    });
+
+    this._renderPreserved();
+    this._renderRows();
+  }
+
+  /**
+   * Sync a row from its inputs; family changes reset the dependent fields
+   * @param {Event} event
+   * @private
+   */
+  _onRowChange(event) {
+    const rowEl = event.target.closest('.effect-row');
+    if (!rowEl) return;
+    const row = this.rows[Number(rowEl.dataset.index)];
+    const field = event.target.name;
+
+    row[field] = event.target.value;
+    if (field === 'family') {
+      const family = EFFECT_FAMILIES[row.family];
+      row.target = family.targets[0];
+      row.mode = family.modes[0] ?? null;
+      row.value = family.modes.length ? 1 : null;
+      row.gate = '';
+      this._renderRows();
+      return;
+    }
+    if (field === 'mode') {
+      if (row.mode !== 'value') row.gate = '';
+      this._renderRows();
+      return;
+    }
+    this._updatePreview();
+  }
+
+  /**
+   * Render the effect rows
+   * @private
+   */
+  _renderRows() {
+    const gates = gateChoices(this.rows.map(row => row.gate));
+    const rowsEl = this.element.querySelector('.effect-rows');
+
+    rowsEl.innerHTML = this.rows.map((row, index) => {
+      const family = EFFECT_FAMILIES[row.family];
+      const canGate = family.gated && row.mode === 'value';
+      return `
+        <div class="effect-row" data-index="${index}">
+          <select name="family">${renderOptions(Object.entries(EFFECT_FAMILIES).map(([k, f]) => [k, f.label]), row.family)}</select>
+          <select name="target">${renderOptions(family.targets.map(t => [t, labelize(t)]), row.target)}</select>
+          ${family.modes.length ? `
+            <select name="mode">${renderOptions(family.modes.map(m => [m, MODE_LABELS[m]]), row.mode)}</select>
+            <input type="number" name="value" value="${row.value ?? 0}" step="1"/>
+          ` : '<span class="effect-row-spacer"></span>'}
+          <select name="gate" ${canGate ? '' : 'disabled'} title="Conditional gate">${renderOptions(gates, canGate ? row.gate : '')}</select>
+          <a class="remove-effect-row" title="Remove Effect"><i class="fas fa-trash"></i></a>
+        </div>`;
+    }).join('');
+
+    this._updatePreview();
+  }
+
+  /**
+   * List traits and abilities that are carried over untouched
+   * @private
+   */
+  _renderPreserved() {
+    const codes = encodeDelta({ ...createEmptyDelta(), ...this.preserved });
+    // Preserved codes can carry free text (TX=...), so they go in as text
+    const container = this.element.querySelector('.effect-preserved');
+    container.innerHTML = codes ? '<p class="hint">Also keeps trait, ability, scaling and add-on codes: <code></code></p>' : '';
+    if (codes) container.querySelector('code').textContent = codes;
+
+    if (this.unencodable.length) {
+      const warning = document.createElement('p');
+      warning.className = 'effect-unencodable';
+      warning.textContent = `The builder cannot keep ${this.unencodable.join(', ')}; edit this data code by hand instead.`;
+      container.append(warning);
+      const save = this.element.querySelector('[data-action="save"]');
+      if (save) save.disabled = true;
+    }
+  }
+
+  /**
+   * Refresh the summary, encoded code and diagnostics
+   * @private
+   */
+  _updatePreview() {
+    const delta = effectRowsToDelta(this.rows, this.preserved);
+    const code = encodeDelta(delta);
+    const summary = getDeltaSummary(delta);
+
+    this.element.querySelector('.effect-summary').innerHTML = Object.entries(summary)
+      .filter(([, lines]) => lines.length > 0)
+      .map(([category, lines]) => `<p><strong>${labelize(category)}:</strong> ${foundry.utils.escapeHTML(lines.join('; '))}</p>`)
+      .join('') || '<p class="hint">No effects</p>';
+    this.element.querySelector('.effect-code').textContent = code || '(empty)';
+
+    // Show problems from the original code first, then anything the new code still trips on
+    const problems = [...this.initialProblems, ...lintDataCode(code).diagnostics]
+      .filter(d => d.severity === 'error')
+      .map(d => `<li>${Handlebars.escapeExpression(formatDiagnostic(d))}</li>`);
+    this.element.querySelector('.effect-problems').innerHTML = problems.join('');
+  }
+
+  /**
+   * Encode the rows and hand the code back to the caller
+   */
+  async handleSave() {
+    if (this.unencodable.length) {
+      ui.notifications.warn(`Not saved: the builder cannot keep ${this.unencodable.join(', ')}.`);
+      return;
+    }
+    const code = encodeDelta(effectRowsToDelta(this.rows, this.preserved));
+    if (this.onSave) await this.onSave(code);
+  }
+
+  /**
+   * Static method to show the effect builder
+   * @param {Object} options - See constructor
+   */
+  static async show(options) {
+    const dialog = new AnyventureEffectBuilderDialog(options);
+    return dialog.render({ force: true });
+  }
+}
@@ -0,0 +1,299 @@
+import { estimateDifficulty } from "../utils/encounter-difficulty.js";
+import { getPhaseRules, isGruntCombatant } from "../combat.mjs";
+import { logError } from "../utils/logger.js";
+
+/** Tokens per row when placing a side on the scene */
+const TOKENS_PER_ROW = 4;
+
+/**
+ * Encounter Builder
+ * GM tool for planning a fight: drop characters into the party and NPCs into
+ * the enemies, read the difficulty estimate (utils/encounter-difficulty.js),
+ * then create the Combat on the current scene with tokens placed and
+ * initiative rolled.
+ */
+export class AnyventureEncounterBuilder extends foundry.applications.api.DialogV2 {
+  constructor(options = {}) {
+    super({
+      window: { title: 'Encounter Builder', contentClasses: ['anyventure-encounter-builder'] },
+      position: { width: 640 },
+      content: `
+        <form class="encounter-builder-form">
+          <div class="encounter-sides">
+            <section class="encounter-side" data-side="party">
+              <h3>Party</h3>
+              <ol class="encounter-list"></ol>
+              <p class="hint">Drop characters here.</p>
+              <button type="button" class="add-player-characters"><i class="fa-solid fa-users"></i> Add Player Characters</button>
+            </section>
+            <section class="encounter-side" data-side="enemies">
+              <h3>Enemies</h3>
+              <ol class="encounter-list"></ol>
+              <p class="hint">Drop NPCs here.</p>
+            </section>
+          </div>
+          <div class="encounter-estimate"></div>
+        </form>
+      `,
+      buttons: [
+        { action: 'create', label: 'Create Combat', icon: 'fa-solid fa-swords', default: true, callback: () => this._createCombat() },
+        { action: 'cancel', label: 'Cancel', icon: 'fa-solid fa-times' }
+      ],
+      ...options
+    });
+    /** @type {Array<Actor>} */
+    this.party = [];
+    /** @type {Array<{actor: Actor, count: number}>} */
+    this.enemies = [];
+  }
+
+  /** @override */
+  _onRender(context, options) {
+    super._onRender(context, options);
+
+    for (const zone of this.element.querySelectorAll('.encounter-side')) {
+      zone.addEventListener('dragover', event => event.preventDefault());
+      zone.addEventListener('drop', event => this._onDropActor(event, zone.dataset.side));
+    }
+
+    this.element.querySelector('.add-player-characters')?.addEventListener('click', (event) => {
+      event.preventDefault();
+      const characters = game.users.filter(user => !user.isGM && user.character).map(user => user.character);
+      for (const actor of characters) this._addPartyMember(actor);
+      this._refresh();
+    });
+
+    // Lists are rebuilt on every change, so listen on the form
+    const form = this.element.querySelector('form');
+    form.addEventListener('click', (event) => {
+      const remove = event.target.closest('.encounter-remove');
+      if (!remove) return;
+      event.preventDefault();
+      const { side, index } = remove.closest('[data-index]').dataset;
+      this[side].splice(Number(index), 1);
+      this._refresh();
+    });
+    form.addEventListener('change', (event) => {
+      if (!event.target.matches('.encounter-count')) return;
+      const index = Number(event.target.closest('[data-index]').dataset.index);
+      this.enemies[index].count = Math.max(1, parseInt(event.target.value) || 1);
+      this._refresh();
+    });
+
+    this._refresh();
+  }
+
+  /**
+   * Add a dropped actor to a side
+   * @param {DragEvent} event
+   * @param {string} side - party or enemies
+   */
+  async _onDropActor(event, side) {
+    event.preventDefault();
+    const data = foundry.applications.ux.TextEditor.implementation.getDragEventData(event);
+    if (data.type !== 'Actor') return;
+    const actor = await fromUuid(data.uuid);
+    if (!actor) return;
+
+    if (side === 'party') {
+      if (actor.type !== 'character') return ui.notifications.warn('Only characters can join the party.');
+      this._addPartyMember(actor);
+    } else {
+      if (actor.type !== 'npc') return ui.notifications.warn('Only NPCs can be added as enemies.');
+      const existing = this.enemies.find(enemy => enemy.actor.uuid === actor.uuid);
+      if (existing) existing.count += 1;
+      else this.enemies.push({ actor, count: 1 });
+    }
+    this._refresh();
+  }
+
+  /**
+   * @param {Actor} actor
+   */
+  _addPartyMember(actor) {
+    if (!this.party.some(member => member.uuid === actor.uuid)) this.party.push(actor);
+  }
+
+  /**
+   * Redraw both lists and the estimate
+   */
+  _refresh() {
+    const lists = {
+      party: this.party.map((actor, index) => {
+        const { health, energy } = actor.system.resources ?? {};
+        return this._rowHTML('party', index, actor, `${health?.value ?? 0}/${health?.max ?? 0} HP · ${energy?.value ?? 0}/${energy?.max ?? 0} Energy`);
+      }),
+      enemies: this.enemies.map(({ actor, count }, index) => {
+        const tier = actor.system.creatureTier ?? 'standard';
+        const details = `${tier.charAt(0).toUpperCase() + tier.slice(1)} · CR ${actor.system.challengeRating ?? 0}`;
+        return this._rowHTML('enemies', index, actor, details, `<input type="number" class="encounter-count" value="${count}" min="1" max="20" />`);
+      })
+    };
+    for (const [side, rows] of Object.entries(lists)) {
+      this.element.querySelector(`[data-side="${side}"] .encounter-list`).innerHTML = rows.join('');
+    }
+    this.element.querySelector('.encounter-estimate').innerHTML = this._estimateHTML();
+  }
+
+  /**
+   * One actor row
+   * @param {string} side
+   * @param {number} index
+   * @param {Actor} actor
+   * @param {string} details
+   * @param {string} [controls]
+   * @returns {string}
+   */
+  _rowHTML(side, index, actor, details, controls = '') {
+    return `
+      <li class="encounter-actor" data-side="${side}" data-index="${index}">
+        <img src="${actor.img}" alt="" />
+        <div class="encounter-actor-name">${actor.name}<span class="encounter-actor-details">${details}</span></div>
+        ${controls}
+        <a class="encounter-remove" title="Remove"><i class="fa-solid fa-xmark"></i></a>
+      </li>`;
+  }
+
+  /**
+   * Difficulty estimate and turns per phase
+   * @returns {string}
+   */
+  _estimateHTML() {
+    if (!this.party.length || !this.enemies.length) {
+      return '<p class="hint">Add a party and at least one enemy to estimate the difficulty.</p>';
+    }
+    const estimate = estimateDifficulty({
+      party: this.party.map(actor => ({ health: actor.system.resources?.health, energy: actor.system.resources?.energy })),
+      enemies: this.enemies.map(({ actor, count }) => ({
+        tier: actor.system.creatureTier,
+        challengeRating: actor.system.challengeRating,
+        health: actor.system.resources?.health,
+        count
+      }))
+    }, getPhaseRules());
+
+    const phaseRows = estimate.phases.map(phase => `
+      <tr><td>${phase.label}</td><td>${phase.party}</td><td>${phase.enemies}</td></tr>`).join('');
+    const score = Number.isFinite(estimate.score) ? estimate.score.toFixed(2) : '—';
+    return `
+      <div class="encounter-rating rating-${estimate.rating.key}">${estimate.rating.label} <span>(${score})</span></div>
+      <p class="hint">
+        Threat ${estimate.threat.toFixed(1)} against ${estimate.partyPower.toFixed(1)} party turns per round;
+        the party has ${Math.round(estimate.freshness * 100)}% of its health and energy, the enemies
+        ${estimate.durability.toFixed(1)}× the party's health.
+      </p>
+      <table class="encounter-phases">
+        <thead><tr><th>Turns per Round</th><th>Party</th><th>Enemies</th></tr></thead>
+        <tbody>${phaseRows}</tbody>
+      </table>
+      <p class="hint">Before initiative: characters and unrolled creatures are counted in the phase unrolled initiative acts in.</p>
+    `;
+  }
+
+  /**
+   * Place a side's tokens as a block on the scene
+   * @param {Scene} scene
+   * @param {Array<Actor>} actors - One entry per token
+   * @param {Object} origin - { x, y } top left of the block
+   * @returns {Promise<Array<Object>>} - Token data
+   */
+  async _tokenData(scene, actors, origin) {
+    const grid = scene.grid.size;
+    const tokens = await Promise.all(actors.map(actor => actor.getTokenDocument()));
+    const cell = grid * Math.max(1, ...tokens.map(token => Math.ceil(token.width)));
+    return tokens.map((token, index) => {
+      const x = origin.x + (index % TOKENS_PER_ROW) * cell;
+      const y = origin.y + Math.floor(index / TOKENS_PER_ROW) * cell;
+      return { ...token.toObject(), x: Math.round(x / grid) * grid, y: Math.round(y / grid) * grid };
+    });
+  }
+
+  /**
+   * Place the tokens, create the Combat and roll initiative
+   * @returns {Promise<Combat|null>}
+   */
+  async _createCombat() {
+    const scene = canvas.scene;
+    if (!scene) {
+      ui.notifications.warn('View a scene to place the encounter on.');
+      return null;
+    }
+    if (!this.enemies.length) {
+      ui.notifications.warn('Add at least one enemy.');
+      return null;
+    }
+
+    try {
+      // Compendium NPCs are imported first so their tokens have a world actor
+      const enemyActors = [];
+      for (const { actor, count } of this.enemies) {
+        const worldActor = actor.pack ? await game.actors.importFromCompendium(actor.compendium, actor.id) : actor;
+        enemyActors.push(...Array(count).fill(worldActor));
+      }
+
+      // Party members already on the scene keep their tokens
+      const existing = this.party.map(actor => scene.tokens.find(token => token.actorLink && token.actorId === actor.id)).filter(Boolean);
+      const toPlace = this.party.filter(actor => !existing.some(token => token.actorId === actor.id));
+
+      // Party to the left of the view's centre, enemies to the right
+      const grid = scene.grid.size;
+      const center = canvas.stage.pivot;
+      const top = center.y - grid * 2;
+      const partyData = await this._tokenData(scene, toPlace, { x: center.x - grid * (TOKENS_PER_ROW + 2), y: top });
+      const enemyData = await this._tokenData(scene, enemyActors, { x: center.x + grid * 2, y: top });
+      const created = await scene.createEmbeddedDocuments('Token', [...partyData, ...enemyData]);
+
+      const combat = await Combat.implementation.create({ scene: scene.id, active: true });
+      await combat.createEmbeddedDocuments('Combatant', [...existing, ...created].map(token => ({
+        tokenId: token.id,
+        sceneId: scene.id,
+        actorId: token.actorId,
+        hidden: token.hidden
+      })));
+
+      // Minions, grunts and standard creatures skip initiative (combat.mjs)
+      const rolling = combat.combatants.filter(combatant => !isGruntCombatant(combatant)).map(combatant => combatant.id);
+      if (rolling.length) await combat.rollInitiative(rolling);
+
+      ui.notifications.info(`Encounter ready: ${combat.combatants.size} combatants.`);
+      return combat;
+    } catch (error) {
+      logError('Failed to create the encounter:', error);
+      ui.notifications.error('Failed to create the encounter.');
+      return null;
+    }
+  }
+}
+
+/**
+ * Open the Encounter Builder
+ * @returns {Promise<AnyventureEncounterBuilder>}
+ */
+export async function openEncounterBuilder() {
+  return new AnyventureEncounterBuilder().render({ force: true });
+}
+
+/**
+ * Add the Encounter Builder to the token controls (GM only)
+ * @param {Object} controls - Scene control sets by name
+ */
+function onGetSceneControlButtons(controls) {
+  const tokens = controls.tokens;
+  if (!tokens) return;
+  tokens.tools.encounterBuilder = {
+    name: 'encounterBuilder',
+    title: 'Encounter Builder',
+    icon: 'fa-solid fa-dragon',
+    order: Object.keys(tokens.tools).length,
+    button: true,
+    visible: game.user.isGM,
+    onChange: () => openEncounterBuilder()
+  };
+}
+
+/**
+ * Register the Encounter Builder scene control
+ */
+export function registerEncounterBuilderHooks() {
+  Hooks.on('getSceneControlButtons', onGetSceneControlButtons);
+}
@@ -1,3 +1,34 @@
+import { lintDataCode } from '../utils/data-code-validator.js';
+import { AnyventureEffectBuilderDialog } from './effect-builder-dialog.mjs';
+
+/**
+ * Render data code diagnostics as a list
+ * @param {Object} result - Output of lintDataCode
+ * @param {boolean} interactive - Whether suggestions can be clicked to apply them
+ * @returns {string} HTML (empty when there is nothing to report)
+ */
+function renderDataCodeDiagnostics(result, interactive = true) {
+  if (!result.diagnostics.length) return '';
+  const esc = Handlebars.escapeExpression;
+
+  const rows = result.diagnostics.map(d => {
+    const icon = d.severity === 'error' ? 'fa-circle-exclamation' : 'fa-triangle-exclamation';
+    const suggestions = d.suggestions.map(s => interactive
+      ? `<a class="data-code-suggestion" data-offset="${d.replace.offset}" data-length="${d.replace.length}" data-replacement="${esc(s)}">${esc(s)}</a>`
+      : `<code>${esc(s)}</code>`
+    ).join(', ');
+    return `<li class="diagnostic ${d.severity}">
+      <i class="fas ${icon}"></i>
+      <span class="diagnostic-offset">col ${d.offset + 1}</span>
+      <span class="diagnostic-message">${esc(d.message)}</span>
+      ${d.expected ? `<span class="diagnostic-expected">Expected: <code>${esc(d.expected)}</code></span>` : ''}
+      ${suggestions ? `<span class="diagnostic-suggestions">Did you mean ${suggestions}?</span>` : ''}
+    </li>`;
+  }).join('');
+
+  return `<ul class="data-code-diagnostics">${rows}</ul>`;
+}
+
 /**
  * Extend the basic ItemSheet with some very simple modifications
  * @extends {foundry.appv1.sheets.ItemSheet}
@@ -332,10 +363,76 @@ export class AnyventureItemSheet extends foundry.appv1.sheets.ItemSheet {
     // Handle add/delete buttons for new item types
     html.find('.add-trait, .trait-delete').click(this._onTraitManagement.bind(this));
     html.find('.add-benefit, .benefit-delete').click(this._onBenefitManagement.bind(this));
-    html.find('.add-option, .option-delete').click(this._onOptionManagement.bind(this));
+    html.find('.add-option, .option-delete, .option-effects').click(this._onOptionManagement.bind(this));
     html.find('.add-restriction, .restriction-delete').click(this._onRestrictionManagement.bind(this));
     html.find('.add-effect, .effect-delete').click(this._onEffectManagement.bind(this));
     html.find('.add-subchoice, .subchoice-delete').click(this._onSubchoiceManagement.bind(this));
+
+    // Live data code diagnostics
+    this._activateDataCodeLint(html);
+
+    // Form-based editing for data fields
+    this._activateEffectBuilder(html);
+  }
+
+  /**
+   * Add an effect builder button beside every data field
+   * @param {jQuery} html The rendered HTML
+   * @private
+   */
+  _activateEffectBuilder(html) {
+    html.find('input[name="system.data"], input[name$=".data"]').each((i, input) => {
+      const button = $('<a class="open-effect-builder" title="Effect Builder"><i class="fas fa-wand-magic-sparkles"></i></a>');
+      $(input).after(button);
+
+      button.click((event) => {
+        event.preventDefault();
+        AnyventureEffectBuilderDialog.show({
+          code: input.value,
+          onSave: (code) => {
+            input.value = code;
+            input.dispatchEvent(new Event('input', { bubbles: true }));
+            input.dispatchEvent(new Event('change', { bubbles: true }));
+          }
+        });
+      });
+    });
+  }
+
+  /**
+   * Show data code diagnostics under every data field, refreshed as the author types
+   * @param {jQuery} html The rendered HTML
+   * @private
+   */
+  _activateDataCodeLint(html) {
+    html.find('input[name="system.data"], input[name$=".data"]').each((i, input) => {
+      const panel = $('<div class="data-code-lint"></div>');
+      $(input).after(panel);
+
+      const refresh = () => panel.html(renderDataCodeDiagnostics(lintDataCode(input.value)));
+      input.addEventListener('input', refresh);
+      refresh();
+
+      // Clicking a suggestion swaps it into the field and submits the change
+      panel.on('click', '.data-code-suggestion', (event) => {
+        event.preventDefault();
+        const { offset, length, replacement } = event.currentTarget.dataset;
+        const start = Number(offset);
+        input.value = input.value.slice(0, start) + replacement + input.value.slice(start + Number(length));
+        refresh();
+        input.dispatchEvent(new Event('change', { bubbles: true }));
+      });
+    });
+
+    // Module options are not edited inline; lint their stored codes on the option cards
+    if (this.item.type === 'module') {
+      const options = this.item.system.options || [];
+      html.find('.module-option').each((i, element) => {
+        const option = options.find(opt => String(opt.location) === String(element.dataset.location));
+        const markup = renderDataCodeDiagnostics(lintDataCode(option?.data), false);
+        if (markup) $(element).find('.option-content').append(markup);
+      });
+    }
   }
 
   /**
@@ -633,7 +730,7 @@ export class AnyventureItemSheet extends foundry.appv1.sheets.ItemSheet {
   }
 
   /**
-   * Handle option management (culture/trait options)
+   * Handle option management (culture/trait options, module option effects)
    * @param {Event} event   The originating click event
    * @private
    */
@@ -654,6 +751,22 @@ export class AnyventureItemSheet extends foundry.appv1.sheets.ItemSheet {
       };
       options.push(newOption);
       await this.item.update({ 'system.options': options });
+    } else if (action === 'edit-option-effects') {
+      // Keep the click from toggling the module option underneath
+      event.stopPropagation();
+      const location = element.closest('.module-option').dataset.location;
+      const options = this.item.system.options || [];
+      const option = options.find(opt => String(opt.location) === String(location));
+      if (!option) return;
+
+      AnyventureEffectBuilderDialog.show({
+        code: option.data,
+        title: `Effects: ${option.name}`,
+        onSave: async (code) => {
+          option.data = code;
+          await this.item.update({ 'system.options': options });
+        }
+      });
     } else if (element.classList.contains('option-delete')) {
       const index = parseInt(element.closest('.option-item, .trait-option').dataset.index);
       const options = this.item.system.options || [];
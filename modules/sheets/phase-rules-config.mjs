@@ -0,0 +1,177 @@
+import { PHASE_PRESETS, PHASE_ORDERS, DEFAULT_PHASE_RULES, normalizePhaseRules } from "../utils/phase-rules.js";
+import { logError } from "../utils/logger.js";
+
+/** Creature tiers offered in the tier table (see template.json creatureTier) */
+const CREATURE_TIERS = ['minion', 'grunt', 'standard', 'elite', 'legend', 'mythic'];
+
+/**
+ * Register the world phase rules setting and its configuration menu
+ */
+export function registerPhaseRulesSettings() {
+  game.settings.register('anyventure', 'phaseRules', {
+    name: 'Phase Rules',
+    scope: 'world',
+    config: false,
+    type: Object,
+    default: DEFAULT_PHASE_RULES,
+    onChange: () => ui.combat?.render()
+  });
+
+  game.settings.registerMenu('anyventure', 'phaseRulesMenu', {
+    name: 'Phase Rules',
+    label: 'Configure Phases',
+    hint: 'Combat phase names, initiative thresholds, which creature tiers act in which phases, and who goes first within a phase.',
+    icon: 'fa-solid fa-layer-group',
+    type: AnyventurePhaseRulesConfig,
+    restricted: true
+  });
+}
+
+/**
+ * Phase Rules Config
+ * World-level editor for the combat phase rules (utils/phase-rules.js). A
+ * preset fills the form; Save stores the normalized rules.
+ */
+export class AnyventurePhaseRulesConfig extends foundry.applications.api.DialogV2 {
+  constructor(options = {}) {
+    const rules = normalizePhaseRules(game.settings.get('anyventure', 'phaseRules'));
+    const presets = Object.entries(PHASE_PRESETS)
+      .map(([key, preset]) => `<option value="${key}">${preset.label}</option>`).join('');
+    super({
+      window: { title: 'Phase Rules', contentClasses: ['anyventure-phase-rules'] },
+      position: { width: 620 },
+      content: `
+        <form class="phase-rules-form">
+          <div class="form-group">
+            <label for="phase-rules-preset">Preset</label>
+            <select id="phase-rules-preset" name="preset">
+              <option value="">Current rules</option>
+              ${presets}
+            </select>
+          </div>
+          <div class="phase-rules-fields">${AnyventurePhaseRulesConfig.fieldsHTML(rules)}</div>
+        </form>
+      `,
+      buttons: [
+        { action: 'save', label: 'Save', icon: 'fa-solid fa-save', default: true, callback: (event, button, dialog) => this._save(dialog) },
+        { action: 'cancel', label: 'Cancel', icon: 'fa-solid fa-times' }
+      ],
+      ...options
+    });
+    this.rules = rules;
+  }
+
+  /**
+   * Form fields for a rule set
+   * @param {Object} rules - Normalized phase rules
+   * @returns {string}
+   */
+  static fieldsHTML(rules) {
+    const phaseRows = rules.phases.map((phase, index) => AnyventurePhaseRulesConfig.phaseRowHTML(phase, index)).join('');
+    const tierRows = CREATURE_TIERS.map(tier => {
+      const rule = rules.tiers[tier];
+      const phases = rule ? (rule.phases === 'all' ? 'all' : rule.phases.join(', ')) : '';
+      return `
+        <tr>
+          <td>${tier.charAt(0).toUpperCase() + tier.slice(1)}</td>
+          <td><input type="text" name="tiers.${tier}.phases" value="${phases}" placeholder="Own phase only" /></td>
+          <td><input type="number" name="tiers.${tier}.turns" value="${rule?.turns ?? 1}" min="1" max="4" /></td>
+        </tr>`;
+    }).join('');
+    const orders = Object.entries(PHASE_ORDERS)
+      .map(([key, label]) => `<option value="${key}" ${key === rules.order ? 'selected' : ''}>${label}</option>`).join('');
+
+    return `
+      <table class="phase-rules-table">
+        <thead><tr><th>Key</th><th>Name</th><th>Min. Initiative</th><th>Bonus</th><th>Round 1 Only</th><th></th></tr></thead>
+        <tbody class="phase-rows">${phaseRows}</tbody>
+      </table>
+      <p class="hint">Phases run top to bottom. Bonus phases are extra turns for anyone at or above their initiative; the last regular phase takes everyone else.</p>
+      <button type="button" class="add-phase"><i class="fa-solid fa-plus"></i> Add Phase</button>
+      <div class="form-group">
+        <label>Unrolled Initiative Acts In</label>
+        <input type="text" name="unrolled" value="${rules.unrolled}" />
+      </div>
+      <div class="form-group">
+        <label>Within a Phase</label>
+        <select name="order">${orders}</select>
+      </div>
+      <table class="phase-rules-table">
+        <thead><tr><th>Tier</th><th>Also Acts In ("all" or phase keys)</th><th>Turns per Phase</th></tr></thead>
+        <tbody>${tierRows}</tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * One editable phase row
+   * @param {Object} phase - { key, label, min, bonus, firstRoundOnly }
+   * @param {number} index
+   * @returns {string}
+   */
+  static phaseRowHTML(phase, index) {
+    return `
+      <tr>
+        <td><input type="text" name="phases.${index}.key" value="${phase.key}" /></td>
+        <td><input type="text" name="phases.${index}.label" value="${phase.label}" /></td>
+        <td><input type="number" name="phases.${index}.min" value="${phase.min ?? ''}" placeholder="Rest" /></td>
+        <td><input type="checkbox" name="phases.${index}.bonus" ${phase.bonus ? 'checked' : ''} /></td>
+        <td><input type="checkbox" name="phases.${index}.firstRoundOnly" ${phase.firstRoundOnly ? 'checked' : ''} /></td>
+        <td><a class="remove-phase" title="Remove Phase"><i class="fa-solid fa-trash"></i></a></td>
+      </tr>`;
+  }
+
+  /** @override */
+  _onRender(context, options) {
+    super._onRender(context, options);
+    const fields = this.element.querySelector('.phase-rules-fields');
+    let nextIndex = this.rules.phases.length;
+
+    this.element.querySelector('select[name="preset"]')?.addEventListener('change', (event) => {
+      const preset = PHASE_PRESETS[event.target.value];
+      const rules = normalizePhaseRules(preset ?? this.rules);
+      nextIndex = rules.phases.length;
+      fields.innerHTML = AnyventurePhaseRulesConfig.fieldsHTML(rules);
+    });
+
+    // Rows are replaced with the preset, so listen on the container
+    fields.addEventListener('click', (event) => {
+      if (event.target.closest('.remove-phase')) {
+        event.preventDefault();
+        event.target.closest('tr').remove();
+      } else if (event.target.closest('.add-phase')) {
+        event.preventDefault();
+        const row = AnyventurePhaseRulesConfig.phaseRowHTML({ key: '', label: '', min: null }, nextIndex++);
+        fields.querySelector('.phase-rows').insertAdjacentHTML('beforeend', row);
+      }
+    });
+  }
+
+  /**
+   * Read the form and store the rules
+   * @param {DialogV2} dialog
+   */
+  async _save(dialog) {
+    try {
+      const form = dialog.element.querySelector('form');
+      const data = foundry.utils.expandObject(Object.fromEntries(new FormData(form)));
+      const rules = normalizePhaseRules({
+        phases: Object.values(data.phases ?? {}).map(phase => ({
+          ...phase,
+          bonus: phase.bonus === 'on',
+          firstRoundOnly: phase.firstRoundOnly === 'on'
+        })),
+        unrolled: String(data.unrolled ?? '').trim().toLowerCase(),
+        order: data.order,
+        tiers: Object.fromEntries(Object.entries(data.tiers ?? {}).map(([tier, rule]) => {
+          const phases = String(rule.phases ?? '').trim().toLowerCase();
+          return [tier, { phases: phases === 'all' ? 'all' : phases.split(',').map(key => key.trim()).filter(Boolean), turns: rule.turns }];
+        }))
+      });
+      await game.settings.set('anyventure', 'phaseRules', rules);
+      ui.notifications.info('Phase rules saved.');
+    } catch (error) {
+      logError('Failed to save phase rules:', error);
+    }
+  }
+}
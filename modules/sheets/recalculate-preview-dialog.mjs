@@ -0,0 +1,84 @@
+/**
+ * Recalculate Preview Dialog for Anyventure system
+ * Shows the field-by-field result of a dry-run Recalculate before it is committed
+ */
+
+export class AnyventureRecalculatePreviewDialog extends foundry.applications.api.DialogV2 {
+
+  /**
+   * @param {Object} options
+   * @param {Actor} options.actor - The character being recalculated
+   * @param {Array<{path: string, before: *, after: *}>} options.changes - Output of previewCharacterEffects
+   * @param {Function} options.onApply - Called when the user confirms
+   */
+  constructor(options = {}) {
+    const changes = options.changes || [];
+
+    super({
+      window: {
+        title: `Recalculate: ${options.actor?.name || 'Character'}`,
+        contentClasses: ["anyventure-recalculate-preview"]
+      },
+      position: { width: 520 },
+      content: AnyventureRecalculatePreviewDialog._renderChanges(changes),
+      buttons: [
+        {
+          action: "apply",
+          label: "Apply",
+          icon: "fa-solid fa-calculator",
+          default: true,
+          callback: () => options.onApply?.()
+        },
+        {
+          action: "cancel",
+          label: "Cancel",
+          icon: "fa-solid fa-times"
+        }
+      ]
+    });
+  }
+
+  /**
+   * Build the diff table
+   * @param {Array<Object>} changes
+   * @returns {string}
+   * @private
+   */
+  static _renderChanges(changes) {
+    if (changes.length === 0) {
+      return `<p class="hint">No stats change. Applying will still refresh abilities granted by modules.</p>`;
+    }
+
+    const format = (value) => {
+      if (value === undefined || value === null) return '—';
+      return Handlebars.escapeExpression(typeof value === 'object' ? JSON.stringify(value) : String(value));
+    };
+
+    const rows = changes.map(change => `
+      <tr>
+        <td class="change-path">${Handlebars.escapeExpression(change.path)}</td>
+        <td class="change-before">${format(change.before)}</td>
+        <td class="change-arrow"><i class="fas fa-arrow-right"></i></td>
+        <td class="change-after">${format(change.after)}</td>
+      </tr>`).join('');
+
+    return `
+      <p>${changes.length} field${changes.length === 1 ? '' : 's'} will change. The current baseline is kept so it can be reverted.</p>
+      <div class="change-table-wrapper">
+        <table class="change-table">
+          <thead><tr><th>Field</th><th>Current</th><th></th><th>New</th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  /**
+   * Static method to show the preview
+   * @param {Object} options - See constructor
+   */
+  static async show(options) {
+    const dialog = new AnyventureRecalculatePreviewDialog(options);
+    return dialog.render({ force: true });
+  }
+}
@@ -1,3 +1,8 @@
+import { AnyventureDicePool } from '../utils/dice-pool.js';
+import { formatPoolOdds } from '../utils/formatters.mjs';
+import { AnyventureRoll } from '../dice/anyventure-roll.mjs';
+import { wonderWoeFieldsHTML, readWonderWoe, consumeWonderWoe } from '../dice/wonder-woe.mjs';
+
 /**
  * Roll Dialog for Anyventure system
  * Handles bonus/penalty dice mechanics
@@ -9,6 +14,7 @@ export class AnyventureRollDialog extends foundry.applications.api.DialogV2 {
     const initialPenaltyDice = options.initialPenaltyDice || 0;
     const initialBonusDice = options.initialBonusDice || 0;
     const conditionNotes = options.conditionNotes || [];
+    const requiredCheck = Math.max(Number(options.requiredCheck) || 0, 0);
 
     super({
       window: {
@@ -31,9 +37,17 @@ export class AnyventureRollDialog extends foundry.applications.api.DialogV2 {
             <label for="penalty-dice">Penalty Dice:</label>
             <input type="number" id="penalty-dice" name="penaltyDice" value="${initialPenaltyDice}" min="0" max="10" />
           </div>
+
+          ${wonderWoeFieldsHTML(options.actor)}
+
+          <div class="form-group">
+            <label for="required-check">Required Check:</label>
+            <input type="number" id="required-check" name="requiredCheck" value="${requiredCheck || ''}" min="0" placeholder="None" />
+          </div>
           
           <div class="roll-preview">
-            <p><strong>Final Roll:</strong> <span id="final-formula">${options.baseDice}${options.diceType}kh1</span></p>
+            <p><strong>Final Roll:</strong> <span id="final-formula">${new AnyventureDicePool({ base: options.baseDice, bonus: initialBonusDice, penalty: initialPenaltyDice, dieType: options.diceType }).formula}</span></p>
+            <p class="roll-odds" id="roll-odds"></p>
           </div>
 
           ${conditionNotes && conditionNotes.length > 0 ? `
@@ -72,6 +86,8 @@ export class AnyventureRollDialog extends foundry.applications.api.DialogV2 {
     this.baseDice = options.baseDice || 1;
     this.diceType = options.diceType || "d6";
     this.skillName = options.skillName || "Skill";
+    this.skill = options.skill || null;
+    this.tier = Number(options.tier) || 0;
     this.actor = options.actor;
     this.rollCallback = options.rollCallback;
   }
@@ -83,115 +99,57 @@ export class AnyventureRollDialog extends foundry.applications.api.DialogV2 {
     // Add event listeners for real-time formula updates
     const bonusInput = this.element.querySelector('#bonus-dice');
     const penaltyInput = this.element.querySelector('#penalty-dice');
+    const requiredInput = this.element.querySelector('#required-check');
     const formulaDisplay = this.element.querySelector('#final-formula');
+    const oddsDisplay = this.element.querySelector('#roll-odds');
     
     const updateFormula = () => {
       const bonus = parseInt(bonusInput.value) || 0;
       const penalty = parseInt(penaltyInput.value) || 0;
-      const formula = this.calculateFormula(this.baseDice, bonus, penalty);
-      formulaDisplay.textContent = formula;
+      const spend = readWonderWoe(this.element, this.actor);
+      const pool = this.buildPool(bonus + spend.bonus, penalty + spend.penalty);
+      formulaDisplay.textContent = pool.formula;
+      oddsDisplay.textContent = formatPoolOdds(pool, [{ target: parseInt(requiredInput.value) }]);
     };
     
     bonusInput.addEventListener('input', updateFormula);
     penaltyInput.addEventListener('input', updateFormula);
+    requiredInput.addEventListener('input', updateFormula);
+    this.element.querySelectorAll('.wonder-woe input').forEach(input => input.addEventListener('change', updateFormula));
+
+    updateFormula();
   }
 
   /**
-   * Calculate the final dice formula based on bonus/penalty dice
-   *
-   * Anyventure Penalty Dice Rules:
-   * - Bonus dice ADD to your pool
-   * - Penalty dice SUBTRACT from your pool
-   * - You can't go below 1 die, but penalties past that point add "keep lowest" dice
-   *
-   * The math:
-   * - netDice = base + bonus - penalty
-   * - If netDice >= 1: Roll netDice, keep highest
-   * - If netDice <= 0: Roll (1 - netDice) dice, keep lowest
-   *
-   * Examples:
-   * - 3 talent, +0 penalty: net=3, roll 3d10 kh1
-   * - 3 talent, +2 penalty: net=1, roll 1d10
-   * - 2 talent, +1 penalty: net=1, roll 1d10
-   * - 1 talent, +0 penalty: net=1, roll 1d10
-   * - 1 talent, +1 penalty: net=0, roll (1-0)=1 dice... NO! roll 2 kl1!
-   *   Actually: when net=0, we're at minimum (1 die) but the penalty still applies
-   *   So we need: 1 base die + 1 penalty die = 2 dice kl1
-   * - 1 talent, +2 penalty: net=-1, roll (1-(-1))=2... that's 2 dice kl1? Let me think...
-   *   base=1, penalty=2, so we subtract 1 die (down to 0, which is minimum 1)
-   *   but we still have 1 more penalty left over, so: 1 + 1 = 2 dice kl1 ✓
-   * - 3 talent, +4 penalty: net=-1, roll (1-(-1))=2 dice kl1 ✓
-   *
-   * So the formula when netDice <= 0 is: roll (1 - netDice) dice, keep lowest
-   * Because (1 - netDice) = 1 + |netDice| when netDice is negative or zero
+   * Build the dice pool for the current bonus/penalty dice
+   * (see AnyventureDicePool for the penalty floor rules)
+   * @param {number} bonusDice
+   * @param {number} penaltyDice
+   * @returns {AnyventureDicePool}
    */
-  calculateFormula(baseDice, bonusDice, penaltyDice) {
-    let netDice = baseDice + bonusDice - penaltyDice;
-
-    // Case 1: Net dice > 1 - roll multiple, keep highest
-    if (netDice > 1) {
-      return `${netDice}${this.diceType}kh1`;
-    }
-
-    // Case 2: Net dice is exactly 1 - roll 1 die
-    if (netDice === 1) {
-      return `1${this.diceType}`;
-    }
-
-    // Case 3: Net dice is 0 or negative - roll penalty dice, keep lowest
-    // When you hit the minimum (1 die) but still have penalties, those penalties
-    // manifest as additional dice rolled with "keep lowest"
-    //
-    // The formula: When netDice <= 0, roll (1 + |netDice| + 1) dice, keep lowest
-    // Wait no... let me think step by step:
-    //
-    // 1 talent, 1 penalty: net = 0
-    //   - You tried to remove 1 die from 1 die = 0 dice (but minimum is 1)
-    //   - You hit the minimum with 0 "extra" penalties? No!
-    //   - The penalty that brought you to 0 IS the extra penalty
-    //   - So roll 1 (base minimum) + 1 (the penalty) = 2 dice kl1
-    //
-    // 1 talent, 2 penalty: net = -1
-    //   - You tried to remove 2 dice from 1 die = -1 dice
-    //   - First penalty brings you to 0 (minimum), second penalty adds to "keep lowest"
-    //   - So roll 1 (base minimum) + 2 (both penalties) = 3 dice kl1
-    //
-    // Formula: 1 + (base + bonus) dice, but that's not quite right either...
-    //
-    // Actually simpler: roll (1 + number of total penalties that would take you below 1)
-    // When netDice = 0: 1 penalty took you to minimum, so roll 1 + 1 = 2 dice
-    // When netDice = -1: 2 penalties (1 to minimum, 1 extra), so roll 1 + 2 = 3 dice
-    // When netDice = -2: 3 penalties, so roll 1 + 3 = 4 dice
-    //
-    // So: diceToRoll = 1 + (penalties needed to get to 0) = 1 + (baseDice + bonusDice)
-    // But actually that's just: 1 + penaltyDice when netDice <= 0? No...
-    //
-    // Let me use the formula: when netDice <= 0, we want penalties that push past minimum
-    // That's: penaltyDice - (baseDice + bonusDice - 1)
-    // = penaltyDice - baseDice - bonusDice + 1
-    // = 1 - (baseDice + bonusDice - penaltyDice)
-    // = 1 - netDice
-    // But when netDice = 0, this gives 1, not 2!
-    //
-    // OH! The issue is that when netDice = 0, you're AT the minimum with penalties applied.
-    // Those penalties need to manifest! So we need: 1 (minimum) + penalties = 1 + penaltyDice
-    // But that doesn't account for bonus dice...
-    //
-    // Final answer: when netDice <= 0, the number of "extra" penalties is:
-    // penaltyDice - (baseDice + bonusDice - 1) = excess penalties
-    // No wait, let me think about it as: how many penalties push you past the 1-die floor?
-    // = penaltyDice - (baseDice + bonusDice - 1)
-    // When base=1, bonus=0, penalty=1: 1 - (1 + 0 - 1) = 1 - 0 = 1 penalty past floor
-    // So roll 1 + 1 = 2 dice ✓
-    //
-    // Let me just compute this directly:
-    const penaltiesPastFloor = penaltyDice - (baseDice + bonusDice - 1);
-    const diceToRoll = 1 + penaltiesPastFloor;
+  buildPool(bonusDice, penaltyDice) {
+    return new AnyventureDicePool({
+      base: this.baseDice,
+      bonus: bonusDice,
+      penalty: penaltyDice,
+      dieType: this.diceType
+    });
+  }
 
-    if (diceToRoll === 1) {
-      return `1${this.diceType}`;
-    }
-    return `${diceToRoll}${this.diceType}kl1`;
+  /**
+   * Card details stored with the roll
+   * @param {string} title - Card title
+   * @param {Object} [extra] - Additional details (see AnyventureRoll.fromPool)
+   * @returns {Object}
+   */
+  rollDetails(title, extra = {}) {
+    return {
+      type: 'check',
+      title,
+      skill: this.skill ? { ...this.skill, label: this.skillName } : { label: this.skillName },
+      tier: this.tier,
+      ...extra
+    };
   }
 
   /**
@@ -201,77 +159,22 @@ export class AnyventureRollDialog extends foundry.applications.api.DialogV2 {
     const formData = new FormData(dialog.element.querySelector('form'));
     const bonusDice = parseInt(formData.get('bonusDice')) || 0;
     const penaltyDice = parseInt(formData.get('penaltyDice')) || 0;
+    const requiredCheck = parseInt(formData.get('requiredCheck')) || null;
+    const spend = readWonderWoe(dialog.element, this.actor);
 
-    const formula = this.calculateFormula(this.baseDice, bonusDice, penaltyDice);
-    
-    // Create the roll
-    const roll = new Roll(formula, this.actor?.getRollData() || {});
-    await roll.evaluate();
-    
-    // Extract individual die results for display [x, y, z]
-    const diceResults = [];
-    if (roll.terms[0] && roll.terms[0].results) {
-      for (let result of roll.terms[0].results) {
-        diceResults.push(result.result);
-      }
-    }
-
-    // Sort dice results in descending order for easier reading (match attack card)
-    diceResults.sort((a, b) => b - a);
-
-    // Calculate net dice
-    let netDice = this.baseDice + bonusDice - penaltyDice;
-
-    // Build structured flavor text similar to attack card
-    let flavorText = `<div class="anyventure-skill-card">`;
-
-    // 1. Skill name/title with prominent result
-    const finalResult = roll.total;
-    const isKeepLowest = netDice < 0;
-    flavorText += `<div class="skill-name"><strong>${this.skillName} Check</strong></div>`;
-    flavorText += `<div class="skill-result-display"><span class="skill-result ${isKeepLowest ? 'penalty-extreme' : ''}">${finalResult}</span></div>`;
-
-    // 2. Dice Results
-    flavorText += `<div class=\"dice-results\"><strong>Results:</strong> [${diceResults.join(', ')}]</div>`;
-
-    // 3. Formula summary
-    let formulaText;
-    let formulaClass = "";
-
-    // Determine what was actually rolled
-    if (netDice > 1) {
-      // Multiple dice
-      formulaText = `${netDice}${this.diceType}`;
-    } else if (netDice >= 0) {
-      // Single die (net was 0 or 1)
-      formulaText = `1${this.diceType}`;
-    } else {
-      // Keep lowest scenario
-      const extraPenalties = Math.abs(netDice);
-      const totalDiceRolled = 1 + extraPenalties;
-      formulaText = `${totalDiceRolled}${this.diceType} (keep lowest)`;
-      formulaClass = " class=\"penalty-formula\"";
-    }
-
-    // Add bonus/penalty notation
-    if (bonusDice > 0 && penaltyDice === 0) {
-      formulaText += ` | +${bonusDice} bonus`;
-    } else if (penaltyDice > 0 && bonusDice === 0) {
-      formulaText += ` | -${penaltyDice} penalty`;
-    } else if (bonusDice > 0 && penaltyDice > 0) {
-      formulaText += ` | +${bonusDice} bonus, -${penaltyDice} penalty`;
-    }
+    const pool = this.buildPool(bonusDice + spend.bonus, penaltyDice + spend.penalty);
 
-    flavorText += `<div class=\"formula\"${formulaClass}>Formula: ${formulaText}</div>`;
-
-    flavorText += `</div>`;
+    // Create the roll; the chat card is rendered from the roll's own data
+    const details = this.rollDetails(`${this.skillName} Check`, { target: requiredCheck, wonderWoe: spend });
+    const roll = AnyventureRoll.fromPool(pool, details, this.actor?.getRollData() || {});
+    await roll.evaluate();
 
     // Send to chat
     const chatMessage = await roll.toMessage({
       speaker: ChatMessage.getSpeaker({ actor: this.actor }),
-      flavor: flavorText,
       rollMode: game.settings.get('core', 'rollMode'),
     });
+    await consumeWonderWoe(this.actor, spend);
 
     // Wait for Dice So Nice animation if the module is active
     if (game.modules.get("dice-so-nice")?.active && game.dice3d) {
@@ -280,50 +183,28 @@ export class AnyventureRollDialog extends foundry.applications.api.DialogV2 {
 
     // Call the callback if provided
     if (this.rollCallback) {
-      this.rollCallback(roll, { bonusDice, penaltyDice, messageId: chatMessage.id });
+      this.rollCallback(roll, { bonusDice, penaltyDice, outcome: roll.outcome, messageId: chatMessage.id });
     }
 
-    return { roll, bonusDice, penaltyDice };
+    return { roll, bonusDice, penaltyDice, outcome: roll.outcome };
   }
 
   /**
    * Handle the roll 1d button click (ignores bonus/penalty dice)
    */
   async handleRoll1d(event, button, dialog) {
-    const formula = `1${this.diceType}`;
+    const pool = new AnyventureDicePool({ base: 1, dieType: this.diceType });
+    const formData = new FormData(dialog.element.querySelector('form'));
+    const requiredCheck = parseInt(formData.get('requiredCheck')) || null;
+    const details = this.rollDetails(`${this.skillName} Check (Single Die)`, { note: 'Ignoring bonus/penalty dice', target: requiredCheck });
 
     // Create the roll
-    const roll = new Roll(formula, this.actor?.getRollData() || {});
+    const roll = AnyventureRoll.fromPool(pool, details, this.actor?.getRollData() || {});
     await roll.evaluate();
 
-    // Extract individual die results for display [x]
-    const diceResults = [];
-    if (roll.terms[0] && roll.terms[0].results) {
-      for (let result of roll.terms[0].results) {
-        diceResults.push(result.result);
-      }
-    }
-
-    // Build structured flavor text
-    let flavorText = `<div class="anyventure-skill-card">`;
-
-    // 1. Skill name/title with prominent result
-    const finalResult = roll.total;
-    flavorText += `<div class="skill-name"><strong>${this.skillName} Check (Single Die)</strong></div>`;
-    flavorText += `<div class="skill-result-display"><span class="skill-result">${finalResult}</span></div>`;
-
-    // 2. Dice Results
-    flavorText += `<div class=\"dice-results\"><strong>Result:</strong> ${diceResults[0]}</div>`;
-
-    // 3. Formula summary
-    flavorText += `<div class=\"formula\">Formula: 1${this.diceType} (ignoring bonus/penalty)</div>`;
-
-    flavorText += `</div>`;
-
     // Send to chat
     const chatMessage = await roll.toMessage({
       speaker: ChatMessage.getSpeaker({ actor: this.actor }),
-      flavor: flavorText,
       rollMode: game.settings.get('core', 'rollMode'),
     });
 
@@ -334,10 +215,10 @@ export class AnyventureRollDialog extends foundry.applications.api.DialogV2 {
 
     // Call the callback if provided
     if (this.rollCallback) {
-      this.rollCallback(roll, { bonusDice: 0, penaltyDice: 0, singleDie: true, messageId: chatMessage.id });
+      this.rollCallback(roll, { bonusDice: 0, penaltyDice: 0, singleDie: true, outcome: roll.outcome, messageId: chatMessage.id });
     }
 
-    return { roll, bonusDice: 0, penaltyDice: 0, singleDie: true };
+    return { roll, bonusDice: 0, penaltyDice: 0, singleDie: true, outcome: roll.outcome };
   }
 
   /**
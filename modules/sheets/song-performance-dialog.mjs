@@ -3,6 +3,11 @@
  * Allows performing Song or Harmony with bonus/penalty dice, shows full song info
  */
 
+import { AnyventureDicePool } from '../utils/dice-pool.js';
+import { AnyventureRoll } from '../dice/anyventure-roll.mjs';
+import { wonderWoeFieldsHTML, readWonderWoe, consumeWonderWoe } from '../dice/wonder-woe.mjs';
+import { spendAction } from '../action-economy.mjs';
+
 export class AnyventureSongPerformanceDialog extends foundry.applications.api.DialogV2 {
 
   constructor(options = {}) {
@@ -75,7 +80,7 @@ export class AnyventureSongPerformanceDialog extends foundry.applications.api.Di
           <div class="performance-options">
             <h4>Performance Options</h4>
             <div class="roll-info">
-              <p><strong>Base Roll:</strong> ${options.baseDice}${options.diceType}kh1</p>
+              <p><strong>Base Roll:</strong> ${new AnyventureDicePool({ base: options.baseDice, dieType: options.diceType }).formula}</p>
             </div>
 
             <div class="form-group">
@@ -88,8 +93,10 @@ export class AnyventureSongPerformanceDialog extends foundry.applications.api.Di
               <input type="number" id="penalty-dice" name="penaltyDice" value="0" min="0" max="10" />
             </div>
 
+            ${wonderWoeFieldsHTML(options.actor)}
+
             <div class="roll-preview">
-              <p><strong>Final Roll:</strong> <span id="final-formula">${options.baseDice}${options.diceType}kh1</span></p>
+              <p><strong>Final Roll:</strong> <span id="final-formula">${new AnyventureDicePool({ base: options.baseDice, dieType: options.diceType }).formula}</span></p>
             </div>
           </div>
         </form>
@@ -109,6 +116,16 @@ export class AnyventureSongPerformanceDialog extends foundry.applications.api.Di
     this.canPerform = !!options.canPerform;
   }
 
+  /**
+   * Build the skill dice pool for the current bonus/penalty dice
+   * @param {number} bonusDice
+   * @param {number} penaltyDice
+   * @returns {AnyventureDicePool}
+   */
+  buildPool(bonusDice, penaltyDice) {
+    return new AnyventureDicePool({ base: this.baseDice, bonus: bonusDice, penalty: penaltyDice, dieType: this.diceType });
+  }
+
   /** @override */
   _onRender(context, options) {
     super._onRender(context, options);
@@ -120,11 +137,13 @@ export class AnyventureSongPerformanceDialog extends foundry.applications.api.Di
     const updateFormula = () => {
       const bonus = parseInt(bonusInput.value) || 0;
       const penalty = parseInt(penaltyInput.value) || 0;
-      const formula = calculateSkillFormula(this.baseDice, bonus, penalty, this.diceType);
+      const spend = readWonderWoe(this.element, this.actor);
+      const formula = this.buildPool(bonus + spend.bonus, penalty + spend.penalty).formula;
       formulaDisplay.textContent = formula;
     };
     bonusInput.addEventListener('input', updateFormula);
     penaltyInput.addEventListener('input', updateFormula);
+    this.element.querySelectorAll('.wonder-woe input').forEach(input => input.addEventListener('change', updateFormula));
 
     // Show warning if cannot perform
     if (!this.canPerform) {
@@ -185,92 +204,61 @@ export class AnyventureSongPerformanceDialog extends foundry.applications.api.Di
     const formData = new FormData(dialog.element.querySelector('form'));
     const bonusDice = parseInt(formData.get('bonusDice')) || 0;
     const penaltyDice = parseInt(formData.get('penaltyDice')) || 0;
-    const formula = calculateSkillFormula(this.baseDice, bonusDice, penaltyDice, this.diceType);
-
-    // Roll
-    console.log('[Anyventure] Rolling song performance', { formula });
-    const roll = new Roll(formula, this.actor?.getRollData() || {});
-    await roll.evaluate();
+    const spend = readWonderWoe(dialog.element, this.actor);
+    const pool = this.buildPool(bonusDice + spend.bonus, penaltyDice + spend.penalty);
+    const system = this.song?.system ?? {};
 
-    // Extract dice results from first dice term
-    const diceResults = [];
-    const die = roll.dice?.[0];
-    if (die?.results) diceResults.push(...die.results.map(r => r.result));
-    diceResults.sort((a, b) => b - a);
-
-    // Get targeted tokens
-    const targets = Array.from(game.user.targets);
-    let targetInfo = '';
-    if (targets.length > 0) {
-      const targetNames = targets.map(t => t.document.name).join(', ');
-      targetInfo = `<div class="song-targets" style="text-align: center;"><strong>Target${targets.length > 1 ? 's' : ''}:</strong> ${targetNames}</div>`;
-    }
-
-    // Build chat card content using ability card styling
-    let flavorText = `<div class="anyventure-ability-card">`;
-    const harmonyClass = mode === 'harmony' ? ' harmony' : '';
-    flavorText += `<div class="ability-name${harmonyClass}"><strong>${this.songName}</strong> ${mode === 'harmony' ? '(Harmony)' : ''}</div>`;
-
-    // Target info
-    flavorText += targetInfo;
+    // Song info
+    const summary = [];
+    if (system.magical) summary.push({ label: 'Type', value: 'Magical' });
+    if (system.range) summary.push({ label: 'Range', value: system.range });
+    if (system.duration) summary.push({ label: 'Duration', value: system.duration });
 
-    // Energy line
-    if (this.energyCost > 0) {
-      flavorText += `<div class="energy-cost">Energy: ${this.energyCost}</div>`;
+    // Effect description
+    const sections = [];
+    if (mode === 'song' && system.effect) {
+      sections.push({ html: system.effect });
+    } else if (mode === 'harmony') {
+      [system.harmony_1, system.harmony_2]
+        .filter(harmony => harmony?.effect)
+        .forEach(harmony => sections.push({ label: `${harmony.instrument} Harmony`, html: harmony.effect }));
     }
 
-    // Results and formula
-    flavorText += `<div class="dice-results"><strong>Results:</strong> [${diceResults.join(', ')}]</div>`;
-    flavorText += `<div class="formula">Formula: ${describeSkillFormula(this.baseDice, this.diceType, bonusDice, penaltyDice)}</div>`;
-
-    // Show Check and Required lines
-    if (this.difficulty > 0) {
-      const highest = diceResults[0] || 0;
-      const required = this.difficulty;
-      const ok = highest >= required;
-      flavorText += `<div class="formula" style="margin-top:4px;"><strong>Check Result:</strong> ${highest} ${ok ? '<span style="color:#4ade80;">(SUCCESS)</span>' : '<span style="color:#f87171;">(FAIL)</span>'}</div>`;
-      flavorText += `<div class="formula"><strong>Required Check:</strong> ${required}</div>`;
-
-      // On failure, set used flag on the song
-      if (!ok && this.song?.update) {
-        try {
-          await this.song.update({ 'system.used': true });
-        } catch (e) {
-          console.warn('[Anyventure] Failed to set used flag', e);
-        }
-      }
-    }
+    const roll = AnyventureRoll.fromPool(pool, {
+      type: 'song',
+      title: this.songName,
+      subtitle: mode === 'harmony' ? '(Harmony)' : '',
+      titleClass: mode === 'harmony' ? 'harmony' : '',
+      skill: { category: 'basic', key: 'expression' },
+      target: this.difficulty > 0 ? this.difficulty : null,
+      targets: Array.from(game.user.targets).map(t => t.document.name),
+      energy: this.energyCost > 0 ? this.energyCost : null,
+      summary,
+      sections,
+      wonderWoe: spend
+    }, this.actor?.getRollData() || {});
 
-    // Song info
-    const rows = [];
-    if (this.song?.system?.magical) rows.push(`<div class="summary-row"><strong>Type:</strong> Magical</div>`);
-    if (this.song?.system?.range) rows.push(`<div class="summary-row"><strong>Range:</strong> ${foundry.utils.escapeHTML(this.song.system.range)}</div>`);
-    if (this.song?.system?.duration) rows.push(`<div class="summary-row"><strong>Duration:</strong> ${foundry.utils.escapeHTML(this.song.system.duration)}</div>`);
-    if (rows.length) flavorText += `<div class="song-summary">${rows.join('')}</div>`;
+    // Roll
+    console.log('[Anyventure] Rolling song performance', { formula: roll.formula });
+    await roll.evaluate();
+    const diceResults = roll.results.map(r => r.result);
 
-    // Effect description
-    if (mode === 'song' && this.song?.system?.effect) {
-      flavorText += `<div class="ability-description">${this.song.system.effect}</div>`;
-    } else if (mode === 'harmony') {
-      const harmony1 = this.song?.system?.harmony_1;
-      const harmony2 = this.song?.system?.harmony_2;
-      if (harmony1?.effect) {
-        flavorText += `<div class="ability-description"><strong>${harmony1.instrument} Harmony:</strong><br>${harmony1.effect}</div>`;
-      }
-      if (harmony2?.effect) {
-        flavorText += `<div class="ability-description"><strong>${harmony2.instrument} Harmony:</strong><br>${harmony2.effect}</div>`;
+    // On failure, set used flag on the song
+    if (roll.isSuccess === false && this.song?.update) {
+      try {
+        await this.song.update({ 'system.used': true });
+      } catch (e) {
+        console.warn('[Anyventure] Failed to set used flag', e);
       }
     }
 
-    flavorText += `</div>`;
-
     // Send to chat
     console.log('[Anyventure] Posting song performance chat card', { mode, diceResults });
     await roll.toMessage({
       speaker: ChatMessage.getSpeaker({ actor: this.actor }),
-      flavor: flavorText,
       rollMode: game.settings.get('core', 'rollMode'),
     });
+    await consumeWonderWoe(this.actor, spend);
 
     // Deduct energy
     if (this.actor && this.energyCost > 0) {
@@ -278,6 +266,7 @@ export class AnyventureSongPerformanceDialog extends foundry.applications.api.Di
       await this.actor.update({ 'system.resources.energy.value': newEnergy });
       console.log('[Anyventure] Deducted energy for song', { cost: this.energyCost, newEnergy });
     }
+    await spendAction(this.actor, { energy: this.energyCost });
 
     return { roll, bonusDice, penaltyDice, mode, diceResults };
   }
@@ -287,23 +276,3 @@ export class AnyventureSongPerformanceDialog extends foundry.applications.api.Di
     return dialog.render({ force: true });
   }
 }
-
-function calculateSkillFormula(baseDice, bonusDice, penaltyDice, diceType) {
-  const netDice = (baseDice || 1) + (bonusDice || 0) - (penaltyDice || 0);
-  if (netDice > 0) return `${netDice}${diceType}kh1`;
-  if ((penaltyDice || 0) > 0) return `${penaltyDice}${diceType}kl1`;
-  return `1${diceType}`;
-}
-
-function describeSkillFormula(base, diceType, bonus, penalty) {
-  const total = (base || 1) + (bonus || 0) - (penalty || 0);
-  let s = `${total}${diceType}`;
-  if ((bonus || 0) > 0 && (penalty || 0) === 0) s += ` (+${bonus} bonus)`;
-  else if ((penalty || 0) > 0 && (bonus || 0) === 0) s += total >= 1 ? ` (-${penalty} penalty)` : ` (disadvantage)`;
-  else if ((bonus || 0) > 0 && (penalty || 0) > 0) {
-    const net = (bonus || 0) - (penalty || 0);
-    if (net > 0) s += ` (net +${net})`;
-    else if (net < 0) s += ` (net ${net})`;
-  }
-  return s;
-}
\ No newline at end of file
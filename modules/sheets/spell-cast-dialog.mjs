@@ -2,7 +2,11 @@
  * Spell Cast Dialog for Anyventure system
  * Allows Channel or Charge with bonus/penalty dice, shows full spell info
  */
-import { formatDamageType } from '../utils/formatters.mjs';
+import { formatDamageType, formatPoolOdds } from '../utils/formatters.mjs';
+import { AnyventureDicePool } from '../utils/dice-pool.js';
+import { AnyventureRoll } from '../dice/anyventure-roll.mjs';
+import { wonderWoeFieldsHTML, readWonderWoe, consumeWonderWoe } from '../dice/wonder-woe.mjs';
+import { spendAction } from '../action-economy.mjs';
 
 export class AnyventureSpellCastDialog extends foundry.applications.api.DialogV2 {
 
@@ -116,7 +120,7 @@ export class AnyventureSpellCastDialog extends foundry.applications.api.DialogV2
           <div class="casting-options">
             <h4>Casting Options</h4>
             <div class="roll-info">
-              <p><strong>Base Roll:</strong> ${options.baseDice}${options.diceType}kh1</p>
+              <p><strong>Base Roll:</strong> ${new AnyventureDicePool({ base: options.baseDice, dieType: options.diceType }).formula}</p>
             </div>
 
             <div class="form-group">
@@ -129,8 +133,11 @@ export class AnyventureSpellCastDialog extends foundry.applications.api.DialogV2
               <input type="number" id="penalty-dice" name="penaltyDice" value="${initialPenaltyDice}" min="0" max="10" />
             </div>
 
+            ${wonderWoeFieldsHTML(options.actor)}
+
             <div class="roll-preview">
-              <p><strong>Final Roll:</strong> <span id="final-formula">${options.baseDice}${options.diceType}kh1</span></p>
+              <p><strong>Final Roll:</strong> <span id="final-formula">${new AnyventureDicePool({ base: options.baseDice, penalty: initialPenaltyDice, dieType: options.diceType }).formula}</span></p>
+              <p class="roll-odds" id="roll-odds"></p>
             </div>
 
             ${conditionNotes && conditionNotes.length > 0 ? `
@@ -155,11 +162,23 @@ export class AnyventureSpellCastDialog extends foundry.applications.api.DialogV2
     this.diceType = options.diceType || 'd6';
     this.spellName = options.spellName || 'Spell';
     this.energyCost = Number(options.energy) || 0;
+    // Reaction spells (system.reaction) count against the reaction economy
+    this.isReaction = Boolean(this.spell?.system?.reaction ?? options.reaction);
     this.checkToCast = Number(options.checkToCast) || 0;
     this.canChannel = !!options.canChannel;
     this.isFizzled = !!options.isFizzled;
   }
 
+  /**
+   * Build the skill dice pool for the current bonus/penalty dice
+   * @param {number} bonusDice
+   * @param {number} penaltyDice
+   * @returns {AnyventureDicePool}
+   */
+  buildPool(bonusDice, penaltyDice) {
+    return new AnyventureDicePool({ base: this.baseDice, bonus: bonusDice, penalty: penaltyDice, dieType: this.diceType });
+  }
+
   /** @override */
   _onRender(context, options) {
     super._onRender(context, options);
@@ -168,14 +187,23 @@ export class AnyventureSpellCastDialog extends foundry.applications.api.DialogV2
     const bonusInput = this.element.querySelector('#bonus-dice');
     const penaltyInput = this.element.querySelector('#penalty-dice');
     const formulaDisplay = this.element.querySelector('#final-formula');
+    const oddsDisplay = this.element.querySelector('#roll-odds');
     const updateFormula = () => {
       const bonus = parseInt(bonusInput.value) || 0;
       const penalty = parseInt(penaltyInput.value) || 0;
-      const formula = calculateSkillFormula(this.baseDice, bonus, penalty, this.diceType);
-      formulaDisplay.textContent = formula;
+      const spend = readWonderWoe(this.element, this.actor);
+      const pool = this.buildPool(bonus + spend.bonus, penalty + spend.penalty);
+      formulaDisplay.textContent = pool.formula;
+      // Charging raises the required check by 2
+      oddsDisplay.textContent = formatPoolOdds(pool, this.checkToCast > 0 ? [
+        { label: 'Channel', target: this.checkToCast },
+        { label: 'Charge', target: this.checkToCast + 2 }
+      ] : []);
     };
     bonusInput.addEventListener('input', updateFormula);
     penaltyInput.addEventListener('input', updateFormula);
+    this.element.querySelectorAll('.wonder-woe input').forEach(input => input.addEventListener('change', updateFormula));
+    updateFormula();
 
     // Show channel warning if cannot channel (only if check is very high relative to max possible roll)
     const maxPossibleRoll = this.diceType.substring(1); // Remove 'd' prefix
@@ -265,105 +293,63 @@ export class AnyventureSpellCastDialog extends foundry.applications.api.DialogV2
     const formData = new FormData(dialog.element.querySelector('form'));
     const bonusDice = parseInt(formData.get('bonusDice')) || 0;
     const penaltyDice = parseInt(formData.get('penaltyDice')) || 0;
-    const formula = calculateSkillFormula(this.baseDice, bonusDice, penaltyDice, this.diceType);
-
-    // Roll
-    console.log('[Anyventure] Rolling spell', { formula });
-    const roll = new Roll(formula, this.actor?.getRollData() || {});
-    await roll.evaluate();
+    const spend = readWonderWoe(dialog.element, this.actor);
+    const pool = this.buildPool(bonusDice + spend.bonus, penaltyDice + spend.penalty);
+    const system = this.spell?.system ?? {};
 
-    // Extract dice results from first dice term
-    const diceResults = [];
-    const die = roll.dice?.[0];
-    if (die?.results) diceResults.push(...die.results.map(r => r.result));
-    diceResults.sort((a, b) => b - a);
-
-    // Get targeted tokens
-    const targets = Array.from(game.user.targets);
-    let targetInfo = '';
-    if (targets.length > 0) {
-      const targetNames = targets.map(t => t.document.name).join(', ');
-      targetInfo = `<div class="spell-targets" style="text-align: center;"><strong>Target${targets.length > 1 ? 's' : ''}:</strong> ${targetNames}</div>`;
-    }
-
-    // Build chat card content using ability card styling
-    let flavorText = `<div class="anyventure-ability-card">`;
-    const chargedClass = mode === 'charge' ? ' charged' : '';
-    flavorText += `<div class="ability-name${chargedClass}"><strong>${this.spellName}</strong></div>`;
-
-    // Target info
-    flavorText += targetInfo;
-
-    // Energy/Mana line
-    if (mode === 'mana-channel') {
-      flavorText += `<div class="energy-cost">Mana: 1</div>`;
-    } else {
-      flavorText += `<div class="energy-cost">Energy: ${renderEnergy(this.energyCost)}</div>`;
-    }
-
-    // Results and formula
-    flavorText += `<div class="dice-results"><strong>Results:</strong> [${diceResults.join(', ')}]</div>`;
-    flavorText += `<div class="formula">Formula: ${describeSkillFormula(this.baseDice, this.diceType, bonusDice, penaltyDice)}</div>`;
-
-    // Show Check and Required lines (Channel or Charge). Charge increases required by +2
-    if (this.checkToCast > 0) {
-      const highest = diceResults[0] || 0;
-      const required = this.checkToCast + (mode === 'charge' ? 2 : 0);
-      const ok = highest >= required;
-      const requiredDisplay = mode === 'charge' ? `${this.checkToCast} + 2 (Charge) = ${required}` : `${required}`;
-      flavorText += `<div class="formula" style="margin-top:4px;"><strong>Check Result:</strong> ${highest} ${ok ? '<span style="color:#4ade80;">(SUCCESS)</span>' : '<span style="color:#f87171;">(FAIL)</span>'}</div>`;
-      flavorText += `<div class="formula"><strong>Required Check:</strong> ${requiredDisplay}</div>`;
-      // On failure, set fizzle flag on the spell
-      if (!ok && this.spell?.update) {
-        try {
-          await this.spell.update({ 'system.fizzled': true });
-        } catch (e) {
-          console.warn('[Anyventure] Failed to set fizzle flag', e);
-        }
-      }
-    }
+    // Charge increases the required check by +2
+    const required = this.checkToCast > 0 ? this.checkToCast + (mode === 'charge' ? 2 : 0) : null;
 
     // Summary rows (concentration, ritual, duration)
-    const rows = [];
-    if (this.spell?.system?.concentration) rows.push(`<div class="summary-row"><strong>Concentration:</strong> Yes</div>`);
-    if (this.spell?.system?.ritualDuration) rows.push(`<div class="summary-row"><strong>Ritual:</strong> ${foundry.utils.escapeHTML(this.spell.system.ritualDuration)}</div>`);
-    if (this.spell?.system?.duration) rows.push(`<div class="summary-row"><strong>Duration:</strong> ${foundry.utils.escapeHTML(this.spell.system.duration)}</div>`);
-    if (rows.length) flavorText += `<div class="spell-summary">${rows.join('')}</div>`;
-
-    // Damage info (if any)
-    const dmg = Number(this.spell?.system?.damage || 0);
-    const dmgTypeStr = this.spell?.system?.damageType || '';
-    if (dmg > 0 && dmgTypeStr) {
-      const f = formatDamageType(dmgTypeStr);
-      flavorText += `<div class="damage-info"><span class="damage-type ${f.cssClass}">${dmg} ${f.text}</span></div>`;
-    }
-
-    // Description
-    if (this.spell?.system?.description) {
-      flavorText += `<div class="ability-description">${this.spell.system.description}</div>`;
-    }
-
-    // Charge effect (always show if it exists)
-    if (this.spell?.system?.charge) {
-      flavorText += `<div class="ability-description"><strong>Charge Effect:</strong><br>${this.spell.system.charge}</div>`;
-    }
+    const summary = [];
+    if (system.concentration) summary.push({ label: 'Concentration', value: 'Yes' });
+    if (system.ritualDuration) summary.push({ label: 'Ritual', value: system.ritualDuration });
+    if (system.duration) summary.push({ label: 'Duration', value: system.duration });
+
+    // Description, charge effect (always shown if it exists) and components
+    const sections = [];
+    if (system.description) sections.push({ html: system.description });
+    if (system.charge) sections.push({ label: 'Charge Effect', html: system.charge });
+    const comps = Array.isArray(system.components) ? system.components.filter(Boolean) : [];
+    if (comps.length) sections.push({ label: 'Components', html: comps.map(c => foundry.utils.escapeHTML(String(c))).join(', ') });
+
+    const dmg = Number(system.damage || 0);
+    const roll = AnyventureRoll.fromPool(pool, {
+      type: 'spell',
+      title: this.spellName,
+      titleClass: mode === 'charge' ? 'charged' : '',
+      skill: { category: 'magic', key: system.school },
+      target: required,
+      targetNote: mode === 'charge' && required ? `${this.checkToCast} + 2 (Charge) = ${required}` : undefined,
+      targets: Array.from(game.user.targets).map(t => t.document.name),
+      ...(mode === 'mana-channel' ? { mana: 1 } : { energy: this.energyCost }),
+      damage: dmg > 0 && system.damageType ? [{ amount: dmg, type: system.damageType }] : [],
+      summary,
+      sections,
+      wonderWoe: spend
+    }, this.actor?.getRollData() || {});
 
-    // Components list (array) under Charge Effect
-    const comps = Array.isArray(this.spell?.system?.components) ? this.spell.system.components.filter(Boolean) : [];
-    if (comps.length) {
-      const list = comps.map(c => foundry.utils.escapeHTML(String(c))).join(', ');
-      flavorText += `<div class="ability-description"><strong>Components:</strong> ${list}</div>`;
+    // Roll
+    console.log('[Anyventure] Rolling spell', { formula: roll.formula });
+    await roll.evaluate();
+    const diceResults = roll.results.map(r => r.result);
+
+    // On failure, set fizzle flag on the spell
+    if (roll.isSuccess === false && this.spell?.update) {
+      try {
+        await this.spell.update({ 'system.fizzled': true });
+      } catch (e) {
+        console.warn('[Anyventure] Failed to set fizzle flag', e);
+      }
     }
 
-    flavorText += `</div>`;
-
     // Send to chat
     console.log('[Anyventure] Posting spell chat card', { mode, diceResults });
     await roll.toMessage({
       speaker: ChatMessage.getSpeaker({ actor: this.actor }),
-      flavor: flavorText,
       rollMode: game.settings.get('core', 'rollMode'),
     });
+    await consumeWonderWoe(this.actor, spend);
 
     // Deduct energy or mana
     if (this.actor) {
@@ -380,6 +366,12 @@ export class AnyventureSpellCastDialog extends foundry.applications.api.DialogV2
       }
     }
 
+    // Spells with a reaction trigger are cast as reactions
+    await spendAction(this.actor, {
+      kind: this.isReaction ? 'reaction' : 'action',
+      energy: mode === 'mana-channel' ? 0 : this.energyCost
+    });
+
     // No spell slot deductions — display only
 
     return { roll, bonusDice, penaltyDice, mode, diceResults };
@@ -402,64 +394,6 @@ export class AnyventureSpellCastDialog extends foundry.applications.api.DialogV2
   }
 }
 
-function calculateSkillFormula(baseDice, bonusDice, penaltyDice, diceType) {
-  const netDice = (baseDice || 1) + (bonusDice || 0) - (penaltyDice || 0);
-
-  // Case 1: Net dice > 1 - roll multiple, keep highest
-  if (netDice > 1) {
-    return `${netDice}${diceType}kh1`;
-  }
-
-  // Case 2: Net dice is exactly 1 - roll 1 die
-  if (netDice === 1) {
-    return `1${diceType}`;
-  }
-
-  // Case 3: Net dice is 0 - roll 1 die (can't go below 1)
-  if (netDice === 0) {
-    return `1${diceType}`;
-  }
-
-  // Case 4: Net dice is negative - roll penalty dice, keep lowest
-  const penaltiesPastFloor = (penaltyDice || 0) - ((baseDice || 1) + (bonusDice || 0) - 1);
-  const diceToRoll = 1 + penaltiesPastFloor;
-
-  if (diceToRoll === 1) {
-    return `1${diceType}`;
-  }
-  return `${diceToRoll}${diceType}kl1`;
-}
-
-function describeSkillFormula(base, diceType, bonus, penalty) {
-  const netDice = (base || 1) + (bonus || 0) - (penalty || 0);
-  let s;
-
-  // Determine what was actually rolled
-  if (netDice > 1) {
-    // Multiple dice
-    s = `${netDice}${diceType}`;
-  } else if (netDice >= 0) {
-    // Single die (net was 0 or 1)
-    s = `1${diceType}`;
-  } else {
-    // Keep lowest scenario
-    const penaltiesPastFloor = (penalty || 0) - ((base || 1) + (bonus || 0) - 1);
-    const totalDiceRolled = 1 + penaltiesPastFloor;
-    s = `${totalDiceRolled}${diceType} (keep lowest)`;
-  }
-
-  // Add bonus/penalty notation
-  if ((bonus || 0) > 0 && (penalty || 0) === 0) {
-    s += ` | +${bonus} bonus`;
-  } else if ((penalty || 0) > 0 && (bonus || 0) === 0) {
-    s += ` | -${penalty} penalty`;
-  } else if ((bonus || 0) > 0 && (penalty || 0) > 0) {
-    s += ` | +${bonus} bonus, -${penalty} penalty`;
-  }
-
-  return s;
-}
-
 function renderEnergy(energy) {
   const e = Number(energy) || 0;
   if (e === 0) return 'None';
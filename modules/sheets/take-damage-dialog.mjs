@@ -1,23 +1,39 @@
 import { logError, logWarning } from "../utils/logger.js";
 import { formatDamageType } from "../utils/formatters.mjs";
-
+import { applyCriticalDamage } from "../utils/crit-rules.js";
+
+/**
+ * Take Damage Dialog
+ * Options can prefill the damage from a roll card: damage, damageType,
+ * extraDamage and critical (the card's `flags.anyventure.critical`). A doubling
+ * critical preselects Double Damage; a bump is added to the damage.
+ */
 export class AnyventureTakeDamageDialog extends foundry.applications.api.DialogV2 {
   constructor(options = {}) {
+    const critical = options.critical?.crit ? options.critical : null;
+    const damage = critical?.effect === 'bump'
+      ? applyCriticalDamage(Number(options.damage) || 0, critical, Number(options.extraDamage) || 0)
+      : (Number(options.damage) || 0);
+    const doubled = critical?.effect === 'double';
     const typeOptions = [
       'physical','heat','cold','electric','dark','divine','aether','psychic','toxic','true','resolve','energy'
-    ].map(t => `<option value="${t}">${t.charAt(0).toUpperCase()+t.slice(1)}</option>`).join('');
+    ].map(t => `<option value="${t}" ${t === options.damageType ? 'selected' : ''}>${t.charAt(0).toUpperCase()+t.slice(1)}</option>`).join('');
+    const criticalNote = critical?.effect === 'bump'
+      ? `<p class="critical-note">Critical: +${damage - (Number(options.damage) || 0)} damage (${critical.count} critical ${critical.count === 1 ? 'die' : 'dice'})</p>`
+      : (doubled ? '<p class="critical-note">Critical: damage is doubled</p>' : '');
     super({
       window: { title: options.title || 'Take Damage', contentClasses: ['anyventure-damage-dialog'] },
       content: `
         <form class="damage-form">
+          ${criticalNote}
           <div style="display:grid;grid-template-columns:160px 1fr;gap:6px;align-items:center;">
-            <label>Damage</label><input type="number" name="damage" value="0" min="0" />
+            <label>Damage</label><input type="number" name="damage" value="${damage}" min="0" />
             <label>Damage Type</label><select name="dtype">${typeOptions}</select>
             <label>Extra Mitigation</label><input type="number" name="extra" value="0" min="0" />
             <label>Condition</label>
               <select name="cond">
                 <option value="none">None</option>
-                <option value="double">Double Damage</option>
+                <option value="double" ${doubled ? 'selected' : ''}>Double Damage</option>
                 <option value="half">Half Damage</option>
               </select>
             <label>Apply</label>
@@ -61,17 +77,37 @@ export class AnyventureTakeDamageDialog extends foundry.applications.api.DialogV
 
     const num = (name) => Number(button.form.elements[name]?.value || 0) || 0;
     const str = (name) => String(button.form.elements[name]?.value || '');
-    const base = num('damage');
-    const dtype = str('dtype');
-    const extra = num('extra');
-    const cond = str('cond');
-    const phase = str('phase');
+    await AnyventureTakeDamageDialog.applyDamage(this.actor, {
+      damage: num('damage'),
+      damageType: str('dtype'),
+      extra: num('extra'),
+      condition: str('cond'),
+      phase: str('phase')
+    });
+    this._applied = true;
+  }
+
+  /**
+   * Apply damage to an actor through mitigation and post the damage card.
+   * Used by the dialog and by turn processing (damage over time).
+   * @param {Actor} actor
+   * @param {Object} values
+   * @param {number} values.damage - Raw damage
+   * @param {string} [values.damageType='physical']
+   * @param {number} [values.extra=0] - Extra mitigation
+   * @param {string} [values.condition='none'] - none, double or half
+   * @param {string} [values.phase='before'] - Whether the condition applies before or after mitigation
+   */
+  static async applyDamage(actor, { damage, damageType = 'physical', extra = 0, condition = 'none', phase = 'before' }) {
+    const base = Number(damage) || 0;
+    const dtype = damageType;
+    const cond = condition;
 
     let preFactor = 1, postFactor = 1;
     if (cond === 'double') (phase === 'before') ? preFactor = 2 : postFactor = 2;
     if (cond === 'half') (phase === 'before') ? preFactor = 0.5 : postFactor = 0.5;
 
-    const mitigations = this.actor.system.mitigation || {};
+    const mitigations = actor.system.mitigation || {};
     const key = dtype;
     const mval = (key === 'resolve' || key === 'energy' || key === 'true') ? 0 : Number(mitigations[key] || 0);
 
@@ -108,23 +144,22 @@ export class AnyventureTakeDamageDialog extends foundry.applications.api.DialogV
     }
 
     // Apply damage using new routing rules
-    const damageResults = await this._applyDamageToResources(finalDmg, dtype);
+    const damageResults = this._applyDamageToResources(actor, finalDmg, dtype);
 
     if (Object.keys(damageResults.updates).length) {
-      await this.actor.update(damageResults.updates);
-      this.actor.sheet?.render(false);
+      await actor.update(damageResults.updates);
+      actor.sheet?.render(false);
 
       // Create damage chat card with enhanced information
-      await this._createDamageChatCard(finalDmg, dtype, base, extra, cond, phase, mitigation, mitigationResult, damageResults);
+      await this._createDamageChatCard(actor, finalDmg, dtype, base, extra, cond, phase, mitigation, mitigationResult, damageResults);
     }
-    this._applied = true;
   }
 
   /**
    * Apply damage to character resources using new routing rules
    */
-  async _applyDamageToResources(finalDamage, damageType) {
-    const resources = this.actor.system.resources || {};
+  static _applyDamageToResources(actor, finalDamage, damageType) {
+    const resources = actor.system.resources || {};
     const updates = {};
     const damageBreakdown = {
       moraleDamage: 0,
@@ -185,7 +220,7 @@ export class AnyventureTakeDamageDialog extends foundry.applications.api.DialogV
   /**
    * Create a damage chat card instead of UI notification
    */
-  async _createDamageChatCard(finalDamage, damageType, rawDamage, extraMitigation, condition, phase, mitigation, mitigationResult, damageResults) {
+  static async _createDamageChatCard(actor, finalDamage, damageType, rawDamage, extraMitigation, condition, phase, mitigation, mitigationResult, damageResults) {
     const damageTypeFormatted = formatDamageType(damageType);
 
     // Build chat card content using the established card styling
@@ -193,7 +228,7 @@ export class AnyventureTakeDamageDialog extends foundry.applications.api.DialogV
 
     // Main damage header
     cardContent += `<div class="damage-header">`;
-    cardContent += `<div class="character-name"><strong>${this.actor.name}</strong> has taken damage</div>`;
+    cardContent += `<div class="character-name"><strong>${actor.name}</strong> has taken damage</div>`;
     cardContent += `<div class="damage-amount">`;
     cardContent += `<span class="damage-type ${damageTypeFormatted.cssClass}">${finalDamage} ${damageTypeFormatted.text}</span>`;
     cardContent += `</div>`;
@@ -255,12 +290,30 @@ export class AnyventureTakeDamageDialog extends foundry.applications.api.DialogV
 
     // Create and send the chat message
     await ChatMessage.create({
-      speaker: ChatMessage.getSpeaker({ actor: this.actor }),
+      speaker: ChatMessage.getSpeaker({ actor }),
       content: cardContent,
       type: CONST.CHAT_MESSAGE_TYPES.OTHER,
       rollMode: game.settings.get('core', 'rollMode'),
     });
   }
 
+  /** @override */
+  _onClose(options) {
+    super._onClose(options);
+    this._settle?.(this._applied);
+  }
+
   static async show(options = {}) { const d = new AnyventureTakeDamageDialog(options); return d.render({ force: true }); }
+
+  /**
+   * Show the dialog and wait until it is submitted or closed
+   * @param {Object} options - As for show
+   * @returns {Promise<boolean>} - Whether damage was applied
+   */
+  static async wait(options = {}) {
+    const dialog = new AnyventureTakeDamageDialog(options);
+    const settled = new Promise(resolve => { dialog._settle = resolve; });
+    await dialog.render({ force: true });
+    return settled;
+  }
 }
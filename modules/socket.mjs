@@ -0,0 +1,66 @@
+/**
+ * Anyventure socket
+ *
+ * Players cannot update documents they do not own (e.g. another player's chat
+ * message), so those updates are handed to the active GM over the system
+ * socket. Features register a handler by action name and call
+ * `requestGMAction`; on the GM's client the handler runs directly.
+ */
+
+import { logError, logWarning } from './utils/logger.js';
+
+const SOCKET_NAME = 'system.anyventure';
+
+/** @type {Map<string, Function>} */
+const handlers = new Map();
+
+/**
+ * Register a handler the active GM runs for an action
+ * @param {string} action - Action name
+ * @param {Function} handler - async (payload, userId) => void
+ */
+export function registerSocketHandler(action, handler) {
+  handlers.set(action, handler);
+}
+
+/**
+ * Run an action as the active GM
+ * @param {string} action - Action name
+ * @param {Object} payload - Serializable data for the handler
+ * @returns {Promise<boolean>} - False when no GM is connected to run it
+ */
+export async function requestGMAction(action, payload = {}) {
+  if (game.users.activeGM?.isSelf) {
+    await runHandler(action, payload, game.user.id);
+    return true;
+  }
+  if (!game.users.activeGM) {
+    ui.notifications.warn('A GM must be connected to complete this action.');
+    return false;
+  }
+  game.socket.emit(SOCKET_NAME, { action, payload, userId: game.user.id });
+  return true;
+}
+
+async function runHandler(action, payload, userId) {
+  const handler = handlers.get(action);
+  if (!handler) {
+    logWarning(`No socket handler registered for "${action}"`);
+    return;
+  }
+  try {
+    await handler(payload, userId);
+  } catch (error) {
+    logError(`Socket action "${action}" failed:`, error);
+  }
+}
+
+/**
+ * Listen for socket requests (only the active GM acts on them)
+ */
+export function initializeSocket() {
+  game.socket.on(SOCKET_NAME, ({ action, payload, userId } = {}) => {
+    if (!game.users.activeGM?.isSelf) return;
+    runHandler(action, payload, userId);
+  });
+}
@@ -0,0 +1,169 @@
+/**
+ * Turn upkeep
+ *
+ * Runs start- and end-of-turn processing from the phase tracker's
+ * `anyventure.turnStart` and `anyventure.turnEnd` hooks (see combat.mjs):
+ *
+ * - Turn start (a combatant's first turn of the round): energy regeneration and
+ *   the resolve drain at 0 health (AnyventureActor#startTurn)
+ * - Turn end (a combatant's last turn of the round): damage from conditions
+ *   that tick (`damageAtTurnEnd`: bleeding, ignited, poisoned), dazed wearing
+ *   off, then recovery checks for conditions that recover each turn
+ *   (`interval: "turn"`)
+ *
+ * The world setting `turnAutomation` chooses whether this is applied
+ * automatically, asked first, or left to the sheet buttons. Each actor is
+ * processed on one client: an active player who owns it, otherwise the active GM.
+ */
+
+import { AnyventureTakeDamageDialog } from './sheets/take-damage-dialog.mjs';
+import { logError } from './utils/logger.js';
+
+/** Choices of the turnAutomation setting */
+export const TURN_AUTOMATION = {
+  automatic: 'Automatic',
+  prompt: 'Ask first',
+  off: 'Off (sheet buttons only)'
+};
+
+/**
+ * Register the turnAutomation setting
+ */
+export function registerTurnProcessingSettings() {
+  game.settings.register('anyventure', 'turnAutomation', {
+    name: 'Turn Upkeep',
+    hint: 'What happens when the combat tracker moves to the next turn: energy regeneration at turn start, condition damage and recovery checks at turn end.',
+    scope: 'world',
+    config: true,
+    type: String,
+    choices: TURN_AUTOMATION,
+    default: 'prompt'
+  });
+}
+
+/**
+ * Whether this client processes an actor's turns
+ * @param {Actor} actor
+ * @returns {boolean}
+ */
+function isResponsible(actor) {
+  const player = game.users.find(user => user.active && !user.isGM && actor.testUserPermission(user, 'OWNER'));
+  return player ? player === game.user : game.user === game.users.activeGM;
+}
+
+/**
+ * Ask before a step of turn upkeep
+ * @param {string} title
+ * @param {string} question
+ * @returns {Promise<boolean>}
+ */
+async function confirmStep(title, question) {
+  const confirmed = await foundry.applications.api.DialogV2.confirm({
+    window: { title },
+    content: `<p>${question}</p>`,
+    rejectClose: false
+  });
+  return confirmed === true;
+}
+
+/**
+ * Damage a condition deals at the end of the turn
+ * @param {ActiveEffect} effect
+ * @returns {{amount: number|null, damageType: string}|null} - null when the
+ *   condition doesn't tick; a null amount when it has no set damage (poisons)
+ */
+export function conditionTick(effect) {
+  const flags = effect.flags?.anyventure ?? {};
+  if (!flags.damageAtTurnEnd) return null;
+
+  let amount = null;
+  if (flags.fixedDamage !== undefined) {
+    amount = Number(flags.fixedDamage) || 0;
+  } else if (flags.baseDamage !== undefined) {
+    // Increasing damage (ignited) grows by 1 per tick up to maxDamage
+    amount = Number(flags.baseDamage) + (flags.increasingDamage ? (flags.ticks || 0) : 0);
+    if (flags.maxDamage) amount = Math.min(amount, flags.maxDamage);
+  }
+  return { amount, damageType: flags.damageType || 'physical' };
+}
+
+/**
+ * Start of turn: energy regeneration and the resolve drain
+ * @param {Actor} actor
+ * @param {string} mode - automatic or prompt
+ */
+async function processTurnStart(actor, mode) {
+  if (!actor.system.resources) return;
+  if (mode === 'prompt' && !await confirmStep('Start Turn', `Start ${actor.name}'s turn (regain energy)?`)) return;
+  await actor.startTurn();
+}
+
+/**
+ * End of turn: condition damage, dazed wearing off and recovery checks
+ * @param {Actor} actor
+ * @param {string} mode - automatic or prompt
+ */
+async function processTurnEnd(actor, mode) {
+  const conditions = actor.effects.filter(effect => effect.statuses?.size);
+
+  for (const effect of conditions) {
+    const tick = conditionTick(effect);
+    if (!tick) continue;
+
+    // Damage without a set amount, or when asking first, goes through the Take
+    // Damage dialog; a tick only counts when its damage was applied
+    if (tick.amount === null || mode === 'prompt') {
+      const applied = await AnyventureTakeDamageDialog.wait({ actor, title: `${effect.name}: ${actor.name}`, damage: tick.amount ?? 0, damageType: tick.damageType });
+      if (!applied) continue;
+    } else {
+      await AnyventureTakeDamageDialog.applyDamage(actor, { damage: tick.amount, damageType: tick.damageType });
+    }
+    await effect.update({ 'flags.anyventure.ticks': (effect.flags.anyventure.ticks || 0) + 1 });
+  }
+
+  // Recovery checks come after all of the turn's damage
+  for (const effect of conditions) {
+    const flags = effect.flags.anyventure ?? {};
+
+    // Dazed ends at the end of the turn
+    if (flags.interval === 'round' && effect.statuses.has('dazed')) {
+      if (mode === 'automatic' || await confirmStep(effect.name, `${actor.name} is no longer ${effect.name.toLowerCase()}. Remove it?`)) {
+        await effect.delete();
+      }
+      continue;
+    }
+
+    if (flags.interval !== 'turn' || !flags.checkType) continue;
+    const check = flags.checkType === 'special' ? `${flags.dieType} ${flags.successOn}+` : `${flags.checkType} ${flags.currentCheck}`;
+    if (mode === 'prompt' && !await confirmStep(`${effect.name} Recovery`, `Roll ${actor.name}'s recovery from ${effect.name} (${check})?`)) continue;
+    await actor.rollConditionRecovery(effect);
+  }
+}
+
+/**
+ * Run a turn step for the combatant's actor on the responsible client
+ * @param {Function} step - async (actor, mode) => void
+ * @returns {Function} - Hook handler
+ */
+function turnHandler(step) {
+  return async (combatant) => {
+    const mode = game.settings.get('anyventure', 'turnAutomation');
+    const actor = combatant.actor;
+    if (mode === 'off' || !actor || !isResponsible(actor)) return;
+    try {
+      await step(actor, mode);
+    } catch (error) {
+      logError(`Failed to process turn for ${actor.name}:`, error);
+    }
+  };
+}
+
+/**
+ * Register the turn upkeep hooks
+ */
+export function registerTurnProcessingHooks() {
+  const onTurnStart = turnHandler(processTurnStart);
+  const onTurnEnd = turnHandler(processTurnEnd);
+  Hooks.on('anyventure.turnStart', (combatant, context) => context.firstTurn && onTurnStart(combatant));
+  Hooks.on('anyventure.turnEnd', (combatant, context) => context.lastTurn && onTurnEnd(combatant));
+}
@@ -1,90 +1,58 @@
 /**
  * Character Parser for FoundryVTT Anyventure System
  *
- * This module provides centralized character parsing functionality
- * in the correct order: Size → Traits → Ancestry → Modules
+ * Foundry adapter over the headless rules engine (rules-engine.js). Reads
+ * actor/item data, hands plain JSON to the engine in the correct order
+ * (Trait → Ancestry → Culture → Modules → Traits) and persists the result.
  */
 
-// Import the data parsing utilities
-import { parseDataCode, createEmptyDelta, combineDeltas, applyDeltaToCharacter } from './data-parser.js';
+import {
+  mergeDeltas,
+  buildCharacterDelta,
+  collectTraitItemEffects,
+  collectAncestryEffects,
+  collectCultureEffects,
+  collectModuleEffects,
+  collectTraitCollections,
+  applyDeltaToSystem,
+  computeCharacter,
+  diffBaselines,
+  baselineFields
+} from './rules-engine.js';
 import { logError, logWarning } from './logger.js';
 import { DefaultAbilities } from './default-abilities.js';
 
-/**
- * Merge one delta into another (mutates target delta)
- * @param {Object} sourceDelta - The delta to merge from
- * @param {Object} targetDelta - The delta to merge into (mutated)
- */
-function mergeDeltas(sourceDelta, targetDelta) {
-  // Helper function to merge simple value objects
-  const mergeSimpleValues = (source, target) => {
-    Object.entries(source).forEach(([key, value]) => {
-      target[key] += value;
-    });
-  };
-
-  // Helper function to merge skill objects with skill/talent/tier properties
-  const mergeSkillObjects = (source, target) => {
-    Object.entries(source).forEach(([key, data]) => {
-      target[key].skill += data.skill;
-      target[key].talent += data.talent;
-      target[key].tier += data.tier;
-    });
-  };
-
-  // Merge all simple value collections
-  mergeSimpleValues(sourceDelta.attributes, targetDelta.attributes);
-  mergeSimpleValues(sourceDelta.skills, targetDelta.skills);
-  mergeSimpleValues(sourceDelta.skillTierModifiers, targetDelta.skillTierModifiers);
-
-  // Merge all skill object collections
-  mergeSkillObjects(sourceDelta.weaponSkills, targetDelta.weaponSkills);
-  mergeSkillObjects(sourceDelta.magicSkills, targetDelta.magicSkills);
-  mergeSkillObjects(sourceDelta.craftingSkills, targetDelta.craftingSkills);
-
-  // Merge remaining simple value collections
-  mergeSimpleValues(sourceDelta.mitigation, targetDelta.mitigation);
-  mergeSimpleValues(sourceDelta.resources, targetDelta.resources);
-  mergeSimpleValues(sourceDelta.movement, targetDelta.movement);
-
-  // Merge abilities (avoid duplicates)
-  if (sourceDelta.abilities && sourceDelta.abilities.length > 0) {
-    if (!targetDelta.abilities) targetDelta.abilities = [];
-    sourceDelta.abilities.forEach(ability => {
-      targetDelta.abilities.push(ability);
-    });
-  }
+export { mergeDeltas };
 
-  // Merge immunities (avoid duplicates)
-  sourceDelta.immunities.forEach(immunity => {
-    if (!targetDelta.immunities.includes(immunity)) {
-      targetDelta.immunities.push(immunity);
-    }
-  });
-
-  // Merge conditionals
-  Object.entries(sourceDelta.conditionals).forEach(([condition, effects]) => {
-    targetDelta.conditionals[condition].push(...effects);
-  });
+// How many previous baselines Recalculate keeps in flags.anyventure.baselineHistory
+const BASELINE_HISTORY_LIMIT = 5;
 
-  // Merge weapon modifications
-  Object.entries(sourceDelta.weaponModifications).forEach(([modification, value]) => {
-    targetDelta.weaponModifications[modification] += value;
-  });
+/**
+ * System fields written by Recalculate and captured in baseline history
+ * @returns {Array<string>}
+ */
+function persistedFields() {
+  return [...baselineFields(), '_base', '_provenance'];
+}
 
-  // Merge combat features (take highest tier for dual wield)
-  Object.entries(sourceDelta.combatFeatures).forEach(([feature, value]) => {
-    if (feature === 'dualWieldTier') {
-      targetDelta.combatFeatures[feature] = Math.max(targetDelta.combatFeatures[feature], value);
-    } else {
-      targetDelta.combatFeatures[feature] += value;
-    }
-  });
+/**
+ * Build update data for the persisted baseline fields of a system object
+ * @param {Object} system - System data holding the fields
+ * @returns {Object} - Update data keyed by 'system.*' paths
+ */
+function baselineUpdateData(system) {
+  return Object.fromEntries(persistedFields()
+    .filter(key => system[key] !== undefined)
+    .map(key => [`system.${key}`, system[key]]));
+}
 
-  // Merge boolean flags
-  Object.entries(sourceDelta.flags || {}).forEach(([name, val]) => {
-    if (val) targetDelta.flags[name] = true;
-  });
+/**
+ * Get an actor's embedded items as a plain array
+ * @param {Object} actor - The actor
+ * @returns {Array<Object>}
+ */
+function actorItems(actor) {
+  return actor.items ? Array.from(actor.items) : [];
 }
 
 /**
@@ -94,19 +62,7 @@ function mergeDeltas(sourceDelta, targetDelta) {
  * @returns {Object} - Combined delta of all character effects
  */
 export function parseCharacter(actor) {
-  // Create single delta that will be mutated by all parsing functions
-  const delta = createEmptyDelta();
-  // 2. Parse trait items (item.type === 'trait')
-  parseTrait(actor, delta);
-  // 3. Parse ancestry effects
-  parseAncestry(actor, delta);
-  // 4. Parse culture effects
-  parseCulture(actor, delta);
-  // 5. Parse module effects
-  parseModules(actor, delta);
-  // 6. Parse traits (TA, TG, TC)
-  parseTraits(actor, delta);
-  return delta;
+  return buildCharacterDelta(actorItems(actor));
 }
 
 /**
@@ -115,51 +71,7 @@ export function parseCharacter(actor) {
  * @param {Object} delta - The delta object to mutate
  */
 export function parseTrait(actor, delta) {
-  // Get all trait items from the actor
-  const traits = actor.items?.filter(item => item.type === 'trait') || [];
-
-  for (const trait of traits) {
-    console.log(`[Character Parser] Processing trait item: "${trait.name}"`);
-
-    // Get trait options
-    const options = trait.system?.options || [];
-    const selectedOptions = options.filter(option => option.selected);
-
-    console.log(`[Character Parser] Trait "${trait.name}" has ${selectedOptions.length} selected options out of ${options.length} total`);
-
-    // Parse each selected option and apply directly to the delta
-    for (const option of selectedOptions) {
-      if (option.data) {
-        console.log(`[Character Parser] Processing trait option: "${option.name}" with data: "${option.data}"`);
-
-        // Check if this contains an ability code (XIME=1, ZINE=2, etc.)
-        const hasAbilityCode = option.data.match(/[XZ][ID][MN]E=\d+/);
-
-        if (hasAbilityCode) {
-          // Parse the data code
-          const optionDelta = parseDataCode(option.data);
-
-          // If abilities were added, use the OPTION's name and description
-          if (optionDelta.abilities && optionDelta.abilities.length > 0) {
-            optionDelta.abilities.forEach(ability => {
-              ability.name = option.name || 'Unknown Ability'; // Use the OPTION's name field
-              ability.description = option.description || ''; // Use the OPTION's description field
-            });
-          }
-
-          mergeDeltas(optionDelta, delta);
-        } else {
-          // Normal parsing for non-ability data (includes Auto codes like A1=5)
-          console.log(`[Character Parser] Processing trait non-ability data: "${option.data}" from option: "${option.name}"`);
-          const optionDelta = parseDataCode(option.data);
-          console.log('[Character Parser] Parsed trait delta:', optionDelta);
-          mergeDeltas(optionDelta, delta);
-        }
-      } else {
-        console.log(`[Character Parser] Skipping trait option: ${option.name} (no data code)`);
-      }
-    }
-  }
+  collectTraitItemEffects(actorItems(actor), delta);
 }
 
 /**
@@ -168,81 +80,7 @@ export function parseTrait(actor, delta) {
  * @param {Object} delta - The delta object to mutate
  */
 export function parseAncestry(actor, delta) {
-  // Get all ancestry items from the actor
-  const ancestries = actor.items?.filter(item => item.type === 'ancestry') || [];
-
-  for (const ancestry of ancestries) {
-    // Unlike modules, ancestries automatically give ALL their racial traits
-    // All options should already be marked as selected: true
-    const options = ancestry.system?.options || [];
-
-    // Get selected subchoices from flags for this ancestry
-    const selectedOptionsFlags = ancestry.flags?.anyventure?.selectedOptions || [];
-
-    // Filter for selected options only (same as cultures and modules)
-    const selectedOptions = options.filter(option => option.selected);
-
-    // Process each selected option
-    for (const option of selectedOptions) {
-
-      // Check if this option has subchoices
-      if (option.subchoices && option.subchoices.length > 0) {
-
-        // Find which subchoice was selected from flags
-        const selectedFlag = selectedOptionsFlags.find(flag => flag.name === option.name);
-        if (selectedFlag && selectedFlag.selectedSubchoice) {
-          const selectedSubchoice = option.subchoices.find(sub => sub.id === selectedFlag.selectedSubchoice);
-
-          if (selectedSubchoice) {
-
-            // Check if this contains an ability code (XIME=1, ZINE=2, etc.)
-            const hasAbilityCode = selectedSubchoice.data && selectedSubchoice.data.match(/[XZ][ID][MN]E=\d+/);
-
-            const subchoiceDelta = parseDataCode(selectedSubchoice.data);
-
-            // If abilities were added, use the SUBCHOICE's name and description
-            if (hasAbilityCode && subchoiceDelta.abilities && subchoiceDelta.abilities.length > 0) {
-              subchoiceDelta.abilities.forEach(ability => {
-                ability.name = selectedSubchoice.name || 'Unknown Ability';
-                ability.description = selectedSubchoice.description || '';
-              });
-            }
-
-
-            mergeDeltas(subchoiceDelta, delta);
-          } else {
-            logWarning(`Could not find subchoice "${selectedFlag.selectedSubchoice}" for option "${option.name}"`);
-          }
-        } else {
-          logWarning(`No subchoice selected for option "${option.name}" that requires choice`);
-        }
-      } else if (option.data) {
-        // Regular option with direct data code
-
-        // Check if this contains an ability code (XIME=1, ZINE=2, etc.)
-        const hasAbilityCode = option.data.match(/[XZ][ID][MN]E=\d+/);
-
-        const optionDelta = parseDataCode(option.data);
-
-        // If abilities were added, use the OPTION's name and description
-        if (hasAbilityCode && optionDelta.abilities && optionDelta.abilities.length > 0) {
-          optionDelta.abilities.forEach(ability => {
-            ability.name = option.name || 'Unknown Ability';
-            ability.description = option.description || '';
-          });
-        }
-
-
-        mergeDeltas(optionDelta, delta);
-      } else {
-      }
-    }
-
-    // Size-based skill modifications are handled automatically through ancestry data codes
-    // (e.g., SSA=Y:SSB=Y:SSC=Y:SSD=Y:SSE=X:SSF=X:SSG=X:SSH=X for Small size)
-    // No additional processing needed here
-  }
-
+  collectAncestryEffects(actorItems(actor), delta);
 }
 
 /**
@@ -251,46 +89,7 @@ export function parseAncestry(actor, delta) {
  * @param {Object} delta - The delta object to mutate
  */
 export function parseCulture(actor, delta) {
-  // Get all culture items from the actor
-  const cultures = actor.items?.filter(item => item.type === 'culture') || [];
-
-  for (const culture of cultures) {
-    // Get culture options (restrictions, benefits, startingItems are flattened into options array)
-    const options = culture.system?.options || [];
-
-    // Filter for selected options only
-    const selectedOptions = options.filter(option => option.selected);
-
-    // Process each selected option
-    for (const option of selectedOptions) {
-
-      if (option.data) {
-        // Check if this contains an ability code (XIME=1, ZINE=2, etc.)
-        const hasAbilityCode = option.data.match(/[XZ][ID][MN]E=\d+/);
-
-        if (hasAbilityCode) {
-          // Parse the data code
-          const optionDelta = parseDataCode(option.data);
-
-          // If abilities were added, use the OPTION's name and description
-          if (optionDelta.abilities && optionDelta.abilities.length > 0) {
-            optionDelta.abilities.forEach(ability => {
-              ability.name = option.name || 'Unknown Ability'; // Use the OPTION's name field
-              ability.description = option.description || ''; // Use the OPTION's description field
-            });
-          }
-
-          mergeDeltas(optionDelta, delta);
-        } else {
-          // Normal parsing for non-ability data (like FD for Badge of Honor)
-          const optionDelta = parseDataCode(option.data);
-          mergeDeltas(optionDelta, delta);
-        }
-      } else {
-      }
-    }
-  }
-
+  collectCultureEffects(actorItems(actor), delta);
 }
 
 /**
@@ -299,49 +98,7 @@ export function parseCulture(actor, delta) {
  * @param {Object} delta - The delta object to mutate
  */
 export function parseModules(actor, delta) {
-
-  // Get all modules from the actor
-  const modules = actor.items?.filter(item => item.type === 'module') || [];
-  for (const module of modules) {
-
-    // Skip personality modules for point calculations
-    const isPersonality = module.system?.mtype === 'personality';
-
-    // Get selected options
-    const options = module.system?.options || [];
-    const selectedOptions = options.filter(option => option.selected);
-    // Parse each selected option and apply directly to the delta
-    for (const option of selectedOptions) {
-      if (option.data) {
-        // Check if this contains an ability code (XIME=1, ZINE=2, etc.)
-        const hasAbilityCode = option.data.match(/[XZ][ID][MN]E=\d+/);
-
-        if (hasAbilityCode) {
-          // Parse the data code
-          const optionDelta = parseDataCode(option.data);
-
-          // If abilities were added, use the OPTION's name and description
-          if (optionDelta.abilities && optionDelta.abilities.length > 0) {
-            optionDelta.abilities.forEach(ability => {
-              ability.name = option.name || 'Unknown Ability'; // Use the OPTION's name field
-              ability.description = option.description || ''; // Use the OPTION's description field
-            });
-          }
-
-          mergeDeltas(optionDelta, delta);
-        } else {
-          // Normal parsing for non-ability data (includes Auto codes like A1=5)
-          console.log(`[Character Parser] Processing non-ability data: "${option.data}" from option: "${option.name}"`);
-          const optionDelta = parseDataCode(option.data);
-          console.log('[Character Parser] Parsed delta:', optionDelta);
-          mergeDeltas(optionDelta, delta);
-        }
-      } else {
-        //console.log(`✗ Skipping option: ${option.name} (no data code)`);
-      }
-    }
-  }
-
+  collectModuleEffects(actorItems(actor), delta);
 }
 
 /**
@@ -350,115 +107,18 @@ export function parseModules(actor, delta) {
  * @param {Object} delta - The delta object to mutate
  */
 export function parseTraits(actor, delta) {
-  if (!delta.traits || delta.traits.length === 0) {
-    return;
-  }
-
-  // Initialize trait collections if not present
-  if (!delta.traitCollections) {
-    delta.traitCollections = {
-      ancestry: [],
-      general: [],
-      crafting: []
-    };
-  }
-
-  // Get all modules from the actor to extract trait information
-  const modules = actor.items?.filter(item => item.type === 'module') || [];
-
-
-  for (const traitMarker of delta.traits) {
-
-    // Find modules that contain this trait marker
-    for (const module of modules) {
-      const options = module.system?.options || [];
-      const selectedOptions = options.filter(option => option.selected && option.data);
-
-      for (const option of selectedOptions) {
-        // Check if this option contains the trait marker
-        if (option.data.includes(traitMarker.marker)) {
-
-          // Create trait object
-          const trait = {
-            name: option.name,
-            description: option.description,
-            source: module.name,
-            marker: traitMarker.marker,
-            moduleId: module._id,
-            optionId: option._id || option.name
-          };
-
-          // Add to appropriate collection
-          delta.traitCollections[traitMarker.type].push(trait);
-        }
-      }
-    }
-  }
-
+  collectTraitCollections(actorItems(actor), delta);
 }
 
 /**
  * Apply parsed effects to a character
  * @param {Object} actor - The actor to modify
  * @param {Object} delta - The delta to apply
+ * @returns {Object} - Update data keyed by 'system.*' paths
  */
 export function applyParsedEffectsToCharacter(actor, delta) {
-
-  // Convert FoundryVTT actor system to format expected by applyDeltaToCharacter
-  const dup = (v) => (foundry?.utils?.duplicate ? foundry.utils.duplicate(v) : JSON.parse(JSON.stringify(v)));
-  const character = {
-    attributes: dup(actor.system.attributes || {}),
-    skills: dup(actor.system.basic || {}),          // FoundryVTT stores basic skills in 'basic', not 'skills'
-    weaponSkills: dup(actor.system.weapon || {}),   // FoundryVTT stores weapon skills in 'weapon'
-    magicSkills: dup(actor.system.magic || {}),     // FoundryVTT stores magic skills in 'magic'
-    craftingSkills: dup(actor.system.crafting || {}),  // FoundryVTT stores crafting skills in 'crafting'
-    mitigation: dup(actor.system.mitigation || {}),
-    resources: dup(actor.system.resources || {}),
-    movement: dup(actor.system.movement ?? 0),
-    immunities: dup(actor.system.immunities || []),
-    conditionals: dup(actor.system.conditionals || {}),
-    weaponModifications: dup(actor.system.weaponModifications || {}),
-    combatFeatures: dup(actor.system.combatFeatures || {}),
-    spellSlots: actor.system.spellSlots || { current: 0, max: 10 }
-  };
-
-  // Ensure baseline resource maxima before applying deltas (so +X adds to defaults, not zero)
-  const r = character.resources || (character.resources = {});
-  const ensureObj = (o) => (o && typeof o === 'object') ? o : { value: undefined, max: 0, temp: 0 };
-  r.health = ensureObj(r.health);
-  r.resolve = ensureObj(r.resolve);
-  r.morale = ensureObj(r.morale);
-  r.energy = ensureObj(r.energy);
-  r.mana = ensureObj(r.mana);
-  const baseMax = { health: 20, resolve: 20, morale: 10, energy: 5, mana: 0 };
-  if (!r.health.max) r.health.max = baseMax.health;
-  if (!r.resolve.max) r.resolve.max = baseMax.resolve;
-  if (!r.morale.max) r.morale.max = baseMax.morale;
-  if (!r.energy.max) r.energy.max = baseMax.energy;
-  if (!r.mana.max) r.mana.max = baseMax.mana;
-
-
-  // Apply the delta
-  applyDeltaToCharacter(character, delta);
-
-  // Convert back and update the actor
-  const updateData = {
-    'system.attributes': character.attributes,
-    'system.basic': character.skills,          // Convert back to FoundryVTT structure
-    'system.weapon': character.weaponSkills,   // Convert back to FoundryVTT structure
-    'system.magic': character.magicSkills,     // Convert back to FoundryVTT structure
-    'system.crafting': character.craftingSkills,  // Convert back to FoundryVTT structure
-    'system.mitigation': character.mitigation,
-    'system.resources': character.resources,
-    'system.movement': character.movement,
-    'system.immunities': character.immunities,
-    'system.conditionals': character.conditionals,
-    'system.weaponModifications': character.weaponModifications,
-    'system.combatFeatures': character.combatFeatures,
-    'system.spellSlots': character.spellSlots
-  };
-
-  return updateData;
+  const computed = applyDeltaToSystem(actor.system, delta);
+  return Object.fromEntries(Object.entries(computed).map(([key, value]) => [`system.${key}`, value]));
 }
 
 /**
@@ -475,44 +135,8 @@ export function parseAndApplyCharacterEffectsInPlace(actor) {
 
     actor._isParsingEffects = true;
 
-    // Parse all character effects
-    const combinedDelta = parseCharacter(actor);
-
-    // Apply effects directly to the actor's system data (no update call)
-    const character = {
-      attributes: actor.system.attributes || {},
-      skills: actor.system.skills || {},
-      weaponSkills: actor.system.weaponSkills || {},
-      magicSkills: actor.system.magicSkills || {},
-      craftingSkills: actor.system.craftingSkills || {},
-      mitigation: actor.system.mitigation || {},
-      resources: actor.system.resources || {},
-      movement: actor.system.movement || 0,
-      immunities: actor.system.immunities || [],
-      conditionals: actor.system.conditionals || {},
-      weaponModifications: actor.system.weaponModifications || {},
-      combatFeatures: actor.system.combatFeatures || {},
-      spellSlots: actor.system.spellSlots || { current: 0, max: 10 }
-    };
-
-    // Apply the delta directly
-    applyDeltaToCharacter(character, combinedDelta);
-
-    // Update the actor's system data directly (no actor.update call)
-    actor.system.attributes = character.attributes;
-    actor.system.skills = character.skills;
-    actor.system.weaponSkills = character.weaponSkills;
-    actor.system.magicSkills = character.magicSkills;
-    actor.system.craftingSkills = character.craftingSkills;
-    actor.system.mitigation = character.mitigation;
-    actor.system.resources = character.resources;
-    actor.system.movement = character.movement;
-    actor.system.immunities = character.immunities;
-    actor.system.conditionals = character.conditionals;
-    actor.system.weaponModifications = character.weaponModifications;
-    actor.system.combatFeatures = character.combatFeatures;
-    actor.system.spellSlots = character.spellSlots;
-
+    const computed = applyDeltaToSystem(actor.system, parseCharacter(actor));
+    Object.assign(actor.system, computed);
 
   } catch (error) {
     logError('Error parsing character effects:', error);
@@ -522,21 +146,36 @@ export function parseAndApplyCharacterEffectsInPlace(actor) {
   }
 }
 
+/**
+ * Compute what Recalculate would produce without writing anything
+ * @param {Object} actor - The actor to preview
+ * @returns {{system: Object, delta: Object, changes: Array<{path: string, before: *, after: *}>}}
+ */
+export function previewCharacterEffects(actor) {
+  const source = actor.toObject();
+  const { system, delta } = computeCharacter(source.system, source.items);
+  return { system, delta, changes: diffBaselines(source.system, system) };
+}
+
 /**
  * Full character parsing and application workflow (with actor.update calls)
- * Use this for manual parsing outside of prepareDerivedData
+ * Use this for manual parsing outside of prepareDerivedData.
+ * The previous baseline is pushed onto flags.anyventure.baselineHistory first.
+ * Consecutive automatic runs share one entry (the baseline from before the
+ * first of them), so item edits don't push out the baselines Revert restores.
  * @param {Object} actor - The actor to process
+ * @param {Object} [options]
+ * @param {boolean} [options.automatic=false] - Run by auto-recalculate.mjs
  */
-export async function parseAndApplyCharacterEffects(actor) {
+export async function parseAndApplyCharacterEffects(actor, { automatic = false } = {}) {
   try {
     // Block ephemeral overlays and baseline restore during rebuild
     actor._blockOverlays = true;
     actor._suspendRestore = true;
-    // First, reset all calculated values to base (like prepareBaseData does)
-    await resetCharacterToBase(actor);
 
-    // Parse all character effects
-    const combinedDelta = parseCharacter(actor);
+    // Compute from source data so no derived overlays leak into the baseline
+    const source = actor.toObject();
+    const { system, delta: combinedDelta } = computeCharacter(source.system, source.items);
 
     // Parse and create ability items
     await parseAbilities(actor, combinedDelta);
@@ -544,104 +183,23 @@ export async function parseAndApplyCharacterEffects(actor) {
     // Add default abilities (actions/reactions all characters have)
     await DefaultAbilities.addDefaultAbilitiesToCharacter(actor);
 
-  // Apply effects to character (returns a plain, detached structure)
-  const updateDataRaw = applyParsedEffectsToCharacter(actor, combinedDelta);
-  const dup = (v) => (foundry?.utils?.duplicate ? foundry.utils.duplicate(v) : JSON.parse(JSON.stringify(v)));
-  // Deep-clone to avoid any mutation by prepareDerivedData during the update cycle
-  const updateData = dup(updateDataRaw);
-
-  // Ensure resource base defaults are present in the recalculated data
-  const ensureBaseResources = (res) => {
-    const r = res || {};
-    const h = r.health || (r.health = { value: undefined, max: 0, temp: 0 });
-    const rv = r.resolve || (r.resolve = { value: undefined, max: 0, temp: 0 });
-    const m = r.morale || (r.morale = { value: undefined, max: 0, temp: 0 });
-    const e = r.energy || (r.energy = { value: undefined, max: 0, temp: 0 });
-    const mn = r.mana || (r.mana = { value: undefined, max: 0, temp: 0 });
-    const base = { health: 20, resolve: 20, morale: 10, energy: 5, mana: 0 };
-    if (!h.max) h.max = base.health;
-    if (!rv.max) rv.max = base.resolve;
-    if (!m.max) m.max = base.morale;
-    if (!e.max) e.max = base.energy;
-    if (!mn.max) mn.max = base.mana;
-    // Only clamp current down if it exceeds max; never raise it to max
-    if (typeof h.value === 'number' && h.value > h.max) h.value = h.max;
-    if (typeof rv.value === 'number' && rv.value > rv.max) rv.value = rv.max;
-    if (typeof m.value === 'number' && m.value > m.max) m.value = m.max;
-    if (typeof e.value === 'number' && e.value > e.max) e.value = e.max;
-    if (typeof mn.value === 'number' && mn.value > mn.max) mn.value = mn.max;
-    return r;
-  };
-
-  updateData['system.resources'] = ensureBaseResources(updateData['system.resources']);
-
-  // Ensure movement base defaults are present in the recalculated data
-  const ensureBaseMovement = (mv) => {
-    const m = mv || {};
-    if (typeof m === 'number') {
-      return { walk: m || 5, swim: Math.floor((m || 5) / 2), climb: Math.floor((m || 5) / 2), fly: 0 };
-    }
-    // Normalize to full object with defaults
-    return {
-      walk: typeof m.walk === 'number' ? m.walk : 5,
-      swim: typeof m.swim === 'number' ? m.swim : 0,
-      climb: typeof m.climb === 'number' ? m.climb : 0,
-      fly: typeof m.fly === 'number' ? m.fly : 0
-    };
-  };
-
-  updateData['system.movement'] = ensureBaseMovement(updateData['system.movement']);
-
-  // Ensure weapon modification defaults are present in the recalculated data
-  const ensureBaseWeaponModifications = (wm) => {
-    const w = wm || {};
-    return {
-      simpleRangedMinRange: typeof w.simpleRangedMinRange === 'number' ? w.simpleRangedMinRange : 0,
-      simpleRangedMaxRange: typeof w.simpleRangedMaxRange === 'number' ? w.simpleRangedMaxRange : 0,
-      complexRangedMinRange: typeof w.complexRangedMinRange === 'number' ? w.complexRangedMinRange : 0,
-      complexRangedMaxRange: typeof w.complexRangedMaxRange === 'number' ? w.complexRangedMaxRange : 0,
-      throwingMinRange: typeof w.throwingMinRange === 'number' ? w.throwingMinRange : 0,
-      throwingMaxRange: typeof w.throwingMaxRange === 'number' ? w.throwingMaxRange : 0
-    };
-  };
-
-  updateData['system.weaponModifications'] = ensureBaseWeaponModifications(updateData['system.weaponModifications']);
-
-  // Ensure combat features defaults are present in the recalculated data
-  const ensureBaseCombatFeatures = (cf) => {
-    const c = cf || {};
-    return {
-      dualWieldTier: typeof c.dualWieldTier === 'number' ? c.dualWieldTier : 0
+    // Keep the outgoing baseline so it can be restored later
+    const previous = actor.getFlag('anyventure', 'baselineHistory') || [];
+    const history = automatic && previous.at(-1)?.automatic
+      ? previous
+      : [
+        ...previous,
+        { timestamp: Date.now(), automatic, system: Object.fromEntries(persistedFields().map(key => [key, source.system[key]])) }
+      ].slice(-BASELINE_HISTORY_LIMIT);
+
+    const updateData = {
+      ...baselineUpdateData(system),
+      'flags.anyventure.baselineHistory': history
     };
-  };
-
-  updateData['system.combatFeatures'] = ensureBaseCombatFeatures(updateData['system.combatFeatures']);
-
-  // Create a persistent base snapshot from the recalculated state only
-  // Use the fresh updateData to avoid capturing any transient/derived values
-  const baseSnapshot = {
-    attributes: dup(updateData['system.attributes'] || {}),
-    basic: dup(updateData['system.basic'] || {}),
-    weapon: dup(updateData['system.weapon'] || {}),
-    magic: dup(updateData['system.magic'] || {}),
-    crafting: dup(updateData['system.crafting'] || {}),
-    mitigation: dup(updateData['system.mitigation'] || {}),
-    resources: dup(updateData['system.resources'] || {}),
-    movement: dup(updateData['system.movement'] || { walk: 5, swim: 0, climb: 0, fly: 0 }),
-    weaponModifications: dup(updateData['system.weaponModifications'] || {
-      simpleRangedMinRange: 0, simpleRangedMaxRange: 0, complexRangedMinRange: 0,
-      complexRangedMaxRange: 0, throwingMinRange: 0, throwingMaxRange: 0
-    }),
-    combatFeatures: dup(updateData['system.combatFeatures'] || {
-      dualWieldTier: 0
-    })
-  };
-  updateData['system._base'] = dup(baseSnapshot);
 
     // Update the actor with the new data (including base snapshot)
     await actor.update(updateData);
 
-
     // Store the delta for reference
     await actor.update({
       'system.appliedEffects': {
@@ -666,97 +224,27 @@ export async function parseAndApplyCharacterEffects(actor) {
 }
 
 /**
- * Reset character to base values (like _resetToBaseValues in actor.mjs)
- * @param {Object} actor - The actor to reset
+ * Restore the most recent baseline from flags.anyventure.baselineHistory.
+ * Current resource values are kept; ability items created by Recalculate are not removed.
+ * @param {Object} actor - The actor to revert
+ * @returns {Promise<boolean>} - False if there was no baseline to restore
  */
-async function resetCharacterToBase(actor) {
-
-  const updateData = {};
-
-  // Do not force movement here; movement is normalized later in the pass
-
-  // Reset health max to base (will be recalculated)
-  updateData['system.resources.health.max'] = 0;
-  updateData['system.resources.energy.max'] = 0;
-  updateData['system.resources.resolve.max'] = 0;
-  updateData['system.resources.morale.max'] = 0;
-  updateData['system.resources.mana.max'] = 0;
-
-  // Reset basic skills to zero (stored in system.basic in FoundryVTT)
-  if (actor.system.basic) {
-    Object.keys(actor.system.basic).forEach(skillKey => {
-      updateData[`system.basic.${skillKey}.value`] = 0;
-      if (actor.system.basic[skillKey].tier !== undefined) {
-        updateData[`system.basic.${skillKey}.tier`] = 0;
-      }
-    });
+export async function revertToPreviousBaseline(actor) {
+  const history = [...(actor.getFlag('anyventure', 'baselineHistory') || [])];
+  const snapshot = history.pop();
+  if (!snapshot) return false;
+
+  const system = foundry.utils.deepClone(snapshot.system);
+  for (const [key, resource] of Object.entries(system.resources || {})) {
+    const current = actor.system.resources?.[key]?.value;
+    if (resource && typeof resource === 'object' && current !== undefined) resource.value = current;
   }
 
-  // Reset weapon/magic/crafting skills to base values (using correct FoundryVTT structure)
-  const skillCategories = [
-    { system: 'weapon', name: 'weapon' },
-    { system: 'magic', name: 'magic' },
-    { system: 'crafting', name: 'crafting' }
-  ];
-
-  skillCategories.forEach(({ system: systemKey, name: categoryName }) => {
-    if (actor.system[systemKey]) {
-      Object.keys(actor.system[systemKey]).forEach(skillKey => {
-        const skill = actor.system[systemKey][skillKey];
-
-        updateData[`system.${systemKey}.${skillKey}.value`] = 0;
-        updateData[`system.${systemKey}.${skillKey}.tier`] = 0;
-
-        // Reset talent to base talent (character creation choice) if it exists
-        if (skill.baseTalent !== undefined) {
-          updateData[`system.${systemKey}.${skillKey}.talent`] = skill.baseTalent;
-        } else {
-          // If no baseTalent stored, use current talent as base and store it
-          updateData[`system.${systemKey}.${skillKey}.baseTalent`] = skill.talent || 0;
-          updateData[`system.${systemKey}.${skillKey}.talent`] = skill.talent || 0;
-        }
-      });
-    }
+  await actor.update({
+    ...baselineUpdateData(system),
+    'flags.anyventure.baselineHistory': history
   });
-
-  // Reset mitigations to zero
-  if (actor.system.mitigation) {
-    Object.keys(actor.system.mitigation).forEach(key => {
-      updateData[`system.mitigation.${key}`] = 0;
-    });
-  }
-
-  // Reset immunities and conditionals (preserve boolean flags if present)
-  updateData['system.immunities'] = [];
-  const existingFlags = actor.system.conditionals?.flags || {};
-  updateData['system.conditionals'] = {
-    noArmor: [],
-    lightArmor: [],
-    heavyArmor: [],
-    anyArmor: [],
-    anyShield: [],
-    lightShield: [],
-    heavyShield: [],
-    flags: existingFlags
-  };
-
-  // Reset weapon modifications to zero
-  updateData['system.weaponModifications'] = {
-    simpleRangedMinRange: 0,
-    simpleRangedMaxRange: 0,
-    complexRangedMinRange: 0,
-    complexRangedMaxRange: 0,
-    throwingMinRange: 0,
-    throwingMaxRange: 0
-  };
-
-  // Reset combat features to zero
-  updateData['system.combatFeatures'] = {
-    dualWieldTier: 0
-  };
-
-  // Apply the reset
-  await actor.update(updateData);
+  return true;
 }
 
 /**
@@ -0,0 +1,92 @@
+/**
+ * Critical Rules for Anyventure
+ *
+ * One rule set for every roll, keyed off the die ladder:
+ *
+ * - A kept die at or above its die's threshold is a critical. Small dice
+ *   (d4-d10) crit on their highest face; d2 pools never crit.
+ * - A pool pushed past the penalty floor (keep lowest) that rolls nothing but
+ *   ones is a fumble. A fumble is never also a critical.
+ *
+ * What a critical does depends on the roll type (CRIT_EFFECTS):
+ * - check, song: automatic success; a fumble is an automatic failure
+ * - attack: every critical die adds the extra damage ("bump")
+ * - spell: the spell cannot fizzle and its damage is doubled; a fumble fizzles
+ *
+ * Foundry-free.
+ */
+
+/** Lowest natural result that crits, per die */
+export const CRIT_THRESHOLDS = {
+  d2: null,
+  d4: 4,
+  d6: 6,
+  d8: 8,
+  d10: 10,
+  d12: 12,
+  d16: 15,
+  d20: 18,
+  d24: 20,
+  d30: 24
+};
+
+/**
+ * Effect of a critical per roll type
+ * - success: whether a critical always meets the target
+ * - damage: 'double' (damage x2), 'bump' (add the extra damage) or null
+ */
+export const CRIT_EFFECTS = {
+  check: { success: true, damage: null },
+  attack: { success: false, damage: 'bump' },
+  spell: { success: true, damage: 'double' },
+  song: { success: true, damage: null }
+};
+
+/**
+ * @param {string} dieType - Die type (e.g. "d20")
+ * @returns {number|null} - Crit threshold, or null when the die cannot crit
+ */
+export function critThreshold(dieType) {
+  return CRIT_THRESHOLDS[dieType] ?? null;
+}
+
+/**
+ * @param {number} result - A kept die result
+ * @param {string} dieType - Die type (e.g. "d20")
+ * @returns {boolean}
+ */
+export function isCriticalResult(result, dieType) {
+  const threshold = critThreshold(dieType);
+  return threshold !== null && result >= threshold;
+}
+
+/**
+ * @param {Array<number>} results - Every die rolled in the pool
+ * @param {boolean} keepLowest - Whether the pool was past the penalty floor
+ * @returns {boolean}
+ */
+export function isFumble(results, keepLowest) {
+  return Boolean(keepLowest) && results.length > 0 && results.every(result => result === 1);
+}
+
+/**
+ * @param {string} type - Roll type (check, attack, spell, song)
+ * @returns {{success: boolean, damage: string|null}}
+ */
+export function critEffect(type) {
+  return CRIT_EFFECTS[type] ?? CRIT_EFFECTS.check;
+}
+
+/**
+ * Apply a critical damage effect
+ * @param {number} amount - Damage before the critical
+ * @param {Object|null} critical - { effect, count } ('double' or 'bump', critical dice)
+ * @param {number} [extra=0] - Extra damage added per bump
+ * @returns {number}
+ */
+export function applyCriticalDamage(amount, critical, extra = 0) {
+  if (!critical || amount <= 0) return amount;
+  if (critical.effect === 'double') return amount * 2;
+  if (critical.effect === 'bump') return amount + (critical.count || 0) * extra;
+  return amount;
+}
@@ -0,0 +1,171 @@
+/**
+ * Data Code Registry for Anyventure
+ *
+ * Every data code family (SSA=1, M1=2, FA, CA[...], ...) is a registered entry
+ * with a pattern and a parse function. data-parser.js registers the built-in
+ * families; add-on modules can register their own through
+ * `game.anyventure.dataCodes` without forking the system. Foundry-free.
+ *
+ * A family may also own delta and system fields of its own:
+ *   deltaShape() - fragment added to every empty delta, e.g. () => ({ luck: 0 })
+ *   merge(source, target) - combine its delta fields when deltas are merged
+ *   apply(system, delta) - write its delta fields onto character system data
+ *   fields - system keys apply() writes; these are persisted, snapshotted in
+ *            `_base`, restored on prepare and included in recalculation diffs
+ *   encode(delta) - codes for encodeDelta, returned as an array of strings
+ */
+
+import { logWarning } from './logger.js';
+
+export class DataCodeRegistry {
+  constructor() {
+    /** @type {Map<string, Object>} Families in match order */
+    this._families = new Map();
+
+    /** @type {Object|null} Flag table (code letter → name) that registerFlag() extends */
+    this._flagCodes = null;
+
+    /** Bumped on every change so derived caches (e.g. validator key index) can refresh */
+    this.version = 0;
+  }
+
+  /**
+   * Register a data code family. Families are tried in registration order and the first match wins.
+   * @param {Object} family
+   * @param {string} family.id - Unique family id
+   * @param {RegExp} family.pattern - Matches a single effect (e.g. /^L([1-3])=(-?\d+)$/)
+   * @param {Function} family.parse - (match, delta) => void; writes the effect into the delta
+   * @param {Function} [family.deltaShape] - () => Object; fields added to every empty delta
+   * @param {Function} [family.merge] - (sourceDelta, targetDelta) => void
+   * @param {Function} [family.apply] - (system, delta) => void
+   * @param {Array<string>} [family.fields] - System keys written by apply()
+   * @param {Function} [family.encode] - (delta) => Array<string>
+   * @param {Object} [family.flags] - Extra F-flags to register (code letter → name)
+   * @param {string} [family.grammar] - Expected syntax shown in validator messages
+   * @returns {Object} - The registered family
+   */
+  register(family) {
+    if (!family?.id || typeof family.id !== 'string') throw new Error('Data code family needs a string id');
+    if (!(family.pattern instanceof RegExp)) throw new Error(`Data code family "${family.id}" needs a RegExp pattern`);
+    if (typeof family.parse !== 'function') throw new Error(`Data code family "${family.id}" needs a parse function`);
+    if (this._families.has(family.id)) logWarning(`Replacing data code family "${family.id}"`);
+
+    this._families.set(family.id, { builtIn: false, fields: [], ...family });
+    Object.entries(family.flags || {}).forEach(([code, name]) => this.registerFlag(code, name));
+    this.version++;
+    return this._families.get(family.id);
+  }
+
+  /**
+   * Register a boolean F-flag (e.g. registerFlag('J', 'IRON_STOMACH') enables FJ)
+   * @param {string} code - Single uppercase letter after F
+   * @param {string} name - Flag name stored in conditionals.flags
+   */
+  registerFlag(code, name) {
+    if (!/^[A-Z]$/.test(code)) throw new Error(`Flag code must be a single letter A-Z, got "${code}"`);
+    if (!this._flagCodes) throw new Error('Flag table has not been attached to the registry');
+    if (this._flagCodes[code] && this._flagCodes[code] !== name) {
+      throw new Error(`Flag F${code} is already registered as ${this._flagCodes[code]}`);
+    }
+    this._flagCodes[code] = name;
+    this.version++;
+  }
+
+  /**
+   * Attach the flag table that registerFlag() extends (called once by data-parser.js)
+   * @param {Object} table - code letter → flag name
+   */
+  attachFlagTable(table) {
+    this._flagCodes = table;
+  }
+
+  /**
+   * Remove a family. Built-in families cannot be removed.
+   * @param {string} id
+   * @returns {boolean} - Whether a family was removed
+   */
+  unregister(id) {
+    const family = this._families.get(id);
+    if (!family) return false;
+    if (family.builtIn) throw new Error(`Cannot unregister built-in data code family "${id}"`);
+    this._families.delete(id);
+    this.version++;
+    return true;
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Object|undefined}
+   */
+  get(id) {
+    return this._families.get(id);
+  }
+
+  /** @returns {Array<Object>} - Families in match order */
+  get families() {
+    return [...this._families.values()];
+  }
+
+  /** @returns {Array<Object>} - Families registered by add-ons */
+  get customFamilies() {
+    return this.families.filter(family => !family.builtIn);
+  }
+
+  /** @returns {Array<string>} - System keys owned by add-on families */
+  get systemFields() {
+    return [...new Set(this.customFamilies.flatMap(family => family.fields || []))];
+  }
+
+  /**
+   * Find the family matching a single effect
+   * @param {string} effect - Trimmed effect (e.g. "SSA=1")
+   * @returns {{family: Object, match: Array}|null}
+   */
+  match(effect) {
+    for (const family of this._families.values()) {
+      const match = effect.match(family.pattern);
+      if (match) return { family, match };
+    }
+    return null;
+  }
+
+  /**
+   * Build the delta fields contributed by add-on families
+   * @returns {Object}
+   */
+  createDeltaShape() {
+    return Object.assign({}, ...this.customFamilies.map(family => family.deltaShape?.() || {}));
+  }
+
+  /**
+   * Merge add-on delta fields
+   * @param {Object} source - Delta to merge from
+   * @param {Object} target - Delta to merge into (mutated)
+   */
+  merge(source, target) {
+    this.customFamilies.forEach(family => family.merge?.(source, target));
+  }
+
+  /**
+   * Apply add-on delta fields to system data
+   * @param {Object} system - System-shaped data (mutated)
+   * @param {Object} delta - Delta to apply
+   */
+  apply(system, delta) {
+    this.customFamilies.forEach(family => family.apply?.(system, delta));
+  }
+
+  /**
+   * Encode add-on delta fields
+   * @param {Object} delta
+   * @returns {Array<string>}
+   */
+  encode(delta) {
+    return this.customFamilies.flatMap(family => family.encode?.(delta) || []);
+  }
+}
+
+/**
+ * Shared registry instance (exposed as game.anyventure.dataCodes)
+ */
+export const dataCodes = new DataCodeRegistry();
@@ -0,0 +1,392 @@
+/**
+ * Data Code Validator for Anyventure
+ *
+ * Lints data code strings against the grammar understood by data-parser.js and
+ * returns structured diagnostics (offset, offending token, expected grammar and
+ * typo suggestions) instead of console warnings. Foundry-free.
+ */
+
+import {
+  SKILL_CODES,
+  ATTRIBUTE_CODES,
+  WEAPON_CODES,
+  MAGIC_CODES,
+  CRAFTING_CODES,
+  MITIGATION_CODES,
+  RESOURCE_CODES,
+  WEAPON_MODIFICATION_CODES,
+  MOVEMENT_CODES,
+  IMMUNITY_CODES,
+  CONDITIONAL_CODES,
+  PARAMETERIZED_CONDITIONAL_CODES,
+  CONDITIONAL_PARAMETERS,
+  FLAG_CODES
+} from './data-parser.js';
+import { dataCodes } from './data-code-registry.js';
+import { isExpressionValue, parseExpression } from './data-expression.js';
+
+/**
+ * Expected grammar per code family, shown to authors in diagnostics
+ */
+export const DATA_CODE_GRAMMAR = {
+  skill: 'SS<A-T>=<number|X|Y>',
+  attribute: 'SS<1-5>=<number>',
+  weapon: 'WS<1-6>=<number|X|Y> or WT<1-6>=<number>',
+  magic: 'YS<1-6>=<number> or YT<1-6>=<number>',
+  crafting: 'CS<1-6>=<number|X|Y> or CT<1-6>=<number>',
+  mitigation: 'M<1-9|A>=<number>',
+  resource: 'A<1-3|5-9|M>=<number>, A<A-F>=<number> or AZ=<1|2>',
+  movement: 'K<1-4>=<number>',
+  immunity: 'I<A-T>=1',
+  flag: 'F<A-I>',
+  trait: 'TA, TG, TC or TX[=<value>]',
+  ability: '<X|Z><I|D><M|N>E=<energy>',
+  conditional: 'C<A-L>[<effect>,<effect>,...] or C<N|W|P>(<parameter>)[<effect>,...]',
+  scaling: '<code>=<expression>, e.g. A1=@attributes.physique/2 (numbers, @references, + - * / and parentheses)',
+  any: 'a data code such as SSA=1, WT3=1, M1=2, A1=5, K1=1, IA=1, FA, TG, XIME=1 or CA[M1=1]'
+};
+
+// Accepted value shapes
+const VALUE_PATTERNS = {
+  int: { pattern: /^-?\d+$/, label: '<number>' },
+  tier: { pattern: /^(-?\d+|[XY])$/, label: '<number|X|Y>' },
+  one: { pattern: /^1$/, label: '1' },
+  count: { pattern: /^\d+$/, label: '<energy>' },
+  dual: { pattern: /^[12]$/, label: '1 or 2' }
+};
+
+// Family guessed from the leading character of an unknown code
+const PREFIX_FAMILIES = {
+  S: 'skill', W: 'weapon', Y: 'magic', C: 'crafting', M: 'mitigation', A: 'resource',
+  K: 'movement', I: 'immunity', F: 'flag', T: 'trait', X: 'ability', Z: 'ability'
+};
+
+/**
+ * Build the table of every valid code key (the part before '=')
+ * @returns {Map<string, {family: string, value: string|null}>}
+ */
+function buildKeyIndex() {
+  const index = new Map();
+  const add = (key, family, value) => index.set(key, { family, value });
+
+  Object.keys(SKILL_CODES).forEach(c => add(`SS${c}`, 'skill', 'tier'));
+  Object.keys(ATTRIBUTE_CODES).forEach(c => add(`SS${c}`, 'attribute', 'int'));
+  Object.keys(WEAPON_CODES).forEach(c => { add(`WS${c}`, 'weapon', 'tier'); add(`WT${c}`, 'weapon', 'int'); });
+  Object.keys(MAGIC_CODES).forEach(c => { add(`YS${c}`, 'magic', 'int'); add(`YT${c}`, 'magic', 'int'); });
+  Object.keys(CRAFTING_CODES).forEach(c => { add(`CS${c}`, 'crafting', 'tier'); add(`CT${c}`, 'crafting', 'int'); });
+  Object.keys(MITIGATION_CODES).forEach(c => add(`M${c}`, 'mitigation', 'int'));
+  Object.keys(RESOURCE_CODES).forEach(c => add(`A${c}`, 'resource', 'int'));
+  Object.keys(WEAPON_MODIFICATION_CODES).forEach(c => add(`A${c}`, 'resource', 'int'));
+  add('AZ', 'resource', 'dual');
+  Object.keys(MOVEMENT_CODES).forEach(c => add(`K${c}`, 'movement', 'int'));
+  Object.keys(IMMUNITY_CODES).forEach(c => add(`I${c}`, 'immunity', 'one'));
+  Object.keys(FLAG_CODES).forEach(c => add(`F${c}`, 'flag', null));
+  ['TA', 'TG', 'TC'].forEach(c => add(c, 'trait', null));
+  add('TX', 'trait', 'optional');
+  add('TP', 'trait', 'optional');
+  for (const type of ['X', 'Z']) {
+    for (const frequency of ['I', 'D']) {
+      for (const magic of ['M', 'N']) add(`${type}${frequency}${magic}E`, 'ability', 'count');
+    }
+  }
+  return index;
+}
+
+// Rebuilt when add-ons register flags or families
+let keyIndexCache = null;
+let keyIndexVersion = -1;
+
+/**
+ * Get the key index, rebuilding it if the data code registry changed
+ * @returns {Map<string, {family: string, value: string|null}>}
+ */
+function keyIndex() {
+  if (!keyIndexCache || keyIndexVersion !== dataCodes.version) {
+    keyIndexCache = buildKeyIndex();
+    keyIndexVersion = dataCodes.version;
+  }
+  return keyIndexCache;
+}
+
+/**
+ * Levenshtein distance between two short strings
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let prev = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const tmp = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+      prev = tmp;
+    }
+  }
+  return row[b.length];
+}
+
+/**
+ * Closeness of two equal-length keys by character code, so M0 prefers M1 over MA
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function charSpread(a, b) {
+  if (a.length !== b.length) return Infinity;
+  let spread = 0;
+  for (let i = 0; i < a.length; i++) spread += Math.abs(a.charCodeAt(i) - b.charCodeAt(i));
+  return spread;
+}
+
+/**
+ * Suggest valid keys for an unknown one
+ * @param {string} key - The unknown key
+ * @param {Array<string>} [candidates] - Keys to consider (defaults to every known key)
+ * @param {number} [limit=3] - Maximum number of suggestions
+ * @returns {Array<string>}
+ */
+export function suggestCodeKeys(key, candidates = [...keyIndex().keys()], limit = 3) {
+  const upper = key.toUpperCase();
+  if (upper !== key && candidates.includes(upper)) return [upper];
+
+  const maxDistance = upper.length >= 4 ? 2 : 1;
+  return candidates
+    .map(candidate => ({ candidate, distance: editDistance(upper, candidate), spread: charSpread(upper, candidate) }))
+    .filter(entry => entry.distance <= maxDistance)
+    .sort((a, b) => a.distance - b.distance || a.spread - b.spread || a.candidate.localeCompare(b.candidate))
+    .slice(0, limit)
+    .map(entry => entry.candidate);
+}
+
+/**
+ * Create a diagnostic entry
+ * @param {string} severity - 'error' or 'warning'
+ * @param {number} offset - Offset of the offending token in the data code
+ * @param {string} token - The offending token
+ * @param {string} message - Human readable description
+ * @param {string|null} [expected] - Expected grammar
+ * @param {Array<string>} [suggestions] - Replacement effects
+ * @param {{offset: number, length: number}|null} [span] - Range replaced by a suggestion
+ * @returns {Object}
+ */
+function diagnostic(severity, offset, token, message, expected = null, suggestions = [], span = null) {
+  return {
+    severity, offset, length: token.length, token, message, expected, suggestions,
+    // Range of the source a suggestion replaces (the whole effect, even when the diagnostic points at its value)
+    replace: span || { offset, length: token.length }
+  };
+}
+
+/**
+ * Split a code string on a separator, keeping the offset of each trimmed part
+ * @param {string} source
+ * @param {string} separator
+ * @param {number} baseOffset
+ * @returns {Array<{text: string, offset: number}>}
+ */
+function splitWithOffsets(source, separator, baseOffset = 0) {
+  const parts = [];
+  let start = 0;
+  for (const raw of source.split(separator)) {
+    const lead = raw.length - raw.trimStart().length;
+    parts.push({ text: raw.trim(), offset: baseOffset + start + lead });
+    start += raw.length + separator.length;
+  }
+  return parts;
+}
+
+/**
+ * Lint a conditional effect such as CA[M1=1,SSE=1]
+ * @param {string} token
+ * @param {number} offset
+ * @param {Array<Object>} diagnostics - Collected diagnostics (mutated)
+ */
+function lintConditional(token, offset, diagnostics) {
+  const gate = token[1];
+  const parameterized = PARAMETERIZED_CONDITIONAL_CODES[gate];
+  if (!CONDITIONAL_CODES[gate] && !parameterized) {
+    const gateKey = token.slice(0, 2);
+    const gateTable = token[2] === '(' ? PARAMETERIZED_CONDITIONAL_CODES : CONDITIONAL_CODES;
+    const gateCandidates = Object.keys(gateTable).map(c => `C${c}`);
+    diagnostics.push(diagnostic('error', offset, gateKey, `Unknown conditional gate "${gateKey}"`,
+      DATA_CODE_GRAMMAR.conditional, suggestCodeKeys(gateKey, gateCandidates).map(s => `${s}${token.slice(2)}`),
+      { offset, length: token.length }));
+    return;
+  }
+
+  // Gate parameter, e.g. the "prone" in CN(prone)[...]
+  const paramMatch = token.match(/^C[A-Z]\(([^)]*)\)/);
+  const param = paramMatch?.[1];
+  if (parameterized && !paramMatch) {
+    diagnostics.push(diagnostic('error', offset, token.slice(0, 2), `Conditional "C${gate}" needs a parameter, e.g. C${gate}(...)[...]`,
+      DATA_CODE_GRAMMAR.conditional, [], { offset, length: token.length }));
+    return;
+  }
+  if (!parameterized && paramMatch) {
+    diagnostics.push(diagnostic('error', offset, paramMatch[0], `Conditional "C${gate}" does not take a parameter`,
+      DATA_CODE_GRAMMAR.conditional, [`C${gate}${token.slice(paramMatch[0].length)}`], { offset, length: token.length }));
+    return;
+  }
+  if (parameterized) {
+    const allowed = CONDITIONAL_PARAMETERS[parameterized];
+    const valid = allowed ? allowed.includes(param) : /^[\w-]+$/.test(param);
+    if (!valid) {
+      // Keys are compared upper-cased, so map suggestions back to their camelCase names
+      const upper = (allowed || []).map(name => name.toUpperCase());
+      const suggestions = suggestCodeKeys(param.toUpperCase(), upper)
+        .map(match => `C${gate}(${allowed[upper.indexOf(match)]})${token.slice(paramMatch[0].length)}`);
+      diagnostics.push(diagnostic('error', offset + 3, param, `Unknown ${parameterized} "${param}" for "C${gate}"`,
+        allowed ? allowed.join(', ') : 'a status effect id such as prone', suggestions, { offset, length: token.length }));
+      return;
+    }
+  }
+
+  const open = paramMatch ? paramMatch[0].length : 2;
+  if (token[open] !== '[' || !token.endsWith(']')) {
+    diagnostics.push(diagnostic('error', offset, token, 'Unclosed "[" in conditional; separate its effects with "," rather than ":"',
+      DATA_CODE_GRAMMAR.conditional));
+    return;
+  }
+
+  const body = token.slice(open + 1, -1);
+  if (!body.trim()) {
+    diagnostics.push(diagnostic('warning', offset, token, 'Conditional has no effects', DATA_CODE_GRAMMAR.conditional));
+    return;
+  }
+
+  for (const part of splitWithOffsets(body, ',', offset + open + 1)) {
+    if (!part.text) {
+      diagnostics.push(diagnostic('warning', part.offset, ',', 'Empty effect in conditional'));
+      continue;
+    }
+    const before = diagnostics.length;
+    lintEffect(part.text, part.offset, diagnostics);
+    if (diagnostics.length > before) continue;
+
+    // Only skill values and mitigations survive inside a conditional
+    const entry = keyIndex().get(part.text.split('=')[0]);
+    const value = part.text.split('=')[1];
+    if (isExpressionValue(value)) {
+      diagnostics.push(diagnostic('warning', part.offset, part.text,
+        `"${part.text}" has no effect inside a conditional; scaling values are not supported there`,
+        `${DATA_CODE_GRAMMAR.skill} or ${DATA_CODE_GRAMMAR.mitigation}`));
+      continue;
+    }
+    const applies = (entry?.family === 'skill' && !/^[XY]$/.test(value)) || entry?.family === 'mitigation';
+    if (!applies) {
+      diagnostics.push(diagnostic('warning', part.offset, part.text,
+        `"${part.text}" has no effect inside a conditional; only skill values and mitigations are applied`,
+        `${DATA_CODE_GRAMMAR.skill} or ${DATA_CODE_GRAMMAR.mitigation}`));
+    }
+  }
+}
+
+/**
+ * Lint a single effect token and push any diagnostics
+ * @param {string} token - Trimmed effect (e.g. "SSA=1")
+ * @param {number} offset - Offset of the token in the full data code
+ * @param {Array<Object>} diagnostics - Collected diagnostics (mutated)
+ */
+function lintEffect(token, offset, diagnostics) {
+  if (/^C[A-Z][[(]/.test(token)) {
+    lintConditional(token, offset, diagnostics);
+    return;
+  }
+
+  const eq = token.indexOf('=');
+  const key = eq === -1 ? token : token.slice(0, eq);
+  const value = eq === -1 ? null : token.slice(eq + 1);
+  const entry = keyIndex().get(key);
+
+  if (!entry) {
+    // Codes handled by add-on families are validated by their own pattern
+    const custom = dataCodes.match(token);
+    if (custom && !custom.family.builtIn) return;
+
+    const family = PREFIX_FAMILIES[key[0]?.toUpperCase()];
+    const suggestions = suggestCodeKeys(key).map(s => (value === null ? s : `${s}=${value}`));
+    diagnostics.push(diagnostic('error', offset, token, `Unknown data code "${key}"`,
+      DATA_CODE_GRAMMAR[family] || DATA_CODE_GRAMMAR.any, suggestions));
+    return;
+  }
+
+  const expected = DATA_CODE_GRAMMAR[entry.family];
+
+  // Scaling values (A1=@attributes.physique/2) replace a numeric value
+  if (isExpressionValue(value)) {
+    if (!['int', 'tier'].includes(entry.value)) {
+      diagnostics.push(diagnostic('error', offset, token, `"${key}" does not take a scaling value`, expected));
+      return;
+    }
+    try {
+      parseExpression(value);
+    } catch (error) {
+      diagnostics.push(diagnostic('error', offset + eq + 1, value, `Invalid expression for "${key}": ${error.message}`,
+        DATA_CODE_GRAMMAR.scaling, [], { offset, length: token.length }));
+    }
+    return;
+  }
+
+  // Codes without values (flags, trait markers)
+  if (entry.value === null) {
+    if (value !== null) {
+      diagnostics.push(diagnostic('error', offset, token, `"${key}" does not take a value`, expected, [key]));
+    }
+    return;
+  }
+  if (entry.value === 'optional') return;
+
+  const valueOffset = offset + eq + 1;
+  if (value === null || value === '') {
+    diagnostics.push(diagnostic('error', offset, token, `Missing value for "${key}"`, expected));
+    return;
+  }
+
+  const shape = VALUE_PATTERNS[entry.value];
+  if (!shape.pattern.test(value)) {
+    const suggestions = entry.value === 'one' ? [`${key}=1`] : [];
+    diagnostics.push(diagnostic('error', valueOffset, value, `Invalid value "${value}" for "${key}"; expected ${shape.label}`,
+      expected, suggestions, { offset, length: token.length }));
+  }
+}
+
+/**
+ * Lint a full data code string
+ * @param {string} dataCode - Data code (e.g. "SSA=1:M1=2:CA[M1=1]")
+ * @returns {{isValid: boolean, diagnostics: Array<Object>}} - Diagnostics carry severity, offset, length, token, message, expected, suggestions and replace
+ */
+export function lintDataCode(dataCode) {
+  const diagnostics = [];
+  if (!dataCode || typeof dataCode !== 'string' || !dataCode.trim()) {
+    return { isValid: true, diagnostics };
+  }
+
+  const parts = splitWithOffsets(dataCode, ':');
+  parts.forEach((part, index) => {
+    if (part.text) {
+      lintEffect(part.text, part.offset, diagnostics);
+    } else if (index !== parts.length - 1 || parts.length === 1) {
+      diagnostics.push(diagnostic('warning', part.offset, ':', 'Empty effect between ":" separators'));
+    }
+  });
+
+  return {
+    isValid: !diagnostics.some(d => d.severity === 'error'),
+    diagnostics
+  };
+}
+
+/**
+ * Format a diagnostic as a single line of text
+ * @param {Object} d - Diagnostic from lintDataCode
+ * @returns {string}
+ */
+export function formatDiagnostic(d) {
+  let text = `[${d.offset}] ${d.message}`;
+  if (d.expected) text += ` (expected ${d.expected})`;
+  if (d.suggestions?.length) text += `; did you mean ${d.suggestions.join(', ')}?`;
+  return text;
+}
@@ -0,0 +1,144 @@
+/**
+ * Data Code Expressions for Anyventure
+ *
+ * Parses and evaluates the scaling values of parameterized data codes, e.g. the
+ * `@attributes.physique/2` in `A1=@attributes.physique/2`. Expressions support
+ * numbers, `@path` references into character data, + - * / and parentheses;
+ * results round down. Parsing never uses eval. Foundry-free.
+ */
+
+// Tokens: numbers, @references, operators and parentheses
+const TOKEN_PATTERN = /\s*(?:(\d+(?:\.\d+)?)|@([A-Za-z_][\w]*(?:\.[A-Za-z_][\w]*)*)|([-+*/()]))/y;
+
+/**
+ * Whether a data code value is an expression rather than a plain number
+ * @param {string} value - Value part of a data code (after "=")
+ * @returns {boolean}
+ */
+export function isExpressionValue(value) {
+  return typeof value === 'string' && value.includes('@');
+}
+
+/**
+ * Split an expression into tokens
+ * @param {string} text
+ * @returns {Array<{type: string, value: *, offset: number}>}
+ */
+function tokenize(text) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+  while (TOKEN_PATTERN.lastIndex < text.length) {
+    const offset = TOKEN_PATTERN.lastIndex;
+    if (/^\s*$/.test(text.slice(offset))) break;
+    const match = TOKEN_PATTERN.exec(text);
+    if (!match) throw new Error(`Unexpected "${text.slice(offset).trim()[0]}" at position ${offset + 1}`);
+    if (match[1] !== undefined) tokens.push({ type: 'number', value: parseFloat(match[1]), offset });
+    else if (match[2] !== undefined) tokens.push({ type: 'ref', value: match[2], offset });
+    else tokens.push({ type: 'op', value: match[3], offset });
+  }
+  return tokens;
+}
+
+/**
+ * Parse an expression into a syntax tree
+ * @param {string} text - Expression (e.g. "@attributes.physique/2")
+ * @returns {{ast: Object, references: Array<string>}} - Tree and the paths it reads
+ * @throws {Error} - On a syntax error
+ */
+export function parseExpression(text) {
+  const tokens = tokenize(String(text ?? ''));
+  const references = new Set();
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const expectOperand = () => {
+    const token = tokens[position++];
+    if (!token) throw new Error('Expression ends unexpectedly');
+    return token;
+  };
+
+  // expression := term (("+" | "-") term)*
+  const parseSum = () => {
+    let node = parseProduct();
+    while (peek()?.type === 'op' && '+-'.includes(peek().value)) {
+      const op = tokens[position++].value;
+      node = { op, left: node, right: parseProduct() };
+    }
+    return node;
+  };
+
+  // term := factor (("*" | "/") factor)*
+  const parseProduct = () => {
+    let node = parseFactor();
+    while (peek()?.type === 'op' && '*/'.includes(peek().value)) {
+      const op = tokens[position++].value;
+      node = { op, left: node, right: parseFactor() };
+    }
+    return node;
+  };
+
+  // factor := "-" factor | number | @path | "(" expression ")"
+  const parseFactor = () => {
+    const token = expectOperand();
+    if (token.type === 'number') return { number: token.value };
+    if (token.type === 'ref') {
+      references.add(token.value);
+      return { ref: token.value };
+    }
+    if (token.value === '-') return { op: 'neg', operand: parseFactor() };
+    if (token.value === '(') {
+      const node = parseSum();
+      if (tokens[position++]?.value !== ')') throw new Error(`Missing ")" for "(" at position ${token.offset + 1}`);
+      return node;
+    }
+    throw new Error(`Unexpected "${token.value}" at position ${token.offset + 1}`);
+  };
+
+  if (tokens.length === 0) throw new Error('Expression is empty');
+  const ast = parseSum();
+  if (position < tokens.length) {
+    const token = tokens[position];
+    throw new Error(`Unexpected "${token.value}" at position ${token.offset + 1}`);
+  }
+
+  return { ast, references: [...references] };
+}
+
+/**
+ * Read a reference from the scope. Objects with a numeric `value` (attributes,
+ * skills, resources) resolve to that value; anything non-numeric reads as 0.
+ * @param {Object} scope
+ * @param {string} path - Dot path (e.g. "attributes.physique")
+ * @returns {number}
+ */
+export function resolveReference(scope, path) {
+  let value = path.split('.').reduce((current, key) => current?.[key], scope);
+  if (value && typeof value === 'object' && typeof value.value === 'number') value = value.value;
+  return typeof value === 'number' && Number.isFinite(value) ? value : 0;
+}
+
+/**
+ * Evaluate a parsed expression
+ * @param {Object} ast - Tree from parseExpression
+ * @param {Object} scope - Data that references resolve against
+ * @returns {number} - Result rounded down (division by zero yields 0)
+ */
+export function evaluateExpression(ast, scope) {
+  const evaluate = (node) => {
+    if (node.number !== undefined) return node.number;
+    if (node.ref !== undefined) return resolveReference(scope, node.ref);
+    if (node.op === 'neg') return -evaluate(node.operand);
+
+    const left = evaluate(node.left);
+    const right = evaluate(node.right);
+    switch (node.op) {
+      case '+': return left + right;
+      case '-': return left - right;
+      case '*': return left * right;
+      case '/': return right === 0 ? 0 : left / right;
+    }
+    return 0;
+  };
+
+  return Math.floor(evaluate(ast));
+}
@@ -6,6 +6,140 @@
  */
 
 import { logError, logWarning } from './logger.js';
+import { dataCodes } from './data-code-registry.js';
+import { parseExpression } from './data-expression.js';
+
+/* -------------------------------------------- */
+/*  Code Tables                                 */
+/* -------------------------------------------- */
+
+// Basic skills (SSA-SST)
+export const SKILL_CODES = {
+  'A': 'fitness', 'B': 'deflection', 'C': 'might', 'D': 'endurance',
+  'E': 'evasion', 'F': 'stealth', 'G': 'coordination', 'H': 'thievery',
+  'I': 'resilience', 'J': 'concentration', 'K': 'senses', 'L': 'logic',
+  'M': 'wildcraft', 'N': 'academics', 'O': 'magic', 'P': 'medicine',
+  'Q': 'expression', 'R': 'presence', 'S': 'insight', 'T': 'persuasion'
+};
+
+// Attributes (SS1-SS5)
+export const ATTRIBUTE_CODES = { '1': 'physique', '2': 'finesse', '3': 'mind', '4': 'knowledge', '5': 'social' };
+
+// Weapon skills (WS1-WS6, WT1-WT6)
+export const WEAPON_CODES = {
+  '1': 'brawling',
+  '2': 'throwing',
+  '3': 'simpleMeleeWeapons',
+  '4': 'simpleRangedWeapons',
+  '5': 'complexMeleeWeapons',
+  '6': 'complexRangedWeapons'
+};
+
+// Magic skills (YS1-YS6, YT1-YT6)
+export const MAGIC_CODES = {
+  '1': 'black',
+  '2': 'primal',
+  '3': 'meta',
+  '4': 'white',
+  '5': 'mysticism',
+  '6': 'arcane'
+};
+
+// Crafting skills (CS1-CS6, CT1-CT6)
+export const CRAFTING_CODES = {
+  '1': 'engineering',
+  '2': 'fabrication',
+  '3': 'alchemy',
+  '4': 'cooking',
+  '5': 'glyphcraft',
+  '6': 'bioshaping'
+};
+
+// Mitigations (M1-M9, MA)
+export const MITIGATION_CODES = {
+  '1': 'physical', '2': 'heat', '3': 'cold', '4': 'electric',
+  '5': 'dark', '6': 'divine', '7': 'aether', '8': 'psychic',
+  '9': 'toxic', 'A': 'true'
+};
+
+// Resources (A-series)
+export const RESOURCE_CODES = {
+  '1': 'health', '2': 'resolve', '3': 'energy',
+  '5': 'healthRegen', '6': 'resolveRegen', '7': 'energyRegen',
+  '8': 'maxMorale', '9': 'spellCapacity', 'M': 'manaPoints'
+};
+
+// Weapon range modifications (AA-AF)
+export const WEAPON_MODIFICATION_CODES = {
+  'A': 'simpleRangedMinRange',
+  'B': 'simpleRangedMaxRange',
+  'C': 'complexRangedMinRange',
+  'D': 'complexRangedMaxRange',
+  'E': 'throwingMinRange',
+  'F': 'throwingMaxRange'
+};
+
+// Movement (K1-K4)
+export const MOVEMENT_CODES = { '1': 'walk', '2': 'swim', '3': 'climb', '4': 'fly' };
+
+// Immunities (IA-IT)
+export const IMMUNITY_CODES = {
+  'A': 'afraid', 'B': 'bleeding', 'C': 'blinded', 'D': 'charmed',
+  'E': 'confused', 'F': 'dazed', 'G': 'deafened', 'H': 'diseased',
+  'I': 'winded', 'J': 'prone', 'K': 'poisoned', 'L': 'muted',
+  'M': 'stunned', 'N': 'impaired', 'O': 'numbed', 'P': 'broken',
+  'Q': 'incapacitated', 'R': 'ignited', 'S': 'hidden', 'T': 'maddened'
+};
+
+// Conditional gates (CA[...]-CL[...])
+export const CONDITIONAL_CODES = {
+  'A': 'noArmor',
+  'B': 'lightArmor',
+  'C': 'heavyArmor',
+  'D': 'anyArmor',
+  'E': 'anyShield',
+  'F': 'lightShield',
+  'G': 'heavyShield',
+  'H': 'belowHalfHealth',
+  'I': 'zeroMorale',
+  'J': 'dualWielding',
+  'K': 'mounted',
+  'L': 'flying'
+};
+
+// Conditional gates that take a parameter (CN(prone)[...], CW(throwing)[...], CP(early)[...]).
+// Their effects are stored with a `param` in a single array per gate.
+export const PARAMETERIZED_CONDITIONAL_CODES = {
+  'N': 'condition',
+  'W': 'weaponCategory',
+  'P': 'combatPhase'
+};
+
+// Accepted parameters per gate; condition ids are open-ended (any status effect id)
+export const CONDITIONAL_PARAMETERS = {
+  condition: null,
+  weaponCategory: Object.values(WEAPON_CODES),
+  combatPhase: ['preparation', 'early', 'middle', 'late']
+};
+
+// Every conditional array on a delta or character
+export const CONDITIONAL_GATES = [
+  ...Object.values(CONDITIONAL_CODES),
+  ...Object.values(PARAMETERIZED_CONDITIONAL_CODES)
+];
+
+// Boolean flags (FA-FI)
+export const FLAG_CODES = {
+  'A': 'NO_COMFORTS',
+  'B': 'EMBRACE_SUFFERING',
+  'C': 'URBAN_COMFORT',
+  'D': 'BADGE_OF_HONOR',
+  'E': 'WEAPON_COLLECTOR',
+  'F': 'TWIN_FURY',
+  'G': 'PASSIVE_SHELL',
+  'H': 'EFFICIENT_WEAPONRY',
+  'I': 'PUSH_THROUGH'
+};
 
 /**
  * Create an empty character delta structure
@@ -107,7 +241,7 @@ export function createEmptyDelta() {
       electric: 0,
       dark: 0,
       divine: 0,
-      aetheric: 0,
+      aether: 0,
       psychic: 0,
       toxic: 0,
       true: 0
@@ -159,19 +293,18 @@ export function createEmptyDelta() {
     // Traits (TA, TG, TC)
     traits: [],
 
-    // Conditionals (C-series) - array-gated effects
-    conditionals: {
-      noArmor: [],
-      lightArmor: [],
-      heavyArmor: [],
-      anyArmor: [],
-      anyShield: [],
-      lightShield: [],
-      heavyShield: []
-    },
+    // Conditionals (C-series) - array-gated effects (noArmor, anyShield, condition, ...)
+    conditionals: Object.fromEntries(CONDITIONAL_GATES.map(gate => [gate, []])),
 
     // Boolean flags (F-series) - simple toggles
-    flags: {}
+    flags: {},
+
+    // Scaling effects (e.g. A1=@attributes.physique/2), resolved after the base pass
+    // Entries: { key: 'A1', expression: '@attributes.physique/2', source? }
+    expressions: [],
+
+    // Fields of data code families registered by add-ons
+    ...dataCodes.createDeltaShape()
   };
 }
 
@@ -203,134 +336,9 @@ export function parseDataCode(dataCode) {
  * @param {Object} delta - Delta object to modify
  */
 function parseIndividualEffect(effect, delta) {
-  // Skills (S) - SSA=1, ST1=1, SSA=X, SSA=Y
-  const skillMatch = effect.match(/^S([ST])([A-T0-9])=(-?\d+|[XY])$/);
-  if (skillMatch) {
-    parseSkillEffect(skillMatch, delta);
-    return;
-  }
-
-  // Weapons (W) - WS1=1, WT3=1, WS1=X, WS1=Y
-  const weaponMatch = effect.match(/^W([ST])([1-6])=(-?\d+|[XY])$/);
-  if (weaponMatch) {
-    parseWeaponEffect(weaponMatch, delta);
-    return;
-  }
-
-  // Magic (Y) - YS1=1, YT3=1
-  const magicMatch = effect.match(/^Y([ST])([1-5])=(-?\d+|[XY])$/);
-  if (magicMatch) {
-    parseMagicEffect(magicMatch, delta);
-    return;
-  }
-
-  // Crafting (C) - CS1=1, CT3=1, CS1=X, CS1=Y
-  const craftingMatch = effect.match(/^C([ST])([1-6])=(-?\d+|[XY])$/);
-  if (craftingMatch) {
-    parseCraftingEffect(craftingMatch, delta);
-    return;
-  }
-
-  // Mitigations (M) - M1=1, M9=2, MA=1
-  const mitigationMatch = effect.match(/^M([1-9A])=(-?\d+)$/);
-  if (mitigationMatch) {
-    parseMitigationEffect(mitigationMatch, delta);
-    return;
-  }
-
-  // Auto/Resources (A) - A1=1, A9=2
-  const autoMatch = effect.match(/^A([1-9A-HMZ])=(-?\d+)$/);
-  if (autoMatch) {
-    parseAutoEffect(autoMatch, delta);
-    return;
-  }
-
-  // Movement (K) - K1=2, K4=6
-  const movementMatch = effect.match(/^K([1-4])=(-?\d+)$/);
-  if (movementMatch) {
-    parseMovementEffect(movementMatch, delta);
-    return;
-  }
-
-  // Immunities (I) - IA=1, IB=1
-  const immunityMatch = effect.match(/^I([A-Z])=1$/);
-  if (immunityMatch) {
-    parseImmunityEffect(immunityMatch, delta);
-    return;
-  }
-
-  // Conditionals (CC[M1=1,SSE=1], CA[SSE=1], etc.)
-  const conditionalMatch = effect.match(/^C([A-G])\[([^\]]+)\]$/);
-  if (conditionalMatch) {
-    parseConditionalEffect(conditionalMatch, delta);
-    return;
-  }
-
-  // Boolean flags (F-series): e.g., FA, FB, ... maps to named toggles
-  const flagMatch = effect.match(/^F([A-Z])$/);
-  if (flagMatch) {
-    const code = flagMatch[1];
-    const flagMap = {
-      'A': 'NO_COMFORTS',
-      'B': 'EMBRACE_SUFFERING',
-      'C': 'URBAN_COMFORT',
-      'D': 'BADGE_OF_HONOR',
-      'E': 'WEAPON_COLLECTOR',
-      'F': 'TWIN_FURY',
-      'G': 'PASSIVE_SHELL',
-      'H': 'EFFICIENT_WEAPONRY',
-    };
-    const key = flagMap[code];
-    if (key) delta.flags[key] = true;
-    else logWarning(`Unrecognized F-flag code: F${code}`);
-    return;
-  }
-
-  // Handle trait markers
-  const traitMatch = effect.match(/^(T[AGC])$/);
-  if (traitMatch) {
-    const traitType = traitMatch[1];
-
-    // Collect trait information for later processing
-    if (!delta.traits) delta.traits = [];
-    delta.traits.push({
-      type: traitType === 'TA' ? 'ancestry' : traitType === 'TG' ? 'general' : 'crafting',
-      marker: traitType
-    });
-    return;
-  }
-
-  // Trait codes (T) - TA, TG, TC, TX (excluding TP talent points)
-  const traitCodeMatch = effect.match(/^T([AGCX])(?:=(.+))?$/);
-  if (traitCodeMatch) {
-    parseTraitEffect(traitCodeMatch, delta);
-    return;
-  }
-
-  // Handle TP (talent points) - ignore these as they're not needed
-  if (effect.match(/^TP(?:=\d+)?$/)) {
-    return;
-  }
-
-  // Handle special action/reaction abilities (format: XIME=2, ZINE=1, etc.)
-  // Note: This should not be called directly - abilities should be parsed with their names
-  const abilityMatch = effect.match(/^([XZ])([ID])([MN])E=(\d+)$/);
-  if (abilityMatch) {
-    const [_, type, frequency, magicType, energy] = abilityMatch;
-    const abilityType = type === 'X' ? 'action' : 'reaction';
-    const isDaily = frequency === 'D';
-    const isMagic = magicType === 'M';
-
-
-    // These don't have direct mechanical stat effects, they grant abilities
-    if (!delta.abilities) delta.abilities = [];
-    delta.abilities.push({
-      type: abilityType,
-      daily: isDaily,
-      magic: isMagic,
-      energy: parseInt(energy),
-      name: null // Name should be provided separately
-    });
+  const found = dataCodes.match(effect);
+  if (found) {
+    found.family.parse(found.match, delta);
     return;
   }
 
@@ -347,22 +355,13 @@ function parseSkillEffect([_, type, code, valueStr], delta) {
   if (type === 'S') { // Skill value or dice tier modifier
     if (/^[1-5]$/.test(code)) {
       // Attribute skill (SS1=1 for Physique)
-      const attributeMap = { '1': 'physique', '2': 'finesse', '3': 'mind', '4': 'knowledge', '5': 'social' };
-      const attrName = attributeMap[code];
+      const attrName = ATTRIBUTE_CODES[code];
       if (attrName && typeof value === 'number') {
         delta.attributes[attrName] += value;
       }
     } else {
       // Regular skill (SSA=1 for Fitness or SSA=X for dice tier upgrade)
-      const skillMap = {
-        'A': 'fitness', 'B': 'deflection', 'C': 'might', 'D': 'endurance',
-        'E': 'evasion', 'F': 'stealth', 'G': 'coordination', 'H': 'thievery',
-        'I': 'resilience', 'J': 'concentration', 'K': 'senses', 'L': 'logic',
-        'M': 'wildcraft', 'N': 'academics', 'O': 'magic', 'P': 'medicine',
-        'Q': 'expression', 'R': 'presence', 'S': 'insight', 'T': 'persuasion'
-      };
-
-      const skillName = skillMap[code];
+      const skillName = SKILL_CODES[code];
       if (skillName) {
         if (typeof value === 'string' && (value === 'X' || value === 'Y')) {
           // Handle dice tier modifications
@@ -383,16 +382,7 @@ function parseSkillEffect([_, type, code, valueStr], delta) {
 function parseWeaponEffect([_, type, code, valueStr], delta) {
   const value = isNaN(parseInt(valueStr)) ? valueStr : parseInt(valueStr);
 
-  const weaponMap = {
-    '1': 'brawling',
-    '2': 'throwing',
-    '3': 'simpleMeleeWeapons',
-    '4': 'simpleRangedWeapons',
-    '5': 'complexMeleeWeapons',
-    '6': 'complexRangedWeapons'
-  };
-
-  const weaponName = weaponMap[code];
+  const weaponName = WEAPON_CODES[code];
   if (!weaponName) return;
 
   if (type === 'S') { // Skill value or dice tier modifier
@@ -416,16 +406,7 @@ function parseMagicEffect([_, type, code, valueStr], delta) {
   const value = parseInt(valueStr);
   if (isNaN(value)) return;
 
-  const magicMap = {
-    '1': 'black',
-    '2': 'primal',
-    '3': 'meta',
-    '4': 'white',
-    '5': 'mysticism',
-    '6': 'arcane'
-  };
-
-  const magicName = magicMap[code];
+  const magicName = MAGIC_CODES[code];
   if (!magicName) return;
 
   if (type === 'S') { // Skill value
@@ -441,16 +422,7 @@ function parseMagicEffect([_, type, code, valueStr], delta) {
 function parseCraftingEffect([_, type, code, valueStr], delta) {
   const value = isNaN(parseInt(valueStr)) ? valueStr : parseInt(valueStr);
 
-  const craftingMap = {
-    '1': 'engineering',
-    '2': 'fabrication',
-    '3': 'alchemy',
-    '4': 'cooking',
-    '5': 'glyphcraft',
-    '6': 'bioshaping'
-  };
-
-  const craftingName = craftingMap[code];
+  const craftingName = CRAFTING_CODES[code];
   if (!craftingName) return;
 
   if (type === 'S') { // Skill value or dice tier modifier
@@ -474,13 +446,7 @@ function parseMitigationEffect([_, code, valueStr], delta) {
   const value = parseInt(valueStr);
   if (isNaN(value)) return;
 
-  const mitigationMap = {
-    '1': 'physical', '2': 'heat', '3': 'cold', '4': 'electric',
-    '5': 'dark', '6': 'divine', '7': 'aetheric', '8': 'psychic',
-    '9': 'toxic', 'A': 'true'
-  };
-
-  const mitigationType = mitigationMap[code];
+  const mitigationType = MITIGATION_CODES[code];
   if (mitigationType) {
     delta.mitigation[mitigationType] += value;
   }
@@ -493,25 +459,10 @@ function parseAutoEffect([_, code, valueStr], delta) {
   const value = parseInt(valueStr);
   if (isNaN(value)) return;
 
-  const autoMap = {
-    '1': 'health', '2': 'resolve', '3': 'energy',
-    '5': 'healthRegen', '6': 'resolveRegen', '7': 'energyRegen',
-    '8': 'maxMorale', '9': 'spellCapacity', 'M': 'manaPoints'
-  };
-
-  const weaponModMap = {
-    'A': 'simpleRangedMinRange',
-    'B': 'simpleRangedMaxRange',
-    'C': 'complexRangedMinRange',
-    'D': 'complexRangedMaxRange',
-    'E': 'throwingMinRange',
-    'F': 'throwingMaxRange'
-  };
-
-  if (autoMap[code]) {
-    delta.resources[autoMap[code]] += value;
-  } else if (weaponModMap[code]) {
-    delta.weaponModifications[weaponModMap[code]] += value;
+  if (RESOURCE_CODES[code]) {
+    delta.resources[RESOURCE_CODES[code]] += value;
+  } else if (WEAPON_MODIFICATION_CODES[code]) {
+    delta.weaponModifications[WEAPON_MODIFICATION_CODES[code]] += value;
   } else if (code === 'Z') {
     // Handle dual wield tiers (AZ=1 or AZ=2)
     if (value === 1 || value === 2) {
@@ -570,11 +521,7 @@ function parseMovementEffect([_, code, valueStr], delta) {
   const value = parseInt(valueStr);
   if (isNaN(value)) return;
 
-  const movementMap = {
-    '1': 'walk', '2': 'swim', '3': 'climb', '4': 'fly'
-  };
-
-  const movementType = movementMap[code];
+  const movementType = MOVEMENT_CODES[code];
   if (movementType) {
     delta.movement[movementType] += value;
   }
@@ -584,36 +531,90 @@ function parseMovementEffect([_, code, valueStr], delta) {
  * Parse immunity effects like IA=1, IB=1
  */
 function parseImmunityEffect([_, code], delta) {
-  const immunityMap = {
-    'A': 'afraid', 'B': 'bleeding', 'C': 'blinded', 'D': 'charmed',
-    'E': 'confused', 'F': 'dazed', 'G': 'deafened', 'H': 'diseased',
-    'I': 'winded', 'J': 'prone', 'K': 'poisoned', 'L': 'muted',
-    'M': 'stunned', 'N': 'impaired', 'O': 'numbed', 'P': 'broken',
-    'Q': 'incapacitated', 'R': 'ignited', 'S': 'hidden', 'T': 'maddened'
-  };
-
-  const immunityType = immunityMap[code];
+  const immunityType = IMMUNITY_CODES[code];
   if (immunityType && !delta.immunities.includes(immunityType)) {
     delta.immunities.push(immunityType);
   }
 }
 
 /**
- * Parse conditional effects like CC[M1=1,SSE=1]
+ * Parse boolean flags like FA, FB
  */
-function parseConditionalEffect([_, conditionType, effectsString], delta) {
-  const conditionMap = {
-    'A': 'noArmor',
-    'B': 'lightArmor',
-    'C': 'heavyArmor',
-    'D': 'anyArmor',
-    'E': 'anyShield',
-    'F': 'lightShield',
-    'G': 'heavyShield'
-  };
+function parseFlagEffect([_, code], delta) {
+  const key = FLAG_CODES[code];
+  if (key) delta.flags[key] = true;
+  else logWarning(`Unrecognized F-flag code: F${code}`);
+}
+
+/**
+ * Parse bare trait markers (TA, TG, TC) collected for later processing
+ */
+function parseTraitMarker([_, traitType], delta) {
+  if (!delta.traits) delta.traits = [];
+  delta.traits.push({
+    type: traitType === 'TA' ? 'ancestry' : traitType === 'TG' ? 'general' : 'crafting',
+    marker: traitType
+  });
+}
+
+/**
+ * Parse special action/reaction abilities like XIME=2, ZINE=1.
+ * These don't have direct mechanical stat effects; names are attached by the caller.
+ */
+function parseAbilityEffect([_, type, frequency, magicType, energy], delta) {
+  if (!delta.abilities) delta.abilities = [];
+  delta.abilities.push({
+    type: type === 'X' ? 'action' : 'reaction',
+    daily: frequency === 'D',
+    magic: magicType === 'M',
+    energy: parseInt(energy),
+    name: null // Name should be provided separately
+  });
+}
+
+/**
+ * Parse scaling effects like A1=@attributes.physique/2.
+ * The expression is only checked here; rules-engine.js evaluates it once the
+ * static effects are applied.
+ */
+function parseExpressionEffect([effect, key, expression], delta) {
+  const target = dataCodes.match(`${key}=1`);
+  if (!target || target.family.id === 'expression') {
+    logWarning(`Unrecognized effect: ${effect}`);
+    return;
+  }
+
+  try {
+    parseExpression(expression);
+  } catch (error) {
+    logWarning(`Invalid expression in ${effect}: ${error.message}`);
+    return;
+  }
+
+  delta.expressions.push({ key, expression });
+}
+
+/**
+ * Parse conditional effects like CC[M1=1,SSE=1] or CN(prone)[SSE=1]
+ */
+function parseConditionalEffect([effect, code, param, effectsString], delta) {
+  const parameterized = PARAMETERIZED_CONDITIONAL_CODES[code];
+  const conditionName = parameterized || CONDITIONAL_CODES[code];
+  if (!conditionName) {
+    logWarning(`Unrecognized conditional gate: ${effect}`);
+    return;
+  }
 
-  const conditionName = conditionMap[conditionType];
-  if (!conditionName) return;
+  if (Boolean(parameterized) !== Boolean(param)) {
+    logWarning(parameterized ? `Conditional C${code} needs a parameter, e.g. C${code}(...)[...]: ${effect}`
+      : `Conditional C${code} does not take a parameter: ${effect}`);
+    return;
+  }
+  const allowed = CONDITIONAL_PARAMETERS[conditionName];
+  if (parameterized && allowed && !allowed.includes(param)) {
+    logWarning(`Unknown ${conditionName} "${param}" in ${effect}`);
+    return;
+  }
 
   const effects = effectsString.split(',').map(e => e.trim());
 
@@ -621,31 +622,66 @@ function parseConditionalEffect([_, conditionType, effectsString], delta) {
     // Create a sub-delta for this conditional effect
     const subDelta = createEmptyDelta();
     parseIndividualEffect(effectStr, subDelta);
+    if (subDelta.expressions.length > 0) {
+      logWarning(`Scaling values are not supported inside conditionals: ${effectStr}`);
+    }
 
     // Convert non-zero values to conditional effects
-    addNonZeroValuesToConditional(subDelta, delta.conditionals[conditionName]);
+    addNonZeroValuesToConditional(subDelta, delta.conditionals[conditionName], param);
   }
 }
 
 /**
  * Helper function to add non-zero values from a delta to conditional effects
+ * @param {Object} subDelta - Delta parsed from a single effect
+ * @param {Array<Object>} conditionalArray - Gate array to push into
+ * @param {string} [param] - Gate parameter (e.g. "prone") for parameterized gates
  */
-function addNonZeroValuesToConditional(subDelta, conditionalArray) {
+function addNonZeroValuesToConditional(subDelta, conditionalArray, param) {
+  const extra = param ? { param } : {};
+
   // Add skills
   Object.entries(subDelta.skills).forEach(([skill, value]) => {
     if (value !== 0) {
-      conditionalArray.push({ type: 'skill', subtype: skill, value });
+      conditionalArray.push({ type: 'skill', subtype: skill, value, ...extra });
     }
   });
 
   // Add mitigation
   Object.entries(subDelta.mitigation).forEach(([type, value]) => {
     if (value !== 0) {
-      conditionalArray.push({ type: 'mitigation', subtype: type, value });
+      conditionalArray.push({ type: 'mitigation', subtype: type, value, ...extra });
     }
   });
 }
 
+/* -------------------------------------------- */
+/*  Built-in Code Families                      */
+/* -------------------------------------------- */
+
+dataCodes.attachFlagTable(FLAG_CODES);
+
+// Order matters: the first matching pattern wins (e.g. bare TA before TA=<value>)
+[
+  { id: 'skill', pattern: /^S([ST])([A-T0-9])=(-?\d+|[XY])$/, parse: parseSkillEffect },
+  { id: 'weapon', pattern: /^W([ST])([1-6])=(-?\d+|[XY])$/, parse: parseWeaponEffect },
+  { id: 'magic', pattern: /^Y([ST])([1-6])=(-?\d+|[XY])$/, parse: parseMagicEffect },
+  { id: 'crafting', pattern: /^C([ST])([1-6])=(-?\d+|[XY])$/, parse: parseCraftingEffect },
+  { id: 'mitigation', pattern: /^M([1-9A])=(-?\d+)$/, parse: parseMitigationEffect },
+  { id: 'auto', pattern: /^A([1-9A-HMZ])=(-?\d+)$/, parse: parseAutoEffect },
+  { id: 'movement', pattern: /^K([1-4])=(-?\d+)$/, parse: parseMovementEffect },
+  { id: 'immunity', pattern: /^I([A-Z])=1$/, parse: parseImmunityEffect },
+  { id: 'conditional', pattern: /^C([A-Z])(?:\(([\w-]+)\))?\[([^\]]+)\]$/, parse: parseConditionalEffect },
+  { id: 'flag', pattern: /^F([A-Z])$/, parse: parseFlagEffect },
+  { id: 'traitMarker', pattern: /^(T[AGC])$/, parse: parseTraitMarker },
+  { id: 'trait', pattern: /^T([AGCX])(?:=(.+))?$/, parse: parseTraitEffect },
+  // TP (talent points) is accepted but not needed
+  { id: 'talentPoints', pattern: /^TP(?:=\d+)?$/, parse: () => {} },
+  { id: 'ability', pattern: /^([XZ])([ID])([MN])E=(\d+)$/, parse: parseAbilityEffect },
+  // Any numeric code whose value references character data (A1=@attributes.physique/2)
+  { id: 'expression', pattern: /^([A-Z][A-Z0-9]*)=(.*@.*)$/, parse: parseExpressionEffect }
+].forEach(family => dataCodes.register({ ...family, builtIn: true }));
+
 /**
  * Helper function to combine simple numeric values
  */
@@ -714,6 +750,12 @@ export function combineDeltas(deltas) {
     Object.entries(delta.flags || {}).forEach(([name, val]) => {
       if (val) combined.flags[name] = true;
     });
+
+    // Combine scaling effects
+    (delta.expressions || []).forEach(entry => combined.expressions.push({ ...entry }));
+
+    // Combine fields of add-on code families
+    dataCodes.merge(delta, combined);
   }
 
   return combined;
@@ -908,7 +950,7 @@ export function applyDeltaToCharacter(character, delta) {
   // Build aggregated "when" map for conditionals for later use
   // This provides totals per condition (e.g., noArmor) for mitigations and key skills
   if (character.conditionals) {
-    const categories = ['noArmor','lightArmor','heavyArmor','anyArmor','anyShield','lightShield','heavyShield'];
+    const categories = Object.values(CONDITIONAL_CODES);
     const mitigationKeys = ['physical','heat','cold','electric','dark','divine','aether','psychic','toxic','true'];
     const skillKeys = ['deflection','evasion'];
 
@@ -930,4 +972,183 @@ export function applyDeltaToCharacter(character, delta) {
     }
     character.conditionals.when = when;
   }
+
+  // Apply fields of add-on code families
+  dataCodes.apply(character, delta);
+}
+
+/* -------------------------------------------- */
+/*  Encoding                                    */
+/* -------------------------------------------- */
+
+/**
+ * Invert a code table (code letter → name) into name → code letter
+ * @param {Object} table - Code table
+ * @returns {Object}
+ */
+function invertCodes(table) {
+  return Object.fromEntries(Object.entries(table).map(([code, name]) => [name, code]));
+}
+
+/**
+ * Emit sorted numeric codes for a simple value collection
+ * @param {Object} values - name → value
+ * @param {Object} table - Code table for the collection
+ * @param {string} prefix - Code prefix (e.g. 'M', 'SS', 'K')
+ * @param {Array<string>} out - Output effects (mutated)
+ */
+function encodeSimpleValues(values, table, prefix, out) {
+  const codes = invertCodes(table);
+  Object.keys(table).forEach(code => {
+    const value = values?.[table[code]];
+    if (value) out.push(`${prefix}${code}=${value}`);
+  });
+  // Names missing from the table cannot be encoded
+  Object.keys(values || {}).forEach(name => {
+    if (values[name] && codes[name] === undefined) logWarning(`Cannot encode ${prefix} value for "${name}"`);
+  });
+}
+
+/**
+ * Emit dice tier modifiers as repeated X (upgrade) or Y (downgrade) codes
+ * @param {string} key - Code key (e.g. 'SSA', 'WS3')
+ * @param {number} tier - Net tier modifier
+ * @param {Array<string>} out - Output effects (mutated)
+ */
+function encodeTier(key, tier, out) {
+  const symbol = tier > 0 ? 'X' : 'Y';
+  for (let i = 0; i < Math.abs(tier || 0); i++) out.push(`${key}=${symbol}`);
+}
+
+/**
+ * Emit skill/talent/tier codes for a skill object collection
+ * @param {Object} skills - name → { skill, talent, tier }
+ * @param {Object} table - Code table for the collection
+ * @param {string} letter - Family letter (W, Y or C)
+ * @param {boolean} supportsTier - Whether the family accepts X/Y tier codes
+ * @param {Array<string>} out - Output effects (mutated)
+ */
+function encodeSkillObjects(skills, table, letter, supportsTier, out) {
+  Object.keys(table).forEach(code => {
+    const data = skills?.[table[code]];
+    if (!data) return;
+    if (data.skill) out.push(`${letter}S${code}=${data.skill}`);
+    if (supportsTier) encodeTier(`${letter}S${code}`, data.tier, out);
+    if (data.talent) out.push(`${letter}T${code}=${data.talent}`);
+  });
+}
+
+/**
+ * Encode the stat-bearing parts of a delta as an ordered list of effects
+ * @param {Object} delta - Delta to encode
+ * @returns {Array<string>}
+ */
+function encodeEffects(delta) {
+  const out = [];
+
+  // Attributes and basic skills (S)
+  encodeSimpleValues(delta.attributes, ATTRIBUTE_CODES, 'SS', out);
+  Object.keys(SKILL_CODES).forEach(code => {
+    const name = SKILL_CODES[code];
+    if (delta.skills?.[name]) out.push(`SS${code}=${delta.skills[name]}`);
+    encodeTier(`SS${code}`, delta.skillTierModifiers?.[name], out);
+  });
+
+  // Weapon, magic and crafting skills (W, Y, C); the parser ignores magic tier codes
+  encodeSkillObjects(delta.weaponSkills, WEAPON_CODES, 'W', true, out);
+  encodeSkillObjects(delta.magicSkills, MAGIC_CODES, 'Y', false, out);
+  encodeSkillObjects(delta.craftingSkills, CRAFTING_CODES, 'C', true, out);
+
+  // Mitigations (M), resources and weapon modifications (A), movement (K)
+  encodeSimpleValues(delta.mitigation, MITIGATION_CODES, 'M', out);
+  encodeSimpleValues(delta.resources, RESOURCE_CODES, 'A', out);
+  encodeSimpleValues(delta.weaponModifications, WEAPON_MODIFICATION_CODES, 'A', out);
+  if (delta.combatFeatures?.dualWieldTier) out.push(`AZ=${delta.combatFeatures.dualWieldTier}`);
+  encodeSimpleValues(delta.movement, MOVEMENT_CODES, 'K', out);
+
+  return out;
+}
+
+/**
+ * Encode a delta back into a canonical data code string.
+ * Effects are emitted in a fixed order (S, W, Y, C, M, A, K, I, conditionals,
+ * F, T, abilities) with codes sorted within each family, so equal deltas
+ * always produce equal strings. Scaling effects follow in authored order.
+ * @param {Object} delta - Delta to encode (as produced by parseDataCode)
+ * @returns {string} - Data code (e.g. "SSA=1:WT3=2:M1=3")
+ */
+export function encodeDelta(delta) {
+  if (!delta || typeof delta !== 'object') return '';
+
+  const out = encodeEffects(delta);
+
+  // Add-on code families
+  out.push(...dataCodes.encode(delta));
+
+  // Immunities (I)
+  const immunityCodes = invertCodes(IMMUNITY_CODES);
+  Object.keys(IMMUNITY_CODES)
+    .filter(code => (delta.immunities || []).includes(IMMUNITY_CODES[code]))
+    .forEach(code => out.push(`I${code}=1`));
+  (delta.immunities || []).forEach(name => {
+    if (immunityCodes[name] === undefined) logWarning(`Cannot encode immunity "${name}"`);
+  });
+
+  // Conditionals (C[...]): sum effects per subtype, then encode like a regular delta
+  const encodeConditional = (prefix, effects) => {
+    const subDelta = createEmptyDelta();
+    effects.forEach(effect => {
+      const bucket = effect.type === 'skill' ? subDelta.skills : effect.type === 'mitigation' ? subDelta.mitigation : null;
+      if (bucket && bucket[effect.subtype] !== undefined) bucket[effect.subtype] += effect.value || 0;
+    });
+
+    const inner = encodeEffects(subDelta);
+    if (inner.length > 0) out.push(`${prefix}[${inner.join(',')}]`);
+  };
+
+  Object.keys(CONDITIONAL_CODES).forEach(code => {
+    const effects = delta.conditionals?.[CONDITIONAL_CODES[code]] || [];
+    if (effects.length > 0) encodeConditional(`C${code}`, effects);
+  });
+
+  // Parameterized conditionals (CN(prone)[...]): one code per parameter, sorted
+  Object.keys(PARAMETERIZED_CONDITIONAL_CODES).forEach(code => {
+    const effects = delta.conditionals?.[PARAMETERIZED_CONDITIONAL_CODES[code]] || [];
+    [...new Set(effects.map(effect => effect.param).filter(Boolean))].sort().forEach(param => {
+      encodeConditional(`C${code}(${param})`, effects.filter(effect => effect.param === param));
+    });
+  });
+
+  // Boolean flags (F)
+  Object.keys(FLAG_CODES)
+    .filter(code => delta.flags?.[FLAG_CODES[code]])
+    .forEach(code => out.push(`F${code}`));
+
+  // Trait markers and trait codes (T)
+  const traitCodes = new Set();
+  (delta.traits || []).forEach(trait => {
+    if (trait.marker) traitCodes.add(trait.marker);
+    else if (trait.code) traitCodes.add(trait.value ? `${trait.code}=${trait.value}` : trait.code);
+  });
+  out.push(...[...traitCodes].sort());
+
+  // Abilities (X = action, Z = reaction; I/D = at-will/daily; M/N = magic/non-magic)
+  const abilityCodes = (delta.abilities || []).map(ability =>
+    `${ability.type === 'reaction' ? 'Z' : 'X'}${ability.daily ? 'D' : 'I'}${ability.magic ? 'M' : 'N'}E=${ability.energy || 0}`
+  );
+  out.push(...abilityCodes.sort());
+
+  // Scaling effects keep their authored order (later ones may read earlier results)
+  (delta.expressions || []).forEach(entry => out.push(`${entry.key}=${entry.expression}`));
+
+  return out.join(':');
+}
+
+/**
+ * Normalize a data code string into its canonical, sorted form
+ * @param {string} dataCode - Data code to normalize
+ * @returns {string}
+ */
+export function canonicalizeDataCode(dataCode) {
+  return encodeDelta(parseDataCode(dataCode));
 }
@@ -0,0 +1,189 @@
+/**
+ * Dice Pool for Anyventure
+ *
+ * The one place that turns a skill into dice. It owns the die ladder
+ * (d2 … d30), tier upgrades/downgrades, and the bonus/penalty floor rule:
+ *
+ * - Bonus and penalty dice cancel each other out (net = base + bonus - penalty)
+ * - Each penalty removes a die until one die is left
+ * - Every penalty past that floor adds a die and the roll keeps the lowest
+ *
+ * Examples (base talent 3): +0 → 3 dice, -2 → 1 die, -3 → 2 dice keep lowest,
+ * -4 → 3 dice keep lowest.
+ *
+ * Skill checks keep the highest die; attacks count every die against the
+ * defense check, so they use `keep: 'all'`. The pool also works out exact
+ * odds (chanceAtLeast, expectedResult) for the dialog previews. Foundry-free.
+ */
+
+/**
+ * Die sizes in ascending order
+ */
+export const DIE_LADDER = ['d2', 'd4', 'd6', 'd8', 'd10', 'd12', 'd16', 'd20', 'd24', 'd30'];
+
+/** Highest skill level on the ladder (level 8 rolls a d30) */
+export const MAX_SKILL_LEVEL = 8;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+const toCount = (value) => Math.max(Math.trunc(Number(value)) || 0, 0);
+
+export class AnyventureDicePool {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.base=1] - Base dice (talent); a pool always has at least one
+   * @param {number} [options.bonus=0] - Bonus dice
+   * @param {number} [options.penalty=0] - Penalty dice
+   * @param {string} [options.dieType='d6'] - Die size (e.g. "d8")
+   * @param {string} [options.keep='highest'] - 'highest' for checks, 'all' for attacks
+   */
+  constructor({ base = 1, bonus = 0, penalty = 0, dieType = 'd6', keep = 'highest' } = {}) {
+    this.base = Math.max(toCount(base), 1);
+    this.bonus = toCount(bonus);
+    this.penalty = toCount(penalty);
+    this.dieType = dieType;
+    this.keep = keep === 'all' ? 'all' : 'highest';
+  }
+
+  /**
+   * Die for a skill level, shifted one step per tier. Tiers stack on the
+   * sheet but only ever move the die one step up or down.
+   * @param {number} level - Skill value (0-8)
+   * @param {number} [tier=0] - Tier modifier (+1 upgraded, -1 downgraded)
+   * @returns {string} - Die type (e.g. "d10")
+   */
+  static dieForSkill(level, tier = 0) {
+    const skillLevel = clamp(Math.trunc(Number(level)) || 0, 0, MAX_SKILL_LEVEL);
+    const shift = clamp(Math.trunc(Number(tier)) || 0, -1, 1);
+    return DIE_LADDER[clamp(skillLevel + 1 + shift, 0, DIE_LADDER.length - 1)];
+  }
+
+  /**
+   * Move a die along the ladder; stops at d2 and d30
+   * @param {string} dieType - Die type (e.g. "d8")
+   * @param {number} [steps=1] - Steps up (negative for down)
+   * @returns {string}
+   */
+  static upgrade(dieType, steps = 1) {
+    const index = DIE_LADDER.indexOf(dieType);
+    if (index === -1) return dieType;
+    return DIE_LADDER[clamp(index + steps, 0, DIE_LADDER.length - 1)];
+  }
+
+  /**
+   * @param {string} dieType - Die type (e.g. "d8")
+   * @param {number} [steps=1] - Steps down
+   * @returns {string}
+   */
+  static downgrade(dieType, steps = 1) {
+    return AnyventureDicePool.upgrade(dieType, -steps);
+  }
+
+  /**
+   * Build a pool for one of an actor's skills
+   * @param {Object} skill - Skill data ({ value, talent, tier })
+   * @param {Object} [options] - bonus, penalty, keep (see constructor)
+   * @returns {AnyventureDicePool}
+   */
+  static forSkill(skill, options = {}) {
+    return new AnyventureDicePool({
+      base: skill?.talent,
+      dieType: AnyventureDicePool.dieForSkill(skill?.value, skill?.tier),
+      ...options
+    });
+  }
+
+  /** @returns {number} - Base plus bonus minus penalty dice (may be zero or negative) */
+  get net() {
+    return this.base + this.bonus - this.penalty;
+  }
+
+  /** @returns {boolean} - Whether penalties pushed past the one-die floor */
+  get keepLowest() {
+    return this.net < 1;
+  }
+
+  /** @returns {number} - Dice actually rolled */
+  get diceCount() {
+    return this.keepLowest ? 2 - this.net : this.net;
+  }
+
+  /** @returns {string} - Roll formula (e.g. "3d8kh1", "1d8", "2d8kl1") */
+  get formula() {
+    const dice = `${this.diceCount}${this.dieType}`;
+    if (this.keepLowest) return `${dice}kl1`;
+    if (this.keep === 'highest' && this.diceCount > 1) return `${dice}kh1`;
+    return dice;
+  }
+
+  /** @returns {number} - Faces on the pool's die (e.g. 8 for "d8") */
+  get faces() {
+    return Math.max(parseInt(String(this.dieType).replace(/^d/i, ''), 10) || 1, 1);
+  }
+
+  /**
+   * Chance that a single die meets a target
+   * @param {number} target - Value to meet or beat
+   * @returns {number} - Probability between 0 and 1
+   */
+  dieChance(target) {
+    const needed = Math.max(Math.ceil(Number(target) || 0), 1);
+    return Math.max(this.faces - needed + 1, 0) / this.faces;
+  }
+
+  /**
+   * Exact chance that the kept result meets a target: the highest die for
+   * checks, the lowest once penalties pass the floor. For attacks (`keep: 'all'`)
+   * this is the chance of at least one hit.
+   * @param {number} target - Required check or defense value
+   * @returns {number} - Probability between 0 and 1
+   */
+  chanceAtLeast(target) {
+    const p = this.dieChance(target);
+    if (this.keepLowest) return p ** this.diceCount;
+    return 1 - (1 - p) ** this.diceCount;
+  }
+
+  /**
+   * Average number of dice meeting a target (attack hits). Past the floor only
+   * the lowest die counts.
+   * @param {number} target - Defense value
+   * @returns {number}
+   */
+  expectedSuccesses(target) {
+    return this.keepLowest ? this.chanceAtLeast(target) : this.diceCount * this.dieChance(target);
+  }
+
+  /**
+   * Average kept result (highest die, or lowest past the floor)
+   * @returns {number}
+   */
+  get expectedResult() {
+    let expected = 0;
+    for (let value = 1; value <= this.faces; value++) expected += this.chanceAtLeast(value);
+    return expected;
+  }
+
+  /** @returns {string} - Dice rolled without keep modifiers (e.g. "2d8") */
+  get notation() {
+    return `${this.diceCount}${this.dieType}`;
+  }
+
+  /**
+   * Human-readable summary for chat cards (e.g. "2d8 (keep lowest) | -3 penalty")
+   * @returns {string}
+   */
+  describe() {
+    let text = this.notation;
+    if (this.keepLowest) text += ' (keep lowest)';
+
+    if (this.bonus > 0 && this.penalty === 0) {
+      text += ` | +${this.bonus} bonus`;
+    } else if (this.penalty > 0 && this.bonus === 0) {
+      text += ` | -${this.penalty} penalty`;
+    } else if (this.bonus > 0 && this.penalty > 0) {
+      text += ` | +${this.bonus} bonus, -${this.penalty} penalty`;
+    }
+
+    return text;
+  }
+}
@@ -0,0 +1,119 @@
+/**
+ * Encounter difficulty for Anyventure
+ *
+ * A rough estimate for planning fights (sheets/encounter-builder.mjs), before
+ * anyone has rolled initiative:
+ *
+ * - Threat: each NPC's challengeRating, weighted by creature tier, times the
+ *   turns they get per round under the phase rules. challengeRating 1 is meant
+ *   as a fair fight for one character.
+ * - Party: one point per character turn per round, scaled by how much of their
+ *   health and energy they have left.
+ * - Staying power: the NPCs' health against the party's, which moves the
+ *   estimate up or down (square root, so it cannot dominate).
+ *
+ * Foundry-free.
+ */
+
+import { assignPhases } from './phase-rules.js';
+
+/** Share of a creature's challengeRating that counts, by tier */
+export const TIER_WEIGHTS = {
+  minion: 0.25,
+  grunt: 0.5,
+  standard: 1,
+  elite: 1,
+  legend: 1.25,
+  mythic: 1.5
+};
+
+/** Ratings from the lowest; the first whose `max` the score is under */
+export const DIFFICULTY_RATINGS = [
+  { key: 'trivial', label: 'Trivial', max: 0.5 },
+  { key: 'easy', label: 'Easy', max: 0.8 },
+  { key: 'moderate', label: 'Moderate', max: 1.2 },
+  { key: 'hard', label: 'Hard', max: 1.6 },
+  { key: 'deadly', label: 'Deadly', max: Infinity }
+];
+
+/** Energy counts for less than health when judging how fresh the party is */
+const ENERGY_WEIGHT = 0.5;
+
+/**
+ * @param {Object} pool - { value, max }
+ * @returns {{value: number, max: number}}
+ */
+const readPool = (pool) => ({ value: Math.max(0, Number(pool?.value) || 0), max: Math.max(0, Number(pool?.max) || 0) });
+
+/**
+ * Turns a combatant gets in a round (not the first, so no preparation phase)
+ * @param {Object} rules - Normalized phase rules
+ * @param {string} tier
+ * @returns {Array<string>} - Phase keys, one per turn
+ */
+function turnsPerRound(rules, tier) {
+  return assignPhases(rules, { initiative: null, tier }, 2);
+}
+
+/**
+ * Estimate how hard a fight is
+ * @param {Object} encounter
+ * @param {Array<Object>} encounter.party - { health, energy } pools of each character
+ * @param {Array<Object>} encounter.enemies - { tier, challengeRating, health, count }
+ * @param {Object} rules - Normalized phase rules
+ * @returns {Object} - { score, rating, threat, partyPower, freshness, durability, phases }
+ *   phases: [{ key, label, party, enemies }] turns each side takes per phase
+ */
+export function estimateDifficulty({ party = [], enemies = [] }, rules) {
+  const phases = rules.phases.filter(phase => !phase.firstRoundOnly)
+    .map(phase => ({ key: phase.key, label: phase.label, party: 0, enemies: 0 }));
+  const tally = (keys, side, count = 1) => keys.forEach(key => {
+    const phase = phases.find(p => p.key === key);
+    if (phase) phase[side] += count;
+  });
+
+  let partyTurns = 0;
+  let partyNow = 0;
+  let partyMax = 0;
+  let partyHealth = 0;
+  for (const member of party) {
+    const turns = turnsPerRound(rules, '');
+    tally(turns, 'party');
+    partyTurns += turns.length;
+    const health = readPool(member.health);
+    const energy = readPool(member.energy);
+    partyNow += health.value + energy.value * ENERGY_WEIGHT;
+    partyMax += health.max + energy.max * ENERGY_WEIGHT;
+    partyHealth += health.value;
+  }
+
+  let threat = 0;
+  let enemyHealth = 0;
+  for (const enemy of enemies) {
+    const count = Math.max(1, Number(enemy.count) || 1);
+    const tier = String(enemy.tier ?? 'standard').toLowerCase();
+    const turns = turnsPerRound(rules, tier);
+    tally(turns, 'enemies', count);
+    threat += count * turns.length * (Number(enemy.challengeRating) || 0) * (TIER_WEIGHTS[tier] ?? 1);
+    enemyHealth += count * readPool(enemy.health).max;
+  }
+
+  const freshness = partyMax > 0 ? partyNow / partyMax : 1;
+  const partyPower = partyTurns * freshness;
+  const durability = partyHealth > 0 && enemyHealth > 0 ? enemyHealth / partyHealth : 1;
+
+  let score;
+  if (!enemies.length) score = 0;
+  else if (partyPower <= 0) score = Infinity;
+  else score = (threat / partyPower) * Math.sqrt(durability);
+
+  return {
+    score,
+    rating: DIFFICULTY_RATINGS.find(rating => score < rating.max) ?? DIFFICULTY_RATINGS.at(-1),
+    threat,
+    partyPower,
+    freshness,
+    durability,
+    phases
+  };
+}
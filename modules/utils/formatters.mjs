@@ -151,4 +151,36 @@ export function formatDamageType(damageType) {
     text: formattedText,
     cssClass: `damage-type-${damageType.toLowerCase()}`
   };
-}
\ No newline at end of file
+}
+
+/**
+ * Convert a probability to a percentage for display
+ * @param {number} chance - Probability between 0 and 1
+ * @returns {string} - Percentage text (e.g., "66%", "<1%")
+ */
+export function formatChance(chance) {
+  if (chance <= 0) return '0%';
+  if (chance >= 1) return '100%';
+  if (chance < 0.01) return '<1%';
+  if (chance > 0.99) return '>99%';
+  return `${Math.round(chance * 100)}%`;
+}
+
+/**
+ * Odds line for a dice pool in roll dialogs
+ * @param {AnyventureDicePool} pool - The pool about to be rolled
+ * @param {Array<Object>} [targets] - [{ label, target }] values to meet (empty targets are skipped)
+ * @param {Object} [options]
+ * @param {boolean} [options.hits=false] - Also show average hits (attacks)
+ * @returns {string} - Odds text (e.g., "Meet 8: 66% | Average result: 8.0")
+ */
+export function formatPoolOdds(pool, targets = [], { hits = false } = {}) {
+  const parts = [];
+  for (const { label = 'Meet', target } of targets) {
+    if (!(Number(target) > 0)) continue;
+    parts.push(`${label} ${target}: ${formatChance(pool.chanceAtLeast(target))}`);
+    if (hits) parts.push(`Average hits: ${pool.expectedSuccesses(target).toFixed(1)}`);
+  }
+  parts.push(`Average result: ${pool.expectedResult.toFixed(1)}`);
+  return parts.join(' | ');
+}
@@ -6,6 +6,7 @@
  */
 
 import { parseDataCode, createEmptyDelta, combineDeltas } from './data-parser.js';
+import { lintDataCode, formatDiagnostic } from './data-code-validator.js';
 
 /**
  * Parse a single module option and return its delta
@@ -148,7 +149,9 @@ export function getDeltaSummary(delta) {
     movement: [],
     immunities: [],
     abilities: [],
-    conditionals: []
+    conditionals: [],
+    flags: [],
+    scaling: []
   };
 
   // Summarize simple numeric properties
@@ -158,6 +161,17 @@ export function getDeltaSummary(delta) {
   summarizeSimpleValues(delta, 'resources', summary, 'resources');
   summarizeSimpleValues(delta, 'movement', summary, 'movement');
 
+  // Weapon range modifications and dual wield read as resource-style bonuses
+  Object.entries(delta.weaponModifications || {}).forEach(([key, value]) => {
+    if (value !== 0) {
+      const name = key.replace(/([A-Z])/g, ' $1').replace(/^./, c => c.toUpperCase());
+      summary.resources.push(`${name}: ${value > 0 ? '+' : ''}${value}`);
+    }
+  });
+  if (delta.combatFeatures?.dualWieldTier) {
+    summary.resources.push(`Dual Wield: tier ${delta.combatFeatures.dualWieldTier}`);
+  }
+
   // Summarize dice tier modifiers
   Object.entries(delta.skillTierModifiers).forEach(([skill, modifier]) => {
     if (modifier !== 0) {
@@ -182,7 +196,7 @@ export function getDeltaSummary(delta) {
 
   // Summarize abilities
   summary.abilities = delta.abilities.map(ability =>
-    `${ability.type} (${ability.frequency}, ${ability.magical}, ${ability.energy} energy)`
+    `${ability.type} (${ability.daily ? 'daily' : 'at will'}, ${ability.magic ? 'magic' : 'non-magic'}, ${ability.energy} energy)`
   );
 
   // Summarize conditionals
@@ -193,44 +207,24 @@ export function getDeltaSummary(delta) {
     }
   });
 
+  // Summarize boolean flags
+  summary.flags = Object.keys(delta.flags || {})
+    .filter(name => delta.flags[name])
+    .map(name => name.toLowerCase().split('_').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' '));
+
+  // Summarize scaling effects
+  summary.scaling = (delta.expressions || []).map(entry => `${entry.key} = ${entry.expression}`);
+
   return summary;
 }
 
 /**
  * Validate that a data code string is properly formatted
  * @param {string} dataCode - Data code to validate
- * @returns {Object} - Validation result with isValid and errors
+ * @returns {Object} - Validation result with isValid, errors and structured diagnostics
  */
 export function validateDataCode(dataCode) {
-  if (!dataCode || typeof dataCode !== 'string') {
-    return { isValid: true, errors: [] }; // Empty is valid
-  }
-
-  const errors = [];
-  const effects = dataCode.split(':').map(e => e.trim()).filter(e => e);
-
-  for (const effect of effects) {
-    // Check for valid patterns
-    const patterns = [
-      /^S[ST][A-T0-9]=(-?\d+|[XY])$/, // Skills
-      /^W[ST][1-6]=(-?\d+|[XY])$/, // Weapons
-      /^Y[ST][1-5]=(-?\d+|[XY])$/, // Magic
-      /^C[ST][1-6]=(-?\d+|[XY])$/, // Crafting
-      /^M[1-9A]=(-?\d+)$/, // Mitigation
-      /^A[1-9A-HMZ]=(-?\d+)$/, // Auto/Resources
-      /^K[1-4]=(-?\d+)$/, // Movement
-      /^V[1-8]=(-?\d+)$/, // Senses
-      /^I[A-Z]=1$/, // Immunities
-      /^T[GAPC]$/, // Traits
-      /^[XZDY][IDC][NM]E=\d+$/, // Abilities
-      /^C[A-G]\[[^\]]+\]$/ // Conditionals
-    ];
-
-    const isValid = patterns.some(pattern => pattern.test(effect));
-    if (!isValid) {
-      errors.push(`Invalid effect: ${effect}`);
-    }
-  }
-
-  return { isValid: errors.length === 0, errors };
-}
\ No newline at end of file
+  const { isValid, diagnostics } = lintDataCode(dataCode);
+  const errors = diagnostics.filter(d => d.severity === 'error').map(formatDiagnostic);
+  return { isValid, errors, diagnostics };
+}
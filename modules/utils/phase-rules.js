@@ -0,0 +1,164 @@
+/**
+ * Phase Rules for Anyventure
+ *
+ * Describes how combatants are bucketed into combat phases (see combat.mjs).
+ * The world setting `phaseRules` holds one of these; PHASE_PRESETS.standard
+ * is the core rule set:
+ *
+ * - phases: in turn order. A combatant's base phase is the first regular phase
+ *   whose `min` initiative they meet (the last regular phase catches the rest;
+ *   unrolled initiative uses `unrolled`). A `bonus` phase is an extra turn for
+ *   anyone meeting its `min`; `firstRoundOnly` phases only exist in round 1.
+ * - tiers: creature tiers that act in more phases ("all" or a list of keys),
+ *   with `turns` turns in each of them
+ * - order: who goes first within a phase: characters, npcs or initiative
+ *
+ * Foundry-free.
+ */
+
+/** Phase keys with a meaning of their own in the tracker */
+const RESERVED_KEYS = new Set(['delayed']);
+
+/** Who acts first within a phase */
+export const PHASE_ORDERS = {
+  characters: 'Characters first',
+  npcs: 'NPCs first',
+  initiative: 'By initiative only'
+};
+
+/** Built-in rule sets */
+export const PHASE_PRESETS = {
+  standard: {
+    label: 'Standard',
+    phases: [
+      { key: 'preparation', label: 'Preparation Phase', min: 11, bonus: true, firstRoundOnly: true },
+      { key: 'early', label: 'Early Phase', min: 8 },
+      { key: 'middle', label: 'Middle Phase', min: 4 },
+      { key: 'late', label: 'Late Phase', min: null }
+    ],
+    unrolled: 'middle',
+    tiers: {
+      elite: { phases: ['early', 'middle', 'late'], turns: 1 },
+      legend: { phases: ['early', 'middle', 'late'], turns: 1 },
+      mythic: { phases: ['early', 'middle', 'late'], turns: 1 }
+    },
+    order: 'characters'
+  },
+  mythicTwice: {
+    label: 'Mythic creatures act twice per phase',
+    phases: [
+      { key: 'preparation', label: 'Preparation Phase', min: 11, bonus: true, firstRoundOnly: true },
+      { key: 'early', label: 'Early Phase', min: 8 },
+      { key: 'middle', label: 'Middle Phase', min: 4 },
+      { key: 'late', label: 'Late Phase', min: null }
+    ],
+    unrolled: 'middle',
+    tiers: {
+      elite: { phases: ['early', 'middle', 'late'], turns: 1 },
+      legend: { phases: ['early', 'middle', 'late'], turns: 1 },
+      mythic: { phases: ['early', 'middle', 'late'], turns: 2 }
+    },
+    order: 'characters'
+  },
+  fourPhase: {
+    label: 'Four phases (large battles)',
+    phases: [
+      { key: 'preparation', label: 'Preparation Phase', min: 13, bonus: true, firstRoundOnly: true },
+      { key: 'vanguard', label: 'Vanguard Phase', min: 10 },
+      { key: 'early', label: 'Early Phase', min: 7 },
+      { key: 'middle', label: 'Middle Phase', min: 4 },
+      { key: 'late', label: 'Late Phase', min: null }
+    ],
+    unrolled: 'middle',
+    tiers: {
+      elite: { phases: ['early', 'late'], turns: 1 },
+      legend: { phases: 'all', turns: 1 },
+      mythic: { phases: 'all', turns: 1 }
+    },
+    order: 'characters'
+  }
+};
+
+/** The core rule set */
+export const DEFAULT_PHASE_RULES = PHASE_PRESETS.standard;
+
+/**
+ * @param {string} text
+ * @returns {string} - Lowercase key of letters, digits and dashes
+ */
+const toKey = (text) => String(text ?? '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+/**
+ * Clean up a rule set: unique keys, a catch-all last regular phase, known
+ * tier phases. Falls back to the default rules when nothing usable is left.
+ * @param {Object} rules
+ * @returns {Object} - { phases, unrolled, tiers, order }
+ */
+export function normalizePhaseRules(rules) {
+  const seen = new Set();
+  const phases = [];
+  for (const phase of rules?.phases ?? []) {
+    const key = toKey(phase.key || phase.label);
+    if (!key || seen.has(key) || RESERVED_KEYS.has(key)) continue;
+    seen.add(key);
+    const min = phase.min === null || phase.min === '' || phase.min === undefined ? null : Number(phase.min);
+    phases.push({
+      key,
+      label: String(phase.label || key),
+      min: Number.isFinite(min) ? min : null,
+      bonus: Boolean(phase.bonus) && Number.isFinite(min),
+      firstRoundOnly: Boolean(phase.firstRoundOnly)
+    });
+  }
+
+  const regular = phases.filter(phase => !phase.bonus);
+  if (!regular.length) return normalizePhaseRules(DEFAULT_PHASE_RULES);
+  regular.at(-1).min = null;
+  regular.at(-1).firstRoundOnly = false;
+
+  const keys = phases.map(phase => phase.key);
+  const tiers = {};
+  for (const [tier, setting] of Object.entries(rules.tiers ?? {})) {
+    const tierPhases = setting.phases === 'all' ? 'all' : [setting.phases ?? []].flat().map(toKey).filter(key => keys.includes(key));
+    if (tierPhases !== 'all' && !tierPhases.length && (Number(setting.turns) || 1) === 1) continue;
+    tiers[toKey(tier)] = { phases: tierPhases, turns: Math.max(1, Math.floor(Number(setting.turns) || 1)) };
+  }
+
+  return {
+    phases,
+    unrolled: regular.some(phase => phase.key === rules.unrolled) ? rules.unrolled : regular[Math.floor(regular.length / 2)].key,
+    tiers,
+    order: PHASE_ORDERS[rules.order] ? rules.order : 'characters'
+  };
+}
+
+/**
+ * Phases a combatant acts in for a round, one entry per turn
+ * @param {Object} rules - Normalized phase rules
+ * @param {Object} combatant
+ * @param {number|null} combatant.initiative
+ * @param {string} [combatant.tier] - Creature tier (lowercase)
+ * @param {number} round
+ * @returns {Array<string>} - Phase keys in turn order; repeated for extra turns
+ */
+export function assignPhases(rules, { initiative, tier }, round) {
+  const init = Number(initiative ?? NaN);
+  const rolled = initiative !== null && initiative !== undefined && Number.isFinite(init);
+  const active = rules.phases.filter(phase => !phase.firstRoundOnly || round === 1);
+  const regular = active.filter(phase => !phase.bonus);
+
+  const base = rolled ? regular.find(phase => phase.min === null || init >= phase.min).key : rules.unrolled;
+  const assigned = new Set([base]);
+  if (rolled) active.filter(phase => phase.bonus && init >= phase.min).forEach(phase => assigned.add(phase.key));
+
+  const tierRule = rules.tiers[tier];
+  if (tierRule) {
+    const tierPhases = tierRule.phases === 'all' ? regular.map(phase => phase.key) : tierRule.phases;
+    tierPhases.forEach(key => assigned.add(key));
+  }
+
+  const turns = tierRule?.turns ?? 1;
+  return active
+    .filter(phase => assigned.has(phase.key))
+    .flatMap(phase => Array(turns).fill(phase.key));
+}
@@ -0,0 +1,58 @@
+/**
+ * Roll Statistics for Anyventure
+ *
+ * Summaries over the roll history entries recorded on actors
+ * (see roll-history.mjs): averages per skill, success rate against the
+ * required check, crits, fumbles, fizzles and resources spent.
+ * Foundry-free.
+ */
+
+/**
+ * @param {number} successes
+ * @param {number} checks
+ * @returns {number|null} - Success rate between 0 and 1, or null without checks
+ */
+const rate = (successes, checks) => (checks ? successes / checks : null);
+
+/**
+ * Totals for a list of entries
+ * @param {Array<Object>} entries - Roll history entries
+ * @returns {Object} - { rolls, average, checks, successes, successRate, crits, fumbles, fizzles, energySpent, manaSpent }
+ */
+function totals(entries) {
+  const checks = entries.filter(entry => entry.success !== null && entry.success !== undefined);
+  const successes = checks.filter(entry => entry.success).length;
+  return {
+    rolls: entries.length,
+    average: entries.length ? entries.reduce((sum, entry) => sum + (Number(entry.total) || 0), 0) / entries.length : null,
+    checks: checks.length,
+    successes,
+    successRate: rate(successes, checks.length),
+    crits: entries.filter(entry => entry.crit).length,
+    fumbles: entries.filter(entry => entry.fumble).length,
+    fizzles: entries.filter(entry => entry.type === 'spell' && entry.success === false).length,
+    energySpent: entries.reduce((sum, entry) => sum + (Number(entry.energy) || 0), 0),
+    manaSpent: entries.reduce((sum, entry) => sum + (Number(entry.mana) || 0), 0)
+  };
+}
+
+/**
+ * Summarize roll history entries overall and per skill
+ * @param {Array<Object>} entries - Roll history entries
+ * @returns {Object} - Totals plus `skills`: [{ key, label, ...totals }] sorted by roll count
+ */
+export function summarizeRolls(entries = []) {
+  const bySkill = new Map();
+  for (const entry of entries) {
+    const key = entry.skillKey || entry.skill || entry.type;
+    if (!bySkill.has(key)) bySkill.set(key, { key, label: entry.skill || key, entries: [] });
+    bySkill.get(key).entries.push(entry);
+  }
+
+  return {
+    ...totals(entries),
+    skills: Array.from(bySkill.values())
+      .map(({ key, label, entries: skillEntries }) => ({ key, label, ...totals(skillEntries) }))
+      .sort((a, b) => b.rolls - a.rolls || a.label.localeCompare(b.label))
+  };
+}
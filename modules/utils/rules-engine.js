@@ -0,0 +1,771 @@
+/**
+ * Headless Rules Engine for Anyventure
+ *
+ * Foundry-free character computation. Everything in this module works on plain
+ * JSON (a character's system data and an array of item objects) and never
+ * touches `game`, `foundry`, `ui` or document APIs, so it can run in Node, in
+ * tests or in a companion app. `character-parser.js` is the thin Foundry
+ * adapter that feeds actor/item data in and writes the result back.
+ *
+ * Pipeline: Trait → Ancestry → Culture → Modules → Trait collections →
+ * reset to base → apply delta → normalize defaults → scaling effects →
+ * base snapshot.
+ * Every option merged along the way is also written to a provenance ledger
+ * so sheets can show which item granted each bonus.
+ */
+
+import { parseDataCode, createEmptyDelta, applyDeltaToCharacter, CONDITIONAL_GATES } from './data-parser.js';
+import { logWarning } from './logger.js';
+import { dataCodes } from './data-code-registry.js';
+import { parseExpression, evaluateExpression } from './data-expression.js';
+
+/**
+ * Default resource maxima every character starts from before deltas apply
+ */
+export const BASE_RESOURCES = { health: 20, resolve: 20, morale: 10, energy: 5, mana: 0 };
+
+/**
+ * Default movement speeds every character starts from
+ */
+export const BASE_MOVEMENT = { walk: 5, swim: 0, climb: 0, fly: 0 };
+
+/**
+ * System fields rebuilt by a recalculation (excluding the `_base` and `_provenance` bookkeeping)
+ */
+export const BASELINE_FIELDS = [
+  'attributes', 'basic', 'weapon', 'magic', 'crafting', 'mitigation', 'resources', 'movement',
+  'immunities', 'conditionals', 'weaponModifications', 'combatFeatures', 'spellSlots'
+];
+
+/**
+ * Built-in baseline fields plus the system fields of registered add-on code families
+ * @returns {Array<string>}
+ */
+export function baselineFields() {
+  return [...BASELINE_FIELDS, ...dataCodes.systemFields];
+}
+
+// Matches ability grants (XIME=1, ZINE=2, etc.) inside a data code
+const ABILITY_CODE_PATTERN = /[XZ][ID][MN]E=\d+/;
+
+/**
+ * Deep clone plain data
+ * @param {*} value - JSON-compatible value
+ * @returns {*} - Detached copy
+ */
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Merge one delta into another (mutates target delta)
+ * @param {Object} sourceDelta - The delta to merge from
+ * @param {Object} targetDelta - The delta to merge into (mutated)
+ */
+export function mergeDeltas(sourceDelta, targetDelta) {
+  // Helper function to merge simple value objects
+  const mergeSimpleValues = (source, target) => {
+    Object.entries(source).forEach(([key, value]) => {
+      target[key] += value;
+    });
+  };
+
+  // Helper function to merge skill objects with skill/talent/tier properties
+  const mergeSkillObjects = (source, target) => {
+    Object.entries(source).forEach(([key, data]) => {
+      target[key].skill += data.skill;
+      target[key].talent += data.talent;
+      target[key].tier += data.tier;
+    });
+  };
+
+  // Merge all simple value collections
+  mergeSimpleValues(sourceDelta.attributes, targetDelta.attributes);
+  mergeSimpleValues(sourceDelta.skills, targetDelta.skills);
+  mergeSimpleValues(sourceDelta.skillTierModifiers, targetDelta.skillTierModifiers);
+
+  // Merge all skill object collections
+  mergeSkillObjects(sourceDelta.weaponSkills, targetDelta.weaponSkills);
+  mergeSkillObjects(sourceDelta.magicSkills, targetDelta.magicSkills);
+  mergeSkillObjects(sourceDelta.craftingSkills, targetDelta.craftingSkills);
+
+  // Merge remaining simple value collections
+  mergeSimpleValues(sourceDelta.mitigation, targetDelta.mitigation);
+  mergeSimpleValues(sourceDelta.resources, targetDelta.resources);
+  mergeSimpleValues(sourceDelta.movement, targetDelta.movement);
+
+  // Merge abilities (avoid duplicates)
+  if (sourceDelta.abilities && sourceDelta.abilities.length > 0) {
+    if (!targetDelta.abilities) targetDelta.abilities = [];
+    sourceDelta.abilities.forEach(ability => {
+      targetDelta.abilities.push(ability);
+    });
+  }
+
+  // Merge immunities (avoid duplicates)
+  sourceDelta.immunities.forEach(immunity => {
+    if (!targetDelta.immunities.includes(immunity)) {
+      targetDelta.immunities.push(immunity);
+    }
+  });
+
+  // Merge conditionals
+  Object.entries(sourceDelta.conditionals).forEach(([condition, effects]) => {
+    targetDelta.conditionals[condition].push(...effects);
+  });
+
+  // Merge weapon modifications
+  Object.entries(sourceDelta.weaponModifications).forEach(([modification, value]) => {
+    targetDelta.weaponModifications[modification] += value;
+  });
+
+  // Merge combat features (take highest tier for dual wield)
+  Object.entries(sourceDelta.combatFeatures).forEach(([feature, value]) => {
+    if (feature === 'dualWieldTier') {
+      targetDelta.combatFeatures[feature] = Math.max(targetDelta.combatFeatures[feature], value);
+    } else {
+      targetDelta.combatFeatures[feature] += value;
+    }
+  });
+
+  // Merge boolean flags
+  Object.entries(sourceDelta.flags || {}).forEach(([name, val]) => {
+    if (val) targetDelta.flags[name] = true;
+  });
+
+  // Merge scaling effects
+  (sourceDelta.expressions || []).forEach(entry => targetDelta.expressions.push({ ...entry }));
+
+  // Merge fields of add-on code families
+  dataCodes.merge(sourceDelta, targetDelta);
+}
+
+/* -------------------------------------------- */
+/*  Delta Collection                            */
+/* -------------------------------------------- */
+
+/**
+ * Parse the data code of a single option (or subchoice) into a delta.
+ * Abilities granted by the code take the option's name and description.
+ * @param {Object} option - Option with data, name and description
+ * @returns {Object} - Parsed delta
+ */
+function parseOptionDelta(option) {
+  const optionDelta = parseDataCode(option.data);
+
+  if (ABILITY_CODE_PATTERN.test(option.data) && optionDelta.abilities?.length > 0) {
+    optionDelta.abilities.forEach(ability => {
+      ability.name = option.name || 'Unknown Ability';
+      ability.description = option.description || '';
+    });
+  }
+
+  return optionDelta;
+}
+
+/**
+ * Parse an option, merge it into the delta and record what it granted
+ * @param {Object} option - Option (or subchoice) with data, name and description
+ * @param {string} source - Label for the granting item, e.g. "Ranger T3"
+ * @param {Object} delta - The delta object to mutate
+ * @param {Array<Object>} [ledger] - Provenance ledger to append to
+ */
+function mergeOptionDelta(option, source, delta, ledger) {
+  const optionDelta = parseOptionDelta(option);
+  // Scaling effects are recorded in the ledger once they resolve
+  optionDelta.expressions.forEach(entry => { entry.source = source; });
+  mergeDeltas(optionDelta, delta);
+  if (ledger) recordDeltaProvenance(optionDelta, source, ledger);
+}
+
+/**
+ * Get the items of one type from a plain item list
+ * @param {Array<Object>} items - Item data
+ * @param {string} type - Item type
+ * @returns {Array<Object>}
+ */
+function itemsOfType(items, type) {
+  return (items || []).filter(item => item?.type === type);
+}
+
+/**
+ * Collect the selected options of trait items into the delta
+ * @param {Array<Object>} items - Item data
+ * @param {Object} delta - The delta object to mutate
+ * @param {Array<Object>} [ledger] - Provenance ledger to append to
+ */
+export function collectTraitItemEffects(items, delta, ledger) {
+  for (const trait of itemsOfType(items, 'trait')) {
+    const options = trait.system?.options || [];
+    for (const option of options.filter(o => o.selected && o.data)) {
+      mergeOptionDelta(option, `${trait.name} trait`, delta, ledger);
+    }
+  }
+}
+
+/**
+ * Collect ancestry options into the delta, resolving subchoices from
+ * flags.anyventure.selectedOptions
+ * @param {Array<Object>} items - Item data
+ * @param {Object} delta - The delta object to mutate
+ * @param {Array<Object>} [ledger] - Provenance ledger to append to
+ */
+export function collectAncestryEffects(items, delta, ledger) {
+  for (const ancestry of itemsOfType(items, 'ancestry')) {
+    // Unlike modules, ancestries automatically give ALL their racial traits
+    // All options should already be marked as selected: true
+    const options = ancestry.system?.options || [];
+    const selectedOptionsFlags = ancestry.flags?.anyventure?.selectedOptions || [];
+
+    for (const option of options.filter(o => o.selected)) {
+      if (option.subchoices && option.subchoices.length > 0) {
+        const selectedFlag = selectedOptionsFlags.find(flag => flag.name === option.name);
+        if (!selectedFlag || !selectedFlag.selectedSubchoice) {
+          logWarning(`No subchoice selected for option "${option.name}" that requires choice`);
+          continue;
+        }
+
+        const selectedSubchoice = option.subchoices.find(sub => sub.id === selectedFlag.selectedSubchoice);
+        if (!selectedSubchoice) {
+          logWarning(`Could not find subchoice "${selectedFlag.selectedSubchoice}" for option "${option.name}"`);
+          continue;
+        }
+
+        mergeOptionDelta(selectedSubchoice, `${ancestry.name} ancestry`, delta, ledger);
+      } else if (option.data) {
+        mergeOptionDelta(option, `${ancestry.name} ancestry`, delta, ledger);
+      }
+    }
+
+    // Size-based skill modifications are handled automatically through ancestry data codes
+    // (e.g., SSA=Y:SSB=Y:SSC=Y:SSD=Y:SSE=X:SSF=X:SSG=X:SSH=X for Small size)
+  }
+}
+
+/**
+ * Collect the selected options of culture items into the delta
+ * @param {Array<Object>} items - Item data
+ * @param {Object} delta - The delta object to mutate
+ * @param {Array<Object>} [ledger] - Provenance ledger to append to
+ */
+export function collectCultureEffects(items, delta, ledger) {
+  for (const culture of itemsOfType(items, 'culture')) {
+    // Restrictions, benefits and startingItems are flattened into options
+    const options = culture.system?.options || [];
+    for (const option of options.filter(o => o.selected && o.data)) {
+      mergeOptionDelta(option, `${culture.name} culture`, delta, ledger);
+    }
+  }
+}
+
+/**
+ * Collect the selected options of module items into the delta
+ * @param {Array<Object>} items - Item data
+ * @param {Object} delta - The delta object to mutate
+ * @param {Array<Object>} [ledger] - Provenance ledger to append to
+ */
+export function collectModuleEffects(items, delta, ledger) {
+  for (const module of itemsOfType(items, 'module')) {
+    const options = module.system?.options || [];
+    for (const option of options.filter(o => o.selected && o.data)) {
+      const tier = String(option.location || '').match(/^(\d+)/)?.[1];
+      mergeOptionDelta(option, tier ? `${module.name} T${tier}` : module.name, delta, ledger);
+    }
+  }
+}
+
+/**
+ * Group trait markers (TA, TG, TC) found in the delta into trait collections
+ * @param {Array<Object>} items - Item data
+ * @param {Object} delta - The delta object to mutate
+ */
+export function collectTraitCollections(items, delta) {
+  if (!delta.traits || delta.traits.length === 0) {
+    return;
+  }
+
+  if (!delta.traitCollections) {
+    delta.traitCollections = {
+      ancestry: [],
+      general: [],
+      crafting: []
+    };
+  }
+
+  const modules = itemsOfType(items, 'module');
+
+  for (const traitMarker of delta.traits) {
+    for (const module of modules) {
+      const options = module.system?.options || [];
+      for (const option of options.filter(o => o.selected && o.data)) {
+        if (!option.data.includes(traitMarker.marker)) continue;
+
+        delta.traitCollections[traitMarker.type].push({
+          name: option.name,
+          description: option.description,
+          source: module.name,
+          marker: traitMarker.marker,
+          moduleId: module._id,
+          optionId: option._id || option.name
+        });
+      }
+    }
+  }
+}
+
+/**
+ * Build the combined delta for a character from its items
+ * @param {Array<Object>} items - Item data
+ * @param {Array<Object>} [ledger] - Provenance ledger to append to
+ * @returns {Object} - Combined delta of all character effects
+ */
+export function buildCharacterDelta(items, ledger) {
+  const delta = createEmptyDelta();
+  collectTraitItemEffects(items, delta, ledger);
+  collectAncestryEffects(items, delta, ledger);
+  collectCultureEffects(items, delta, ledger);
+  collectModuleEffects(items, delta, ledger);
+  collectTraitCollections(items, delta);
+  return delta;
+}
+
+/* -------------------------------------------- */
+/*  Provenance                                  */
+/* -------------------------------------------- */
+
+// System fields that each delta resource key lands in (see applyDeltaToCharacter)
+const RESOURCE_FIELDS = {
+  health: 'resources.health.max',
+  resolve: 'resources.resolve.max',
+  energy: 'resources.energy.max',
+  maxMorale: 'resources.morale.max',
+  manaPoints: 'resources.mana.max',
+  spellCapacity: 'spellSlots.max',
+  healthRegen: 'resources.health.regen',
+  resolveRegen: 'resources.resolve.regen',
+  energyRegen: 'resources.energy.regen',
+  moraleRegen: 'resources.morale.regen'
+};
+
+// Conditional effect types and the system field their subtype lands in
+const CONDITIONAL_FIELDS = {
+  skill: subtype => `basic.${subtype}.value`,
+  mitigation: subtype => `mitigation.${subtype}`
+};
+
+/**
+ * Append the contributions of one delta to a provenance ledger.
+ * Entries are `{ field, source, value }` where field is a path into system data
+ * (e.g. "basic.evasion.value"); gated conditional effects also carry `gate`.
+ * @param {Object} delta - Delta granted by a single source
+ * @param {string} source - Label for the granting item, e.g. "Ranger T3"
+ * @param {Array<Object>} ledger - Ledger to append to (mutated)
+ */
+export function recordDeltaProvenance(delta, source, ledger) {
+  const add = (field, value, extra = {}) => {
+    if (value) ledger.push({ field, source, value, ...extra });
+  };
+
+  Object.entries(delta.attributes).forEach(([key, value]) => add(`attributes.${key}.value`, value));
+  Object.entries(delta.skills).forEach(([key, value]) => add(`basic.${key}.value`, value));
+  Object.entries(delta.skillTierModifiers).forEach(([key, value]) => add(`basic.${key}.tier`, value));
+
+  for (const [category, field] of [['weapon', 'weaponSkills'], ['magic', 'magicSkills'], ['crafting', 'craftingSkills']]) {
+    Object.entries(delta[field]).forEach(([key, data]) => {
+      add(`${category}.${key}.value`, data.skill);
+      add(`${category}.${key}.talent`, data.talent);
+      add(`${category}.${key}.tier`, data.tier);
+    });
+  }
+
+  Object.entries(delta.mitigation).forEach(([key, value]) => add(`mitigation.${key}`, value));
+  Object.entries(delta.resources).forEach(([key, value]) => RESOURCE_FIELDS[key] && add(RESOURCE_FIELDS[key], value));
+  // Only walk speed is applied from deltas; other movement types are not stored on the character
+  add('movement.walk', delta.movement.walk);
+  Object.entries(delta.weaponModifications).forEach(([key, value]) => add(`weaponModifications.${key}`, value));
+  add('combatFeatures.dualWieldTier', delta.combatFeatures.dualWieldTier);
+
+  Object.entries(delta.conditionals).forEach(([gate, effects]) => {
+    effects.forEach(effect => {
+      const field = CONDITIONAL_FIELDS[effect.type]?.(effect.subtype);
+      // Parameterized gates are recorded as "condition:prone", "combatPhase:early", ...
+      if (field) add(field, effect.value, { gate: effect.param ? `${gate}:${effect.param}` : gate });
+    });
+  });
+}
+
+/* -------------------------------------------- */
+/*  Scaling Effects                             */
+/* -------------------------------------------- */
+
+// Flags whose effect scales with character data, expressed as scaling effects
+const FLAG_SCALING = {
+  BADGE_OF_HONOR: { key: 'A8', expression: '@injuries.cosmetic', source: 'Badge of Honor' }
+};
+
+/**
+ * Values scaling effects can reference besides system data
+ * (e.g. `@injuries.cosmetic`, `@injuries.total`)
+ * @param {Array<Object>} items - Item data
+ * @returns {Object}
+ */
+export function buildScalingContext(items) {
+  const injuries = itemsOfType(items, 'injury');
+  const counts = { total: injuries.length };
+  for (const injury of injuries) {
+    const type = (injury.system?.injuryType || '').replace(/_injury$/, '');
+    if (type) counts[type] = (counts[type] || 0) + 1;
+  }
+  return { injuries: counts };
+}
+
+/**
+ * System fields a code writes, e.g. "A1" → ["resources.health.max"]
+ * @param {string} key - Code without its value
+ * @returns {Array<string>}
+ */
+function scalingTargets(key) {
+  const probe = [];
+  recordDeltaProvenance(parseDataCode(`${key}=1`), '', probe);
+  return probe.map(entry => entry.field);
+}
+
+/**
+ * Order scaling effects so each one runs after every effect writing a field it reads.
+ * Effects in a cycle (or depending on one) are dropped with a warning.
+ * @param {Array<Object>} entries - Delta expression entries
+ * @returns {Array<{entry: Object, ast: Object}>}
+ */
+export function orderScalingEffects(entries) {
+  const nodes = [];
+  for (const entry of entries) {
+    try {
+      const { ast, references } = parseExpression(entry.expression);
+      nodes.push({ entry, ast, reads: references, writes: scalingTargets(entry.key) });
+    } catch (error) {
+      logWarning(`Skipping scaling effect ${entry.key}=${entry.expression}: ${error.message}`);
+    }
+  }
+
+  const overlaps = (a, b) => a === b || a.startsWith(`${b}.`) || b.startsWith(`${a}.`);
+  const readsFrom = (node, other) => node.reads.some(read => other.writes.some(write => overlaps(read, write)));
+  nodes.forEach(node => { node.dependencies = nodes.filter(other => readsFrom(node, other)); });
+
+  // Repeatedly take effects whose dependencies have all run; authored order breaks ties
+  const ordered = [];
+  const remaining = new Set(nodes);
+  let progress = true;
+  while (remaining.size > 0 && progress) {
+    progress = false;
+    for (const node of remaining) {
+      if (node.dependencies.some(dependency => remaining.has(dependency))) continue;
+      ordered.push(node);
+      remaining.delete(node);
+      progress = true;
+    }
+  }
+
+  if (remaining.size > 0) {
+    const cycle = [...remaining].map(node => `${node.entry.key}=${node.entry.expression}`).join(', ');
+    logWarning(`Skipping scaling effects with circular references: ${cycle}`);
+  }
+
+  return ordered.map(({ entry, ast }) => ({ entry, ast }));
+}
+
+/**
+ * Apply a delta to a reset system, then resolve its scaling effects (and those implied by
+ * flags such as Badge of Honor) in dependency order. Each effect reads the system as it
+ * stands after the effects it depends on. Resolved values are stored on the entries
+ * (`entry.value`) and recorded in the ledger.
+ * @param {Object} reset - Output of resetSystemToBase
+ * @param {Object} delta - Combined delta (its expression entries are mutated)
+ * @param {Object} [context] - Extra reference roots (see buildScalingContext)
+ * @param {Array<Object>} [ledger] - Provenance ledger to append to
+ * @returns {Object} - Normalized computed fields
+ */
+export function applyScalingEffects(reset, delta, context = {}, ledger) {
+  const apply = (d) => normalizeComputedFields(applyDeltaToSystem(reset, d));
+  let computed = apply(delta);
+
+  const entries = [
+    ...(delta.expressions || []),
+    ...Object.entries(FLAG_SCALING).filter(([flag]) => delta.flags?.[flag]).map(([, entry]) => ({ ...entry }))
+  ];
+  if (entries.length === 0) return computed;
+
+  const working = clone(delta);
+  for (const { entry, ast } of orderScalingEffects(entries)) {
+    entry.value = evaluateExpression(ast, { ...reset, ...computed, ...context });
+
+    const resolved = parseDataCode(`${entry.key}=${entry.value}`);
+    mergeDeltas(resolved, working);
+    if (ledger) {
+      const source = entry.source ? `${entry.source} (${entry.expression})` : entry.expression;
+      recordDeltaProvenance(resolved, source, ledger);
+    }
+    computed = apply(working);
+  }
+
+  return computed;
+}
+
+/* -------------------------------------------- */
+/*  System Computation                          */
+/* -------------------------------------------- */
+
+/**
+ * Reset a system data copy to its pre-parse baseline: skill values and tiers
+ * to zero, talents and attributes to their character-creation base,
+ * mitigations, resource maxima and regeneration, immunities, conditionals and
+ * weapon features cleared. Resetting an already computed system gives the same
+ * baseline, so recalculating twice gives the same result.
+ * @param {Object} system - Character system data (not mutated)
+ * @returns {Object} - Reset copy
+ */
+export function resetSystemToBase(system) {
+  const reset = clone(system || {});
+
+  // Resource maxima are rebuilt from defaults plus deltas
+  reset.resources = reset.resources || {};
+  for (const key of Object.keys(BASE_RESOURCES)) {
+    if (!reset.resources[key] || typeof reset.resources[key] !== 'object') {
+      reset.resources[key] = { value: undefined, max: 0, temp: 0 };
+    }
+    reset.resources[key].max = 0;
+    if (key !== 'mana') reset.resources[key].regen = 0;
+  }
+
+  // Attributes return to their character-creation value
+  for (const [key, attribute] of Object.entries(reset.attributes || {})) {
+    if (!attribute || typeof attribute !== 'object') continue;
+    if (attribute.baseValue === undefined) {
+      // No baseValue stored yet: take off what the last recalculation added
+      const added = (system?._provenance || [])
+        .filter(entry => entry.field === `attributes.${key}.value` && !entry.gate)
+        .reduce((total, entry) => total + (Number(entry.value) || 0), 0);
+      attribute.baseValue = Math.max(attribute.min ?? 0, (Number(attribute.value) || 0) - added);
+    }
+    attribute.value = attribute.baseValue;
+  }
+
+  // Basic skills (stored in system.basic)
+  for (const skill of Object.values(reset.basic || {})) {
+    skill.value = 0;
+    if (skill.tier !== undefined) skill.tier = 0;
+  }
+
+  // Weapon/magic/crafting skills return to their base talent
+  for (const category of ['weapon', 'magic', 'crafting']) {
+    for (const skill of Object.values(reset[category] || {})) {
+      skill.value = 0;
+      skill.tier = 0;
+      if (skill.baseTalent !== undefined) {
+        skill.talent = skill.baseTalent;
+      } else {
+        // No baseTalent stored yet: current talent becomes the base
+        skill.baseTalent = skill.talent || 0;
+        skill.talent = skill.talent || 0;
+      }
+    }
+  }
+
+  for (const key of Object.keys(reset.mitigation || {})) {
+    reset.mitigation[key] = 0;
+  }
+
+  // Reset immunities and conditionals (preserve boolean flags if present)
+  reset.immunities = [];
+  reset.conditionals = {
+    ...Object.fromEntries(CONDITIONAL_GATES.map(gate => [gate, []])),
+    flags: system?.conditionals?.flags || {}
+  };
+
+  reset.weaponModifications = {
+    simpleRangedMinRange: 0,
+    simpleRangedMaxRange: 0,
+    complexRangedMinRange: 0,
+    complexRangedMaxRange: 0,
+    throwingMinRange: 0,
+    throwingMaxRange: 0
+  };
+
+  reset.combatFeatures = {
+    dualWieldTier: 0
+  };
+
+  return reset;
+}
+
+/**
+ * Apply a delta to character system data.
+ * Converts the system layout (basic/weapon/magic/crafting) to the shape
+ * expected by applyDeltaToCharacter and back again.
+ * @param {Object} system - Character system data (not mutated)
+ * @param {Object} delta - The delta to apply
+ * @returns {Object} - Affected system fields, keyed by system property
+ */
+export function applyDeltaToSystem(system, delta) {
+  const character = {
+    attributes: clone(system.attributes || {}),
+    skills: clone(system.basic || {}),
+    weaponSkills: clone(system.weapon || {}),
+    magicSkills: clone(system.magic || {}),
+    craftingSkills: clone(system.crafting || {}),
+    mitigation: clone(system.mitigation || {}),
+    resources: clone(system.resources || {}),
+    movement: clone(system.movement ?? 0),
+    immunities: clone(system.immunities || []),
+    conditionals: clone(system.conditionals || {}),
+    weaponModifications: clone(system.weaponModifications || {}),
+    combatFeatures: clone(system.combatFeatures || {}),
+    spellSlots: clone(system.spellSlots || { current: 0, max: 10 })
+  };
+
+  // Ensure baseline resource maxima before applying deltas (so +X adds to defaults, not zero)
+  const r = character.resources;
+  for (const [key, max] of Object.entries(BASE_RESOURCES)) {
+    if (!r[key] || typeof r[key] !== 'object') r[key] = { value: undefined, max: 0, temp: 0 };
+    if (!r[key].max) r[key].max = max;
+  }
+
+  applyDeltaToCharacter(character, delta);
+
+  return {
+    attributes: character.attributes,
+    basic: character.skills,
+    weapon: character.weaponSkills,
+    magic: character.magicSkills,
+    crafting: character.craftingSkills,
+    mitigation: character.mitigation,
+    resources: character.resources,
+    movement: character.movement,
+    immunities: character.immunities,
+    conditionals: character.conditionals,
+    weaponModifications: character.weaponModifications,
+    combatFeatures: character.combatFeatures,
+    spellSlots: character.spellSlots,
+    // Add-on family fields start empty and are rebuilt by their apply()
+    ...Object.fromEntries(dataCodes.systemFields.map(field => [field, character[field]]))
+  };
+}
+
+/**
+ * Fill in defaults for resources, movement, weapon modifications and combat
+ * features on freshly computed fields (mutates and returns the input)
+ * @param {Object} computed - Output of applyDeltaToSystem
+ * @returns {Object}
+ */
+export function normalizeComputedFields(computed) {
+  // Resource maxima fall back to defaults; current values are only clamped down, never raised
+  const res = computed.resources || (computed.resources = {});
+  for (const [key, max] of Object.entries(BASE_RESOURCES)) {
+    const entry = res[key] || (res[key] = { value: undefined, max: 0, temp: 0 });
+    if (!entry.max) entry.max = max;
+    if (typeof entry.value === 'number' && entry.value > entry.max) entry.value = entry.max;
+  }
+
+  const mv = computed.movement || {};
+  if (typeof mv === 'number') {
+    computed.movement = { walk: mv || 5, swim: Math.floor((mv || 5) / 2), climb: Math.floor((mv || 5) / 2), fly: 0 };
+  } else {
+    computed.movement = Object.fromEntries(Object.entries(BASE_MOVEMENT).map(([key, base]) =>
+      [key, typeof mv[key] === 'number' ? mv[key] : base]
+    ));
+  }
+
+  const wm = computed.weaponModifications || {};
+  computed.weaponModifications = Object.fromEntries([
+    'simpleRangedMinRange', 'simpleRangedMaxRange',
+    'complexRangedMinRange', 'complexRangedMaxRange',
+    'throwingMinRange', 'throwingMaxRange'
+  ].map(key => [key, typeof wm[key] === 'number' ? wm[key] : 0]));
+
+  const cf = computed.combatFeatures || {};
+  computed.combatFeatures = {
+    dualWieldTier: typeof cf.dualWieldTier === 'number' ? cf.dualWieldTier : 0
+  };
+
+  return computed;
+}
+
+/**
+ * Build the persistent `_base` snapshot from computed fields
+ * @param {Object} computed - Normalized output of applyDeltaToSystem
+ * @returns {Object} - Base snapshot
+ */
+export function buildBaseSnapshot(computed) {
+  return clone({
+    attributes: computed.attributes || {},
+    basic: computed.basic || {},
+    weapon: computed.weapon || {},
+    magic: computed.magic || {},
+    crafting: computed.crafting || {},
+    mitigation: computed.mitigation || {},
+    resources: computed.resources || {},
+    movement: computed.movement || BASE_MOVEMENT,
+    weaponModifications: computed.weaponModifications,
+    combatFeatures: computed.combatFeatures,
+    ...Object.fromEntries(dataCodes.systemFields.map(field => [field, computed[field]]))
+  });
+}
+
+/**
+ * Compute a character from plain data.
+ * @param {Object} character - Character JSON ({ system, items }) or bare system data
+ * @param {Array<Object>} [items] - Item JSON; defaults to character.items
+ * @returns {{system: Object, delta: Object}} - Recomputed system data (including `_base` and the
+ *   `_provenance` ledger) and the combined delta
+ */
+export function computeCharacter(character, items) {
+  const system = character?.system ?? character ?? {};
+  const itemList = items ?? character?.items ?? [];
+
+  const ledger = [];
+  const delta = buildCharacterDelta(itemList, ledger);
+  const reset = resetSystemToBase(system);
+  const computed = applyScalingEffects(reset, delta, buildScalingContext(itemList), ledger);
+
+  return {
+    system: {
+      ...reset,
+      ...computed,
+      _base: buildBaseSnapshot(computed),
+      _provenance: ledger
+    },
+    delta
+  };
+}
+
+// Character-creation values stored by resetSystemToBase
+const BASE_VALUE_KEYS = new Set(['baseTalent', 'baseValue']);
+
+/**
+ * List the leaf values that differ between two versions of a character's system data.
+ * Only baseline fields are compared; arrays are compared as a whole.
+ * @param {Object} before - Current system data
+ * @param {Object} after - Recomputed system data
+ * @returns {Array<{path: string, before: *, after: *}>} - Changed fields, e.g. { path: 'basic.evasion.value', before: 2, after: 3 }
+ */
+export function diffBaselines(before, after) {
+  const changes = [];
+
+  const walk = (path, a, b) => {
+    const isObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+    if (isObject(a) || isObject(b)) {
+      const keys = new Set([...Object.keys(isObject(a) ? a : {}), ...Object.keys(isObject(b) ? b : {})]);
+      for (const key of keys) {
+        // Creation values the reset fills in are bookkeeping, not changes
+        if (BASE_VALUE_KEYS.has(key)) continue;
+        walk(`${path}.${key}`, isObject(a) ? a[key] : undefined, isObject(b) ? b[key] : undefined);
+      }
+      return;
+    }
+    if (JSON.stringify(a) !== JSON.stringify(b)) changes.push({ path, before: clone(a), after: clone(b) });
+  };
+
+  for (const field of baselineFields()) {
+    walk(field, before?.[field], after?.[field]);
+  }
+  return changes;
+}
@@ -0,0 +1,81 @@
+/**
+ * Rules engine tests (Node's built-in runner): node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { computeCharacter, diffBaselines } from '../modules/utils/rules-engine.js';
+
+const template = JSON.parse(readFileSync(new URL('../template.json', import.meta.url)));
+
+/** A fresh character's system data from template.json */
+function characterSystem() {
+  const { templates } = template.Actor;
+  const system = {};
+  for (const name of template.Actor.character.templates) Object.assign(system, structuredClone(templates[name]));
+  return system;
+}
+
+/** A module item with one selected option */
+function moduleItem(name, data) {
+  return { _id: name, name, type: 'module', system: { options: [{ name, location: '1', selected: true, data }] } };
+}
+
+const items = [
+  moduleItem('Brawn', 'SS1=1:SS2=1'),
+  moduleItem('Stamina', 'A7=1:A5=2:A3=2'),
+  moduleItem('Warding', 'M1=2:M7=1')
+];
+
+test('recalculating a computed character gives the same system', () => {
+  const first = computeCharacter(characterSystem(), items).system;
+  const second = computeCharacter(first, items).system;
+  const third = computeCharacter(second, items).system;
+  assert.deepEqual(second, first);
+  assert.deepEqual(third, first);
+});
+
+test('attribute and regeneration bonuses are counted once', () => {
+  const first = computeCharacter(characterSystem(), items).system;
+  const second = computeCharacter(first, items).system;
+  assert.equal(second.attributes.physique.value, 2);
+  assert.equal(second.attributes.finesse.value, 2);
+  assert.equal(second.resources.energy.regen, 1);
+  assert.equal(second.resources.health.regen, 2);
+});
+
+test('characters computed before baseValue existed keep their creation attributes', () => {
+  const legacy = computeCharacter(characterSystem(), items).system;
+  for (const attribute of Object.values(legacy.attributes)) delete attribute.baseValue;
+  const recomputed = computeCharacter(legacy, items).system;
+  assert.equal(recomputed.attributes.physique.value, 2);
+  assert.equal(recomputed.attributes.physique.baseValue, 1);
+});
+
+test('the recalculate preview finds nothing to change on a computed character', () => {
+  const computed = computeCharacter(characterSystem(), items).system;
+  assert.deepEqual(diffBaselines(computed, computeCharacter(computed, items).system), []);
+
+  for (const attribute of Object.values(computed.attributes)) delete attribute.baseValue;
+  assert.deepEqual(diffBaselines(computed, computeCharacter(computed, items).system), []);
+});
+
+test('automatic recalculation after item edits does not build up bonuses', () => {
+  // auto-recalculate.mjs recomputes from the stored system after every progression item change
+  let system = computeCharacter(characterSystem(), items).system;
+  const expected = system;
+  for (let edit = 0; edit < 3; edit++) {
+    system = computeCharacter(system, items.slice(1)).system;
+    assert.equal(system.attributes.physique.value, 1);
+    system = computeCharacter(system, items).system;
+  }
+  assert.deepEqual(system, expected);
+});
+
+test('aether mitigation lands on the field the sheet shows, with its source', () => {
+  const system = computeCharacter(characterSystem(), items).system;
+  assert.equal(system.mitigation.aether, 1);
+  assert.equal(system.mitigation.aetheric, undefined);
+  assert.ok(system._provenance.some(entry => entry.field === 'mitigation.aether' && entry.source.startsWith('Warding')));
+});